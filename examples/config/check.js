@@ -0,0 +1,79 @@
+/**
+ * Checks the example YAML files against their expected parse results
+ *
+ * Each NAME.yaml of this folder is parsed by the YAML parser of
+ * scripts/BookCreator.jsx, with the options of the metadata import, and
+ * compared with NAME.expected.json. Run with Node.js from the repository:
+ *
+ *     node examples/config/check.js
+ *
+ * Add --write to write the expected files again after a deliberate change.
+ */
+var fs = require("fs");
+var path = require("path");
+
+var SCRIPT = path.join(__dirname, "..", "..", "scripts", "BookCreator.jsx");
+
+/**
+ * Loads namespaces of BookCreator.jsx, written var NAME = (function() { ... })();
+ * @param {Array} names - Namespace names
+ * @return {Object} Namespaces by name
+ */
+function loadNamespaces(names) {
+    var source = fs.readFileSync(SCRIPT, "utf8");
+    var code = "";
+
+    for (var i = 0; i < names.length; i++) {
+        var start = source.indexOf("\n    var " + names[i] + " = (function() {");
+        var end = source.indexOf("\n    })();", start);
+        if (start === -1 || end === -1) {
+            throw new Error(names[i] + " not found in " + SCRIPT);
+        }
+        code += source.substring(start, end + "\n    })();".length) + "\n";
+    }
+    code += "return { " + names.map(function(name) { return name + ": " + name; }).join(", ") + " };";
+
+    // Parse warnings are written to the ExtendScript console
+    var extendScript = { writeln: function(text) { console.log("  " + text); } };
+    return new Function("$", code)(extendScript);
+}
+
+var ns = loadNamespaces(["YAMLParser", "PandocMapper"]);
+var write = process.argv.indexOf("--write") !== -1;
+var failures = 0;
+
+var files = fs.readdirSync(__dirname).filter(function(name) {
+    return /\.yaml$/.test(name);
+}).sort();
+
+files.forEach(function(name) {
+    var expectedPath = path.join(__dirname, name.replace(/\.yaml$/, ".expected.json"));
+    var actual;
+
+    try {
+        actual = ns.YAMLParser.parse(fs.readFileSync(path.join(__dirname, name), "utf8"), {
+            strict: true,
+            textKeys: ns.PandocMapper.getTextKeys()
+        });
+    } catch (e) {
+        console.log("FAIL " + name + ": " + e.message);
+        failures++;
+        return;
+    }
+
+    var json = JSON.stringify(actual, null, 2) + "\n";
+    if (write) {
+        fs.writeFileSync(expectedPath, json);
+        console.log("wrote " + path.basename(expectedPath));
+    } else if (!fs.existsSync(expectedPath)) {
+        console.log("FAIL " + name + ": " + path.basename(expectedPath) + " is missing");
+        failures++;
+    } else if (json !== JSON.stringify(JSON.parse(fs.readFileSync(expectedPath, "utf8")), null, 2) + "\n") {
+        console.log("FAIL " + name + ", parsed as:\n" + json);
+        failures++;
+    } else {
+        console.log("ok   " + name);
+    }
+});
+
+process.exit(failures > 0 ? 1 : 0);
@@ -61,6 +61,73 @@ var BookCreator = (function() {
         return Object.prototype.toString.call(obj) === '[object Array]';
     }
     
+    /**
+     * Encodes a string as UTF-8 bytes
+     * @param {string} text - Text to encode
+     * @return {Array} Byte values
+     */
+    function toUTF8(text) {
+        var bytes = [];
+        var str = String(text);
+        for (var i = 0; i < str.length; i++) {
+            var c = str.charCodeAt(i);
+            
+            // Surrogate pairs give a single code point
+            if (c >= 0xD800 && c <= 0xDBFF && i + 1 < str.length) {
+                var low = str.charCodeAt(i + 1);
+                if (low >= 0xDC00 && low <= 0xDFFF) {
+                    c = 0x10000 + ((c - 0xD800) << 10) + (low - 0xDC00);
+                    i++;
+                }
+            }
+            
+            if (c < 0x80) {
+                bytes.push(c);
+            } else if (c < 0x800) {
+                bytes.push(0xC0 | (c >> 6), 0x80 | (c & 0x3F));
+            } else if (c < 0x10000) {
+                bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+            } else {
+                bytes.push(0xF0 | (c >> 18), 0x80 | ((c >> 12) & 0x3F), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+            }
+        }
+        return bytes;
+    }
+    
+    /**
+     * Compares two strings in natural order, so that "2-intro" sorts before "10-end"
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @return {number} Negative, zero or positive like Array.sort comparators
+     */
+    function naturalCompare(a, b) {
+        var partsA = String(a).toLowerCase().match(/\d+|\D+/g) || [];
+        var partsB = String(b).toLowerCase().match(/\d+|\D+/g) || [];
+        
+        for (var i = 0; i < partsA.length && i < partsB.length; i++) {
+            var partA = partsA[i];
+            var partB = partsB[i];
+            if (partA === partB) continue;
+            
+            var isNumberA = /^\d/.test(partA);
+            var isNumberB = /^\d/.test(partB);
+            if (isNumberA && isNumberB) {
+                var diff = parseInt(partA, 10) - parseInt(partB, 10);
+                if (diff !== 0) return diff;
+                // Same value: fewer leading zeros first
+                return partA.length - partB.length;
+            }
+            
+            return partA < partB ? -1 : 1;
+        }
+        
+        if (partsA.length !== partsB.length) {
+            return partsA.length - partsB.length;
+        }
+        
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    
     /**
      * Normalizes a book title for use as filename prefix
      * @param {string} title - Book title to normalize
@@ -174,46 +241,24 @@ var BookCreator = (function() {
             },
             
             /**
-             * Converts YAML string values to appropriate JavaScript types
+             * Converts a YAML scalar or flow collection to the appropriate JavaScript type
              * @param {string} value - YAML value to convert
              * @return {*} Converted value in appropriate type
              */
             convertValue: function(value) {
-                // Empty value
-                if (value === undefined || value === null || utils.trim(value) === "") {
+                if (value === undefined || value === null) {
                     return "";
                 }
-                // Booleans
-                else if (value === "true" || value === "yes" || value === "on") {
-                    return true;
-                }
-                else if (value === "false" || value === "no" || value === "off") {
-                    return false;
-                }
-                // Null value
-                else if (value === "null" || value === "~") {
-                    return null;
-                }
-                // Numbers (avoid treating strings like "0123" as numbers)
-                else if (!isNaN(parseFloat(value)) && utils.trim(value) !== "" && 
-                        !/^0[0-9]+/.test(value)) {
-                    return parseFloat(value);
-                }
-                // Quoted strings (single or double quotes)
-                else if ((value.charAt(0) === '"' && value.charAt(value.length - 1) === '"') ||
-                         (value.charAt(0) === "'" && value.charAt(value.length - 1) === "'")) {
-                    return value.substr(1, value.length - 2);
-                }
-                // Inline array
-                else if (value.charAt(0) === '[' && value.charAt(value.length - 1) === ']') {
-                    return value.substr(1, value.length - 2).split(',').map(function(item) {
-                        return utils.convertValue(utils.trim(item));
-                    });
-                }
-                // Simple string
-                else {
-                    return value;
+                
+                var text = utils.trim(String(value));
+                var first = text.charAt(0);
+                
+                // Quoted strings and inline arrays or objects
+                if (first === '"' || first === "'" || first === "[" || first === "{") {
+                    return new FlowParser(text, new ParseContext(""), 0, 0).parseNode();
                 }
+                
+                return resolvePlain(text);
             },
             
             /**
@@ -222,18 +267,21 @@ var BookCreator = (function() {
              * @return {boolean} True if quotes are needed
              */
             needsQuotes: function(str) {
-                return !isNaN(parseFloat(str)) || 
-                       str.match(/^(true|false|yes|no|on|off|null)$/i) ||
-                       str.match(/[:#{}[\],&*!|>'"%@`]/);
+                return formatScalar(str).charAt(0) === '"';
             },
             
             /**
-             * Escapes special characters in a string
+             * Escapes special characters for a double-quoted string
              * @param {string} str - String to escape
              * @return {string} Escaped string
              */
             escapeString: function(str) {
-                return str.replace(/"/g, '\\"').replace(/\n/g, '\\n');
+                var named = { "\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+                return str.replace(/[\\"\u0000-\u001F\u007F\u0085\u2028\u2029]/g, function(c) {
+                    if (named.hasOwnProperty(c)) return named[c];
+                    var hex = c.charCodeAt(0).toString(16).toUpperCase();
+                    return "\\u" + new Array(5 - hex.length).join("0") + hex;
+                });
             },
             
             /**
@@ -252,38 +300,13 @@ var BookCreator = (function() {
          * @param {string} yamlString - YAML content to parse
          */
         function ParseContext(yamlString) {
-            this.lines = utils.removeFrontMatterDelimiters(yamlString).split(/\r\n|\r|\n/);
-            this.result = {};
-            this.currentKey = null;
-            this.currentIndent = 0;
-            this.inMultiline = false;
-            this.multilineValue = "";
-            this.literalBlock = false;
-            this.inList = false;
-            this.currentList = [];
-            this.inObject = false;
-            this.currentObject = {};
+            this.source = String(yamlString).split(/\r\n|\r|\n/);
+            this.lines = this.source.slice(0); // Working copy, sequence entries are rewritten in place
             this.lineIndex = 0;
-            this.inComplexList = false;
-            this.currentComplexItem = null;
-            this.complexItemIndent = 0; 
-            
-            /**
-             * Gets the current line being processed
-             * @return {string|null} Current line or null if at end
-             */
-            this.getCurrentLine = function() {
-                return this.lineIndex < this.lines.length ? this.lines[this.lineIndex] : null;
-            };
-            
-            /**
-             * Advances to the next line and returns it
-             * @return {string|null} Next line or null if at end
-             */
-            this.getNextLine = function() {
-                this.lineIndex++;
-                return this.getCurrentLine();
-            };
+            this.end = this.lines.length;
+            this.anchors = {};
+            this.errors = [];
+            this.textKeys = {}; // Keys whose unquoted numbers are kept as written
             
             /**
              * Gets the indentation level of a line
@@ -305,2514 +328,8514 @@ var BookCreator = (function() {
             };
             
             /**
-             * Checks if a line is a list item
-             * @param {string} line - Line to check
-             * @return {boolean} True if line is a list item
+             * Finds the next line holding content, without consuming it
+             * @return {number} Line index, or -1 at the end of the document
              */
-            this.isListItem = function(line) {
-                return line && line.match(/^\s*- /);
+            this.peek = function() {
+                for (var i = this.lineIndex; i < this.end; i++) {
+                    if (!this.isEmptyOrComment(this.lines[i])) {
+                        return i;
+                    }
+                }
+                return -1;
             };
             
             /**
-             * Extracts key-value pair from a line
-             * @param {string} line - Line to process
-             * @return {Object|null} Object with key and value, or null
+             * Records a parse error; parsing goes on with the next line
+             * @param {number} lineIndex - 0-based line index
+             * @param {number} column - 0-based column
+             * @param {string} message - Error description
+             * @param {string} expected - Construct expected at this position
              */
-            this.getKeyValuePair = function(line) {
-                var pair = line.match(/^([^:]+):\s*(.*?)$/);
-                if (pair) {
-                    return {
-                        key: utils.trim(pair[1]),
-                        value: utils.trim(pair[2])
-                    };
+            this.error = function(lineIndex, column, message, expected) {
+                for (var e = 0; e < this.errors.length; e++) {
+                    if (this.errors[e].line === lineIndex + 1 && this.errors[e].message === message) return;
                 }
-                return null;
+                
+                this.errors.push({
+                    line: lineIndex + 1,
+                    column: column + 1,
+                    text: this.source[lineIndex],
+                    message: message,
+                    expected: expected
+                });
             };
             
             /**
-             * Extracts and converts a list item value
-             * @param {string} line - Line containing list item
-             * @return {*} Converted list item value
+             * Records an error for tab characters used as indentation
+             * @param {number} lineIndex - 0-based line index
              */
-            this.extractListItem = function(line) {
-                var item = line.replace(/^\s*- /, "");
-                return utils.convertValue(utils.trim(item));
+            this.checkTabs = function(lineIndex) {
+                var match = this.lines[lineIndex].match(/^ *\t/);
+                if (match) {
+                    this.error(lineIndex, match[0].length - 1, "Tab character in indentation", "spaces");
+                }
             };
             
-            /**
-             * Checks if a line starts a complex object (has key: value after list item)
-             * @param {string} line - Line to check
-             * @return {boolean} True if line starts a complex object
-             */
-            this.isComplexListItem = function(line) {
-                // Check if it's a list item followed by a key:value on the same line
-                var match = line.match(/^\s*-\s+([^:]+):\s*(.*?)$/);
-                return match !== null;
-            };
+            // Directives and document markers: parse the first document only
+            var start = 0;
+            while (start < this.lines.length &&
+                   (this.isEmptyOrComment(this.lines[start]) || /^%/.test(this.lines[start]))) {
+                start++;
+            }
+            if (start < this.lines.length && /^---(\s|$)/.test(this.lines[start])) {
+                this.lines[start] = this.lines[start].replace(/^---/, "   ");
+                if (utils.trim(this.lines[start]) === "") start++;
+            }
+            this.lineIndex = start;
             
-            /**
-             * Extracts key-value from a complex list item
-             * @param {string} line - Line containing complex list item
-             * @return {Object} Object with key and value
-             */
-            this.extractComplexListItem = function(line) {
-                var match = line.match(/^\s*-\s+([^:]+):\s*(.*?)$/);
-                if (match) {
-                    return {
-                        key: utils.trim(match[1]),
-                        value: utils.trim(match[2])
-                    };
+            for (var i = start; i < this.lines.length; i++) {
+                if (/^(---|\.\.\.)(\s|$)/.test(this.lines[i])) {
+                    this.end = i;
+                    break;
                 }
-                return null;
+            }
+        }
+        
+        /**
+         * Checks if line content (without indentation) is a sequence entry
+         * @param {string} content - Line content
+         * @return {boolean} True for "- item" or a lone "-"
+         * @private
+         */
+        function isSequenceEntry(content) {
+            return /^-(\s|$)/.test(content);
+        }
+        
+        /**
+         * Finds where a plain scalar ends on a line, before a " #" comment
+         * @param {string} text - Scalar text
+         * @return {string} Text without comment
+         * @private
+         */
+        function stripComment(text) {
+            var match = text.match(/(^|\s)#/);
+            return match ? text.substr(0, match.index) : text;
+        }
+        
+        /**
+         * Splits "key: value" line content
+         * @param {string} content - Line content, without indentation
+         * @return {Object|null} Object with key, value and valueColumn (offset in content), or null
+         * @private
+         */
+        function splitKey(content) {
+            var key, index;
+            var first = content.charAt(0);
+            
+            if (first === '"' || first === "'") {
+                var quoted = readQuoted(content, 0);
+                if (!quoted) return null;
+                var colon = content.substr(quoted.end).match(/^\s*:(\s|$)/);
+                if (!colon) return null;
+                key = quoted.value;
+                index = quoted.end + colon[0].length - colon[1].length - 1;
+            } else {
+                if (/^[\[\]{},#&*!|>%@`]/.test(content) || isSequenceEntry(content)) return null;
+                var match = content.match(/:(\s|$)/);
+                if (!match) return null;
+                
+                // A comment before the colon means there is no key on this line
+                if (/\s#/.test(content.substr(0, match.index))) return null;
+                key = utils.trim(content.substr(0, match.index));
+                index = match.index;
+            }
+            
+            var rest = content.substr(index + 1);
+            var spaces = rest.match(/^\s*/)[0].length;
+            return {
+                key: key,
+                value: utils.trim(rest),
+                valueColumn: index + 1 + spaces
             };
         }
         
         /**
-         * Parses a YAML string into a JavaScript object
-         * @param {string} yamlString - YAML content to parse
-         * @return {Object} Parsed JavaScript object
+         * Decodes the escape sequence starting after a backslash in a double-quoted scalar
+         * @param {string} text - Source text
+         * @param {number} pos - Position of the character after the backslash
+         * @return {Object|null} Object with value and end position, or null if invalid
+         * @private
          */
-        function parse(yamlString) {
-            if (!yamlString) return {};
+        function readEscape(text, pos) {
+            var simple = {
+                "0": "\u0000", "a": "\u0007", "b": "\b", "t": "\t", "\t": "\t", "n": "\n",
+                "v": "\u000B", "f": "\f", "r": "\r", "e": "\u001B", " ": " ", '"': '"',
+                "/": "/", "\\": "\\", "N": "\u0085", "_": "\u00A0", "L": "\u2028", "P": "\u2029"
+            };
+            var c = text.charAt(pos);
             
-            var ctx = new ParseContext(yamlString);
-            var line = ctx.getCurrentLine();
+            if (simple.hasOwnProperty(c)) {
+                return { value: simple[c], end: pos + 1 };
+            }
             
-            while (line !== null) {
-                // Skip empty lines and comments
-                if (ctx.isEmptyOrComment(line)) {
-                    line = ctx.getNextLine();
-                    continue;
-                }
+            var lengths = { "x": 2, "u": 4, "U": 8 };
+            if (lengths.hasOwnProperty(c)) {
+                var hex = text.substr(pos + 1, lengths[c]);
+                if (hex.length !== lengths[c] || !/^[0-9A-Fa-f]+$/.test(hex)) return null;
                 
-                var lineIndent = ctx.getLineIndent(line);
+                var code = parseInt(hex, 16);
+                if (code > 0xFFFF) {
+                    // Characters outside the BMP become a surrogate pair
+                    code -= 0x10000;
+                    return {
+                        value: String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF)),
+                        end: pos + 1 + lengths[c]
+                    };
+                }
+                return { value: String.fromCharCode(code), end: pos + 1 + lengths[c] };
+            }
+            
+            return null;
+        }
+        
+        /**
+         * Reads a quoted scalar, possibly spanning several lines joined with \n
+         *
+         * Line breaks inside quotes fold to a space, empty lines to a line feed.
+         *
+         * @param {string} text - Source text
+         * @param {number} pos - Position of the opening quote
+         * @return {Object|null} Object with value and end (after the closing quote), or null if unterminated
+         * @private
+         */
+        function readQuoted(text, pos) {
+            var quote = text.charAt(pos);
+            var value = "";
+            var i = pos + 1;
+            
+            while (i < text.length) {
+                var c = text.charAt(i);
                 
-                // Handle lists
-                if (ctx.inList) {
-                    if (ctx.isListItem(line)) {
-                        var trimmedLine = line.replace(/^\s*-\s*/, "");
-                        
-                        // Check if it's a complex item (has key: value)
-                        if (trimmedLine.match(/^[^:]+:\s*.+$/)) {
-                            // Complex list item
-                            var complexPair = ctx.getKeyValuePair(trimmedLine);
-                            if (complexPair) {
-                                var complexObj = {};
-                                complexObj[complexPair.key] = utils.convertValue(complexPair.value);
-                                
-                                // Look ahead for more properties of this object
-                                var nextIndex = ctx.lineIndex + 1;
-                                while (nextIndex < ctx.lines.length) {
-                                    var nextLine = ctx.lines[nextIndex];
-                                    var nextIndent = ctx.getLineIndent(nextLine);
-                                    
-                                    if (!ctx.isListItem(nextLine) && nextIndent > lineIndent) {
-                                        var nextPair = ctx.getKeyValuePair(nextLine);
-                                        if (nextPair) {
-                                            complexObj[nextPair.key] = utils.convertValue(nextPair.value);
-                                        }
-                                        nextIndex++;
-                                    } else {
-                                        break;
-                                    }
-                                }
-                                
-                                ctx.currentList.push(complexObj);
-                                ctx.lineIndex = nextIndex - 1;
-                                line = ctx.getNextLine();
-                                continue;
-                            }
-                        } else {
-                            // Simple list item
-                            ctx.currentList.push(utils.convertValue(trimmedLine));
-                        }
-                        
-                        line = ctx.getNextLine();
+                if (c === quote) {
+                    if (quote === "'" && text.charAt(i + 1) === "'") {
+                        value += "'";
+                        i += 2;
                         continue;
-                    } else if (lineIndent <= ctx.currentIndent) {
-                        // End of list
-                        ctx.result[ctx.currentKey] = ctx.currentList;
-                        ctx.inList = false;
-                        ctx.currentList = [];
-                        ctx.currentKey = null;
-                        // Don't advance, process current line
-                    }
-                }
-                
-                // Handle complex list items (objects within lists)
-                if (ctx.inComplexList) {
-                    if (lineIndent > ctx.complexItemIndent) {
-                        // Still within the complex item
-                        var itemPair = ctx.getKeyValuePair(line);
-                        if (itemPair) {
-                            ctx.currentComplexItem[itemPair.key] = utils.convertValue(itemPair.value);
-                        }
-                        line = ctx.getNextLine();
-                        continue;
-                    } else {
-                        // End of complex item
-                        ctx.currentList.push(ctx.currentComplexItem);
-                        ctx.inComplexList = false;
-                        ctx.currentComplexItem = null;
-                        // Don't advance to next line, process current line
                     }
+                    return { value: value, end: i + 1 };
                 }
                 
-                // Handle nested objects
-                if (ctx.inObject) {
-                    if (lineIndent > ctx.currentIndent || ctx.isListItem(line)) {
-                        // Continue with object
-                        var objPair = ctx.getKeyValuePair(line);
-                        if (objPair) {
-                            ctx.currentObject[objPair.key] = utils.convertValue(objPair.value);
-                        }
-                        line = ctx.getNextLine();
-                        continue;
-                    } else {
-                        // End of nested object
-                        ctx.result[ctx.currentKey] = ctx.currentObject;
-                        ctx.inObject = false;
-                        ctx.currentObject = {};
-                        ctx.currentKey = null;
-                        // Don't advance to next line
-                    }
-                }
-                
-                // Handle multiline values
-                if (ctx.inMultiline) {
-                    if (line.match(/^\s{2,}/) && utils.trim(line) !== "") {
-                        // Still in multiline value
-                        var lineContent = utils.trim(line.replace(/^\s{2,}/, ""));
-                        if (ctx.literalBlock) {
-                            // For literal blocks (|), preserve line breaks
-                            ctx.multilineValue += (ctx.multilineValue ? "\r" : "") + lineContent;
-                        } else {
-                            // For folded blocks (>), join with spaces
-                            ctx.multilineValue += (ctx.multilineValue ? " " : "") + lineContent;
-                        }
-                        line = ctx.getNextLine();
+                if (c === "\\" && quote === '"') {
+                    if (text.charAt(i + 1) === "\n") {
+                        // Escaped line break: join without space
+                        i += 2;
+                        while (i < text.length && /[ \t]/.test(text.charAt(i))) i++;
                         continue;
+                    }
+                    var escape = readEscape(text, i + 1);
+                    if (escape) {
+                        value += escape.value;
+                        i = escape.end;
                     } else {
-                        // End of multiline value
-                        ctx.result[ctx.currentKey] = ctx.multilineValue;
-                        ctx.inMultiline = false;
-                        ctx.literalBlock = false;
-                        ctx.currentKey = null;
-                        ctx.multilineValue = "";
-                        // Don't advance to next line
+                        value += c;
+                        i++;
                     }
+                    continue;
                 }
                 
-                // Check for new key/value pair
-                var pair = ctx.getKeyValuePair(line);
-                if (pair) {
-                    ctx.currentKey = pair.key;
-                    var value = pair.value;
-                    
-                    // Check for start of list
-                    if (value === "" && 
-                        ctx.lineIndex + 1 < ctx.lines.length && 
-                        ctx.isListItem(ctx.lines[ctx.lineIndex + 1])) {
-                        ctx.inList = true;
-                        ctx.currentList = [];
-                        ctx.currentIndent = lineIndent;
-                        line = ctx.getNextLine();
-                        continue;
-                    }
-                    
-                    // Check for start of nested object
-                    if (value === "" && 
-                        ctx.lineIndex + 1 < ctx.lines.length && 
-                        ctx.getLineIndent(ctx.lines[ctx.lineIndex + 1]) > lineIndent && 
-                        !ctx.isListItem(ctx.lines[ctx.lineIndex + 1])) {
-                        ctx.inObject = true;
-                        ctx.currentObject = {};
-                        ctx.currentIndent = lineIndent;
-                        line = ctx.getNextLine();
-                        continue;
-                    }
-                    
-                    // Check value types
-                    if (value === "" || value === "|" || value === ">") {
-                        // Multiline value starts on next line
-                        ctx.inMultiline = true;
-                        ctx.multilineValue = "";
-                        ctx.literalBlock = (value === "|"); // Track if it's a literal block
-                    } else {
-                        // Simple value
-                        ctx.result[ctx.currentKey] = utils.convertValue(value);
+                if (c === "\n") {
+                    // Fold the line break
+                    value = value.replace(/[ \t]+$/, "");
+                    var breaks = 0;
+                    while (i < text.length && /[\s]/.test(text.charAt(i))) {
+                        if (text.charAt(i) === "\n") breaks++;
+                        i++;
                     }
-                    
-                    line = ctx.getNextLine();
+                    value += breaks > 1 ? new Array(breaks).join("\n") : " ";
                     continue;
                 }
                 
-                // If we reach here, we couldn't process the line
-                // Move to next line to avoid infinite loop
-                line = ctx.getNextLine();
-            }
-            
-            // Final processing of in-progress structures
-            if (ctx.inMultiline && ctx.currentKey) {
-                ctx.result[ctx.currentKey] = ctx.multilineValue;
-                ctx.literalBlock = false;
+                value += c;
+                i++;
             }
             
-            if (ctx.inComplexList && ctx.currentKey) {
-                // Finalize current complex item and add to list
-                if (ctx.currentComplexItem) {
-                    ctx.currentList.push(ctx.currentComplexItem);
-                }
-                ctx.result[ctx.currentKey] = ctx.currentList;
-                ctx.inComplexList = false;
-                ctx.currentComplexItem = null;
-            }
+            return null;
+        }
+        
+        /**
+         * Resolves a plain scalar to a JavaScript value (YAML 1.2 core schema)
+         * @param {string} text - Plain scalar
+         * @return {*} String, number, boolean or null
+         * @private
+         */
+        function resolvePlain(text) {
+            var value = utils.trim(text);
             
-            if (ctx.inList && ctx.currentKey) {
-                ctx.result[ctx.currentKey] = ctx.currentList;
+            if (value === "" || /^(null|Null|NULL|~)$/.test(value)) {
+                return value === "" ? "" : null;
             }
+            if (/^(true|True|TRUE)$/.test(value)) return true;
+            if (/^(false|False|FALSE)$/.test(value)) return false;
             
-            if (ctx.inObject && ctx.currentKey) {
-                ctx.result[ctx.currentKey] = ctx.currentObject;
+            // Numbers (avoid treating strings like "0123" as numbers)
+            if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value) && !/^[-+]?0\d/.test(value)) {
+                return parseFloat(value);
             }
+            if (/^0x[0-9A-Fa-f]+$/.test(value)) return parseInt(value.substr(2), 16);
+            if (/^0o[0-7]+$/.test(value)) return parseInt(value.substr(2), 8);
+            if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) return value.charAt(0) === "-" ? -Infinity : Infinity;
+            if (/^\.(nan|NaN|NAN)$/.test(value)) return NaN;
             
-            return ctx.result;
+            return value;
         }
         
         /**
-         * Converts a JavaScript object to YAML string
-         * @param {Object} obj - JavaScript object to convert
-         * @return {string} YAML formatted string
+         * Applies a tag such as !!str or !!int to a parsed value; unknown tags are ignored
+         * @param {string} tag - Tag
+         * @param {*} value - Parsed value
+         * @param {string} source - Scalar source text
+         * @return {*} Tagged value
+         * @private
          */
-        function stringify(obj) {
-            if (!obj) return "";
-            
-            var result = "";
-            
-            for (var key in obj) {
-                if (obj.hasOwnProperty(key)) {
-                    var value = obj[key];
-                    
-                    if (value === null || value === undefined) {
-                        result += key + ": null\n";
-                    } else if (typeof value === "boolean" || typeof value === "number") {
-                        result += key + ": " + value + "\n";
-                    } else if (utils.isArray(value)) {
-                        if (value.length === 0) {
-                            result += key + ": []\n";
-                        } else if (value.length <= 5 && value.every(function(item) { 
-                            return typeof item === "string" && item.length < 20 && !item.includes(","); 
-                        })) {
-                            // Short list, inline format
-                            result += key + ": [" + value.join(", ") + "]\n";
-                        } else {
-                            // Long or complex list, multiline format
-                            result += key + ":\n";
-                            for (var i = 0; i < value.length; i++) {
-                                var item = value[i];
-                                if (typeof item === "string" && item.includes("\n")) {
-                                    // Multiline item
-                                    result += "  - |\n";
-                                    var lines = item.split(/\r\n|\r|\n/);
-                                    for (var j = 0; j < lines.length; j++) {
-                                        result += "    " + lines[j] + "\n";
-                                    }
-                                } else if (typeof item === "object" && item !== null) {
-                                    // Complex object item
-                                    result += "  -\n";
-                                    for (var prop in item) {
-                                        if (item.hasOwnProperty(prop)) {
-                                            result += "    " + prop + ": " + stringifyValue(item[prop], 4) + "\n";
-                                        }
-                                    }
-                                } else {
-                                    // Simple item
-                                    result += "  - " + stringifyValue(item, 4) + "\n";
-                                }
-                            }
-                        }
-                    } else if (typeof value === "string") {
-                        if (value.indexOf("\n") !== -1) {
-                            // Multiline value with pipe literal style to preserve line breaks
-                            result += key + ": |\n";
-                            var lines = value.split(/\r\n|\r|\n/);
-                            for (var i = 0; i < lines.length; i++) {
-                                result += "  " + lines[i] + "\n";
-                            }
-                        } else if (value === "") {
-                            result += key + ":\n";
-                        } else if (utils.needsQuotes(value)) {
-                            result += key + ": \"" + utils.escapeString(value) + "\"\n";
-                        } else {
-                            result += key + ": " + value + "\n";
-                        }
-                    } else if (typeof value === "object") {
-                        // Nested objects
-                        result += key + ":\n";
-                        for (var prop in value) {
-                            if (value.hasOwnProperty(prop)) {
-                                // Deeper indentation for nested properties
-                                result += "  " + prop + ": " + stringifyValue(value[prop], 2) + "\n";
-                            }
-                        }
-                    }
-                }
+        function applyTag(tag, value, source) {
+            if (tag === "!!str") {
+                if (typeof value === "string" || (value !== null && typeof value === "object")) return value;
+                return utils.trim(String(source));
             }
-            
-            return result;
+            if (tag === "!!int" || tag === "!!float") {
+                var number = parseFloat(source);
+                return isNaN(number) ? value : number;
+            }
+            if (tag === "!!bool") {
+                return /^(true|True|TRUE)$/.test(utils.trim(String(source)));
+            }
+            if (tag === "!!null") {
+                return null;
+            }
+            return value;
         }
         
         /**
-         * Helper function for stringifying complex values with indentation
-         * @param {*} value - Value to stringify
-         * @param {number} indent - Indentation level
-         * @return {string} String representation
+         * Parser for flow collections ([a, b], {key: value}) and flow scalars
+         * @constructor
+         * @param {string} text - Flow text, lines joined with \n
+         * @param {ParseContext} ctx - Parse context (anchors and errors)
+         * @param {number} lineIndex - Line where the flow text starts
+         * @param {number} column - Column where the flow text starts
          * @private
          */
-        function stringifyValue(value, indent) {
-            var indentStr = Array(indent + 1).join(" ");
+        function FlowParser(text, ctx, lineIndex, column) {
+            this.text = text;
+            this.pos = 0;
             
-            if (value === null || value === undefined) {
-                return "null";
-            } else if (typeof value === "boolean" || typeof value === "number") {
-                return value.toString();
-            } else if (utils.isArray(value)) {
-                if (value.length === 0) return "[]";
+            /**
+             * Records an error at the current position
+             * @param {string} message - Error description
+             * @param {string} expected - Construct expected at this position
+             */
+            this.error = function(message, expected) {
+                var before = this.text.substr(0, this.pos).split("\n");
+                var line = lineIndex + before.length - 1;
+                var col = before.length > 1 ? before[before.length - 1].length : column + this.pos;
+                ctx.error(line, col, message, expected);
+            };
+            
+            /**
+             * Skips whitespace, line breaks and comments
+             */
+            this.skipSpace = function() {
+                while (this.pos < this.text.length) {
+                    var c = this.text.charAt(this.pos);
+                    if (c === "#" && (this.pos === 0 || /\s/.test(this.text.charAt(this.pos - 1)))) {
+                        while (this.pos < this.text.length && this.text.charAt(this.pos) !== "\n") this.pos++;
+                    } else if (/\s/.test(c)) {
+                        this.pos++;
+                    } else {
+                        break;
+                    }
+                }
+            };
+            
+            /**
+             * Parses a flow node at the current position
+             * @return {*} Parsed value
+             */
+            this.parseNode = function() {
+                this.skipSpace();
                 
-                // Simple case: short list of simple values
-                if (value.length <= 3 && value.every(function(item) { 
-                    return typeof item !== "object" && String(item).length < 15; 
-                })) {
-                    return "[" + value.join(", ") + "]";
+                var anchor = null;
+                var tag = null;
+                var props;
+                while ((props = this.text.substr(this.pos).match(/^(&|!)([^\s,\[\]{}]*)\s*/))) {
+                    if (props[1] === "&") anchor = props[2];
+                    else tag = props[1] + props[2];
+                    this.pos += props[0].length;
                 }
                 
-                // Complex case: return YAML notation
-                var result = "\n";
-                for (var i = 0; i < value.length; i++) {
-                    result += indentStr + "- " + stringifyValue(value[i], indent + 2) + "\n";
-                }
-                return result.substring(0, result.length - 1); // Remove last newline
-            } else if (typeof value === "string") {
-                if (value.indexOf("\n") !== -1) {
-                    // Multiline string
-                    var result = "|\n";
-                    var lines = value.split(/\r\n|\r|\n/);
-                    for (var i = 0; i < lines.length; i++) {
-                        result += indentStr + lines[i] + "\n";
-                    }
-                    return result.substring(0, result.length - 1);
-                } else if (utils.needsQuotes(value)) {
-                    return "\"" + utils.escapeString(value) + "\"";
+                var start = this.pos;
+                var value;
+                var c = this.text.charAt(this.pos);
+                
+                if (c === "[") {
+                    value = this.parseSequence();
+                } else if (c === "{") {
+                    value = this.parseMapping();
+                } else if (c === "*") {
+                    var alias = this.text.substr(this.pos + 1).match(/^[^\s,\[\]{}]+/);
+                    var name = alias ? alias[0] : "";
+                    this.pos += 1 + name.length;
+                    if (ctx.anchors.hasOwnProperty(name)) {
+                        value = ctx.anchors[name];
+                    } else {
+                        this.error("Unknown alias *" + name, "an anchor &" + name + " defined earlier");
+                        value = null;
+                    }
+                } else if (c === '"' || c === "'") {
+                    var quoted = readQuoted(this.text, this.pos);
+                    if (quoted) {
+                        value = quoted.value;
+                        this.pos = quoted.end;
+                    } else {
+                        this.error("Unterminated quoted string", "closing " + c);
+                        value = this.text.substr(this.pos + 1);
+                        this.pos = this.text.length;
+                    }
                 } else {
-                    return value;
+                    value = resolvePlain(this.readPlain());
+                }
+                
+                if (tag) value = applyTag(tag, value, this.text.substring(start, this.pos));
+                if (anchor) ctx.anchors[anchor] = value;
+                return value;
+            };
+            
+            /**
+             * Reads a plain scalar up to a flow indicator, ": " or a comment
+             * @return {string} Scalar text
+             */
+            this.readPlain = function() {
+                var start = this.pos;
+                while (this.pos < this.text.length) {
+                    var c = this.text.charAt(this.pos);
+                    var next = this.text.charAt(this.pos + 1);
+                    if (c === "," || c === "[" || c === "]" || c === "{" || c === "}") break;
+                    if (c === ":" && (next === "" || /[\s,\[\]{}]/.test(next))) break;
+                    if (c === "#" && /\s/.test(this.text.charAt(this.pos - 1))) break;
+                    this.pos++;
+                }
+                return utils.trim(this.text.substring(start, this.pos).replace(/\s*\n\s*/g, " "));
+            };
+            
+            /**
+             * Parses an entry separator, returning false at the closing bracket
+             * @param {string} close - Closing bracket
+             * @return {boolean} True if another entry follows
+             */
+            this.nextEntry = function(close) {
+                this.skipSpace();
+                var c = this.text.charAt(this.pos);
+                if (c === ",") {
+                    this.pos++;
+                    return true;
                 }
-            } else if (typeof value === "object") {
-                // Nested object
-                var result = "\n";
-                for (var prop in value) {
-                    if (value.hasOwnProperty(prop)) {
-                        result += indentStr + prop + ": " + stringifyValue(value[prop], indent + 2) + "\n";
+                if (c === close) {
+                    return false;
+                }
+                if (this.pos < this.text.length) {
+                    this.error("Unexpected character '" + c + "' in inline collection", "',' or '" + close + "'");
+                } else {
+                    this.error("Unclosed inline collection", "'" + close + "'");
+                }
+                return false;
+            };
+            
+            /**
+             * Parses a flow sequence
+             * @return {Array} Parsed list
+             */
+            this.parseSequence = function() {
+                var list = [];
+                this.pos++; // [
+                
+                while (true) {
+                    this.skipSpace();
+                    if (this.text.charAt(this.pos) === "]" || this.pos >= this.text.length) break;
+                    
+                    var item = this.parseNode();
+                    this.skipSpace();
+                    
+                    // Single pair mapping: [key: value]
+                    if (this.text.charAt(this.pos) === ":") {
+                        this.pos++;
+                        var pair = {};
+                        pair[String(item)] = this.parseNode();
+                        item = pair;
                     }
+                    
+                    list.push(item);
+                    if (!this.nextEntry("]")) break;
                 }
-                return result.substring(0, result.length - 1);
-            }
+                
+                if (this.text.charAt(this.pos) === "]") this.pos++;
+                return list;
+            };
             
-            // Default case
-            return String(value);
+            /**
+             * Parses a flow mapping
+             * @return {Object} Parsed object
+             */
+            this.parseMapping = function() {
+                var map = {};
+                this.pos++; // {
+                
+                while (true) {
+                    this.skipSpace();
+                    if (this.text.charAt(this.pos) === "}" || this.pos >= this.text.length) break;
+                    
+                    var key = this.parseNode();
+                    var value = null;
+                    this.skipSpace();
+                    if (this.text.charAt(this.pos) === ":") {
+                        this.pos++;
+                        value = this.parseNode();
+                    }
+                    map[String(key)] = value;
+                    
+                    if (!this.nextEntry("}")) break;
+                }
+                
+                if (this.text.charAt(this.pos) === "}") this.pos++;
+                return map;
+            };
         }
         
-        // Public API
-        return {
-            parse: parse,
-            stringify: stringify,
-            utils: utils
-        };
-    })();
-    
-    /**
-     * @namespace PandocMapper
-     * @description Maps Pandoc YAML metadata to BookCreator format
-     */
-    var PandocMapper = (function() {
-        
         /**
-         * Maps Pandoc metadata to BookCreator format
-         * @param {Object} pandocData - Parsed Pandoc YAML data
-         * @return {Object} BookCreator compatible metadata
+         * Checks whether flow brackets are balanced, ignoring quoted text and comments
+         * @param {string} text - Flow text
+         * @return {boolean} True if every opened bracket is closed
+         * @private
          */
-        function mapToBookCreator(pandocData) {
-            var result = {};
-            
-            // Handle title - can be array or string
-            if (pandocData.title) {
-                if (isArray(pandocData.title)) {
-                    // Complex title structure
-                    for (var i = 0; i < pandocData.title.length; i++) {
-                        var titleItem = pandocData.title[i];
-                        if (titleItem && typeof titleItem === "object") {
-                            if (titleItem.type === "main" && titleItem.text) {
-                                result.title = titleItem.text;
-                            } else if (titleItem.type === "subtitle" && titleItem.text) {
-                                result.subtitle = titleItem.text;
-                            }
-                        }
+        function isFlowComplete(text) {
+            var depth = 0;
+            for (var i = 0; i < text.length; i++) {
+                var c = text.charAt(i);
+                if (c === '"' || c === "'") {
+                    var quoted = readQuoted(text, i);
+                    if (!quoted) return false;
+                    i = quoted.end - 1;
+                } else if (c === "#" && (i === 0 || /\s/.test(text.charAt(i - 1)))) {
+                    while (i < text.length && text.charAt(i) !== "\n") i++;
+                } else if (c === "[" || c === "{") {
+                    depth++;
+                } else if (c === "]" || c === "}") {
+                    depth--;
+                }
+            }
+            return depth <= 0;
+        }
+        
+        /**
+         * Repeats a line break
+         * @param {number} count - Number of line breaks
+         * @return {string} Line breaks
+         * @private
+         */
+        function lineBreaks(count) {
+            return count > 0 ? new Array(count + 1).join("\n") : "";
+        }
+        
+        /**
+         * Parses the block scalar following a | or > header
+         * 
+         * Follows the YAML rules: the content indentation is given by the header digit
+         * (relative to the parent node) or by the first non-empty line; "-" strips the
+         * final line breaks, "+" keeps them all, and the default keeps a single one.
+         * Folded scalars join adjacent lines with a space, while empty lines and
+         * more-indented lines keep their line breaks.
+         * 
+         * @param {ParseContext} ctx - Parse context
+         * @param {string} header - Block scalar header
+         * @param {number} parentIndent - Indentation of the parent node
+         * @return {string} Scalar value, with "\n" line breaks
+         * @private
+         */
+        function parseBlockScalar(ctx, header, parentIndent) {
+            var headerLine = ctx.lineIndex - 1;
+            if (!/^[|>]([+-]?[1-9]?|[1-9][+-])(\s+#.*)?\s*$/.test(header)) {
+                ctx.error(headerLine, ctx.lines[headerLine].indexOf(header),
+                          "Invalid block scalar header", "| or > optionally followed by +, - or an indentation digit");
+            }
+            
+            var match = header.match(/^([|>])([+-]?)(\d?)([+-]?)/);
+            var folded = match[1] === ">";
+            var chomping = match[2] || match[4];
+            var contentIndent = match[3] ? parentIndent + parseInt(match[3], 10) : -1;
+            var maxEmptyIndent = 0;
+            
+            var value = "";
+            var emptyLines = 0;
+            var hasContent = false;
+            var atMoreIndented = false;
+            
+            while (ctx.lineIndex < ctx.end) {
+                var line = ctx.lines[ctx.lineIndex];
+                
+                // The text after the last line break is not a line
+                if (line === "" && ctx.lineIndex === ctx.lines.length - 1) break;
+                
+                var indent = line.match(/^ */)[0].length;
+                
+                // Empty lines: only spaces, up to the content indentation
+                if (/^\s*$/.test(line) && (contentIndent < 0 || indent <= contentIndent)) {
+                    if (contentIndent < 0 && indent > maxEmptyIndent) maxEmptyIndent = indent;
+                    emptyLines++;
+                    ctx.lineIndex++;
+                    continue;
+                }
+                
+                if (contentIndent < 0) {
+                    if (indent <= parentIndent) break;
+                    contentIndent = indent;
+                    if (maxEmptyIndent > contentIndent) {
+                        ctx.error(ctx.lineIndex, 0, "Leading empty line more indented than the block content",
+                                  "an indentation digit in the block scalar header");
                     }
+                }
+                if (indent < contentIndent) break;
+                
+                var content = line.substr(contentIndent);
+                
+                if (!folded) {
+                    value += lineBreaks(hasContent ? emptyLines + 1 : emptyLines);
+                } else if (/^[ \t]/.test(content)) {
+                    // More-indented lines are not folded
+                    atMoreIndented = true;
+                    value += lineBreaks(hasContent ? emptyLines + 1 : emptyLines);
+                } else if (atMoreIndented) {
+                    atMoreIndented = false;
+                    value += lineBreaks(emptyLines + 1);
+                } else if (emptyLines === 0) {
+                    value += hasContent ? " " : "";
                 } else {
-                    // Simple string title
-                    result.title = pandocData.title;
-                    // Ne PAS traiter subtitle ici si on a un title simple
+                    // The first line break is folded away, the empty lines remain
+                    value += lineBreaks(emptyLines);
                 }
+                
+                value += content;
+                hasContent = true;
+                emptyLines = 0;
+                ctx.lineIndex++;
             }
             
-            // Handle creator - can be array or string  
-            if (pandocData.creator) {
-                if (isArray(pandocData.creator)) {
-                    // Complex creator structure
-                    for (var j = 0; j < pandocData.creator.length; j++) {
-                        var creatorItem = pandocData.creator[j];
-                        if (creatorItem && typeof creatorItem === "object") {
-                            if (creatorItem.role === "author" && creatorItem.text) {
-                                result.author = creatorItem.text;
-                            }
-                        }
+            // Final line breaks
+            if (chomping === "+") {
+                value += lineBreaks(hasContent ? emptyLines + 1 : emptyLines);
+            } else if (chomping !== "-" && hasContent) {
+                value += "\n";
+            }
+            
+            return value;
+        }
+        
+        /**
+         * Parses a node value found after "key:" or "- ", reading following lines when needed
+         * @param {ParseContext} ctx - Parse context, positioned after the line holding the value
+         * @param {string} text - Value text on the line
+         * @param {number} parentIndent - Indentation of the parent node
+         * @param {number} lineIndex - Line holding the value
+         * @param {number} column - Column of the value
+         * @param {boolean} inMapping - True for mapping values, which may be a sequence at the same indentation
+         * @param {boolean} [keepText] - Keep an unquoted number as written
+         * @return {*} Parsed value
+         * @private
+         */
+        function parseValue(ctx, text, parentIndent, lineIndex, column, inMapping, keepText) {
+            var anchor = null;
+            var tag = null;
+            var props;
+            
+            // Node properties: &anchor and !tag
+            while ((props = text.match(/^(&|!)(\S*)\s*/))) {
+                if (props[1] === "&") anchor = props[2];
+                else tag = props[1] + props[2];
+                text = text.substr(props[0].length);
+                column += props[0].length;
+            }
+            
+            var value;
+            var source = text;
+            var first = text.charAt(0);
+            
+            if (text === "" || first === "#") {
+                // Value on the following lines
+                value = "";
+                var next = ctx.peek();
+                if (next >= 0) {
+                    var nextIndent = ctx.getLineIndent(ctx.lines[next]);
+                    var nextContent = ctx.lines[next].substr(nextIndent);
+                    if (nextIndent > parentIndent) {
+                        value = parseBlockNode(ctx, nextIndent, parentIndent);
+                    } else if (inMapping && nextIndent === parentIndent && isSequenceEntry(nextContent)) {
+                        value = parseSequence(ctx, nextIndent);
+                    }
+                }
+                source = typeof value === "string" ? value : "";
+            } else if (first === "*") {
+                var name = stripComment(text.substr(1)).replace(/\s+$/, "");
+                if (ctx.anchors.hasOwnProperty(name)) {
+                    value = ctx.anchors[name];
+                } else {
+                    ctx.error(lineIndex, column, "Unknown alias *" + name, "an anchor &" + name + " defined earlier");
+                    value = null;
+                }
+            } else if (first === "|" || first === ">") {
+                value = parseBlockScalar(ctx, text, parentIndent);
+            } else if (first === "[" || first === "{" || first === '"' || first === "'") {
+                // Flow collections and quoted scalars may span several lines
+                var flowText = text;
+                while (!isFlowComplete(flowText) && ctx.lineIndex < ctx.end &&
+                       (utils.trim(ctx.lines[ctx.lineIndex]) === "" ||
+                        ctx.getLineIndent(ctx.lines[ctx.lineIndex]) > parentIndent)) {
+                    flowText += "\n" + ctx.lines[ctx.lineIndex];
+                    ctx.lineIndex++;
+                }
+                
+                var flow = new FlowParser(flowText, ctx, lineIndex, column);
+                value = flow.parseNode();
+                flow.skipSpace();
+                if (flow.pos < flowText.length) {
+                    flow.error("Unexpected text after value", "end of line or comment");
+                }
+                source = flowText;
+            } else {
+                // Plain scalar, continued by more indented lines
+                source = stripComment(text);
+                var colon = source.match(/:(\s|$)/);
+                if (colon) {
+                    ctx.error(lineIndex, column + colon.index, "Colon followed by a space in an unquoted value",
+                              "a value in quotes");
+                }
+                while (ctx.lineIndex < ctx.end) {
+                    var line = ctx.lines[ctx.lineIndex];
+                    if (utils.trim(line) === "") {
+                        var following = ctx.peek();
+                        if (following < 0 || ctx.getLineIndent(ctx.lines[following]) <= parentIndent) break;
+                        source += "\n";
+                        ctx.lineIndex++;
+                        continue;
+                    }
+                    var lineIndent = ctx.getLineIndent(line);
+                    if (lineIndent <= parentIndent || /^\s*#/.test(line)) break;
+                    
+                    // A key on a continuation line is most often a wrong indentation
+                    var continuation = stripComment(line.substr(lineIndent));
+                    var lineColon = continuation.match(/:(\s|$)/);
+                    if (lineColon) {
+                        ctx.error(ctx.lineIndex, lineIndent + lineColon.index,
+                                  "Colon followed by a space in an unquoted value",
+                                  "a value in quotes, or the key indented as its siblings");
                     }
+                    
+                    source += (/\n$/.test(source) ? "" : " ") + utils.trim(continuation);
+                    ctx.lineIndex++;
+                }
+                value = resolvePlain(source);
+                if (keepText && typeof value === "number") {
+                    // 19.90 stays 19.90, not 19.9
+                    value = utils.trim(source);
+                }
+            }
+            
+            if (tag) value = applyTag(tag, value, source);
+            if (anchor) ctx.anchors[anchor] = value;
+            return value;
+        }
+        
+        /**
+         * Parses the block node (mapping, sequence or scalar) starting at the next content line
+         * @param {ParseContext} ctx - Parse context
+         * @param {number} indent - Indentation of the node
+         * @param {number} parentIndent - Indentation of the parent node
+         * @return {*} Parsed value
+         * @private
+         */
+        function parseBlockNode(ctx, indent, parentIndent) {
+            var i = ctx.peek();
+            var content = ctx.lines[i].substr(indent);
+            
+            if (isSequenceEntry(content)) {
+                return parseSequence(ctx, indent);
+            }
+            if (splitKey(content)) {
+                return parseMapping(ctx, indent);
+            }
+            
+            ctx.lineIndex = i + 1;
+            return parseValue(ctx, content, parentIndent, i, indent, false);
+        }
+        
+        /**
+         * Parses a block sequence ("- item" lines)
+         * @param {ParseContext} ctx - Parse context
+         * @param {number} indent - Indentation of the dashes
+         * @return {Array} Parsed list
+         * @private
+         */
+        function parseSequence(ctx, indent) {
+            var list = [];
+            
+            while (true) {
+                var i = ctx.peek();
+                if (i < 0) break;
+                
+                var line = ctx.lines[i];
+                var lineIndent = ctx.getLineIndent(line);
+                ctx.checkTabs(i);
+                if (lineIndent < indent) break;
+                if (lineIndent > indent || !isSequenceEntry(line.substr(lineIndent))) {
+                    if (lineIndent === indent) break;
+                    ctx.error(i, lineIndent, "Unexpected indentation", "a list item indented by " + indent + " spaces");
+                    ctx.lineIndex = i + 1;
+                    continue;
+                }
+                
+                var rest = line.substr(indent + 1);
+                var spaces = rest.match(/^\s*/)[0].length;
+                
+                if (utils.trim(rest) === "" || utils.trim(rest).charAt(0) === "#") {
+                    // Entry on the following lines
+                    ctx.lineIndex = i + 1;
+                    list.push(parseValue(ctx, "", indent, i, indent + 1, false));
                 } else {
-                    // Simple string creator
-                    result.author = pandocData.creator;
+                    // Entry on the same line: read it as if the dash were indentation,
+                    // so "- key: value" starts a mapping at the column of "key"
+                    var column = indent + 1 + spaces;
+                    ctx.lines[i] = new Array(column + 1).join(" ") + rest.substr(spaces);
+                    ctx.lineIndex = i;
+                    list.push(parseBlockNode(ctx, column, indent));
                 }
             }
             
-            // Handle identifier for ISBN
-            if (pandocData.identifier && isArray(pandocData.identifier)) {
-                for (var k = 0; k < pandocData.identifier.length; k++) {
-                    var identifierItem = pandocData.identifier[k];
-                    if (identifierItem && typeof identifierItem === "object") {
-                        if (identifierItem.scheme === "ISBN" && identifierItem.text) {
-                            if (!result.isbnEbook) {
-                                result.isbnEbook = identifierItem.text;
-                            }
+            return list;
+        }
+        
+        /**
+         * Parses a block mapping ("key: value" lines)
+         * @param {ParseContext} ctx - Parse context
+         * @param {number} indent - Indentation of the keys
+         * @return {Object} Parsed object
+         * @private
+         */
+        function parseMapping(ctx, indent) {
+            var map = {};
+            var merges = [];
+            
+            while (true) {
+                var i = ctx.peek();
+                if (i < 0) break;
+                
+                var line = ctx.lines[i];
+                var lineIndent = ctx.getLineIndent(line);
+                ctx.checkTabs(i);
+                if (lineIndent < indent) break;
+                
+                var content = line.substr(lineIndent);
+                if (lineIndent > indent) {
+                    ctx.error(i, lineIndent, "Unexpected indentation", "a key indented by " + indent + " spaces");
+                    ctx.lineIndex = i + 1;
+                    continue;
+                }
+                if (isSequenceEntry(content)) break;
+                
+                var pair = splitKey(content);
+                ctx.lineIndex = i + 1;
+                if (!pair) {
+                    if (/^[^:]*$/.test(content)) {
+                        ctx.error(i, lineIndent + stripComment(content).replace(/\s+$/, "").length,
+                                  "Missing colon after key", "key: value");
+                    } else {
+                        ctx.error(i, lineIndent, "Invalid key", "key: value");
+                    }
+                    continue;
+                }
+                
+                var value = parseValue(ctx, pair.value, indent, i, lineIndent + pair.valueColumn, true,
+                                       ctx.textKeys.hasOwnProperty(pair.key));
+                if (pair.key === "<<") {
+                    // Merge key: <<: *defaults or <<: [*a, *b]
+                    merges = merges.concat(utils.isArray(value) ? value : [value]);
+                } else {
+                    if (map.hasOwnProperty(pair.key)) {
+                        ctx.error(i, lineIndent, "Duplicate key '" + pair.key + "'", "each key once per mapping");
+                    }
+                    map[pair.key] = value;
+                }
+            }
+            
+            // Explicit keys take precedence over merged ones
+            for (var m = 0; m < merges.length; m++) {
+                if (merges[m] && typeof merges[m] === "object") {
+                    for (var key in merges[m]) {
+                        if (merges[m].hasOwnProperty(key) && !map.hasOwnProperty(key)) {
+                            map[key] = merges[m][key];
                         }
                     }
                 }
             }
             
-            // Direct field mappings
-            if (pandocData["isbn-print"]) result.isbnPrint = pandocData["isbn-print"];
-            if (pandocData["isbn-ebook"]) result.isbnEbook = pandocData["isbn-ebook"];
+            return map;
+        }
+        
+        /**
+         * Parses a YAML string into a JavaScript object
+         *
+         * Supports the YAML subset used in Pandoc metadata: nested block mappings and
+         * sequences, flow collections, quoted scalars with escapes, block scalars,
+         * anchors, aliases and merge keys, and YAML 1.2 core schema scalars.
+         * Only the first document is read, so a Markdown front matter block can be parsed.
+         *
+         * Lines that cannot be read are skipped with a warning. In strict mode an error
+         * is thrown instead, whose diagnostics property lists every problem with its
+         * line, column, text, message and expected construct.
+         *
+         * @param {string} yamlString - YAML content to parse
+         * @param {Object} [options] - Parse options
+         * @param {boolean} [options.strict] - Throw on any parse error
+         * @param {Array} [options.textKeys] - Keys whose unquoted numbers are kept as written,
+         *                                     such as price: 19.90 (see PandocMapper.getTextKeys)
+         * @return {Object} Parsed JavaScript object
+         */
+        function parse(yamlString, options) {
+            if (!yamlString) return {};
             
-            if (pandocData["published-print"]) {
-                result.printDate = pandocData["published-print"];
-            } else if (pandocData.date) {
-                result.printDate = pandocData.date;
+            var ctx = new ParseContext(yamlString);
+            var textKeys = options && options.textKeys ? options.textKeys : [];
+            for (var t = 0; t < textKeys.length; t++) {
+                ctx.textKeys[textKeys[t]] = true;
             }
+            var first = ctx.peek();
+            if (first < 0) return {};
             
-            if (pandocData["translator-display"]) {
-                result.translation = pandocData["translator-display"];
+            var rootIndent = ctx.getLineIndent(ctx.lines[first]);
+            var root;
+            if (isSequenceEntry(ctx.lines[first].substr(rootIndent))) {
+                root = parseSequence(ctx, rootIndent);
+            } else {
+                root = parseMapping(ctx, rootIndent);
             }
             
-            if (pandocData["critical-display"]) {
-                result.critical = pandocData["critical-display"];
+            // Content left after the root node, e.g. a line less indented than the first one
+            var rest;
+            while ((rest = ctx.peek()) >= 0) {
+                ctx.error(rest, ctx.getLineIndent(ctx.lines[rest]), "Unexpected indentation",
+                          "a key indented by " + rootIndent + " spaces");
+                ctx.lineIndex = rest + 1;
             }
             
-            if (pandocData["cover-note"]) {
-                result.coverCredit = pandocData["cover-note"];
+            if (utils.isArray(root)) {
+                ctx.error(first, rootIndent, "The document is a list", "key: value");
+                root = {};
             }
             
-            // Other field mappings
-            if (pandocData.editions) result.editions = pandocData.editions;
-            if (pandocData.funding) result.funding = pandocData.funding;
-            if (pandocData.rights) result.rights = pandocData.rights;
-            if (pandocData.price) result.price = pandocData.price;
-            if (pandocData.publisher) result.publisher = pandocData.publisher;
-            if (pandocData.lang) result.language = pandocData.lang;
-            if (pandocData["original-title"]) result.originalTitle = pandocData["original-title"];
+            if (options && options.strict && ctx.errors.length > 0) {
+                var error = new Error(formatError(ctx.errors[0]));
+                error.diagnostics = ctx.errors;
+                throw error;
+            }
             
-            // SUPPRIMEZ ou CORRIGEZ ces lignes problématiques :
-            // Ne les exécutez QUE si les champs n'ont pas déjà été définis
-            // ET si les champs simples existent vraiment dans pandocData
+            for (var e = 0; e < ctx.errors.length; e++) {
+                $.writeln("Warning: YAML " + formatError(ctx.errors[e]));
+            }
             
-            // Pour subtitle : seulement si pas déjà défini ET si le champ existe vraiment
-            if (!result.subtitle && pandocData.subtitle && pandocData.subtitle !== undefined) {
-                result.subtitle = pandocData.subtitle;
+            return root;
+        }
+        
+        /**
+         * Formats a parse error as a single line
+         * @param {Object} error - Error with line, column, message and expected
+         * @return {string} Formatted error
+         */
+        function formatError(error) {
+            return "line " + error.line + ", column " + error.column + ": " + error.message +
+                   " (expected " + error.expected + ")";
+        }
+        
+        /**
+         * Formats a scalar so that it parses back to the same value
+         * @param {*} value - String, number, boolean or null
+         * @return {string} YAML scalar, double-quoted when a plain scalar would change the value
+         */
+        function formatScalar(value) {
+            if (value === null || value === undefined) return "null";
+            if (typeof value === "boolean") return String(value);
+            if (typeof value === "number") {
+                if (isNaN(value)) return ".nan";
+                if (!isFinite(value)) return value > 0 ? ".inf" : "-.inf";
+                return String(value);
+            }
+            
+            var str = String(value);
+            var plain = str !== "" &&
+                        str === utils.trim(str) &&
+                        resolvePlain(str) === str &&
+                        !/^[-?:,\[\]{}#&*!|>'"%@`]/.test(str) &&
+                        !/:(\s|$)|\s#/.test(str) &&
+                        !/[\u0000-\u001F\u007F\u0085\u2028\u2029]/.test(str);
+            
+            return plain ? str : '"' + utils.escapeString(str) + '"';
+        }
+        
+        /**
+         * Checks whether a value is written as an indented block rather than inline
+         * @param {*} value - Value to check
+         * @return {boolean} True for non-empty lists and objects
+         * @private
+         */
+        function isBlockCollection(value) {
+            if (utils.isArray(value)) return value.length > 0;
+            if (value === null || typeof value !== "object") return false;
+            for (var key in value) {
+                if (value.hasOwnProperty(key)) return true;
+            }
+            return false;
+        }
+        
+        /**
+         * Formats a value that fits on one line
+         * @param {*} value - Scalar, empty list or empty object
+         * @return {string} YAML text
+         * @private
+         */
+        function formatInline(value) {
+            if (utils.isArray(value)) return "[]";
+            if (value !== null && typeof value === "object") return "{}";
+            return formatScalar(value);
+        }
+        
+        /**
+         * Formats a multi-line string as a literal block scalar
+         * @param {*} value - Value to format
+         * @param {number} indent - Indentation of the parent node
+         * @return {Array} Header followed by the content lines, or null when the value does not fit a block
+         * @private
+         */
+        function formatBlockScalar(value, indent) {
+            if (typeof value !== "string" || value.indexOf("\n") === -1 ||
+                /[\u0000-\u0009\u000B-\u001F\u007F\u0085\u2028\u2029]/.test(value) ||
+                /(^|\n) +(\n|$)/.test(value) || utils.trim(value) === "") {
+                return null;
             }
             
-            // Pour author : seulement si pas déjà défini ET si le champ existe vraiment  
-            if (!result.author && pandocData.author && pandocData.author !== undefined) {
-                result.author = pandocData.author;
+            var body = value.replace(/\n+$/, "");
+            var finalBreaks = value.length - body.length;
+            var header = "|";
+            
+            // Content starting with a space needs an explicit indentation
+            if (/^\n* /.test(body)) header += "2";
+            header += finalBreaks === 0 ? "-" : (finalBreaks > 1 ? "+" : "");
+            
+            var pad = new Array(indent + 3).join(" ");
+            var lines = (body + new Array(finalBreaks).join("\n")).split("\n");
+            for (var i = 0; i < lines.length; i++) {
+                lines[i] = lines[i] === "" ? "" : pad + lines[i];
             }
             
-            return result;
+            return [header].concat(lines);
+        }
+        
+        /**
+         * Converts an object to block mapping lines
+         * @param {Object} obj - Object to convert
+         * @param {number} indent - Indentation of the keys
+         * @return {Array} YAML lines
+         * @private
+         */
+        function stringifyMapping(obj, indent) {
+            var pad = new Array(indent + 1).join(" ");
+            var lines = [];
+            
+            for (var key in obj) {
+                if (!obj.hasOwnProperty(key) || obj[key] === undefined) continue;
+                
+                var value = obj[key];
+                var block = formatBlockScalar(value, indent);
+                if (block) {
+                    lines.push(pad + formatScalar(key) + ": " + block[0]);
+                    lines = lines.concat(block.slice(1));
+                } else if (isBlockCollection(value)) {
+                    lines.push(pad + formatScalar(key) + ":");
+                    lines = lines.concat(utils.isArray(value) ?
+                        stringifySequence(value, indent + 2) : stringifyMapping(value, indent + 2));
+                } else {
+                    lines.push(pad + formatScalar(key) + ": " + formatInline(value));
+                }
+            }
+            
+            return lines;
+        }
+        
+        /**
+         * Converts an array to block sequence lines
+         * @param {Array} list - Array to convert
+         * @param {number} indent - Indentation of the dashes
+         * @return {Array} YAML lines
+         * @private
+         */
+        function stringifySequence(list, indent) {
+            var pad = new Array(indent + 1).join(" ");
+            var lines = [];
+            
+            for (var i = 0; i < list.length; i++) {
+                var item = list[i];
+                var block = formatBlockScalar(item, indent);
+                if (block) {
+                    lines.push(pad + "- " + block[0]);
+                    lines = lines.concat(block.slice(1));
+                } else if (isBlockCollection(item) && !utils.isArray(item)) {
+                    // "- key: value", following keys aligned with the first one
+                    var entries = stringifyMapping(item, indent + 2);
+                    entries[0] = pad + "- " + entries[0].substr(indent + 2);
+                    lines = lines.concat(entries);
+                } else if (isBlockCollection(item)) {
+                    lines.push(pad + "-");
+                    lines = lines.concat(stringifySequence(item, indent + 2));
+                } else {
+                    lines.push(pad + "- " + formatInline(item));
+                }
+            }
+            
+            return lines;
+        }
+        
+        /**
+         * Converts a JavaScript object to YAML string
+         * @param {Object} obj - JavaScript object to convert
+         * @return {string} YAML formatted string
+         */
+        function stringify(obj) {
+            if (!obj) return "";
+            
+            var lines = stringifyMapping(obj, 0);
+            return lines.length > 0 ? lines.join("\n") + "\n" : "";
+        }
+        
+        /**
+         * Finds the comment at the end of a one-line value
+         * @param {string} text - Value text, from the start of the value to the end of the line
+         * @return {string} Comment with its leading spaces, or empty string
+         * @private
+         */
+        function findTrailingComment(text) {
+            var rest = text;
+            var first = text.charAt(0);
+            
+            if (first === '"' || first === "'") {
+                var quoted = readQuoted(text, 0);
+                if (!quoted) return "";
+                rest = text.substr(quoted.end);
+            } else if (first === "[" || first === "{") {
+                return "";
+            }
+            
+            var match = rest.match(/(^|\s+)#.*$/);
+            return match ? match[0] : "";
+        }
+        
+        /**
+         * Updates top-level keys of a YAML document in place
+         * 
+         * The lines of other keys, comments, blank lines and key order are kept.
+         * A changed key keeps its position, its spelling and the comment at the end
+         * of a one-line value; new keys are added at the end of the document.
+         * 
+         * @param {string} yamlString - YAML document, possibly a front matter block
+         * @param {Object} changes - New values by top-level key
+         * @param {Array} [removals] - Top-level keys to remove
+         * @return {string} Updated YAML document
+         */
+        function updateDocument(yamlString, changes, removals) {
+            var text = String(yamlString);
+            var newline = text.indexOf("\r\n") !== -1 ? "\r\n" :
+                          (text.indexOf("\r") !== -1 && text.indexOf("\n") === -1 ? "\r" : "\n");
+            var ctx = new ParseContext(text);
+            var lines = ctx.source.slice(0);
+            var spans = {};
+            var span = null;
+            
+            // Line ranges of the top-level keys, from the key line to their last content line
+            for (var i = ctx.lineIndex; i < ctx.end; i++) {
+                var line = ctx.lines[i];
+                if (ctx.isEmptyOrComment(line)) continue;
+                
+                var pair = ctx.getLineIndent(line) === 0 ? splitKey(line) : null;
+                if (pair) {
+                    span = { start: i, end: i + 1, valueColumn: pair.valueColumn };
+                    spans[pair.key] = span;
+                } else if (span) {
+                    span.end = i + 1;
+                }
+            }
+            
+            var edits = [];
+            var appended = [];
+            
+            for (var key in changes) {
+                if (!changes.hasOwnProperty(key)) continue;
+                
+                var entry = {};
+                entry[key] = changes[key];
+                var newLines = stringifyMapping(entry, 0);
+                var existing = spans[key];
+                
+                if (!existing) {
+                    appended = appended.concat(newLines);
+                    continue;
+                }
+                
+                // Keep the key as written, and the comment of a one-line value
+                var keyLine = lines[existing.start];
+                var colon = keyLine.substr(0, existing.valueColumn).lastIndexOf(":");
+                newLines[0] = keyLine.substr(0, colon) + newLines[0].substr(formatScalar(key).length);
+                if (existing.end - existing.start === 1 && newLines.length === 1) {
+                    newLines[0] += findTrailingComment(keyLine.substr(existing.valueColumn));
+                }
+                
+                edits.push({ start: existing.start, end: existing.end, lines: newLines });
+            }
+            
+            for (var r = 0; removals && r < removals.length; r++) {
+                if (spans.hasOwnProperty(removals[r])) {
+                    edits.push({ start: spans[removals[r]].start, end: spans[removals[r]].end, lines: [] });
+                }
+            }
+            
+            if (appended.length > 0) {
+                var insertAt = ctx.end;
+                while (insertAt > ctx.lineIndex && utils.trim(lines[insertAt - 1]) === "") {
+                    insertAt--;
+                }
+                edits.push({ start: insertAt, end: insertAt, lines: appended });
+            }
+            
+            // Apply from the bottom so earlier line numbers stay valid
+            edits.sort(function(a, b) {
+                return b.start - a.start;
+            });
+            for (var e = 0; e < edits.length; e++) {
+                var args = [edits[e].start, edits[e].end - edits[e].start].concat(edits[e].lines);
+                Array.prototype.splice.apply(lines, args);
+            }
+            
+            return lines.join(newline);
         }
         
         // Public API
         return {
-            mapToBookCreator: mapToBookCreator
+            parse: parse,
+            stringify: stringify,
+            updateDocument: updateDocument,
+            formatScalar: formatScalar,
+            formatError: formatError,
+            utils: utils
         };
     })();
     
     /**
-     * @namespace I18n
-     * @description Internationalization module for UI translations
+     * @namespace PandocMapper
+     * @description Maps Pandoc YAML metadata to BookCreator format
      */
-    var I18n = (function() {
-        // Current language
-        var currentLanguage = detectInDesignLanguage();
+    var PandocMapper = (function() {
         
-        // Translation dictionaries
-        var translations = {
-            'en': {
-                // Main interface
-                'title': 'BookCreator v%s',
-                'fileNamePrefix': 'File name prefix:',
-                'chapterCount': 'Number of chapters:',
-                'templates': 'Templates',
-                'chapterTemplate': 'Chapter Template',
-                'beforeTemplate': 'Template Before Chapters',
-                'afterTemplate': 'Template After Chapters',
-                'coverTemplate': 'Cover Template',
-                'noFileSelected': 'No file selected.',
-                'filesSelected': '%d files selected.',
-                'bookInformation': 'Book Information',
-                'injectMarkdown': 'Inject Markdown',
-                'cancel': 'Cancel',
-                'createBook': 'Create Book',
-                'chooseDestionationFolder': 'Choose destination folder',
-                'bookSuffix': 'Book',
-                'searchLocations': 'Searched locations:%s',
-                
-                // Book information window
-                'bookAuthor': 'Book Author:',
-                'bookTitle': 'Book Title:',
-                'subtitle': 'Subtitle:',
-                'isbnPrint': 'ISBN Print:',
-                'isbnEbook': 'ISBN Ebook:',
-                'price': 'Price:',
-                'originalTitle': 'Original Title:',
-                'prefix': 'Prefix',
-                'printDate': 'Print Date:',
-                'critical': 'Critical Apparatus:',
-                'translation': 'Translation:',
-                'coverCredit': 'Cover Credit:',
-                'editions': 'Editions:',
-                'funding': 'Funding:',
-                'rights': 'Rights / License:',
-                'importYAML': 'Import YAML',
-                'exportYAML': 'Export YAML',
-                'save': 'Save',
-                'markdownDetection': 'Markdown Detection:',
-                'inputFilesDetected': 'input-files detected',
-                'inputFilesNotDetected': 'input-files not detected',
-                'noYAMLLoaded': 'No YAML file loaded',
-                
-                // Success and error messages
-                'bookGenerated': 'Book successfully generated!',
-                'yamlImportCompleted': 'YAML import completed.',
-                'yamlExportCompleted': 'YAML export completed.',
-                'fileExists': 'File %s already exists. Do you want to replace it?',
-                'destinationFolderNotExist': 'Destination folder does not exist.',
-                'markdownFileNotFound': 'Markdown file not found: %s',
-                'noTextFrameFound': 'No text frame found in document.',
-                'error': 'Error',
-                
-                // Default prefixes
-                'originalTitlePrefix': 'Original Title: ',
-                'coverCreditPrefix': 'Cover: ',
-                
-                // Validation
-                'bookNameRequired': 'Book name is required.',
-                'chapterCountPositive': 'Chapter count must be a positive number.',
-                'chapterTemplateRequired': 'A chapter template is required.',
-                'invalidPrintISBN': 'Invalid Print ISBN: %s',
-                'invalidEbookISBN': 'Invalid Ebook ISBN: %s',
-                
-                // Language selector
-                'languageChanged': 'Language has been changed. Please restart the script to apply changes.'
-            },
-            'fr': {
-                // Main interface
-                'title': 'BookCreator v%s',
-                'fileNamePrefix': 'Pr\u00E9fixe de nom de fichier :',
-                'chapterCount': 'Nombre de chapitres :',
-                'templates': 'Mod\u00E8les',
-                'chapterTemplate': 'Mod\u00E8le de chapitre',
-                'beforeTemplate': 'Mod\u00E8le avant chapitres',
-                'afterTemplate': 'Mod\u00E8le apr\u00E8s chapitres',
-                'coverTemplate': 'Mod\u00E8le de couverture',
-                'noFileSelected': 'Aucun fichier s\u00E9lectionn\u00E9.',
-                'filesSelected': '%d fichiers s\u00E9lectionn\u00E9s.',
-                'bookInformation': 'Informations du livre',
-                'injectMarkdown': 'Injecter Markdown',
-                'cancel': 'Annuler',
-                'createBook': 'Cr\u00E9er le livre',
-                'chooseDestionationFolder': 'Choisir le dossier de destination',
-                'bookSuffix': 'Livre',
-                'searchLocations': 'Emplacements recherchés:%s',
-                
-                // Book information window
-                'bookAuthor': 'Auteur du livre :',
-                'bookTitle': 'Titre du livre :',
-                'subtitle': 'Sous-titre :',
-                'isbnPrint': 'ISBN Imprim\u00E9 :',
-                'isbnEbook': 'ISBN Ebook :',
-                'price': 'Prix :',
-                'originalTitle': 'Titre original :',
-                'prefix': 'Pr\u00E9fixe',
-                'printDate': 'Date d\'impression :',
-                'critical': 'Appareil critique :',
-                'translation': 'Traduction :',
-                'coverCredit': 'Cr\u00E9dit couverture :',
-                'editions': '\u00C9ditions :',
-                'funding': 'Financement :',
-                'rights': 'Droits / Licence :',
-                'importYAML': 'Importer YAML',
-                'exportYAML': 'Exporter YAML',
-                'save': 'Enregistrer',
-                'markdownDetection': 'D\u00E9tection Markdown :',
-                'inputFilesDetected': 'fichiers d\'entr\u00E9e d\u00E9tect\u00E9s',
-                'inputFilesNotDetected': 'fichiers d\'entr\u00E9e non d\u00E9tect\u00E9s',
-                'noYAMLLoaded': 'Aucun fichier YAML charg\u00E9',
-                
-                // Success and error messages
-                'bookGenerated': 'Livre g\u00E9n\u00E9r\u00E9 avec succ\u00E8s !',
-                'yamlImportCompleted': 'Import YAML termin\u00E9.',
-                'yamlExportCompleted': 'Export YAML termin\u00E9.',
-                'fileExists': 'Le fichier %s existe d\u00E9j\u00E0. Voulez-vous le remplacer ?',
-                'destinationFolderNotExist': 'Le dossier de destination n\'existe pas.',
-                'markdownFileNotFound': 'Fichier Markdown non trouv\u00E9 : %s',
-                'noTextFrameFound': 'Aucun cadre de texte trouv\u00E9 dans le document.',
-                'error': 'Erreur',
-                
-                // Default prefixes
-                'originalTitlePrefix': 'Titre original\u2009: ',
-                'coverCreditPrefix': 'Couverture\u2009: ',
-                
-                // Validation
-                'bookNameRequired': 'Le nom du livre est requis.',
-                'chapterCountPositive': 'Le nombre de chapitres doit \u00EAtre un nombre positif.',
-                'chapterTemplateRequired': 'Un mod\u00E8le de chapitre est requis.',
-                'invalidPrintISBN': 'ISBN Imprim\u00E9 invalide : %s',
-                'invalidEbookISBN': 'ISBN Ebook invalide : %s',
-                
-                // Language selector
-                'languageChanged': 'La langue a \u00E9t\u00E9 chang\u00E9e. Veuillez red\u00E9marrer le script pour appliquer les modifications.'
-            }
+        /**
+         * Pandoc keys of the simple fields, by order of precedence
+         * The first key is the one written when the field is new.
+         * @private
+         */
+        var FIELD_KEYS = {
+            isbnPrint: ["isbn-print"],
+            printDate: ["published-print", "date"],
+            translation: ["translator-display", "translation"],
+            critical: ["critical-display", "critical"],
+            coverCredit: ["cover-note", "coverCredit"],
+            originalTitle: ["original-title", "originalTitle"],
+            editions: ["editions"],
+            funding: ["funding"],
+            rights: ["rights"],
+            price: ["price"],
+            issn: ["issn"],
+            issue: ["issue"],
+            publisher: ["publisher"],
+            language: ["lang"]
         };
         
         /**
-         * Gets a translated string with optional substitutions
-         * @param {string} key - Translation key
-         * @param {...*} args - Arguments for substitutions
-         * @return {string} Translated string
+         * Finds the key that holds a simple field
+         * @param {Object} pandocData - Parsed Pandoc YAML data
+         * @param {string} field - BookCreator field name
+         * @return {string} Key whose value is read, or the key to create
+         * @private
          */
-        function __(key) {
-            var lang = currentLanguage;
-            var langDict = translations[lang] || translations['en'];
-            var str = langDict[key] || translations['en'][key] || key;
-            
-            // If additional arguments are provided, use them for formatting
-            if (arguments.length > 1) {
-                var args = Array.prototype.slice.call(arguments, 1);
-                str = str.replace(/%[sdx]/g, function(match) {
-                    if (!args.length) return match;
-                    var arg = args.shift();
-                    switch (match) {
-                        case '%s': return String(arg);
-                        case '%d': return parseInt(arg, 10);
-                        case '%x': return '0x' + parseInt(arg, 10).toString(16);
-                        default: return match;
-                    }
-                });
+        function findKey(pandocData, field) {
+            var keys = FIELD_KEYS[field];
+            for (var i = 0; i < keys.length; i++) {
+                if (pandocData[keys[i]]) return keys[i];
             }
-            
-            return str;
+            for (var j = 0; j < keys.length; j++) {
+                if (pandocData.hasOwnProperty(keys[j])) return keys[j];
+            }
+            return keys[0];
         }
         
         /**
-         * Changes the current language
-         * @param {string} lang - Language code ('fr' or 'en')
+         * Contributor roles as MARC relator codes, in the order of <<Contributors_By_Role>>
+         * Each role has the human-readable names Pandoc accepts, its placeholder
+         * and its credit line in the languages of the book.
+         * @private
          */
-        function setLanguage(lang) {
-            if (translations[lang]) {
-                currentLanguage = lang;
+        var ROLES = [
+            { code: "aut", names: ["author"], placeholder: "Authors", en: "By %s", fr: "Par %s" },
+            { code: "edt", names: ["editor"], placeholder: "Editors",
+              en: "Edited by %s", fr: "Sous la direction de %s" },
+            { code: "trl", names: ["translator"], placeholder: "Translators",
+              en: "Translated by %s", fr: "Traduit par %s" },
+            { code: "aui", names: ["author of introduction"], placeholder: "Introduction_Authors",
+              en: "Introduction by %s", fr: "Introduction de %s" },
+            { code: "aft", names: ["author of afterword"], placeholder: "Afterword_Authors",
+              en: "Afterword by %s", fr: "Postface de %s" },
+            { code: "ann", names: ["annotator"], placeholder: "Annotators", en: "Notes by %s", fr: "Notes de %s" },
+            { code: "ill", names: ["illustrator"], placeholder: "Illustrators",
+              en: "Illustrated by %s", fr: "Illustrations de %s" },
+            { code: "pht", names: ["photographer"], placeholder: "Photographers",
+              en: "Photographs by %s", fr: "Photographies de %s" },
+            { code: "cov", names: ["cover designer"], placeholder: "Cover_Designers",
+              en: "Cover by %s", fr: "Couverture de %s" },
+            { code: "ctb", names: ["contributor"], placeholder: "Contributors",
+              en: "With contributions by %s", fr: "Avec la participation de %s" }
+        ];
+        
+        /**
+         * Word joining the last two names, by language
+         * @private
+         */
+        var CONJUNCTIONS = { en: "and", fr: "et", de: "und", es: "y", it: "e", pt: "e" };
+        
+        /**
+         * Name suffixes written after a comma, which are not names of their own
+         * @private
+         */
+        var NAME_SUFFIX = /^(?:Jr|Sr|Esq|Fils|P\u00E8re)\.?$|^(?:II|III|IV|V|VI)$/i;
+        
+        /**
+         * Gets the primary language subtag of a language code
+         * @param {string} lang - Language code such as fr-FR
+         * @return {string} Language such as fr, "en" when missing
+         * @private
+         */
+        function getLanguage(lang) {
+            var language = String(lang || "").toLowerCase().split(/[-_]/)[0];
+            return language || "en";
+        }
+        
+        /**
+         * Finds a role by MARC code or human-readable name
+         * @param {string} role - Role as written in the metadata
+         * @return {Object|null} Role from ROLES
+         * @private
+         */
+        function findRole(role) {
+            var name = trim(String(role || "")).toLowerCase();
+            for (var i = 0; i < ROLES.length; i++) {
+                if (ROLES[i].code === name || arrayContains(ROLES[i].names, name)) return ROLES[i];
             }
+            return null;
         }
         
         /**
-         * Gets the current language
-         * @return {string} Current language code
+         * Gets the MARC relator code of a role
+         * @param {string} role - Role as written in the metadata
+         * @param {string} defaultCode - Code used when the role is missing
+         * @return {string} MARC code; unknown roles are kept in lower case
+         * @private
          */
-        function getLanguage() {
-            return currentLanguage;
+        function normalizeRole(role, defaultCode) {
+            if (role === undefined || role === null || trim(String(role)) === "") return defaultCode;
+            var known = findRole(role);
+            return known ? known.code : trim(String(role)).toLowerCase();
         }
         
         /**
-         * Detects the language of the InDesign interface
-         * @return {string} Language code ('fr' or 'en')
+         * Joins names as in running text: "A", "A and B", "A, B and C"
+         * @param {Array} names - Names to join
+         * @param {string} [lang] - Language of the book
+         * @return {string} Joined names
          */
-        function detectInDesignLanguage() {
-            try {
-                // Debug info to trace execution
-                $.writeln("Attempting to detect InDesign language...");
-                
-                // Get localization string using the full app object
-                var locale = "";
-                
-                // Try different methods to access locale
-                if (typeof app !== 'undefined' && app.hasOwnProperty('locale')) {
-                    locale = String(app.locale);
-                    $.writeln("Detected locale: " + locale);
-                } else if (typeof app !== 'undefined' && app.hasOwnProperty('languageAndRegion')) {
-                    locale = String(app.languageAndRegion);
-                    $.writeln("Detected languageAndRegion: " + locale);
-                } else {
-                    $.writeln("Could not access InDesign locale properties");
-                    return 'en'; // Default to English
-                }
-                
-                // Convert locale to lowercase for case-insensitive comparison
-                locale = locale.toLowerCase();
-                
-                // Debug the detected locale
-                $.writeln("Normalized locale: " + locale);
-                
-                // Check for French locales
-                if (locale.indexOf('fr') !== -1) {
-                    $.writeln("French locale detected, setting language to fr");
-                    return 'fr';
+        function joinNames(names, lang) {
+            if (names.length < 2) return names.length === 1 ? names[0] : "";
+            
+            var conjunction = CONJUNCTIONS[getLanguage(lang)] || CONJUNCTIONS.en;
+            return names.slice(0, names.length - 1).join(", ") + " " + conjunction + " " + names[names.length - 1];
+        }
+        
+        /**
+         * Splits names joined by joinNames, also accepting "&" and the English "and"
+         * A suffix after a comma ("Martin Luther King, Jr.") stays with its name.
+         * @param {string} text - Joined names
+         * @param {string} [lang] - Language of the book
+         * @return {Array} Names
+         */
+        function splitNames(text, lang) {
+            var conjunction = CONJUNCTIONS[getLanguage(lang)] || CONJUNCTIONS.en;
+            var words = "(?:" + conjunction + "|and|&)";
+            var parts = String(text || "").split(new RegExp("\\s*,\\s*(?:" + words + "\\s+)?|\\s+" + words + "\\s+"));
+            var names = [];
+            
+            for (var i = 0; i < parts.length; i++) {
+                var name = trim(parts[i]);
+                if (name === "") continue;
+                if (names.length > 0 && NAME_SUFFIX.test(name)) {
+                    names[names.length - 1] += ", " + name;
                 } else {
-                    // Default to English for any other locale
-                    $.writeln("Non-French locale detected, setting language to en");
-                    return 'en';
+                    names.push(name);
                 }
-            } catch (e) {
-                // Log detailed error information
-                $.writeln("Error detecting language: " + e);
-                $.writeln("Error details: " + e.message);
-                if (e.line) $.writeln("Error line: " + e.line);
-                if (e.stack) $.writeln("Error stack: " + e.stack);
-                
-                // In case of error, use English by default
-                return 'en';
             }
+            
+            return names;
         }
         
-        // Then set current language
-        var currentLanguage = detectInDesignLanguage();
-        
-        // Public API
-        return {
-            __: __,
-            setLanguage: setLanguage,
-            getLanguage: getLanguage,
-            detectLanguage: detectInDesignLanguage
-        };
-    })();
-    
-    /**
-     * @namespace TextUtils
-     * @description Text formatting utilities with simple markdown formatting
-     */
-    var TextUtils = {
         /**
-         * Applies formatted text to a text frame with basic markdown formatting
-         * @param {TextFrame} textFrame - InDesign text frame to apply text to
-         * @param {string} text - Raw text content with markdown
-         * @param {Document} doc - Parent InDesign document
+         * Reads the role of a creator or contributor entry
+         * @param {*} entry - String or object with text and role
+         * @param {string} defaultCode - Code of entries without a role
+         * @return {string} MARC code
+         * @private
          */
-        applyFormattedText: function(textFrame, text, doc) {
-            if (!text) {
-                textFrame.contents = "";
-                return;
+        function getEntryRole(entry, defaultCode) {
+            return entry && typeof entry === "object" ? normalizeRole(entry.role, defaultCode) : defaultCode;
+        }
+        
+        /**
+         * Lists the contributors of a book
+         * Entries of creator default to the author role, entries of contributor to "ctb";
+         * the author key is used when no creator is an author.
+         * @param {Object} pandocData - Parsed Pandoc YAML data
+         * @return {Array} Contributors as {name, role} with MARC role codes, in metadata order
+         */
+        function getContributors(pandocData) {
+            var contributors = [];
+            
+            function add(value, defaultCode) {
+                var entries = isArray(value) ? value : (value ? [value] : []);
+                for (var i = 0; i < entries.length; i++) {
+                    var name = getText(entries[i]);
+                    if (name !== "") {
+                        contributors.push({ name: name, role: getEntryRole(entries[i], defaultCode) });
+                    }
+                }
             }
             
-            // Process basic replacements
-            var processedText = text.replace(/<br\s*\/?>/gi, "\n");
-            processedText = processedText.replace(/[ ]{2,}$/mg, "\n");
-            
-            // Apply text to frame
-            textFrame.contents = processedText;
+            add(pandocData.creator, "aut");
+            add(pandocData.contributor, "ctb");
+            if (getNames(contributors, "aut").length === 0) {
+                add(pandocData.author, "aut");
+            }
             
-            // Apply markdown formatting if italic style exists
-            this.formatItalicMarkdown(textFrame, doc);
-        },
+            return contributors;
+        }
         
         /**
-         * Formats text between ** markers as italic if italic character style exists
-         * @param {TextFrame} textFrame - Target text frame
-         * @param {Document} doc - InDesign document
+         * Gets the names of the contributors with a role
+         * @param {Array} contributors - Contributors as {name, role}
+         * @param {string} code - MARC role code
+         * @return {Array} Names
          */
-        formatItalicMarkdown: function(textFrame, doc) {
-            try {
-                // Check if italic character style exists
-                var italicStyle = doc.characterStyles.itemByName("Italic");
-                if (!italicStyle.isValid) {
-                    // No italic style found, leave text as-is with * markers
-                    return;
-                }
-                
-                // Clear find/change preferences
-                app.findGrepPreferences = app.changeGrepPreferences = null;
-                
-                // Find text between * markers and replace directly with GREP
-                app.findGrepPreferences.findWhat = "\\*(.+?)\\*";
-                app.changeGrepPreferences.changeTo = "$1"; // $1 = premier groupe capturé (sans les *)
-                app.changeGrepPreferences.appliedCharacterStyle = italicStyle;
-                
-                // Apply changes only in this text frame
-                textFrame.changeGrep();
-                
-                // Clear preferences
-                app.findGrepPreferences = app.changeGrepPreferences = null;
-                
-            } catch (e) {
-                $.writeln("Warning: Error applying italic formatting: " + e.message);
+        function getNames(contributors, code) {
+            var names = [];
+            for (var i = 0; contributors && i < contributors.length; i++) {
+                if (contributors[i].role === code) names.push(contributors[i].name);
             }
+            return names;
         }
-    };
-    
-    /**
-     * @namespace PageOverflow
-     * @description Handles text overflow by adding pages automatically
-     */
-    var PageOverflow = {
+        
         /**
-         * Processes overflowing text frames by adding pages and linked frames
-         * @param {Document} doc - InDesign document to process
-         * @return {boolean} True if pages were added, false otherwise
+         * Lists the roles present among contributors, known roles first in ROLES order
+         * @param {Array} contributors - Contributors as {name, role}
+         * @return {Array} MARC role codes
+         * @private
          */
-        processOverflow: function(doc) {
-            if (!doc || !doc.isValid) return false;
+        function getRoles(contributors) {
+            var roles = [];
+            for (var r = 0; r < ROLES.length; r++) {
+                if (getNames(contributors, ROLES[r].code).length > 0) roles.push(ROLES[r].code);
+            }
+            for (var i = 0; contributors && i < contributors.length; i++) {
+                if (!arrayContains(roles, contributors[i].role)) roles.push(contributors[i].role);
+            }
+            return roles;
+        }
+        
+        /**
+         * Replaces the authors of a contributor list
+         * @param {Array} contributors - Contributors as {name, role}
+         * @param {string} authorText - Author names, joined as by joinNames
+         * @param {string} [lang] - Language of the book
+         * @return {Array} New contributor list, other roles unchanged
+         */
+        function updateAuthors(contributors, authorText, lang) {
+            var list = contributors || [];
             
-            var textFrame = null;
-            var lastPage = doc.pages[-1]; // Get last page
+            // Unchanged text keeps the entries, whose names may hold commas ("Doe, Jane")
+            if (trim(String(authorText || "")) === joinNames(getNames(list, "aut"), lang)) return list;
             
-            // Check the last page first for overflowing frames
-            for (var i = 0; i < lastPage.textFrames.length; i++) {
-                if (lastPage.textFrames[i].overflows) {
-                    textFrame = lastPage.textFrames[i];
-                    break;
-                }
+            var names = splitNames(authorText, lang);
+            if (joinNames(getNames(list, "aut"), lang) === joinNames(names, lang)) return list;
+            
+            var result = [];
+            for (var i = 0; i < names.length; i++) {
+                result.push({ name: names[i], role: "aut" });
+            }
+            for (var j = 0; j < list.length; j++) {
+                if (list[j].role !== "aut") result.push(list[j]);
+            }
+            return result;
+        }
+        
+        /**
+         * Builds the contributor placeholder values
+         * @param {Array} contributors - Contributors as {name, role}
+         * @param {string} [lang] - Language of the book
+         * @return {Object} Values of <<Authors>>, <<Translators>>, <<Editors>>... and <<Contributors_By_Role>>
+         */
+        function getContributorPlaceholders(contributors, lang) {
+            var language = getLanguage(lang) === "fr" ? "fr" : "en";
+            var values = {};
+            var lines = [];
+            
+            for (var r = 0; r < ROLES.length; r++) {
+                values["<<" + ROLES[r].placeholder + ">>"] = joinNames(getNames(contributors, ROLES[r].code), lang);
             }
             
-            // If no overflowing frame found on last page, check all pages
-            if (textFrame === null) {
-                for (var j = 0; j < doc.pages.length; j++) {
-                    var currentPage = doc.pages[j];
-                    for (var k = 0; k < currentPage.textFrames.length; k++) {
-                        if (currentPage.textFrames[k].overflows) {
-                            textFrame = currentPage.textFrames[k];
-                            break;
+            var roles = getRoles(contributors);
+            for (var i = 0; i < roles.length; i++) {
+                var names = joinNames(getNames(contributors, roles[i]), lang);
+                var role = findRole(roles[i]);
+                lines.push(role ? role[language].replace("%s", names) : names + " (" + roles[i] + ")");
+            }
+            values["<<Contributors_By_Role>>"] = lines.join("\n");
+            
+            return values;
+        }
+        
+        /**
+         * Maps Pandoc metadata to BookCreator format
+         * @param {Object} pandocData - Parsed Pandoc YAML data
+         * @return {Object} BookCreator compatible metadata
+         */
+        function mapToBookCreator(pandocData) {
+            var result = {};
+            
+            // Handle title - can be array or string
+            if (pandocData.title) {
+                if (isArray(pandocData.title)) {
+                    // Complex title structure
+                    for (var i = 0; i < pandocData.title.length; i++) {
+                        var titleItem = pandocData.title[i];
+                        if (titleItem && typeof titleItem === "object") {
+                            if (titleItem.type === "main" && titleItem.text) {
+                                result.title = titleItem.text;
+                            } else if (titleItem.type === "subtitle" && titleItem.text) {
+                                result.subtitle = titleItem.text;
+                            }
                         }
                     }
-                    if (textFrame !== null) break;
+                } else {
+                    // Simple string title
+                    result.title = pandocData.title;
+                    // Ne PAS traiter subtitle ici si on a un title simple
                 }
             }
             
-            // If no overflowing frame found in entire document
-            if (textFrame === null) {
-                return false; // Nothing to process
+            // Contributors from creator, contributor and author; all authors are joined
+            var contributors = getContributors(pandocData);
+            if (contributors.length > 0) {
+                result.contributors = contributors;
+                var authors = getNames(contributors, "aut");
+                if (authors.length > 0) result.author = joinNames(authors, pandocData.lang);
             }
             
-            var pageCount = 0; // Counter to avoid infinite loops
-            var maxPages = 500; // Safety limit
-    
-            while (textFrame.overflows && pageCount < maxPages) {
-                // Create a new page at the end
-                var newPage = doc.pages.add(LocationOptions.AFTER, doc.pages[-1]);
-                pageCount++;
-                
-                // Determine if it's a left or right page
-                var isLeftPage = newPage.side == PageSideOptions.LEFT_HAND;
-                
-                // Set margins based on page type
-                var topMargin = newPage.marginPreferences.top;
-                var bottomMargin = doc.documentPreferences.pageHeight - newPage.marginPreferences.bottom;
-                
-                var leftMargin, rightMargin;
-                
-                if (doc.documentPreferences.facingPages) {
-                    // For facing pages layouts
-                    if (isLeftPage) {
-                        leftMargin = newPage.marginPreferences.right; // Outside margin for left page
-                        rightMargin = doc.documentPreferences.pageWidth - newPage.marginPreferences.left; // Inside margin for left page
-                    } else {
-                        leftMargin = newPage.marginPreferences.left; // Inside margin for right page
-                        rightMargin = doc.documentPreferences.pageWidth - newPage.marginPreferences.right; // Outside margin for right page
-                        
-                        // For right pages, apply offset of page width for correct positioning
-                        leftMargin += doc.documentPreferences.pageWidth;
-                        rightMargin += doc.documentPreferences.pageWidth;
+            // Handle identifier for ISBN
+            if (pandocData.identifier && isArray(pandocData.identifier)) {
+                for (var k = 0; k < pandocData.identifier.length; k++) {
+                    var identifierItem = pandocData.identifier[k];
+                    if (identifierItem && typeof identifierItem === "object") {
+                        if (identifierItem.scheme === "ISBN" && identifierItem.text) {
+                            if (!result.isbnEbook) {
+                                result.isbnEbook = identifierItem.text;
+                            }
+                        }
                     }
-                } else {
-                    // For non-facing pages
-                    leftMargin = newPage.marginPreferences.left;
-                    rightMargin = doc.documentPreferences.pageWidth - newPage.marginPreferences.right;
                 }
-    
-                // Create a new text frame on the new page with appropriate margins
-                var newFrame = newPage.textFrames.add({
-                    geometricBounds: [topMargin, leftMargin, bottomMargin, rightMargin]
-                });
-    
-                // Link the previous text frame to the new one
-                textFrame.nextTextFrame = newFrame;
-    
-                // Continue with the new frame
-                textFrame = newFrame;
             }
-    
-            // If document has facing pages and ends with a right page, add an empty left page
-            if (doc.documentPreferences.facingPages && !textFrame.overflows) {
-                var lastPage = doc.pages[-1];
-                if (lastPage.side == PageSideOptions.RIGHT_HAND) {
-                    doc.pages.add(LocationOptions.AFTER, lastPage);
+            
+            // isbn-ebook takes precedence over the identifier list
+            if (pandocData["isbn-ebook"]) result.isbnEbook = pandocData["isbn-ebook"];
+            
+            // Direct field mappings
+            for (var field in FIELD_KEYS) {
+                if (FIELD_KEYS.hasOwnProperty(field)) {
+                    var key = findKey(pandocData, field);
+                    if (pandocData[key]) result[field] = pandocData[key];
                 }
             }
             
-            return pageCount > 0; // Return true if pages were added
+            // SUPPRIMEZ ou CORRIGEZ ces lignes problématiques :
+            // Ne les exécutez QUE si les champs n'ont pas déjà été définis
+            // ET si les champs simples existent vraiment dans pandocData
+            
+            // Pour subtitle : seulement si pas déjà défini ET si le champ existe vraiment
+            if (!result.subtitle && pandocData.subtitle && pandocData.subtitle !== undefined) {
+                result.subtitle = pandocData.subtitle;
+            }
+            
+            return result;
         }
-    };
-    
-    /**
-     * Book class for managing InDesign book creation
-     * @class
-     * @param {string} name - Book name
-     * @param {Object} info - Book metadata
-     */
-    function Book(name, info) {
-        this.name = name;
-        this.info = info || {};
-        this.templates = {
-            before: [],
-            frontmatter: null,
-            bodymatter: null,
-            backmatter: null,
-            after: [],
-            cover: null
-        };
-        this.templateFolder = null;
-        this.chapterCount = 0;
         
-        // Display options (checked by default)
-        this.displayOptions = {
-            showOriginalTitleLabel: true,
-            originalTitleLabelText: I18n.__('originalTitlePrefix'), 
-            showCoverCreditLabel: true,
-            coverCreditLabelText: I18n.__('coverCreditPrefix')
-        };
+        /**
+         * Converts an edited field back to a YAML value
+         * Text that reads as the same number or boolean keeps the type of the previous value.
+         * @param {string} text - Field value
+         * @param {*} previous - Value currently in the YAML data
+         * @return {*} Value to write
+         * @private
+         */
+        function toValue(text, previous) {
+            if (typeof previous === "string" || previous === undefined || previous === null) {
+                return text;
+            }
+            var converted = YAMLParser.utils.convertValue(text);
+            return typeof converted === typeof previous && String(converted) === text ? converted : text;
+        }
         
-        // Markdown options
-        this.markdownOptions = {
-            injectMarkdown: false,
-            yamlPath: null,
-            yamlMeta: null,
-            hasInputFiles: false
-        };
+        /**
+         * Copies a parsed YAML value
+         * @param {*} value - Value to copy
+         * @return {*} Deep copy
+         * @private
+         */
+        function cloneValue(value) {
+            if (isArray(value)) {
+                var list = [];
+                for (var i = 0; i < value.length; i++) list.push(cloneValue(value[i]));
+                return list;
+            }
+            if (value !== null && typeof value === "object") {
+                var obj = {};
+                for (var key in value) {
+                    if (value.hasOwnProperty(key)) obj[key] = cloneValue(value[key]);
+                }
+                return obj;
+            }
+            return value;
+        }
         
         /**
-         * Validates book data before generation
-         * @return {Object} Validation result with valid status and message
+         * Edits the entries of a structured list such as title or creator
+         * The last matching entry is the one read on import, so it receives the new text;
+         * an empty text removes every matching entry.
+         * @param {Array} list - List to edit in place
+         * @param {string} property - Property that identifies the entries (type, role, scheme)
+         * @param {string} match - Value of that property
+         * @param {string} text - New text
+         * @param {boolean} [first] - Edit the first matching entry instead of the last
+         * @return {boolean} True if a matching entry existed
+         * @private
          */
-        this.validate = function() {
-            if (!this.name) {
-                return { valid: false, message: I18n.__('bookNameRequired') };
+        function editEntries(list, property, match, text, first) {
+            var found = [];
+            for (var i = 0; i < list.length; i++) {
+                if (list[i] && typeof list[i] === "object" && list[i][property] === match && list[i].text) {
+                    found.push(i);
+                }
             }
+            if (found.length === 0) return false;
             
-            // Validation basée sur l'auto-découverte des fichiers Markdown
-            if (this.markdownOptions.injectMarkdown && this.markdownOptions.yamlPath) {
-                var autoDiscoveredFiles = this._getAllMarkdownFilesFromFolder();
-                if (autoDiscoveredFiles.length === 0) {
-                    return { valid: false, message: "No Markdown files found in text folder." };
-                }
-                // Auto-définir le nombre de chapitres basé sur les fichiers MD découverts
-                this.chapterCount = autoDiscoveredFiles.length;
+            if (text === "") {
+                for (var j = found.length - 1; j >= 0; j--) list.splice(found[j], 1);
             } else {
-                // Mode manuel si pas de Markdown
-                if (!this.chapterCount || isNaN(parseInt(this.chapterCount)) || parseInt(this.chapterCount) <= 0) {
-                    return { valid: false, message: I18n.__('chapterCountPositive') };
-                }
+                var entry = list[found[first ? 0 : found.length - 1]];
+                entry.text = toValue(text, entry.text);
+            }
+            return true;
+        }
+        
+        /**
+         * Maps BookCreator metadata back onto existing Pandoc metadata
+         * 
+         * Only the fields present in bookInfo whose value differs from the current
+         * metadata are written, in the key that holds them on import. An empty value
+         * removes the field, so that importing the result gives bookInfo back.
+         * 
+         * @param {Object} bookInfo - BookCreator metadata
+         * @param {Object} [pandocData] - Parsed Pandoc YAML data being updated
+         * @return {Object} {changes: new values by top-level key, removals: top-level keys to remove}
+         */
+        function mapToPandoc(bookInfo, pandocData) {
+            var data = pandocData || {};
+            var current = mapToBookCreator(data);
+            var changes = {};
+            var removals = [];
+            
+            function edited(field) {
+                if (!bookInfo.hasOwnProperty(field)) return false;
+                var before = current[field] === undefined ? "" : String(current[field]);
+                return textOf(field) !== before.replace(/\r\n?/g, "\n");
             }
             
-            if (!this.templateFolder) {
-                return { valid: false, message: "A templates folder is required." };
+            // Multi-line fields may come back from the dialog with "\r" line breaks
+            function textOf(field) {
+                return String(bookInfo[field] || "").replace(/\r\n?/g, "\n");
             }
             
-            if (!this.templates.bodymatter) {
-                return { valid: false, message: "No Bodymatter template found in folder." };
+            // Value of a key with the changes made so far
+            function valueOf(key) {
+                if (changes.hasOwnProperty(key)) return changes[key];
+                return arrayContains(removals, key) ? undefined : data[key];
             }
             
-            // Validate ISBNs if present
-            if (this.info.isbnPrint) {
-                var printResult = BookUtils.ISBN.validate(this.info.isbnPrint);
-                if (!printResult.valid) {
-                    return { valid: false, message: I18n.__('invalidPrintISBN', printResult.message) };
+            // Sets a key; undefined or an empty list removes it
+            function setValue(key, value) {
+                delete changes[key];
+                for (var r = removals.length - 1; r >= 0; r--) {
+                    if (removals[r] === key) removals.splice(r, 1);
+                }
+                
+                if (value === undefined || (isArray(value) && value.length === 0)) {
+                    if (data[key]) removals.push(key);
+                } else {
+                    changes[key] = value;
                 }
             }
             
-            if (this.info.isbnEbook) {
-                var ebookResult = BookUtils.ISBN.validate(this.info.isbnEbook);
-                if (!ebookResult.valid) {
-                    return { valid: false, message: I18n.__('invalidEbookISBN', ebookResult.message) };
-                }
+            function setKey(key, text) {
+                setValue(key, text === "" ? undefined : toValue(text, data[key]));
             }
             
-            return { valid: true };
-        };
-        
-        /**
-         * Generates the InDesign book and related documents
-         * @param {Folder} folder - Destination folder
-         * @return {Book|boolean} InDesign book object or false if generation failed
-         */
-        this.generate = function(folder, mainWindow) {
-            if (!folder || !folder.exists) {
-                throw new Error(I18n.__('destinationFolderNotExist'));
+            function getList(key) {
+                if (!changes.hasOwnProperty(key)) changes[key] = cloneValue(valueOf(key));
+                return changes[key];
             }
             
-            var result = this.validate();
-            if (!result.valid) {
-                throw new Error(result.message);
+            function closeList(key) {
+                if (changes.hasOwnProperty(key) && changes[key].length === 0) {
+                    setValue(key, undefined);
+                }
             }
             
-            // Calculate total steps based on discovered templates and MD files
-            var allMdFiles = this._getAllMarkdownFilesFromFolder();
-            var totalSteps = this.templates.before.length + 
-                             allMdFiles.length + 
-                             this.templates.after.length + 
-                             (this.templates.cover ? 1 : 0) + 
-                             2;
+            var lang = bookInfo.language || data.lang;
             
-            try {
-                // Fermer la fenêtre principale avant la génération
-                if (mainWindow) {
-                    mainWindow.close();
+            // Writes the names of a role where the metadata keeps them
+            function writeRole(code, names) {
+                var lists = [{ key: "creator", code: "aut" }, { key: "contributor", code: "ctb" }];
+                for (var l = 0; l < lists.length; l++) {
+                    var entries = valueOf(lists[l].key);
+                    if (!isArray(entries)) continue;
+                    
+                    for (var e = 0; e < entries.length; e++) {
+                        if (getEntryRole(entries[e], lists[l].code) === code && getText(entries[e]) !== "") {
+                            editRole(getList(lists[l].key), code, lists[l].code, names);
+                            closeList(lists[l].key);
+                            return;
+                        }
+                    }
                 }
                 
-                // Créer la barre de progression APRÈS avoir fermé la fenêtre
-                var progress = new ProgressBar(
-                    I18n.getLanguage() === 'fr' ? "G\u00E9n\u00E9ration du livre..." : "Generating book...",
-                    totalSteps
-                );
-                
-                var currentStep = 0;
-                
-                // Créer le fichier InDesign book
-                progress.update(currentStep++, 
-                    I18n.getLanguage() === 'fr' ? "Cr\u00E9ation du fichier livre..." : "Creating book file...");
-                
-                var bookFileName = this.name.toUpperCase() + '-' + I18n.__('bookSuffix') + '.indb';
-                var bookFile = new File(folder.fsName + '/' + bookFileName);
-                
-                if (bookFile.exists) {
-                    progress.close(); // Fermer temporairement pour le dialogue
-                    var overwrite = confirm(I18n.__('fileExists', bookFileName));
-                    if (!overwrite) {
-                        return false;
+                var creator = valueOf("creator");
+                if (code === "aut") {
+                    if (creator && !isArray(creator)) {
+                        setValue("creator", names.length > 1 ? roleEntries("author", names) : names[0]);
+                        if (names.length === 0) setKey("author", "");
+                    } else {
+                        setValue("author", names.length > 1 || isArray(valueOf("author")) ? names : names[0]);
                     }
-                    progress.show(); // Réafficher après le dialogue
+                } else if (names.length > 0) {
+                    // Other roles are added to the creator list
+                    var list = isArray(creator) ? getList("creator") : (creator ? roleEntries("author", [creator]) : []);
+                    setValue("creator", list.concat(roleEntries(code, names)));
+                }
+            }
+            
+            // Changes the entries of a role in a creator or contributor list
+            function editRole(list, code, defaultCode, names) {
+                var positions = [];
+                for (var i = 0; i < list.length; i++) {
+                    if (getEntryRole(list[i], defaultCode) === code && getText(list[i]) !== "") positions.push(i);
                 }
                 
-                progress.show(); // Montrer la barre maintenant
-                
-                var book = app.books.add(bookFile);
-                // Petite pause pour s'assurer que le livre est bien initialisé
-                app.doScript(function(){}, ScriptLanguage.JAVASCRIPT, [], UndoModes.FAST_ENTIRE_SCRIPT);
-                var prefix = this.name.toUpperCase() + '-';
+                var roleText = list[positions[0]] && list[positions[0]].role !== undefined ? list[positions[0]].role : code;
                 
-                // Generate documents before chapters
-                for (var i = 0; i < this.templates.before.length; i++) {
-                    progress.update(
-                        currentStep++, 
-                        I18n.getLanguage() === 'fr' ? "Traitement des modèles avant chapitres..." : "Processing templates before chapters...",
-                        this.templates.before[i].name
-                    );
-                    
-                    this._generateDocument(
-                        folder, 
-                        this.templates.before[i], 
-                        this.templates.before[i].name.replace(/^.*?-/, prefix), 
-                        true, 
-                        book
-                    );
+                // Entries whose name changed lose their other properties, such as file-as
+                for (var k = 0; k < positions.length && k < names.length; k++) {
+                    var entry = list[positions[k]];
+                    if (getText(entry) === names[k]) continue;
+                    if (entry && typeof entry === "object") {
+                        list[positions[k]] = entry.role !== undefined ? { role: entry.role, text: names[k] } : { text: names[k] };
+                    } else {
+                        list[positions[k]] = names[k];
+                    }
                 }
                 
-                // Generate all documents based on Markdown files and appropriate templates
-                var allMdFiles = this._getAllMarkdownFilesFromFolder();
-                var currentStep = this.templates.before.length; // Ajuster le compteur
-                
-                // Generate documents before chapters
-                for (var b = 0; b < this.templates.before.length; b++) {
-                    progress.update(
-                        currentStep++, 
-                        I18n.getLanguage() === 'fr' ? "Traitement des templates avant..." : "Processing before templates...",
-                        this.templates.before[b].name
-                    );
-                    
-                    this._generateDocument(
-                        folder, 
-                        this.templates.before[b], 
-                        this.templates.before[b].name.replace(/^.*?-/, prefix), 
-                        true, 
-                        book
-                    );
+                for (var x = positions.length - 1; x >= names.length; x--) {
+                    list.splice(positions[x], 1);
                 }
                 
-                // Generate all Markdown-based documents
-                for (var m = 0; m < allMdFiles.length; m++) {
-                    var currentMdFile = allMdFiles[m];
-                    var descriptiveName = currentMdFile.replace(/^\d+-/, "").replace(/\.md$/, "");
-                    var templateType = this._determineTemplateType(currentMdFile);
-                    
-                    // Select appropriate template with priority matching
-                    var selectedTemplate = this._selectBestTemplate(currentMdFile, templateType);
-                    
-                    if (selectedTemplate) {
-                        progress.update(
-                            currentStep++, 
-                            I18n.getLanguage() === 'fr' ? 
-                                "Cr\u00E9ation de " + descriptiveName + " (" + (m + 1) + " sur " + allMdFiles.length + ")..." :
-                                "Creating " + descriptiveName + " (" + (m + 1) + " of " + allMdFiles.length + ")...",
-                            descriptiveName + ".indd"
-                        );
-                        
-                        var newName = selectedTemplate.name.replace(/^.*?-/, prefix).replace('.indd', '-' + descriptiveName + '.indd');
-                        
-                        this._generateDocument(
-                            folder,
-                            selectedTemplate,
-                            newName,
-                            true,
-                            book,
-                            m  // Index pour le matching MD
-                        );
+                var insertAt = positions.length > 0 ? positions[Math.min(positions.length, names.length) - 1] + 1 : list.length;
+                for (var n = positions.length; n < names.length; n++) {
+                    list.splice(insertAt++, 0, { role: roleText, text: names[n] });
+                }
+            }
+            
+            function roleEntries(role, names) {
+                var entries = [];
+                for (var i = 0; i < names.length; i++) {
+                    entries.push({ role: role, text: names[i] });
+                }
+                return entries;
+            }
+            
+            // Title and subtitle: structured list or simple keys
+            var titleList = isArray(data.title);
+            if (edited("title")) {
+                if (!titleList) {
+                    setKey("title", textOf("title"));
+                } else if (!editEntries(getList("title"), "type", "main", textOf("title")) && textOf("title") !== "") {
+                    changes.title.unshift({ type: "main", text: textOf("title") });
+                }
+            }
+            if (edited("subtitle")) {
+                var text = textOf("subtitle");
+                var inList = titleList && editEntries(getList("title"), "type", "subtitle", text);
+                if (!inList && (text === "" || !titleList || data.hasOwnProperty("subtitle"))) {
+                    setKey("subtitle", text);
+                } else if (!inList) {
+                    changes.title.push({ type: "subtitle", text: text });
+                }
+            }
+            if (titleList) closeList("title");
+            
+            // Contributors, role by role
+            if (bookInfo.hasOwnProperty("contributors")) {
+                var wanted = bookInfo.contributors || [];
+                var roles = getRoles(wanted.concat(current.contributors || []));
+                for (var c = 0; c < roles.length; c++) {
+                    var names = getNames(wanted, roles[c]);
+                    if (names.join("\n") !== getNames(current.contributors, roles[c]).join("\n")) {
+                        writeRole(roles[c], names);
                     }
                 }
-                
-                // Generate documents after chapters
-                for (var a = 0; a < this.templates.after.length; a++) {
-                    progress.update(
-                        currentStep++, 
-                        I18n.getLanguage() === 'fr' ? "Traitement des templates apr\u00E8s..." : "Processing after templates...",
-                        this.templates.after[a].name
-                    );
-                    
-                    this._generateDocument(
-                        folder,
-                        this.templates.after[a],
-                        this.templates.after[a].name.replace(/^.*?-/, prefix),
-                        true,
-                        book
-                    );
+            }
+            
+            // Author field: names joined as on import
+            if (edited("author")) {
+                var authorNames = splitNames(textOf("author"), lang);
+                var written = getContributors({
+                    creator: valueOf("creator"),
+                    contributor: valueOf("contributor"),
+                    author: valueOf("author")
+                });
+                if (authorNames.join("\n") !== getNames(written, "aut").join("\n")) {
+                    writeRole("aut", authorNames);
                 }
-                
-                // Generate cover (separate from book)
-                if (this.templates.cover) {
-                    progress.update(
-                        currentStep++, 
-                        I18n.getLanguage() === 'fr' ? "Cr\u00E9ation de la couverture..." : "Creating cover...",
-                        "Cover.indd"
-                    );
-                    
-                    this._generateDocument(
-                        folder,
-                        this.templates.cover,
-                        prefix + 'Cover.indd',
-                        false,  // Important : false pour ne pas l'inclure dans le livre
-                        book
-                    );
+            }
+            
+            // Ebook ISBN: isbn-ebook key, or the first ISBN of the identifier list
+            if (edited("isbnEbook")) {
+                var isbn = textOf("isbnEbook");
+                if (data["isbn-ebook"] || !isArray(data.identifier) || isbn === "") {
+                    setKey("isbn-ebook", isbn);
                 }
+                if (isArray(data.identifier) && (!data["isbn-ebook"] || isbn === "")) {
+                    if (!editEntries(getList("identifier"), "scheme", "ISBN", isbn, true) && isbn !== "") {
+                        delete changes.identifier;
+                        setKey("isbn-ebook", isbn);
+                    }
+                    closeList("identifier");
+                }
+            }
+            
+            // Simple fields; clearing one removes all of its aliases
+            for (var field in FIELD_KEYS) {
+                if (!FIELD_KEYS.hasOwnProperty(field) || !edited(field)) continue;
                 
-                // Save book
-                progress.update(currentStep++, 
-                    I18n.getLanguage() === 'fr' ? "Sauvegarde du livre..." : "Saving book...");
-                book.save();
-                
-                progress.close();
-                return book;
-                
-            } catch (e) {
-                if (typeof progress !== 'undefined') {
-                    progress.close();
+                if (textOf(field) === "") {
+                    for (var i = 0; i < FIELD_KEYS[field].length; i++) {
+                        setKey(FIELD_KEYS[field][i], "");
+                    }
+                } else {
+                    setKey(findKey(data, field), textOf(field));
                 }
-                LogManager.logError("Error generating book", e);
-                return false;
             }
-        };
+            
+            // Unchanged lists are left as written
+            for (var key in changes) {
+                if (changes.hasOwnProperty(key) && isArray(changes[key]) &&
+                    YAMLParser.stringify({ list: changes[key] }) === YAMLParser.stringify({ list: data[key] })) {
+                    delete changes[key];
+                }
+            }
+            
+            return { changes: changes, removals: removals };
+        }
         
         /**
-         * Generates a single document from template
-         * @param {Folder} folder - Destination folder
-         * @param {File} template - Template file
-         * @param {string} newName - New document name
-         * @param {boolean} includeInBook - Whether to include in book
-         * @param {Book} book - InDesign book object
-         * @return {boolean} Success status
-         * @private
+         * Converts a metadata value to display text
+         * Lists are joined with commas; structured entries give their text or name.
+         * @param {*} value - Metadata value
+         * @return {string} Text, empty for missing values
          */
-        this._generateDocument = function(folder, template, newName, includeInBook, book, chapterIndex) {
-            var destFile = new File(folder.fsName + '/' + newName);
-            var doc = null;
+        function getText(value) {
+            if (value === undefined || value === null) return "";
             
-            try {
-                // Copy template
-                if (!template.copy(destFile.fsName)) {
-                    throw new Error("Failed to copy template file");
+            if (isArray(value)) {
+                var items = [];
+                for (var i = 0; i < value.length; i++) {
+                    var item = getText(value[i]);
+                    if (item !== "") items.push(item);
                 }
+                return items.join(", ");
+            }
+            
+            if (typeof value === "object") {
+                return getText(value.text !== undefined ? value.text : value.name);
+            }
+            
+            return String(value);
+        }
+        
+        /**
+         * Converts a metadata key to its placeholder name: series-title -> Series_Title
+         * @param {string} key - Metadata key
+         * @return {string} Placeholder name, without the angle brackets
+         */
+        function getPlaceholderName(key) {
+            var words = String(key).split(/[-_\s]+/);
+            var parts = [];
+            for (var i = 0; i < words.length; i++) {
+                if (words[i] !== "") parts.push(words[i].charAt(0).toUpperCase() + words[i].substr(1));
+            }
+            return parts.join("_");
+        }
+        
+        /**
+         * Builds a placeholder for each top-level metadata key
+         * @param {Object} metadata - Parsed YAML metadata
+         * @param {string} [prefix] - Prefix of the placeholder names, such as "Chapter_"
+         * @return {Object} Values by placeholder (<<Series_Title>>); lists are joined with commas
+         */
+        function getPlaceholderValues(metadata, prefix) {
+            var values = {};
+            for (var key in metadata) {
+                if (!metadata.hasOwnProperty(key)) continue;
                 
-                // Open document
-                doc = app.open(destFile, false);
-                
-                // Add custom variables
-                for (var key in this.info) {
-                    if (this.info.hasOwnProperty(key)) {
-                        try {
-                            BookUtils.Document.addCustomVariable(doc, key, this.info[key]);
-                        } catch (e) {
-                            // Continue if variable creation fails
-                            $.writeln("Warning: Could not add variable " + key + ": " + e.message);
-                        }
-                    }
+                var placeholder = "<<" + (prefix || "") + getPlaceholderName(key) + ">>";
+                if (!values.hasOwnProperty(placeholder)) {
+                    values[placeholder] = getText(metadata[key]);
                 }
-                
-                // Replace text placeholders
-                try {
-                    BookUtils.Document.replaceTextPlaceholders(doc, this.info, this.displayOptions);
-                } catch (e) {
-                    $.writeln("Warning: Error replacing text placeholders: " + e.message);
+            }
+            return values;
+        }
+        
+        /**
+         * Reads a nested metadata value from a dotted path such as publisher.city or creator.0.text
+         * @param {Object} metadata - Parsed YAML metadata
+         * @param {string} path - Keys separated by dots, list items by their index
+         * @return {string|undefined} Value as text, undefined when the path does not exist
+         */
+        function getPath(metadata, path) {
+            var value = metadata;
+            var keys = String(path).split(".");
+            
+            for (var i = 0; i < keys.length; i++) {
+                if (value === null || typeof value !== "object" || !value.hasOwnProperty(keys[i])) {
+                    return undefined;
                 }
-                
-                // Replace EAN13 placeholders
-                try {
-                    BookUtils.Document.replaceEAN13Placeholders(doc, this.info.isbnPrint, this.info.isbnEbook);
-                } catch (e) {
-                    $.writeln("Warning: Error replacing EAN13 placeholders: " + e.message);
-                }
-                
-                // Inject Markdown if needed
-                if (this.markdownOptions.injectMarkdown && this.markdownOptions.hasInputFiles) {
-                    try {
-                        this._injectMarkdownContent(doc, chapterIndex);
-                        
-                        if (doc.isValid) {
-                            PageOverflow.processOverflow(doc);
-                        }
-                    } catch (e) {
-                        $.writeln("Warning: Error processing Markdown content: " + e.message);
-                    }
-                }
-                
-                // Save document
-                doc.save(destFile);
-                doc.close();
-                doc = null; // Clear reference
-                
-                // Add to book if needed - with retry mechanism
-                if (includeInBook && book) {
-                    var maxRetries = 3;
-                    var retryCount = 0;
-                    var addedToBook = false;
-                    
-                    while (retryCount < maxRetries && !addedToBook) {
-                        try {
-                            // Small delay before adding to book
-                            app.doScript(function(){}, ScriptLanguage.JAVASCRIPT, [], UndoModes.FAST_ENTIRE_SCRIPT);
-                            
-                            book.bookContents.add(destFile);
-                            addedToBook = true;
-                        } catch (e) {
-                            retryCount++;
-                            $.writeln("Retry " + retryCount + " adding to book: " + e.message);
-                            
-                            if (retryCount >= maxRetries) {
-                                // Log final error but don't fail the generation
-                                $.writeln("Warning: Could not add " + newName + " to book after " + maxRetries + " attempts: " + e.message);
-                                break;
-                            }
-                        }
-                    }
-                }
-                
-                return true;
-                
-            } catch (e) {
-                // Clean up document if still open
-                if (doc && doc.isValid) {
-                    try {
-                        doc.close(SaveOptions.NO);
-                    } catch (closeError) {
-                        // Ignore close errors
-                    }
-                }
-                
-                LogManager.logError("Error generating document " + newName, e);
-                return false;
+                value = value[keys[i]];
+            }
+            
+            return getText(value);
+        }
+        
+        /**
+         * Gets the keys whose values are text even when they read as numbers
+         * @return {Array} Pandoc keys of the simple fields and ISBNs, for YAMLParser.parse
+         */
+        function getTextKeys() {
+            var keys = ["isbn-ebook"];
+            for (var field in FIELD_KEYS) {
+                if (FIELD_KEYS.hasOwnProperty(field)) keys = keys.concat(FIELD_KEYS[field]);
             }
+            return keys;
+        }
+        
+        // Public API
+        return {
+            mapToBookCreator: mapToBookCreator,
+            mapToPandoc: mapToPandoc,
+            getText: getText,
+            getPlaceholderName: getPlaceholderName,
+            getPlaceholderValues: getPlaceholderValues,
+            getPath: getPath,
+            getContributors: getContributors,
+            getNames: getNames,
+            joinNames: joinNames,
+            splitNames: splitNames,
+            updateAuthors: updateAuthors,
+            getContributorPlaceholders: getContributorPlaceholders,
+            getTextKeys: getTextKeys
         };
+    })();
+    
+    /**
+     * @namespace PlaceholderEngine
+     * @description Renders placeholders with filters and conditional sections in template text
+     */
+    var PlaceholderEngine = (function() {
         
         /**
-         * Injects Markdown content into a document while preserving line breaks
-         * @param {Document} doc - InDesign document
-         * @return {boolean} Success status
+         * Month names by language, for the date filter
          * @private
          */
-        this._injectMarkdownContent = function(doc, chapterIndex) {
-            try {
-                // Check parameters
-                if (!doc) {
-                    LogManager.logError("ERROR: InDesign document not defined!");
-                    return false;
-                }
-                
-                if (!this.markdownOptions || !this.markdownOptions.yamlPath) {
-                    LogManager.logError("ERROR: YAML path not defined!");
-                    return false;
-                }
-                
-                // Check that YAML file exists
-                var yamlFile = File(this.markdownOptions.yamlPath);
-                if (!yamlFile.exists) {
-                    LogManager.logError("ERROR: YAML file does not exist:\n" + this.markdownOptions.yamlPath);
-                    return false;
-                }
-                
-                // Direct injection implementation, without calling external script
-                
-                // 1. Read YAML
-                function localTrim(str) {
-                    return str.replace(/^\s+|\s+$/g, '');
-                }
-        
-                function parseYaml(yamlString) {
-                    if (!yamlString) return {};
-                
-                    // Retire un éventuel front-matter délimité par --- ... ---
-                    // (gère \n et \r\n)
-                    var s = String(yamlString);
-                    var m = s.match(/^\s*---\s*\r?\n([\s\S]*?)\r?\n---\s*$/);
-                    var body = m ? m[1] : s;
-                
-                    try {
-                        return YAMLParser.parse(body);
-                    } catch (e) {
-                        // Sécurise en cas d’erreur de parsing pour ne pas bloquer l’exécution
-                        try {
-                            if (typeof LogManager !== "undefined" && LogManager.logError) {
-                                LogManager.logError("YAML parse error in _injectMarkdownContent: " + e);
-                            }
-                        } catch (_e) {}
-                        return {};
-                    }
-                }
+        var MONTHS = {
+            en: {
+                "long": ["January", "February", "March", "April", "May", "June",
+                       "July", "August", "September", "October", "November", "December"],
+                "short": ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+            },
+            fr: {
+                "long": ["janvier", "f\u00E9vrier", "mars", "avril", "mai", "juin",
+                       "juillet", "ao\u00FBt", "septembre", "octobre", "novembre", "d\u00E9cembre"],
+                "short": ["janv.", "f\u00E9vr.", "mars", "avr.", "mai", "juin",
+                        "juil.", "ao\u00FBt", "sept.", "oct.", "nov.", "d\u00E9c."]
+            }
+        };
         
-                // Read YAML file content
-                yamlFile.open("r");
-                var yamlContent = yamlFile.read();
-                yamlFile.close();
+        /**
+         * Pads a number with zeros
+         * @param {number} value - Number to pad
+         * @param {number} length - Minimum length
+         * @return {string} Padded number
+         * @private
+         */
+        function pad(value, length) {
+            var text = String(value);
+            while (text.length < length) text = "0" + text;
+            return text;
+        }
         
-                var yamlData = parseYaml(yamlContent);
-                var inputFiles = this._getAllMarkdownFilesFromFolder();
-                
-                // Base directory of YAML file
-                var configDir = yamlFile.parent;
-                
-                // Determine project root directory
-                var projectDir;
-                var configDirName = configDir.name.toLowerCase();
-                
-                // Check if YAML is in a subdirectory or at root
-                if (configDirName === "config" || configDirName === "configs" || configDirName === "metadata") {
-                    // YAML is in a config subdirectory, project is parent
-                    projectDir = configDir.parent;
-                } else {
-                    // YAML is likely at project root
-                    projectDir = configDir;
-                }
-                
-                // Define possible text folder names with different conventions
-                var textFolderVariants = ["text", "Text", "texts", "Texts", "texte", "Texte", "textes", "Textes", "md", "MD", "markdown", "Markdown"];
-                
-                // Create an array to store all searchable text folders
-                var textFolders = [];
-                
-                // Check for each variant if the folder exists
-                for (var v = 0; v < textFolderVariants.length; v++) {
-                    var folderVariant = new Folder(projectDir.fsName + "/" + textFolderVariants[v]);
-                    if (folderVariant.exists) {
-                        textFolders.push(folderVariant);
-                    }
+        /**
+         * Formats an ISO date (yyyy, yyyy-MM or yyyy-MM-dd)
+         * @param {string} value - Date text
+         * @param {string} format - Pattern with yyyy, yy, MMMM, MMM, MM, M, dd, d and 'quoted text'
+         * @param {string} [lang] - Language of the month names
+         * @return {string} Formatted date, or the value unchanged when it is not an ISO date
+         *                  or lacks a part used by the pattern
+         * @private
+         */
+        function formatDate(value, format, lang) {
+            var match = trim(value).match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?(?:[T ].*)?$/);
+            if (!match) return value;
+            
+            var year = parseInt(match[1], 10);
+            var month = match[2] ? parseInt(match[2], 10) : 0;
+            var day = match[3] ? parseInt(match[3], 10) : 0;
+            var names = MONTHS[String(lang || "").toLowerCase().split(/[-_]/)[0]] || MONTHS.en;
+            
+            if (month > 12 || day > 31) return value;
+            if ((!month && /M/.test(format.replace(/'[^']*'/g, ""))) ||
+                (!day && /d/.test(format.replace(/'[^']*'/g, "")))) {
+                return value;
+            }
+            
+            return format.replace(/'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d/g, function(token) {
+                switch (token) {
+                    case "yyyy": return pad(year, 4);
+                    case "yy": return pad(year % 100, 2);
+                    case "MMMM": return names["long"][month - 1];
+                    case "MMM": return names["short"][month - 1];
+                    case "MM": return pad(month, 2);
+                    case "M": return String(month);
+                    case "dd": return pad(day, 2);
+                    case "d": return String(day);
+                    default: return token.substr(1, token.length - 2);
                 }
+            });
+        }
         
-                if (!inputFiles || inputFiles.length === 0) {
-                    alert("No Markdown files found in text folder for auto-injection.");
-                    return false;
-                }
+        /**
+         * Applies a filter to a value
+         * @param {string} value - Value as text
+         * @param {string} filter - Filter name
+         * @param {string} arg - Filter argument, empty when there is none
+         * @param {Object} options - Render options (language)
+         * @return {string} Filtered value
+         * @private
+         */
+        function applyFilter(value, filter, arg, options) {
+            switch (filter) {
+                case "upper":
+                    return value.toUpperCase();
+                case "lower":
+                    return value.toLowerCase();
+                case "capitalize":
+                    return value.charAt(0).toUpperCase() + value.substr(1);
+                case "smallcaps":
+                    // Applied by the inline Markdown formatting of the frame
+                    return value === "" ? "" : "[" + value + "]{.smallcaps}";
+                case "date":
+                    return value === "" ? "" : formatDate(value, arg || "yyyy-MM-dd", options.language);
+                case "default":
+                    return trim(value) === "" ? arg : value;
+                default:
+                    $.writeln("Warning: Unknown placeholder filter: " + filter);
+                    return value;
+            }
+        }
         
-                // 2. Find matching Markdown file
-                var docName = doc.name;
-                // Utiliser l'index du chapitre pour le matching (si fourni)
-                var mdFileName;
-                if (typeof chapterIndex !== "undefined" && chapterIndex !== null) {
-                    mdFileName = this._findMatchingMarkdownFile(chapterIndex, inputFiles);
+        /**
+         * Splits a placeholder expression into its name and filters
+         * @param {string} expression - Text between << and >>, such as Book_Title|date:"MMMM yyyy"
+         * @return {Object} Object with name, filters ({name, arg}) and optional (trailing question mark)
+         * @private
+         */
+        function parseExpression(expression) {
+            var parts = [];
+            var current = "";
+            var quote = null;
+            
+            for (var i = 0; i < expression.length; i++) {
+                var c = expression.charAt(i);
+                if (quote) {
+                    if (c === quote) quote = null;
+                    current += c;
+                } else if (c === '"' || c === "'") {
+                    quote = c;
+                    current += c;
+                } else if (c === "|") {
+                    parts.push(current);
+                    current = "";
                 } else {
-                    // Fallback : essayer de déduire l'index depuis le nom du document
-                    var chapterMatch = doc.name.match(/_(\d+)\.indd$/);
-                    if (chapterMatch) {
-                        var deducedIndex = parseInt(chapterMatch[1], 10) - 1;
-                        mdFileName = this._findMatchingMarkdownFile(deducedIndex, inputFiles);
-                    } else {
-                        return false;
-                    }
+                    current += c;
                 }
-                if (!mdFileName) {
-                    // Return silently without error
-                    return false;
+            }
+            parts.push(current);
+            
+            var last = trim(parts[parts.length - 1]);
+            var optional = last.charAt(last.length - 1) === "?";
+            if (optional) parts[parts.length - 1] = last.substr(0, last.length - 1);
+            
+            var filters = [];
+            for (var f = 1; f < parts.length; f++) {
+                var filter = parts[f].match(/^\s*([\w-]+)\s*(?::\s*("([^"]*)"|'([^']*)'|(.*?)))?\s*$/);
+                if (filter) {
+                    var arg = filter[3] !== undefined && filter[3] !== "" ? filter[3] :
+                              (filter[4] !== undefined && filter[4] !== "" ? filter[4] : (filter[5] || ""));
+                    filters.push({ name: filter[1], arg: arg });
                 }
+            }
+            
+            return { name: trim(parts[0]), filters: filters, optional: optional };
+        }
         
-                // Search for the file in possible locations (by priority order)
-                var mdFile = null;
-                var searchLocations = [];
+        /**
+         * Tells whether filters include a default value
+         * @param {Array} filters - Filters from parseExpression
+         * @return {boolean} True when one of the filters is default
+         * @private
+         */
+        function hasDefault(filters) {
+            for (var i = 0; i < filters.length; i++) {
+                if (filters[i].name === "default") return true;
+            }
+            return false;
+        }
+        
+        /**
+         * Finds the control tags of conditional sections (<<#if name>>, <<else>>, <</if>>)
+         * A control tag alone on its line covers the line and its line break.
+         * @param {string} text - Template text
+         * @return {Array} Tags {type: 'if'|'else'|'endif', name, start, end}
+         * @private
+         */
+        function tokenize(text) {
+            var tags = [];
+            var pattern = /<<\s*(?:#if\s+([^<>]+?)|(else)|(\/if))\s*>>/g;
+            var position = 0;
+            var match;
+            
+            while ((match = pattern.exec(text)) !== null) {
+                var start = match.index;
+                var end = start + match[0].length;
                 
-                // 1. First look in all text folder variants
-                for (var t = 0; t < textFolders.length; t++) {
-                    var textFolderPath = textFolders[t].fsName + "/" + mdFileName;
-                    var textFolderFile = File(textFolderPath);
-                    searchLocations.push(textFolderPath);
-                    
-                    if (textFolderFile.exists) {
-                        mdFile = textFolderFile;
-                        break; // Exit loop if file is found
-                    }
-                }
+                // Standalone tag: only spaces around it on its line
+                var lineStart = start;
+                while (lineStart > 0 && /[ \t]/.test(text.charAt(lineStart - 1))) lineStart--;
+                var lineEnd = end;
+                while (lineEnd < text.length && /[ \t]/.test(text.charAt(lineEnd))) lineEnd++;
+                var atLineStart = lineStart === 0 || /[\r\n]/.test(text.charAt(lineStart - 1));
+                var atLineEnd = lineEnd === text.length || /[\r\n]/.test(text.charAt(lineEnd));
                 
-                // If not found in text folders, continue with other locations
-                if (!mdFile) {
-                    // 2. Look in the same folder as the YAML (previous behavior)
-                    var configDirPath = configDir.fsName + "/" + mdFileName;
-                    var configDirFile = File(configDirPath);
-                    searchLocations.push(configDirPath);
-                    
-                    if (configDirFile.exists) {
-                        mdFile = configDirFile;
+                if (atLineStart && atLineEnd && lineStart >= position) {
+                    start = lineStart;
+                    if (lineEnd < text.length) {
+                        end = lineEnd + (text.substr(lineEnd, 2) === "\r\n" ? 2 : 1);
                     } else {
-                        // 3. Look in the project root folder
-                        var projectDirPath = projectDir.fsName + "/" + mdFileName;
-                        var projectDirFile = File(projectDirPath);
-                        searchLocations.push(projectDirPath);
-                        
-                        if (projectDirFile.exists) {
-                            mdFile = projectDirFile;
+                        end = lineEnd;
+                        // Last line: its preceding line break goes instead
+                        if (start > position && /[\r\n]/.test(text.charAt(start - 1))) {
+                            start -= text.substr(start - 2, 2) === "\r\n" && start - 2 >= position ? 2 : 1;
                         }
                     }
                 }
                 
-                // If not found, display a multilingual error
-                if (!mdFile) {
-                    var searchPathsMsg = "";
-                    for (var i = 0; i < searchLocations.length; i++) {
-                        searchPathsMsg += "\n- " + searchLocations[i];
-                    }
-                    
-                    // Use I18n to display a localized error message
-                    alert(I18n.__('markdownFileNotFound', mdFileName) + 
-                          "\n\n" + I18n.__('searchLocations', searchPathsMsg));
-                    return false;
-                }
-        
-                // IMPORTANT: Read Markdown file in binary mode to preserve line breaks exactly
-                mdFile.encoding = "UTF-8"; // First set encoding for proper character handling
-                mdFile.open("r");
-                var mdContent = mdFile.read();
-                mdFile.close();
-        
-                // 3. Find target text frame
-                var targetFrame = this._findTargetTextFrame(doc);
-                if (!targetFrame) {
-                    alert(I18n.__('noTextFrameFound'));
-                    return false;
-                }
-        
-                // 4. Inject content with preserved line breaks
-                // Remove epub:type attributes (with optional spaces) and convert line breaks
-                var cleanedContent = mdContent.replace(/\s*\{epub\s*:\s*type\s*=\s*[^}]+\}/gi, "");
-                // CRITICAL: Use \r instead of \n for InDesign line breaks
-                targetFrame.contents = cleanedContent.replace(/\n/g, "\r");
-                
-                // 5. Extract first H1 title and replace <<Document_Title>>
-                try {
-                    // Find first H1 title in text frame
-                    app.findGrepPreferences = app.changeGrepPreferences = null;
-                    app.findGrepPreferences.findWhat = "^#\\s+(.+?)$";
-                    var h1Finds = doc.findGrep();
-                    
-                    if (h1Finds.length > 0) {
-                        // Extract title text without initial #
-                        var titleText = h1Finds[0].contents.replace(/^#\s+/, "");
-                        
-                        // Trim spaces manually
-                        titleText = titleText.replace(/^\s+|\s+$/g, "");
-                        
-                        // Clean up the title
-                        titleText = titleText.replace(/\\/g, ""); // Remove backslashes
-                        titleText = titleText.replace(/\s*\[\^[\w\d]+\]\s*/g, ""); // Remove footnote references
-                        titleText = titleText.replace(/[*_~]/g, ""); // Remove formatting markers (bold, italic, strikethrough)
-                        titleText = titleText.replace(/\s{2,}/g, " "); // Replace multiple spaces with a single space
-                        
-                        // Replace <<Document_Title>> throughout document
-                        app.findTextPreferences = app.changeTextPreferences = null;
-                        app.findTextPreferences.findWhat = "<<Document_Title>>";
-                        app.changeTextPreferences.changeTo = titleText;
-                        doc.changeText();
-                    }
-                } catch(e) {
-                    // Ignore errors to avoid blocking main process
+                if (match[1] !== undefined && match[1] !== "") {
+                    tags.push({ type: "if", name: trim(match[1]), start: start, end: end });
+                } else {
+                    tags.push({ type: match[2] ? "else" : "endif", start: start, end: end });
                 }
-                
-                return true;
-                
-            } catch (e) {
-                alert("Error injecting Markdown: " + e.message + "\n" + e.line);
-                return false;
+                position = end;
             }
-        };
+            
+            return tags;
+        }
         
         /**
-         * Finds matching Markdown file based on chapter index (Pandoc approach)
-         * @param {number} chapterIndex - Index of current chapter (0-based)
-         * @param {Array} mdFiles - List of Markdown filenames
-         * @return {string|null} Matching Markdown filename or null
+         * Builds the tree of conditional sections
+         * @param {Array} tags - Tags from tokenize
+         * @return {Array|null} Sections {name, open, middle, close, then, otherwise}, null when tags do not match
          * @private
          */
-        this._findMatchingMarkdownFile = function(chapterIndex, mdFiles) {
-            if (!mdFiles || !isArray(mdFiles) || mdFiles.length === 0) {
-                return null;
-            }
+        function buildTree(tags) {
+            var root = [];
+            var stack = [{ children: root }];
             
-            // Filtrer les fichiers MD valides
-            var validFiles = [];
-            for (var i = 0; i < mdFiles.length; i++) {
-                var file = mdFiles[i];
-                // Accepter les chaînes ET les nombres, convertir en chaîne  
-                if (file && (typeof file === "string" || typeof file === "number") && String(file) !== "") {
-                    validFiles.push(String(file));
+            for (var i = 0; i < tags.length; i++) {
+                var tag = tags[i];
+                var top = stack[stack.length - 1];
+                
+                if (tag.type === "if") {
+                    var section = { name: tag.name, open: tag, middle: null, close: null, then: [], otherwise: [] };
+                    top.children.push(section);
+                    stack.push({ section: section, children: section.then });
+                } else if (tag.type === "else") {
+                    if (!top.section || top.section.middle) return null;
+                    top.section.middle = tag;
+                    top.children = top.section.otherwise;
+                } else {
+                    if (!top.section) return null;
+                    top.section.close = tag;
+                    stack.pop();
                 }
             }
             
-            // Tri alphabétique (comme Pandoc)
-            validFiles.sort();
-            
-            // Retourner le fichier correspondant à l'index
-            if (chapterIndex >= 0 && chapterIndex < validFiles.length) {
-                return validFiles[chapterIndex];
+            return stack.length === 1 ? root : null;
+        }
+        
+        /**
+         * Marks the tags and the branches not chosen as removed
+         * @param {Array} sections - Sections from buildTree
+         * @param {Function} resolve - Returns the value of a name, undefined when unknown
+         * @param {Array} removed - Removed flag of each character, updated
+         * @private
+         */
+        function markSections(sections, resolve, removed) {
+            for (var i = 0; i < sections.length; i++) {
+                var section = sections[i];
+                var value = resolve(section.name);
+                var isSet = value !== undefined && value !== null && trim(String(value)) !== "";
+                
+                // Range of the chosen branch, between its tags
+                var from = isSet ? section.open.end : (section.middle ? section.middle.end : section.close.start);
+                var to = isSet ? (section.middle ? section.middle.start : section.close.start) : section.close.start;
+                
+                for (var c = section.open.start; c < section.close.end; c++) {
+                    if (c < from || c >= to) removed[c] = true;
+                }
+                markSections(isSet ? section.then : section.otherwise, resolve, removed);
             }
-            
-            return null;
-        };
+        }
         
         /**
-         * Finds target text frame for content injection
-         * @param {Document} doc - InDesign document
-         * @return {TextFrame|null} Target text frame or null
+         * Marks the lines holding an empty optional placeholder as removed
+         * @param {string} text - Text left by the conditional sections
+         * @param {Array} positions - Position in the template of each character of text
+         * @param {Array} indexes - Index in text of each empty optional placeholder
+         * @param {Array} removed - Removed flag of each template character, updated
          * @private
          */
-        this._findTargetTextFrame = function(doc) {
-            // First, look for frame with "content" label
-            var pages = doc.pages;
-            for (var i = 0; i < pages.length; i++) {
-                var frames = pages[i].textFrames;
-                for (var j = 0; j < frames.length; j++) {
-                    try {
-                        if (frames[j].label === "content" || frames[j].label === "contenu") {
-                            return frames[j];
-                        }
-                    } catch(e) {}
+        function markEmptyLines(text, positions, indexes, removed) {
+            var lines = [];
+            var start = 0;
+            for (var i = 0; i <= text.length; i++) {
+                var c = text.charAt(i);
+                if (i === text.length || c === "\r" || c === "\n") {
+                    lines.push({ start: start, end: i, next: i < text.length ? i + 1 : i, empty: false });
+                    start = i + 1;
                 }
             }
             
-            // If not found, use first text frame
-            if (doc.pages.length > 0 && doc.pages[0].textFrames.length > 0) {
-                return doc.pages[0].textFrames[0];
+            for (var e = 0; e < indexes.length; e++) {
+                for (var l = 0; l < lines.length; l++) {
+                    if (indexes[e] >= lines[l].start && indexes[e] <= lines[l].end) lines[l].empty = true;
+                }
             }
             
-            return null;
-        };
+            var previous = null;
+            for (var k = 0; k < lines.length; k++) {
+                var line = lines[k];
+                if (!line.empty) {
+                    previous = line;
+                    continue;
+                }
+                
+                var from = line.start;
+                var to = line.next;
+                if (k === lines.length - 1 && previous) {
+                    // The last line is removed with the line break before it
+                    from = previous.end;
+                }
+                for (var p = from; p < to; p++) removed[positions[p]] = true;
+            }
+        }
         
         /**
-         * Auto-discovers all Markdown files in the text folder
-         * @return {Array} Sorted list of Markdown filenames
-         * @private
+         * Computes the changes rendering placeholders in template text
+         * 
+         * Placeholders are written <<Name>>, with filters <<Name|upper>>,
+         * <<Name|date:"MMMM yyyy">> or <<Name|default:"...">>, and a trailing question
+         * mark (<<Name?>>) removes their line when they are empty. Sections between
+         * <<#if Name>> and <</if>>, with an optional <<else>>, are kept only when the
+         * value is not empty; they may span several paragraphs and be nested.
+         * 
+         * The changes only cover placeholders, tags and removed lines, so that the
+         * rest of the text can be left untouched.
+         * 
+         * @param {string} text - Template text
+         * @param {Function} resolve - Returns the value of a name, undefined when unknown
+         * @param {Object} [options] - Render options
+         * @param {string} [options.language] - Book language, for month names
+         * @return {Array} Changes {start, end, text} in text order, without overlaps, with the
+         *                 placeholder as written for replaced placeholders; unknown placeholders
+         *                 are left as written unless optional or given a default
          */
-        this._getAllMarkdownFilesFromFolder = function() {
-            if (!this.markdownOptions || !this.markdownOptions.yamlPath) {
-                return [];
+        function getEdits(text, resolve, options) {
+            var opts = options || {};
+            var removed = [];
+            var i;
+            
+            for (i = 0; i < text.length; i++) removed[i] = false;
+            
+            var tree = buildTree(tokenize(text));
+            if (tree) {
+                markSections(tree, resolve, removed);
+            } else {
+                $.writeln("Warning: Unmatched <<#if>>, <<else>> or <</if>> in: " + text.substr(0, 60));
             }
             
-            try {
-                var yamlFile = File(this.markdownOptions.yamlPath);
-                if (!yamlFile.exists) return [];
-                
-                var configDir = yamlFile.parent;
-                var projectDir;
-                var configDirName = configDir.name.toLowerCase();
+            // Text left by the sections, with the template position of each character
+            var kept = "";
+            var positions = [];
+            for (i = 0; i < text.length; i++) {
+                if (removed[i]) continue;
+                kept += text.charAt(i);
+                positions.push(i);
+            }
+            
+            var replacements = [];
+            var emptyIndexes = [];
+            var pattern = /<<((?:[^<>"'\r\n\uFFFC]|"[^"]*"|'[^']*')+)>>/g;
+            var match;
+            
+            while ((match = pattern.exec(kept)) !== null) {
+                var first = match.index;
+                var last = first + match[0].length - 1;
                 
-                // Determine project root directory
-                if (configDirName === "config" || configDirName === "configs" || configDirName === "metadata") {
-                    projectDir = configDir.parent;
-                } else {
-                    projectDir = configDir;
-                }
+                // A placeholder split by a removed section is left as written
+                if (positions[last] - positions[first] !== last - first) continue;
                 
-                var textFolderVariants = ["text", "Text", "texts", "Texts", "texte", "Texte", "textes", "Textes", "md", "MD", "markdown", "Markdown"];
-                var allFiles = [];
+                var parsed = parseExpression(match[1]);
+                if (/^(#|\/|else$)/.test(parsed.name)) continue;
                 
-                // Search in all possible text folder variants
-                for (var v = 0; v < textFolderVariants.length; v++) {
-                    var folderVariant = new Folder(projectDir.fsName + "/" + textFolderVariants[v]);
-                    if (folderVariant.exists) {
-                        var files = folderVariant.getFiles("*.md");
-                        for (var f = 0; f < files.length; f++) {
-                            if (files[f] instanceof File) {
-                                allFiles.push(files[f].name);
-                            }
-                        }
-                        break; // Use first text folder found
-                    }
+                var value = resolve(parsed.name);
+                if (value === undefined && !parsed.optional && !hasDefault(parsed.filters)) {
+                    // Unknown placeholders are left for the user to see
+                    continue;
                 }
                 
-                // If no specialized folder found, search in project root
-                if (allFiles.length === 0) {
-                    var rootFiles = projectDir.getFiles("*.md");
-                    for (var r = 0; r < rootFiles.length; r++) {
-                        if (rootFiles[r] instanceof File) {
-                            allFiles.push(rootFiles[r].name);
-                        }
-                    }
+                value = value === undefined || value === null ? "" : String(value);
+                for (var f = 0; f < parsed.filters.length; f++) {
+                    value = applyFilter(value, parsed.filters[f].name, parsed.filters[f].arg, opts);
                 }
                 
-                // Sort alphabetically like Pandoc
-                allFiles.sort();
-                
-                return allFiles;
-                
-            } catch (e) {
-                return [];
-            }
-        };
-        
-        /**
-         * Classifies templates by alphabetical order relative to core templates
-         * @param {Folder} templateFolder - Template folder
-         * @return {Object} Classified templates
-         * @private
-         */
-        this._classifyTemplatesByOrder = function(templateFolder) {
-            var templates = {
-                before: [],
-                frontmatter: null,
-                bodymatter: null,
-                backmatter: null,
-                after: [],
-                cover: null,
-                specialized: [] // Nouveau: templates spécialisés
-            };
-            
-            if (!templateFolder || !templateFolder.exists) return templates;
-            
-            var files = templateFolder.getFiles("*.indd");
-            var sortedFiles = [];
-            
-            // Convert to array and sort alphabetically
-            for (var i = 0; i < files.length; i++) {
-                sortedFiles.push(files[i]);
-            }
-            sortedFiles.sort(function(a, b) {
-                return a.name.toLowerCase() < b.name.toLowerCase() ? -1 : 1;
-            });
-            
-            var frontmatterFound = false;
-            var bodymatterFound = false;
-            var backmatterFound = false;
-            
-            for (var j = 0; j < sortedFiles.length; j++) {
-                var file = sortedFiles[j];
-                var filename = file.name.toLowerCase();
-                
-                if (filename.indexOf('cover') !== -1) {
-                    templates.cover = file;
-                } else if (filename.indexOf('frontmatter') !== -1) {
-                    templates.frontmatter = file;
-                    frontmatterFound = true;
-                } else if (filename.indexOf('bodymatter') !== -1) {
-                    templates.bodymatter = file;
-                    bodymatterFound = true;
-                } else if (filename.indexOf('backmatter') !== -1) {
-                    templates.backmatter = file;
-                    backmatterFound = true;
-                } else {
-                    // Check if it's a specialized template (contains specific keywords)
-                    var isSpecialized = this._isSpecializedTemplate(filename);
-                    
-                    if (isSpecialized) {
-                        templates.specialized.push(file);
-                    } else {
-                        // Classify as before/after based on alphabetical position
-                        if (!frontmatterFound) {
-                            templates.before.push(file);
-                        } else if (bodymatterFound || backmatterFound) {
-                            templates.after.push(file);
-                        } else {
-                            // Between frontmatter and backmatter, add to before
-                            templates.before.push(file);
-                        }
-                    }
-                }
-            }
-            
-            return templates;
-        };
-        
-        /**
-         * Checks if a template is specialized (contains specific content keywords)
-         * @param {string} filename - Template filename
-         * @return {boolean} True if template is specialized
-         * @private
-         */
-        this._isSpecializedTemplate = function(filename) {
-            var specializedKeywords = [
-                'bibliographie', 'bibliography', 'biblio',
-                'index', 'indexes', 'indices',
-                'annexe', 'appendix', 'appendices',
-                'glossaire', 'glossary',
-                'preface', 'préface',
-                'conclusion', 'epilogue', 'épilogue',
-                'remerciements', 'acknowledgments',
-                'dedication', 'dédicace',
-                'colophon',
-                'notes'
-            ];
-            
-            for (var k = 0; k < specializedKeywords.length; k++) {
-                if (filename.indexOf(specializedKeywords[k]) !== -1) {
-                    return true;
+                if (value === "" && parsed.optional) {
+                    emptyIndexes.push(first);
+                    continue;
                 }
+                replacements.push({ start: positions[first], end: positions[last] + 1, text: value, placeholder: match[0] });
             }
             
-            return false;
-        };
-        
-        /**
-         * Determines template type based on Markdown filename content
-         * @param {string} mdFileName - Markdown filename
-         * @return {string} Template type: 'frontmatter', 'bodymatter', or 'backmatter'
-         * @private
-         */
-        this._determineTemplateType = function(mdFileName) {
-            var filename = mdFileName.toLowerCase();
-            
-            // Frontmatter keywords
-            var frontmatterKeywords = [
-                'prologue', 'abstract', 'acknowledgments', 'copyright', 'dedication', 
-                'credits', 'imprint', 'foreword', 'preface', 'introduction',
-                'avant-propos', 'préface', 'dédicace', 'remerciements', 'crédits'
-            ];
-            
-            // Backmatter keywords
-            var backmatterKeywords = [
-                'appendix', 'colophon', 'bibliography', 'index', 'conclusion',
-                'annexe', 'bibliographie', 'glossaire', 'épilogue', 'postface'
-            ];
-            
-            // Bodymatter keywords  
-            var bodymatterKeywords = [
-                'chapter', 'chapitre', 'part', 'partie'
-            ];
-            
-            // Check each category
-            for (var i = 0; i < frontmatterKeywords.length; i++) {
-                if (filename.indexOf(frontmatterKeywords[i]) !== -1) {
-                    return 'frontmatter';
-                }
-            }
+            if (emptyIndexes.length > 0) markEmptyLines(kept, positions, emptyIndexes, removed);
             
-            for (var j = 0; j < backmatterKeywords.length; j++) {
-                if (filename.indexOf(backmatterKeywords[j]) !== -1) {
-                    return 'backmatter';
+            // Removed runs, then the replacements that are not inside them
+            var edits = [];
+            i = 0;
+            while (i < text.length) {
+                if (!removed[i]) {
+                    i++;
+                    continue;
                 }
+                var start = i;
+                while (i < text.length && removed[i]) i++;
+                edits.push({ start: start, end: i, text: "" });
             }
-            
-            for (var k = 0; k < bodymatterKeywords.length; k++) {
-                if (filename.indexOf(bodymatterKeywords[k]) !== -1) {
-                    return 'bodymatter';
-                }
+            for (var r = 0; r < replacements.length; r++) {
+                if (!removed[replacements[r].start]) edits.push(replacements[r]);
             }
             
-            // Default fallback
-            return 'bodymatter';
-        };
+            edits.sort(function(a, b) { return a.start - b.start; });
+            return edits;
+        }
         
         /**
-         * Selects the best template for a Markdown file with priority matching
-         * @param {string} mdFileName - Markdown filename
-         * @param {string} templateType - Detected template type
-         * @return {File|null} Best matching template
-         * @private
+         * Renders placeholders in template text (see getEdits)
+         * @param {string} text - Template text
+         * @param {Function} resolve - Returns the value of a name, undefined when unknown
+         * @param {Object} [options] - Render options (see getEdits)
+         * @return {string} Rendered text
          */
-        this._selectBestTemplate = function(mdFileName, templateType) {
-            if (!mdFileName) return this.templates.bodymatter;
-            
-            // Extract keywords from MD filename (remove numbers and extension)
-            var mdKeywords = this._extractKeywords(mdFileName);
-            
-            // Build list of all available templates with their keywords
-            var allTemplates = [];
-            
-            // Add templates from all categories
-            if (this.templates.frontmatter) {
-                allTemplates.push({
-                    file: this.templates.frontmatter,
-                    type: 'frontmatter',
-                    keywords: this._extractKeywords(this.templates.frontmatter.name)
-                });
-            }
-            
-            if (this.templates.bodymatter) {
-                allTemplates.push({
-                    file: this.templates.bodymatter,
-                    type: 'bodymatter', 
-                    keywords: this._extractKeywords(this.templates.bodymatter.name)
-                });
-            }
-            
-            if (this.templates.backmatter) {
-                allTemplates.push({
-                    file: this.templates.backmatter,
-                    type: 'backmatter',
-                    keywords: this._extractKeywords(this.templates.backmatter.name)
-                });
-            }
-            
-            // Add all before templates
-            for (var b = 0; b < this.templates.before.length; b++) {
-                allTemplates.push({
-                    file: this.templates.before[b],
-                    type: 'before',
-                    keywords: this._extractKeywords(this.templates.before[b].name)
-                });
-            }
-            
-            // Add all specialized templates
-            for (var s = 0; s < this.templates.specialized.length; s++) {
-                allTemplates.push({
-                    file: this.templates.specialized[s],
-                    type: 'specialized',
-                    keywords: this._extractKeywords(this.templates.specialized[s].name)
-                });
-            }
-            
-            // Find best match based on keyword similarity
-            var bestMatch = null;
-            var bestScore = 0;
-            
-            for (var t = 0; t < allTemplates.length; t++) {
-                var template = allTemplates[t];
-                var score = this._calculateMatchScore(mdKeywords, template.keywords, template.type, templateType);
-                
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestMatch = template.file;
-                }
-            }
-            
-            // Si on a trouvé un match spécialisé avec un bon score, l'utiliser
-            if (bestMatch && bestScore >= 60) {
-                return bestMatch;
-            }
-            
-            // Sinon, utiliser la logique de fallback par type
-            if (templateType === 'frontmatter' && this.templates.frontmatter) {
-                return this.templates.frontmatter;
-            } else if (templateType === 'backmatter' && this.templates.backmatter) {
-                return this.templates.backmatter;
-            } else {
-                return this.templates.bodymatter;
+        function render(text, resolve, options) {
+            var edits = getEdits(text, resolve, options);
+            var result = text;
+            for (var i = edits.length - 1; i >= 0; i--) {
+                result = result.substr(0, edits[i].start) + edits[i].text + result.substr(edits[i].end);
             }
-        };
+            return result;
+        }
         
-        /**
-         * Extracts meaningful keywords from a filename
-         * @param {string} filename - Filename to process
-         * @return {Array} Array of keywords
-         * @private
+        // Public API
+        return {
+            getEdits: getEdits,
+            render: render,
+            formatDate: formatDate
+        };
+    })();
+    
+    /**
+     * @namespace I18n
+     * @description Internationalization module for UI translations
+     */
+    var I18n = (function() {
+        // Current language
+        var currentLanguage = detectInDesignLanguage();
+        
+        // Translation dictionaries
+        var translations = {
+            'en': {
+                // Main interface
+                'title': 'BookCreator v%s',
+                'fileNamePrefix': 'File name prefix:',
+                'chapterCount': 'Number of chapters:',
+                'templates': 'Templates',
+                'chapterTemplate': 'Chapter Template',
+                'beforeTemplate': 'Template Before Chapters',
+                'afterTemplate': 'Template After Chapters',
+                'coverTemplate': 'Cover Template',
+                'noFileSelected': 'No file selected.',
+                'filesSelected': '%d files selected.',
+                'bookInformation': 'Book Information',
+                'injectMarkdown': 'Inject Markdown',
+                'cancel': 'Cancel',
+                'createBook': 'Create Book',
+                'chooseDestionationFolder': 'Choose destination folder',
+                'bookSuffix': 'Book',
+                
+                // Book information window
+                'bookAuthor': 'Book Author:',
+                'bookTitle': 'Book Title:',
+                'subtitle': 'Subtitle:',
+                'isbnPrint': 'ISBN Print:',
+                'isbnEbook': 'ISBN Ebook:',
+                'issn': 'ISSN:',
+                'issue': 'Issue:',
+                'price': 'Price:',
+                'originalTitle': 'Original Title:',
+                'prefix': 'Prefix',
+                'printDate': 'Print Date:',
+                'critical': 'Critical Apparatus:',
+                'translation': 'Translation:',
+                'coverCredit': 'Cover Credit:',
+                'editions': 'Editions:',
+                'funding': 'Funding:',
+                'rights': 'Rights / License:',
+                'importYAML': 'Import YAML',
+                'exportYAML': 'Export YAML',
+                'save': 'Save',
+                'markdownDetection': 'Markdown Detection:',
+                'inputFilesDetected': 'input-files detected',
+                'inputFilesNotDetected': 'input-files not detected',
+                'noYAMLLoaded': 'No YAML file loaded',
+                'missingFiles': '%d missing',
+                'noMarkdownFiles': 'No Markdown files found in text folder or input-files.',
+                'inputFileMissing': 'File listed in input-files not found: %s',
+                'inputFileUnlisted': 'Markdown file not listed in input-files, skipped: %s',
+                'metadataFileNotFound': 'Metadata file not found: %s',
+                'yamlErrors': 'YAML errors (nothing was imported)',
+                'yamlDiagnostic': '%s line %d, column %d: %s (expected %s)',
+                'imageNotFound': 'Image %s not found (%s), its description is left in the text.',
+                'chapterTemplateNotFound': 'Template "%s" requested by %s not found, the default template is used.',
+                'updateBook': 'Update Book...',
+                'chooseBookToUpdate': 'Choose the book to update',
+                'bookUpdated': 'Book updated: %s documents, %s texts and barcodes changed.',
+                'bookDocumentNotFound': 'Book document not found: %s',
+                'boundPlaceholderUnknown': 'The value of %s in %s is unknown, its text is left unchanged.',
+                'boundBarcodeInvalid': 'No valid ISBN for %s in %s, the barcode is left unchanged.',
+                'barcodeFontMissing': 'Barcode font %s is not installed, the digits use %s.',
+                'barcodeSwatchMissing': 'Barcode swatch %s not found in %s, the barcode uses Black.',
+                'barcodeSizeInvalid': 'Barcode size %s is not SC0 to SC9 or 80% to 200%, the barcode fills its frame.',
+                'matrixFieldEmpty': 'No value for %s in %s, it is left unchanged.',
+                
+                // Success and error messages
+                'bookGenerated': 'Book successfully generated!',
+                'yamlImportCompleted': 'YAML import completed.',
+                'yamlExportCompleted': 'YAML export completed.',
+                'fileExists': 'File %s already exists. Do you want to replace it?',
+                'destinationFolderNotExist': 'Destination folder does not exist.',
+                'markdownFileNotFound': 'Markdown file not found: %s',
+                'noTextFrameFound': 'No text frame found in document.',
+                'error': 'Error',
+                'generationWarnings': 'Warnings:',
+                'notesMode': 'Notes:',
+                'notesFootnotes': 'Footnotes',
+                'notesEndnotesChapter': 'Endnotes per chapter',
+                'notesSectionBook': 'Notes section before backmatter',
+                'notesTitle': 'Notes',
+                'undefinedFootnote': 'Footnote [^%s] has no definition in %s.',
+                'unusedFootnote': 'Footnote definition [^%s] is never referenced in %s.',
+                
+                // Default prefixes
+                'originalTitlePrefix': 'Original Title: ',
+                'coverCreditPrefix': 'Cover: ',
+                
+                // Validation
+                'bookNameRequired': 'Book name is required.',
+                'chapterCountPositive': 'Chapter count must be a positive number.',
+                'chapterTemplateRequired': 'A chapter template is required.',
+                'invalidPrintISBN': 'Invalid Print ISBN: %s',
+                'invalidEbookISBN': 'Invalid Ebook ISBN: %s',
+                'invalidISSN': 'Invalid ISSN: %s',
+                
+                // Language selector
+                'languageChanged': 'Language has been changed. Please restart the script to apply changes.'
+            },
+            'fr': {
+                // Main interface
+                'title': 'BookCreator v%s',
+                'fileNamePrefix': 'Pr\u00E9fixe de nom de fichier :',
+                'chapterCount': 'Nombre de chapitres :',
+                'templates': 'Mod\u00E8les',
+                'chapterTemplate': 'Mod\u00E8le de chapitre',
+                'beforeTemplate': 'Mod\u00E8le avant chapitres',
+                'afterTemplate': 'Mod\u00E8le apr\u00E8s chapitres',
+                'coverTemplate': 'Mod\u00E8le de couverture',
+                'noFileSelected': 'Aucun fichier s\u00E9lectionn\u00E9.',
+                'filesSelected': '%d fichiers s\u00E9lectionn\u00E9s.',
+                'bookInformation': 'Informations du livre',
+                'injectMarkdown': 'Injecter Markdown',
+                'cancel': 'Annuler',
+                'createBook': 'Cr\u00E9er le livre',
+                'chooseDestionationFolder': 'Choisir le dossier de destination',
+                'bookSuffix': 'Livre',
+                
+                // Book information window
+                'bookAuthor': 'Auteur du livre :',
+                'bookTitle': 'Titre du livre :',
+                'subtitle': 'Sous-titre :',
+                'isbnPrint': 'ISBN Imprim\u00E9 :',
+                'isbnEbook': 'ISBN Ebook :',
+                'issn': 'ISSN :',
+                'issue': 'Num\u00E9ro :',
+                'price': 'Prix :',
+                'originalTitle': 'Titre original :',
+                'prefix': 'Pr\u00E9fixe',
+                'printDate': 'Date d\'impression :',
+                'critical': 'Appareil critique :',
+                'translation': 'Traduction :',
+                'coverCredit': 'Cr\u00E9dit couverture :',
+                'editions': '\u00C9ditions :',
+                'funding': 'Financement :',
+                'rights': 'Droits / Licence :',
+                'importYAML': 'Importer YAML',
+                'exportYAML': 'Exporter YAML',
+                'save': 'Enregistrer',
+                'markdownDetection': 'D\u00E9tection Markdown :',
+                'inputFilesDetected': 'fichiers d\'entr\u00E9e d\u00E9tect\u00E9s',
+                'inputFilesNotDetected': 'fichiers d\'entr\u00E9e non d\u00E9tect\u00E9s',
+                'noYAMLLoaded': 'Aucun fichier YAML charg\u00E9',
+                'missingFiles': '%d manquants',
+                'noMarkdownFiles': 'Aucun fichier Markdown trouv\u00E9 dans le dossier texte ou input-files.',
+                'inputFileMissing': 'Fichier list\u00E9 dans input-files introuvable : %s',
+                'inputFileUnlisted': 'Fichier Markdown absent de input-files, ignor\u00E9 : %s',
+                'metadataFileNotFound': 'Fichier de m\u00E9tadonn\u00E9es introuvable : %s',
+                'yamlErrors': 'Erreurs YAML (rien n\'a \u00E9t\u00E9 import\u00E9)',
+                'yamlDiagnostic': '%s ligne %d, colonne %d : %s (attendu : %s)',
+                'imageNotFound': 'Image %s introuvable (%s), sa description est laiss\u00E9e dans le texte.',
+                'chapterTemplateNotFound': 'Mod\u00E8le \u00AB %s \u00BB demand\u00E9 par %s introuvable, le mod\u00E8le par d\u00E9faut est utilis\u00E9.',
+                'updateBook': 'Mettre \u00E0 jour le livre...',
+                'chooseBookToUpdate': 'Choisir le livre \u00E0 mettre \u00E0 jour',
+                'bookUpdated': 'Livre mis \u00E0 jour : %s documents, %s textes et codes-barres modifi\u00E9s.',
+                'bookDocumentNotFound': 'Document du livre introuvable : %s',
+                'boundPlaceholderUnknown': 'La valeur de %s dans %s est inconnue, son texte est conserv\u00E9.',
+                'boundBarcodeInvalid': 'Aucun ISBN valide pour %s dans %s, le code-barres est conserv\u00E9.',
+                'barcodeFontMissing': 'La police de code-barres %s n\'est pas install\u00E9e, les chiffres utilisent %s.',
+                'barcodeSwatchMissing': 'Nuance de code-barres %s introuvable dans %s, le code-barres utilise Black.',
+                'barcodeSizeInvalid': 'La taille de code-barres %s n\'est pas SC0 \u00E0 SC9 ou 80 % \u00E0 200 %, le code-barres remplit son bloc.',
+                'matrixFieldEmpty': 'Aucune valeur pour %s dans %s, il est conserv\u00E9.',
+                
+                // Success and error messages
+                'bookGenerated': 'Livre g\u00E9n\u00E9r\u00E9 avec succ\u00E8s !',
+                'yamlImportCompleted': 'Import YAML termin\u00E9.',
+                'yamlExportCompleted': 'Export YAML termin\u00E9.',
+                'fileExists': 'Le fichier %s existe d\u00E9j\u00E0. Voulez-vous le remplacer ?',
+                'destinationFolderNotExist': 'Le dossier de destination n\'existe pas.',
+                'markdownFileNotFound': 'Fichier Markdown non trouv\u00E9 : %s',
+                'noTextFrameFound': 'Aucun cadre de texte trouv\u00E9 dans le document.',
+                'error': 'Erreur',
+                'generationWarnings': 'Avertissements :',
+                'notesMode': 'Notes :',
+                'notesFootnotes': 'Notes de bas de page',
+                'notesEndnotesChapter': 'Notes de fin par chapitre',
+                'notesSectionBook': 'Section de notes avant la fin d\'ouvrage',
+                'notesTitle': 'Notes',
+                'undefinedFootnote': 'La note [^%s] n\'a pas de d\u00E9finition dans %s.',
+                'unusedFootnote': 'La d\u00E9finition de note [^%s] n\'est jamais appel\u00E9e dans %s.',
+                
+                // Default prefixes
+                'originalTitlePrefix': 'Titre original\u2009: ',
+                'coverCreditPrefix': 'Couverture\u2009: ',
+                
+                // Validation
+                'bookNameRequired': 'Le nom du livre est requis.',
+                'chapterCountPositive': 'Le nombre de chapitres doit \u00EAtre un nombre positif.',
+                'chapterTemplateRequired': 'Un mod\u00E8le de chapitre est requis.',
+                'invalidPrintISBN': 'ISBN Imprim\u00E9 invalide : %s',
+                'invalidEbookISBN': 'ISBN Ebook invalide : %s',
+                'invalidISSN': 'ISSN invalide : %s',
+                
+                // Language selector
+                'languageChanged': 'La langue a \u00E9t\u00E9 chang\u00E9e. Veuillez red\u00E9marrer le script pour appliquer les modifications.'
+            }
+        };
+        
+        /**
+         * Gets a translated string with optional substitutions
+         * @param {string} key - Translation key
+         * @param {...*} args - Arguments for substitutions
+         * @return {string} Translated string
+         */
+        function __(key) {
+            var lang = currentLanguage;
+            var langDict = translations[lang] || translations['en'];
+            var str = langDict[key] || translations['en'][key] || key;
+            
+            // If additional arguments are provided, use them for formatting
+            if (arguments.length > 1) {
+                var args = Array.prototype.slice.call(arguments, 1);
+                str = str.replace(/%[sdx]/g, function(match) {
+                    if (!args.length) return match;
+                    var arg = args.shift();
+                    switch (match) {
+                        case '%s': return String(arg);
+                        case '%d': return parseInt(arg, 10);
+                        case '%x': return '0x' + parseInt(arg, 10).toString(16);
+                        default: return match;
+                    }
+                });
+            }
+            
+            return str;
+        }
+        
+        /**
+         * Changes the current language
+         * @param {string} lang - Language code ('fr' or 'en')
+         */
+        function setLanguage(lang) {
+            if (translations[lang]) {
+                currentLanguage = lang;
+            }
+        }
+        
+        /**
+         * Gets the current language
+         * @return {string} Current language code
+         */
+        function getLanguage() {
+            return currentLanguage;
+        }
+        
+        /**
+         * Detects the language of the InDesign interface
+         * @return {string} Language code ('fr' or 'en')
+         */
+        function detectInDesignLanguage() {
+            try {
+                // Debug info to trace execution
+                $.writeln("Attempting to detect InDesign language...");
+                
+                // Get localization string using the full app object
+                var locale = "";
+                
+                // Try different methods to access locale
+                if (typeof app !== 'undefined' && app.hasOwnProperty('locale')) {
+                    locale = String(app.locale);
+                    $.writeln("Detected locale: " + locale);
+                } else if (typeof app !== 'undefined' && app.hasOwnProperty('languageAndRegion')) {
+                    locale = String(app.languageAndRegion);
+                    $.writeln("Detected languageAndRegion: " + locale);
+                } else {
+                    $.writeln("Could not access InDesign locale properties");
+                    return 'en'; // Default to English
+                }
+                
+                // Convert locale to lowercase for case-insensitive comparison
+                locale = locale.toLowerCase();
+                
+                // Debug the detected locale
+                $.writeln("Normalized locale: " + locale);
+                
+                // Check for French locales
+                if (locale.indexOf('fr') !== -1) {
+                    $.writeln("French locale detected, setting language to fr");
+                    return 'fr';
+                } else {
+                    // Default to English for any other locale
+                    $.writeln("Non-French locale detected, setting language to en");
+                    return 'en';
+                }
+            } catch (e) {
+                // Log detailed error information
+                $.writeln("Error detecting language: " + e);
+                $.writeln("Error details: " + e.message);
+                if (e.line) $.writeln("Error line: " + e.line);
+                if (e.stack) $.writeln("Error stack: " + e.stack);
+                
+                // In case of error, use English by default
+                return 'en';
+            }
+        }
+        
+        // Then set current language
+        var currentLanguage = detectInDesignLanguage();
+        
+        // Public API
+        return {
+            __: __,
+            setLanguage: setLanguage,
+            getLanguage: getLanguage,
+            detectLanguage: detectInDesignLanguage
+        };
+    })();
+    
+    /**
+     * ASCII and common Unicode punctuation, as used by Markdown flanking rules
+     * @type {RegExp}
+     * @private
+     */
+    var INLINE_PUNCTUATION = /[!-\/:-@\[-`{-~\u00A1-\u00BF\u2010-\u2027\u2030-\u205E]/;
+
+    /**
+     * Copies a set of inline marks, optionally adding one
+     * @param {Object} marks - Marks to copy
+     * @param {string} [added] - Mark to add to the copy
+     * @return {Object} New marks object
+     * @private
+     */
+    function extendMarks(marks, added) {
+        var result = {};
+        for (var key in marks) {
+            if (marks.hasOwnProperty(key)) result[key] = marks[key];
+        }
+        if (added) result[added] = true;
+        return result;
+    }
+
+    /**
+     * Checks if a marks object has at least one active mark
+     * @param {Object} marks - Marks to check
+     * @return {boolean} True if a mark is set
+     * @private
+     */
+    function hasMarks(marks) {
+        for (var key in marks) {
+            if (marks.hasOwnProperty(key) && marks[key]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks if two marks objects hold the same active marks
+     * @param {Object} a - First marks object
+     * @param {Object} b - Second marks object
+     * @return {boolean} True if both have the same marks
+     * @private
+     */
+    function sameMarks(a, b) {
+        var key;
+        for (key in a) {
+            if (a.hasOwnProperty(key) && !!a[key] !== !!b[key]) return false;
+        }
+        for (key in b) {
+            if (b.hasOwnProperty(key) && !!a[key] !== !!b[key]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Counts consecutive occurrences of a character
+     * @param {string} str - Source string
+     * @param {number} index - Start index
+     * @param {string} ch - Character to count
+     * @return {number} Length of the run
+     * @private
+     */
+    function countRun(str, index, ch) {
+        var count = 0;
+        while (str.charAt(index + count) === ch) count++;
+        return count;
+    }
+
+    /**
+     * Finds the index of the bracket closing the one at the given index
+     * @param {string} str - Source string
+     * @param {number} index - Index of the opening bracket
+     * @return {number} Index of the closing bracket or -1
+     * @private
+     */
+    function findClosingBracket(str, index) {
+        var depth = 0;
+        for (var i = index; i < str.length; i++) {
+            var ch = str.charAt(i);
+            if (ch === "\\") {
+                i++;
+            } else if (ch === "[") {
+                depth++;
+            } else if (ch === "]") {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Finds the end of a Pandoc superscript (^) or subscript (~) span,
+     * which may not contain unescaped whitespace
+     * @param {string} str - Source string
+     * @param {number} start - Index of the first character inside the span
+     * @param {string} ch - Span delimiter
+     * @return {number} Index of the closing delimiter or -1
+     * @private
+     */
+    function findScriptEnd(str, start, ch) {
+        for (var i = start; i < str.length; i++) {
+            var current = str.charAt(i);
+            if (current === "\\") {
+                i++;
+            } else if (/\s/.test(current)) {
+                return -1;
+            } else if (current === ch) {
+                return i > start ? i : -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Matches emphasis delimiters (* and _) following the CommonMark delimiter rules
+     * and marks the tokens between them as italic or bold
+     * @param {Array} tokens - Inline tokens, modified in place
+     * @private
+     */
+    function processEmphasis(tokens) {
+        for (var c = 0; c < tokens.length; c++) {
+            var closer = tokens[c];
+            if (!closer.delimiter || !closer.canClose) continue;
+
+            while (closer.count > 0) {
+                var openerIndex = -1;
+
+                for (var o = c - 1; o >= 0; o--) {
+                    var candidate = tokens[o];
+                    if (candidate.delimiter !== closer.delimiter || !candidate.canOpen || candidate.count === 0) {
+                        continue;
+                    }
+                    // "Rule of 3" for delimiter runs that can both open and close
+                    if ((candidate.canClose || closer.canOpen) &&
+                        (candidate.originalCount + closer.originalCount) % 3 === 0 &&
+                        !(candidate.originalCount % 3 === 0 && closer.originalCount % 3 === 0)) {
+                        continue;
+                    }
+                    openerIndex = o;
+                    break;
+                }
+
+                if (openerIndex === -1) break;
+
+                var opener = tokens[openerIndex];
+                var use = (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+                var mark = use === 2 ? "bold" : "italic";
+
+                for (var t = openerIndex + 1; t < c; t++) {
+                    tokens[t].marks[mark] = true;
+                    // Delimiters inside a matched pair can no longer match outside it
+                    if (tokens[t].delimiter) {
+                        tokens[t].canOpen = false;
+                        tokens[t].canClose = false;
+                    }
+                }
+
+                opener.count -= use;
+                closer.count -= use;
+            }
+        }
+
+        // Unmatched delimiter characters are kept as literal text
+        for (var d = 0; d < tokens.length; d++) {
+            if (tokens[d].delimiter) {
+                tokens[d].text = Array(tokens[d].count + 1).join(tokens[d].delimiter);
+            }
+        }
+    }
+
+    /**
+     * Tokenizes inline Markdown into text tokens carrying their marks
+     * @param {string} str - Inline Markdown
+     * @param {Object} baseMarks - Marks inherited from the enclosing span
+     * @param {Object} [notes] - Footnote definitions by id; footnotes are only parsed when given
+     * @return {Array} Tokens with text and marks, footnote tokens carry a note property
+     *                 and image tokens (their description as text) an image property
+     * @private
+     */
+    function parseInlineSpan(str, baseMarks, notes) {
+        var tokens = [];
+        var buffer = "";
+        var i = 0;
+
+        function flush() {
+            if (buffer) {
+                tokens.push({ text: buffer, marks: extendMarks(baseMarks) });
+                buffer = "";
+            }
+        }
+
+        function pushAll(list) {
+            flush();
+            for (var k = 0; k < list.length; k++) {
+                tokens.push(list[k]);
+            }
+        }
+
+        function isPunct(ch) {
+            return ch !== "" && INLINE_PUNCTUATION.test(ch);
+        }
+
+        function isSpace(ch) {
+            return ch === "" || /\s/.test(ch);
+        }
+
+        while (i < str.length) {
+            var ch = str.charAt(i);
+            var next = str.charAt(i + 1);
+
+            // Backslash escapes (an escaped space is a non-breaking space, as in Pandoc)
+            if (ch === "\\" && next === " ") {
+                buffer += "\u00A0";
+                i += 2;
+                continue;
+            }
+            if (ch === "\\" && isPunct(next)) {
+                buffer += next;
+                i += 2;
+                continue;
+            }
+
+            // Code spans
+            if (ch === "`") {
+                var ticks = countRun(str, i, "`");
+                var search = i + ticks;
+                var closeTicks = -1;
+                while ((search = str.indexOf("`", search)) !== -1) {
+                    var runLength = countRun(str, search, "`");
+                    if (runLength === ticks) {
+                        closeTicks = search;
+                        break;
+                    }
+                    search += runLength;
+                }
+
+                if (closeTicks !== -1) {
+                    var code = str.substring(i + ticks, closeTicks);
+                    if (/^ [\s\S]* $/.test(code) && trim(code) !== "") {
+                        code = code.substring(1, code.length - 1);
+                    }
+                    flush();
+                    tokens.push({ text: code, marks: extendMarks(baseMarks, "code") });
+                    i = closeTicks + ticks;
+                } else {
+                    buffer += str.substr(i, ticks);
+                    i += ticks;
+                }
+                continue;
+            }
+
+            // Footnote references [^id] and inline notes ^[text]
+            if (notes && ((ch === "[" && next === "^") || (ch === "^" && next === "["))) {
+                var noteStart = ch === "[" ? i : i + 1;
+                var closeNote = findClosingBracket(str, noteStart);
+                if (closeNote !== -1) {
+                    var noteBody = str.substring(noteStart + 1, closeNote);
+                    if (ch === "^") {
+                        flush();
+                        tokens.push({ text: "", marks: extendMarks(baseMarks), note: { text: noteBody } });
+                        i = closeNote + 1;
+                        continue;
+                    }
+                    var noteId = noteBody.substring(1);
+                    if (/^[^\s\]]+$/.test(noteId) && notes.hasOwnProperty(noteId)) {
+                        flush();
+                        tokens.push({ text: "", marks: extendMarks(baseMarks), note: { id: noteId } });
+                        i = closeNote + 1;
+                        continue;
+                    }
+                }
+            }
+
+            // Images: ![description](path "title"), the description standing for the image
+            if (ch === "!" && next === "[") {
+                var closeAlt = findClosingBracket(str, i + 1);
+                var target = closeAlt !== -1 ?
+                    str.substring(closeAlt + 1).match(/^\(\s*<?([^\s<>)]+)>?(?:\s+"[^"]*")?\s*\)(?:\{[^{}]*\})?/) : null;
+                if (target) {
+                    var altTokens = parseInlineSpan(str.substring(i + 2, closeAlt), {});
+                    var alt = "";
+                    for (var a = 0; a < altTokens.length; a++) alt += altTokens[a].text;
+                    flush();
+                    tokens.push({ text: alt, marks: extendMarks(baseMarks), image: { src: target[1] } });
+                    i = closeAlt + 1 + target[0].length;
+                    continue;
+                }
+            }
+
+            // Small caps spans: [text]{.smallcaps}
+            if (ch === "[") {
+                var closeBracket = findClosingBracket(str, i);
+                if (closeBracket !== -1) {
+                    var attributes = str.substring(closeBracket + 1).match(/^\{([^{}]*)\}/);
+                    if (attributes && /(^|\s)\.smallcaps(\s|$)/.test(attributes[1])) {
+                        pushAll(parseInlineSpan(str.substring(i + 1, closeBracket), extendMarks(baseMarks, "smallcaps"), notes));
+                        i = closeBracket + 1 + attributes[0].length;
+                        continue;
+                    }
+                }
+            }
+
+            // Strikethrough
+            if (ch === "~" && next === "~") {
+                var closeStrike = str.indexOf("~~", i + 2);
+                if (closeStrike > i + 2) {
+                    pushAll(parseInlineSpan(str.substring(i + 2, closeStrike), extendMarks(baseMarks, "strikethrough"), notes));
+                    i = closeStrike + 2;
+                } else {
+                    buffer += "~~";
+                    i += 2;
+                }
+                continue;
+            }
+
+            // Superscript and subscript
+            if (ch === "^" || ch === "~") {
+                var closeScript = findScriptEnd(str, i + 1, ch);
+                if (closeScript !== -1) {
+                    pushAll(parseInlineSpan(str.substring(i + 1, closeScript),
+                        extendMarks(baseMarks, ch === "^" ? "superscript" : "subscript"), notes));
+                    i = closeScript + 1;
+                    continue;
+                }
+            }
+
+            // Emphasis delimiter runs
+            if (ch === "*" || ch === "_") {
+                var count = countRun(str, i, ch);
+                var before = i > 0 ? str.charAt(i - 1) : "";
+                var after = str.charAt(i + count);
+
+                var leftFlanking = !isSpace(after) &&
+                    (!isPunct(after) || isSpace(before) || isPunct(before));
+                var rightFlanking = !isSpace(before) &&
+                    (!isPunct(before) || isSpace(after) || isPunct(after));
+
+                flush();
+                tokens.push({
+                    text: "",
+                    marks: extendMarks(baseMarks),
+                    delimiter: ch,
+                    count: count,
+                    originalCount: count,
+                    // Underscores do not open or close emphasis inside words
+                    canOpen: ch === "*" ? leftFlanking : leftFlanking && (!rightFlanking || isPunct(before)),
+                    canClose: ch === "*" ? rightFlanking : rightFlanking && (!leftFlanking || isPunct(after))
+                });
+                i += count;
+                continue;
+            }
+
+            buffer += ch;
+            i++;
+        }
+
+        flush();
+        processEmphasis(tokens);
+        return tokens;
+    }
+
+    /**
+     * @namespace TextUtils
+     * @description Text formatting utilities with inline Markdown formatting
+     */
+    var TextUtils = {
+        /**
+         * Default mapping between inline Markdown marks and character style names
+         * @type {Object}
+         */
+        DEFAULT_CHARACTER_STYLES: {
+            "italic": "Italic",
+            "bold": "Bold",
+            "bold-italic": "Bold Italic",
+            "code": "Code",
+            "strikethrough": "Strikethrough",
+            "superscript": "Superscript",
+            "subscript": "Subscript",
+            "smallcaps": "Small Caps"
+        },
+        
+        /**
+         * Invisible character standing for an empty bound value, so that the
+         * placeholder condition stays in the text (word joiner: no width, no break)
+         * @type {string}
+         */
+        BINDING_ANCHOR: "\u2060",
+        
+        /**
+         * Merges user style names over the default character style names
+         * @param {Object} [overrides] - Style names keyed like DEFAULT_CHARACTER_STYLES
+         * @return {Object} Complete style name mapping
+         */
+        resolveCharacterStyles: function(overrides) {
+            var result = {};
+            
+            for (var key in this.DEFAULT_CHARACTER_STYLES) {
+                if (this.DEFAULT_CHARACTER_STYLES.hasOwnProperty(key)) {
+                    result[key] = this.DEFAULT_CHARACTER_STYLES[key];
+                }
+            }
+            
+            if (overrides && typeof overrides === "object" && !isArray(overrides)) {
+                for (var name in overrides) {
+                    if (overrides.hasOwnProperty(name) && overrides[name]) {
+                        result[name] = String(overrides[name]);
+                    }
+                }
+            }
+            
+            return result;
+        },
+        
+        /**
+         * Converts the line breaks of a metadata value to InDesign paragraphs
+         * The line break ending the last line of a YAML block scalar is dropped.
+         * @param {*} value - Metadata value
+         * @return {string} Text with "\r" paragraph breaks
+         */
+        toParagraphs: function(value) {
+            if (value === undefined || value === null) return "";
+            return String(value).replace(/\r\n?/g, "\n").replace(/\n$/, "").replace(/\n/g, "\r");
+        },
+        
+        /**
+         * Converts a metadata value to a single line of plain text
+         * @param {*} value - Metadata value, which may hold inline Markdown and line breaks
+         * @return {string} Text without Markdown markers, line breaks replaced with spaces
+         */
+        toPlainText: function(value) {
+            if (value === undefined || value === null) return "";
+            var text = String(value).replace(/<br\s*\/?>/gi, " ");
+            text = this.parseInlineMarkdown(text).text;
+            return trim(text.replace(/\s*[\r\n]+\s*/g, " "));
+        },
+        
+        /**
+         * Applies formatted text to a text frame with inline markdown formatting
+         * @param {TextFrame} textFrame - InDesign text frame to apply text to
+         * @param {string} text - Raw text content with markdown
+         * @param {Document} doc - Parent InDesign document
+         * @param {Object} [styleNames] - Character style names (see resolveCharacterStyles)
+         */
+        applyFormattedText: function(textFrame, text, doc, styleNames) {
+            if (!text) {
+                textFrame.contents = "";
+                return;
+            }
+            
+            // Process basic replacements
+            var processedText = text.replace(/<br\s*\/?>/gi, "\n");
+            processedText = processedText.replace(/[ ]{2,}$/mg, "\n");
+            
+            var inline = this.parseInlineMarkdown(processedText);
+            
+            // Apply text to frame
+            textFrame.contents = inline.text;
+            
+            // Apply character styles to the formatted runs
+            var offset = textFrame.characters.length > 0 ? textFrame.characters[0].index : 0;
+            this.applyInlineStyles(textFrame.parentStory, inline.runs, doc, styleNames, offset);
+        },
+        
+        /**
+         * Replaces ranges of a text, leaving the rest of its story untouched
+         * 
+         * Ranges are changed from the last to the first so that the positions of the
+         * others stay valid. The new text takes the formatting of the first character
+         * it replaces, then its inline Markdown is applied with character styles.
+         * 
+         * @param {Story|Text|TextFrame} target - Story, text of a cell or footnote, or text frame
+         * @param {Array} edits - Changes {start, end, text} at positions of the target contents, in text order;
+         *                       an edit with a condition applies it to its new text, or to
+         *                       BINDING_ANCHOR when its new text is empty
+         * @param {Document} doc - Parent InDesign document
+         * @param {Object} [styleNames] - Character style names (see resolveCharacterStyles)
+         */
+        replaceRanges: function(target, edits, doc, styleNames) {
+            if (!edits || edits.length === 0 || target.characters.length === 0) return;
+            
+            for (var i = edits.length - 1; i >= 0; i--) {
+                var edit = edits[i];
+                try {
+                    var range = target.characters.itemByRange(edit.start, edit.end - 1).texts[0];
+                    
+                    // Same basic replacements as applyFormattedText
+                    var processedText = edit.text.replace(/<br\s*\/?>/gi, "\n");
+                    processedText = processedText.replace(/[ ]{2,}$/mg, "\n");
+                    var inline = this.parseInlineMarkdown(processedText);
+                    
+                    if (inline.text === "" && edit.condition) {
+                        range.contents = this.BINDING_ANCHOR;
+                        target.characters.item(edit.start).texts[0].applyConditions([edit.condition], false);
+                    } else if (inline.text === "") {
+                        range.remove();
+                    } else {
+                        range.contents = inline.text;
+                        if (edit.condition) {
+                            target.characters.itemByRange(edit.start, edit.start + inline.text.length - 1)
+                                .texts[0].applyConditions([edit.condition], false);
+                        }
+                        this.applyInlineStyles(target, inline.runs, doc, styleNames, edit.start);
+                    }
+                } catch (e) {
+                    $.writeln("Warning: Could not replace text at " + edit.start + ": " + e.message);
+                }
+            }
+        },
+        
+        /**
+         * Parses inline Markdown emphasis into plain text and formatted runs
+         * 
+         * Supports *italic* / _italic_, **bold** / __bold__, ***bold italic***,
+         * nested emphasis, `code`, ~~strikethrough~~, Pandoc ^superscript^ and
+         * ~subscript~, [text]{.smallcaps} and backslash escapes. When footnote
+         * definitions are given, [^id] references and ^[inline notes] are removed
+         * from the text and returned with their position. Images are written as
+         * their description, returned with its position and the image path.
+         * 
+         * @param {string} text - Text with inline Markdown
+         * @param {Object} [notes] - Footnote definitions by id
+         * @return {Object} Object with plain text, runs ({start, end, marks}), notes ({index, id, text})
+         *                  and images ({index, length, src}, length being that of the description)
+         */
+        parseInlineMarkdown: function(text, notes) {
+            var tokens = parseInlineSpan(String(text || ""), {}, notes);
+            var plain = "";
+            var runs = [];
+            var notePositions = [];
+            var images = [];
+            
+            for (var i = 0; i < tokens.length; i++) {
+                var token = tokens[i];
+                if (token.note) {
+                    notePositions.push({
+                        index: plain.length,
+                        id: token.note.id || null,
+                        text: token.note.id ? notes[token.note.id] : token.note.text
+                    });
+                    continue;
+                }
+                if (token.image) {
+                    images.push({ index: plain.length, length: token.text.length, src: token.image.src });
+                }
+                if (!token.text) continue;
+                
+                var start = plain.length;
+                plain += token.text;
+                
+                if (!hasMarks(token.marks)) continue;
+                
+                // Merge with the previous run when marks are identical
+                var last = runs.length > 0 ? runs[runs.length - 1] : null;
+                if (last && last.end === start && sameMarks(last.marks, token.marks)) {
+                    last.end = plain.length;
+                } else {
+                    runs.push({ start: start, end: plain.length, marks: token.marks });
+                }
+            }
+            
+            return { text: plain, runs: runs, notes: notePositions, images: images };
+        },
+        
+        /**
+         * Applies character styles to formatted runs of a story
+         * 
+         * Bold and italic together use the "bold-italic" style. Superscript,
+         * subscript, strikethrough and small caps fall back to local formatting
+         * when their character style is missing or another style was applied.
+         * 
+         * @param {Story|Text} target - Story or text holding the runs
+         * @param {Array} runs - Runs from parseInlineMarkdown
+         * @param {Document} doc - InDesign document
+         * @param {Object} [styleNames] - Character style names (see resolveCharacterStyles)
+         * @param {number} [offset] - Index of the first run character in the target
+         */
+        applyInlineStyles: function(target, runs, doc, styleNames, offset) {
+            if (!runs || runs.length === 0) return;
+            
+            var names = styleNames || this.resolveCharacterStyles();
+            var base = offset || 0;
+            var styles = {};
+            var missing = [];
+            
+            // Priority order for the single character style of a run
+            var priority = ["code", "bold-italic", "bold", "italic", "smallcaps", "superscript", "subscript", "strikethrough"];
+            
+            for (var i = 0; i < runs.length; i++) {
+                var run = runs[i];
+                var marks = {};
+                for (var mark in run.marks) {
+                    if (run.marks.hasOwnProperty(mark)) marks[mark] = run.marks[mark];
+                }
+                if (marks.bold && marks.italic) marks["bold-italic"] = true;
+                
+                try {
+                    var range = target.characters.itemByRange(base + run.start, base + run.end - 1);
+                    var appliedKey = null;
+                    
+                    for (var p = 0; p < priority.length && !appliedKey; p++) {
+                        var key = priority[p];
+                        if (!marks[key]) continue;
+                        
+                        if (!styles.hasOwnProperty(key)) {
+                            styles[key] = this.findCharacterStyle(doc, names[key]);
+                            if (!styles[key] && !arrayContains(missing, names[key])) {
+                                missing.push(names[key]);
+                            }
+                        }
+                        
+                        if (styles[key]) {
+                            range.appliedCharacterStyle = styles[key];
+                            appliedKey = key;
+                        }
+                    }
+                    
+                    // Local formatting for marks not covered by the applied style
+                    if (marks.superscript && appliedKey !== "superscript") {
+                        range.position = Position.SUPERSCRIPT;
+                    }
+                    if (marks.subscript && appliedKey !== "subscript") {
+                        range.position = Position.SUBSCRIPT;
+                    }
+                    if (marks.strikethrough && appliedKey !== "strikethrough") {
+                        range.strikeThru = true;
+                    }
+                    if (marks.smallcaps && appliedKey !== "smallcaps") {
+                        range.capitalization = Capitalization.SMALL_CAPS;
+                    }
+                } catch (e) {
+                    $.writeln("Warning: Error applying inline formatting: " + e.message);
+                }
+            }
+            
+            for (var m = 0; m < missing.length; m++) {
+                $.writeln("Warning: Character style not found: " + missing[m]);
+            }
+        },
+        
+        /**
+         * Finds a character style by name, including styles nested in style groups
+         * @param {Document} doc - InDesign document
+         * @param {string} name - Character style name
+         * @return {CharacterStyle|null} Matching style or null if not found
+         */
+        findCharacterStyle: function(doc, name) {
+            if (!doc || !name) return null;
+            
+            var style = doc.characterStyles.itemByName(name);
+            if (style.isValid) return style;
+            
+            var allStyles = doc.allCharacterStyles;
+            for (var i = 0; i < allStyles.length; i++) {
+                if (allStyles[i].name === name) {
+                    return allStyles[i];
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Finds a paragraph style by name, including styles nested in style groups
+         * @param {Document} doc - InDesign document
+         * @param {string} name - Paragraph style name
+         * @return {ParagraphStyle|null} Matching style or null if not found
+         */
+        findParagraphStyle: function(doc, name) {
+            if (!doc || !name) return null;
+
+            var style = doc.paragraphStyles.itemByName(name);
+            if (style.isValid) return style;
+
+            var allStyles = doc.allParagraphStyles;
+            for (var i = 0; i < allStyles.length; i++) {
+                if (allStyles[i].name === name) {
+                    return allStyles[i];
+                }
+            }
+
+            return null;
+        }
+    };
+
+    /**
+     * @namespace MarkdownConverter
+     * @description Converts Markdown text into styled InDesign stories
+     */
+    var MarkdownConverter = (function() {
+        /**
+         * Default mapping between Markdown block types and paragraph style names
+         * @type {Object}
+         */
+        var DEFAULT_PARAGRAPH_STYLES = {
+            "heading-1": "Heading 1",
+            "heading-2": "Heading 2",
+            "heading-3": "Heading 3",
+            "heading-4": "Heading 4",
+            "heading-5": "Heading 5",
+            "heading-6": "Heading 6",
+            "body": "Body",
+            "first-paragraph": "First Paragraph",
+            "footnote": "Footnote",
+            "endnote": "Endnote"
+        };
+
+        /**
+         * Merges user style names over the default paragraph style names
+         * @param {Object} [overrides] - Style names keyed like DEFAULT_PARAGRAPH_STYLES
+         * @return {Object} Complete style name mapping
+         */
+        function resolveParagraphStyles(overrides) {
+            var result = {};
+
+            for (var key in DEFAULT_PARAGRAPH_STYLES) {
+                if (DEFAULT_PARAGRAPH_STYLES.hasOwnProperty(key)) {
+                    result[key] = DEFAULT_PARAGRAPH_STYLES[key];
+                }
+            }
+
+            if (overrides && typeof overrides === "object" && !isArray(overrides)) {
+                for (var name in overrides) {
+                    if (overrides.hasOwnProperty(name) && overrides[name]) {
+                        result[name] = String(overrides[name]);
+                    }
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Removes Pandoc attribute blocks ({#id .class key=value}) from the end of a heading
+         * @param {string} text - Heading text
+         * @return {string} Heading text without attributes
+         */
+        function stripHeadingAttributes(text) {
+            return trim(text.replace(/\s*\{[^{}]*\}\s*$/, ""));
+        }
+
+        /**
+         * Joins the source lines of a paragraph, keeping hard line breaks
+         * @param {Array} lines - Source lines
+         * @return {string} Paragraph text, hard breaks as forced line breaks (\u2028)
+         */
+        function joinParagraphLines(lines) {
+            var text = "";
+            for (var p = 0; p < lines.length; p++) {
+                var current = lines[p];
+                var isLast = (p === lines.length - 1);
+
+                // Two trailing spaces or a backslash mark a hard line break
+                var hardBreak = !isLast && /( {2,}|\\)$/.test(current);
+                current = trim(current.replace(/\\$/, ""));
+
+                text += current;
+                if (!isLast) {
+                    text += hardBreak ? "\u2028" : " ";
+                }
+            }
+            return text;
+        }
+
+        /**
+         * Separates a YAML front matter block from Markdown source
+         * 
+         * As in Pandoc, the block starts with a "---" line at the top of the file,
+         * not followed by a blank line, and ends with a "---" or "..." line.
+         * 
+         * @param {string} markdown - Markdown source
+         * @return {Object} Object with yaml (block with its delimiters, or null) and body (Markdown after the block)
+         */
+        function splitFrontMatter(markdown) {
+            var source = String(markdown || "").replace(/^\uFEFF/, "");
+            var lines = source.split(/\r\n|\r|\n/);
+            
+            if (lines.length < 3 || !/^---[ \t]*$/.test(lines[0]) || trim(lines[1]) === "") {
+                return { yaml: null, body: source };
+            }
+            
+            for (var i = 1; i < lines.length; i++) {
+                if (/^(---|\.\.\.)[ \t]*$/.test(lines[i])) {
+                    return {
+                        yaml: lines.slice(0, i + 1).join("\n"),
+                        body: lines.slice(i + 1).join("\n")
+                    };
+                }
+            }
+            
+            return { yaml: null, body: source };
+        }
+
+        /**
+         * Splits Markdown source into heading and paragraph blocks and footnote definitions
+         * @param {string} markdown - Markdown source
+         * @return {Object} Object with blocks (type 'heading' or 'paragraph', level, text)
+         *                  and notes (footnote definitions by id, paragraphs separated by \r)
+         */
+        function parseDocument(markdown) {
+            var blocks = [];
+            var notes = {};
+            var lines = String(markdown || "").split(/\r\n|\r|\n/);
+            var paragraphLines = [];
+            var indented = /^( {4}|\t)/;
+
+            function flushParagraph() {
+                if (paragraphLines.length === 0) return;
+                var text = joinParagraphLines(paragraphLines);
+                paragraphLines = [];
+                blocks.push({ type: "paragraph", text: text });
+            }
+
+            for (var i = 0; i < lines.length; i++) {
+                var line = lines[i];
+
+                // Blank line ends the current paragraph
+                if (trim(line) === "") {
+                    flushParagraph();
+                    continue;
+                }
+
+                // Footnote definition: "[^id]: text", continued by indented or lazy lines
+                var definition = line.match(/^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/);
+                if (definition) {
+                    flushParagraph();
+                    var noteParagraphs = [];
+                    var noteLines = [definition[2]];
+                    var j = i + 1;
+
+                    while (j < lines.length) {
+                        var noteLine = lines[j];
+
+                        if (trim(noteLine) === "") {
+                            // A blank line continues the note only before an indented line
+                            var k = j;
+                            while (k < lines.length && trim(lines[k]) === "") k++;
+                            if (k < lines.length && indented.test(lines[k])) {
+                                noteParagraphs.push(joinParagraphLines(noteLines));
+                                noteLines = [];
+                                j = k;
+                                continue;
+                            }
+                            break;
+                        }
+
+                        if (indented.test(noteLine)) {
+                            noteLines.push(noteLine.replace(indented, ""));
+                        } else if (noteLines.length > 0 && !/^ {0,3}(#|\[\^[^\]\s]+\]:)/.test(noteLine)) {
+                            noteLines.push(noteLine); // Lazy continuation line
+                        } else {
+                            break;
+                        }
+                        j++;
+                    }
+
+                    if (noteLines.length > 0) {
+                        noteParagraphs.push(joinParagraphLines(noteLines));
+                    }
+                    notes[definition[1]] = noteParagraphs.join("\r");
+                    i = j - 1;
+                    continue;
+                }
+
+                // ATX heading: "# Title", "## Title ##"
+                var atx = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/);
+                if (atx) {
+                    flushParagraph();
+                    var headingText = (atx[2] || "").replace(/(^|[ \t]+)#+$/, "");
+                    blocks.push({
+                        type: "heading",
+                        level: atx[1].length,
+                        text: stripHeadingAttributes(headingText)
+                    });
+                    continue;
+                }
+
+                // Setext heading: paragraph text underlined with === or ---
+                if (paragraphLines.length > 0 && /^ {0,3}(=+|-+)[ \t]*$/.test(line)) {
+                    var setextText = "";
+                    for (var s = 0; s < paragraphLines.length; s++) {
+                        setextText += (s > 0 ? " " : "") + trim(paragraphLines[s]);
+                    }
+                    paragraphLines = [];
+                    blocks.push({
+                        type: "heading",
+                        level: trim(line).charAt(0) === "=" ? 1 : 2,
+                        text: stripHeadingAttributes(setextText)
+                    });
+                    continue;
+                }
+
+                paragraphLines.push(line);
+            }
+
+            flushParagraph();
+            return { blocks: blocks, notes: notes };
+        }
+
+        /**
+         * Returns the paragraph style key for each block
+         * @param {Array} blocks - Parsed Markdown blocks
+         * @return {Array} Style keys, one per block
+         */
+        function getStyleKeys(blocks) {
+            var keys = [];
+            var afterHeading = true; // The first paragraph of a chapter is a first paragraph
+
+            for (var i = 0; i < blocks.length; i++) {
+                if (blocks[i].style) {
+                    keys.push(blocks[i].style);
+                } else if (blocks[i].type === "heading") {
+                    keys.push("heading-" + blocks[i].level);
+                    afterHeading = true;
+                } else {
+                    keys.push(afterHeading ? "first-paragraph" : "body");
+                    afterHeading = false;
+                }
+            }
+
+            return keys;
+        }
+
+        /**
+         * Extracts the text of the first level 1 heading
+         * @param {Array} blocks - Parsed Markdown blocks
+         * @return {string} Heading text, or empty string if there is none
+         */
+        function getTitle(blocks) {
+            for (var i = 0; i < blocks.length; i++) {
+                if (blocks[i].type === "heading" && blocks[i].level === 1) {
+                    var titleText = blocks[i].text;
+                    titleText = titleText.replace(/\s*\[\^[\w\d]+\]\s*/g, ""); // Remove footnote references
+                    titleText = TextUtils.parseInlineMarkdown(titleText, {}).text; // Remove inline notes, formatting markers and escapes
+                    titleText = titleText.replace(/\s{2,}/g, " "); // Replace multiple spaces with a single space
+                    return trim(titleText);
+                }
+            }
+            return "";
+        }
+
+        /**
+         * Finds the footnote references whose id has no definition
+         * @param {Array} blocks - Parsed Markdown blocks
+         * @param {Object} notes - Footnote definitions by id
+         * @return {Array} Undefined footnote ids, in order of appearance
+         */
+        function findUndefinedNotes(blocks, notes) {
+            var undefinedNotes = [];
+            var pattern = /\[\^([^\]\s]+)\]/g;
+
+            for (var i = 0; i < blocks.length; i++) {
+                var match;
+                pattern.lastIndex = 0;
+                while ((match = pattern.exec(blocks[i].text)) !== null) {
+                    if (!notes.hasOwnProperty(match[1]) && !arrayContains(undefinedNotes, match[1])) {
+                        undefinedNotes.push(match[1]);
+                    }
+                }
+            }
+
+            return undefinedNotes;
+        }
+
+        /**
+         * Replaces the story of a text frame with converted Markdown and applies paragraph styles
+         * 
+         * Depending on notesMode, footnote references become native InDesign footnotes
+         * ("footnotes", styled with the "footnote" paragraph style), native endnotes
+         * ("endnotes", styled with the "endnote" paragraph style) or superscript
+         * numbers whose texts are returned for a generated notes section ("collect").
+         * 
+         * @param {TextFrame} textFrame - Target text frame
+         * @param {string} markdown - Markdown source
+         * @param {Document} doc - InDesign document
+         * @param {Object} [styleNames] - Paragraph style names (see resolveParagraphStyles)
+         * @param {Object} [characterStyles] - Character style names (see TextUtils.resolveCharacterStyles)
+         * @param {string} [notesMode] - "footnotes" (default), "endnotes" or "collect"
+         * @param {Function} [resolveImage] - Returns the File of an image path, or null
+         * @return {Object} Conversion result with blocks, title, notes (collected note texts),
+         *                  undefinedNotes, unusedNotes and missingImages
+         */
+        function injectIntoFrame(textFrame, markdown, doc, styleNames, characterStyles, notesMode, resolveImage) {
+            var parsed = parseDocument(markdown);
+            var result = injectBlocks(textFrame, parsed.blocks, parsed.notes, doc, styleNames, characterStyles,
+                                      notesMode, resolveImage);
+
+            result.title = getTitle(parsed.blocks);
+            result.undefinedNotes = findUndefinedNotes(parsed.blocks, parsed.notes);
+            return result;
+        }
+
+        /**
+         * Replaces the story of a text frame with Markdown blocks and applies paragraph styles
+         * @param {TextFrame} textFrame - Target text frame
+         * @param {Array} blocks - Blocks as returned by parseDocument; a block may set its own style key
+         * @param {Object|null} notes - Footnote definitions by id, null to leave note syntax untouched
+         * @param {Document} doc - InDesign document
+         * @param {Object} [styleNames] - Paragraph style names (see resolveParagraphStyles)
+         * @param {Object} [characterStyles] - Character style names (see TextUtils.resolveCharacterStyles)
+         * @param {string} [notesMode] - "footnotes" (default), "endnotes" or "collect"
+         * @param {Function} [resolveImage] - Returns the File of an image path, or null
+         * @return {Object} Result with blocks, notes (collected note texts), unusedNotes
+         *                  and missingImages (image paths that could not be placed)
+         */
+        function injectBlocks(textFrame, blocks, notes, doc, styleNames, characterStyles, notesMode, resolveImage) {
+            var styles = styleNames || resolveParagraphStyles();
+            var keys = getStyleKeys(blocks);
+            var definitions = notes || {};
+
+            // Convert inline Markdown, keeping run and note offsets relative to the whole story
+            var texts = [];
+            var runs = [];
+            var notePositions = [];
+            var usedNotes = {};
+            var images = [];
+            var offset = 0;
+            for (var i = 0; i < blocks.length; i++) {
+                var inline = TextUtils.parseInlineMarkdown(blocks[i].text, notes);
+                for (var g = 0; g < inline.images.length; g++) {
+                    images.push({
+                        index: offset + inline.images[g].index,
+                        length: inline.images[g].length,
+                        src: inline.images[g].src
+                    });
+                }
+                for (var r = 0; r < inline.runs.length; r++) {
+                    runs.push({
+                        start: offset + inline.runs[r].start,
+                        end: offset + inline.runs[r].end,
+                        marks: inline.runs[r].marks
+                    });
+                }
+                for (var n = 0; n < inline.notes.length; n++) {
+                    notePositions.push({
+                        index: offset + inline.notes[n].index,
+                        text: inline.notes[n].text
+                    });
+                    if (inline.notes[n].id) usedNotes[inline.notes[n].id] = true;
+                }
+                texts.push(inline.text);
+                offset += inline.text.length + 1;
+            }
+
+            // CRITICAL: Use \r between paragraphs, one per block, as \n also starts a paragraph
+            // in InDesign contents; hard breaks are already forced line breaks (\u2028)
+            var story = textFrame.parentStory;
+            story.contents = texts.join("\r");
+
+            // Resolve each style once, missing styles are left to the frame default
+            var resolved = {};
+            var missing = [];
+
+            function getStyle(key) {
+                if (!resolved.hasOwnProperty(key)) {
+                    resolved[key] = TextUtils.findParagraphStyle(doc, styles[key]);
+                    if (!resolved[key] && key === "first-paragraph") {
+                        // Fall back to the body style when no first paragraph style exists
+                        resolved[key] = TextUtils.findParagraphStyle(doc, styles["body"]);
+                    }
+                    if (!resolved[key] && !arrayContains(missing, styles[key])) {
+                        missing.push(styles[key]);
+                    }
+                }
+                return resolved[key];
+            }
+
+            for (var j = 0; j < keys.length; j++) {
+                var style = getStyle(keys[j]);
+                if (style) {
+                    try {
+                        story.paragraphs[j].appliedParagraphStyle = style;
+                    } catch (e) {
+                        $.writeln("Warning: Could not apply paragraph style " + styles[keys[j]] + ": " + e.message);
+                    }
+                }
+            }
+
+            TextUtils.applyInlineStyles(story, runs, doc, characterStyles);
+
+            // Places an image as an inline graphic instead of its description, scaled down
+            // to the frame width; the description stays when the image cannot be placed
+            function placeImage(image) {
+                var file = resolveImage ? resolveImage(image.src) : null;
+                if (!file) return false;
+
+                try {
+                    var graphic = story.insertionPoints[image.index].place(file)[0];
+                    if (image.length > 0) {
+                        story.characters.itemByRange(image.index + 1, image.index + image.length).remove();
+                    }
+
+                    var container = graphic.parent;
+                    var bounds = container.geometricBounds;
+                    var frameBounds = textFrame.geometricBounds;
+                    var maxWidth = frameBounds[3] - frameBounds[1];
+                    var width = bounds[3] - bounds[1];
+                    if (width > maxWidth) {
+                        container.geometricBounds = [
+                            bounds[0], bounds[1],
+                            bounds[0] + (bounds[2] - bounds[0]) * maxWidth / width, bounds[1] + maxWidth
+                        ];
+                        graphic.fit(FitOptions.PROPORTIONALLY);
+                    }
+                    return true;
+                } catch (e) {
+                    $.writeln("Warning: Could not place image " + file.fsName + ": " + e.message);
+                    return false;
+                }
+            }
+
+            // Images and notes are inserted from the end so earlier offsets stay valid;
+            // at the same offset, a note comes before the image whose description starts there
+            var insertions = [];
+            for (var ii = 0; ii < images.length; ii++) {
+                insertions.push({ index: images[ii].index, order: ii, image: images[ii] });
+            }
+            for (var ni = 0; ni < notePositions.length; ni++) {
+                insertions.push({ index: notePositions[ni].index, order: ni, note: ni });
+            }
+            insertions.sort(function(x, y) {
+                if (x.index !== y.index) return y.index - x.index;
+                if (!x.image !== !y.image) return x.image ? -1 : 1;
+                return y.order - x.order;
+            });
+
+            var collected = [];
+            var missingImages = [];
+            for (var k = 0; k < insertions.length; k++) {
+                if (insertions[k].image) {
+                    if (!placeImage(insertions[k].image)) missingImages.unshift(insertions[k].image.src);
+                    continue;
+                }
+
+                var f = insertions[k].note;
+                try {
+                    var insertionPoint = story.insertionPoints[notePositions[f].index];
+
+                    if (notesMode === "collect") {
+                        // Numbered reference, the note text goes to the notes section
+                        var number = String(f + 1);
+                        insertionPoint.contents = number;
+                        TextUtils.applyInlineStyles(story, [{ start: 0, end: number.length, marks: { superscript: true } }],
+                                                    doc, characterStyles, notePositions[f].index);
+                        collected.unshift(notePositions[f].text);
+                        continue;
+                    }
+
+                    var note, noteText, noteStyle;
+                    if (notesMode === "endnotes") {
+                        note = insertionPoint.createEndnote();
+                        noteText = note.endnoteText;
+                        noteStyle = getStyle("endnote");
+                    } else {
+                        note = insertionPoint.footnotes.add();
+                        noteText = note.texts[0];
+                        noteStyle = getStyle("footnote");
+                    }
+
+                    var noteInline = TextUtils.parseInlineMarkdown(notePositions[f].text);
+                    var noteStart = noteText.characters.length;
+
+                    noteText.insertionPoints[-1].contents = noteInline.text;
+
+                    if (noteStyle) {
+                        noteText.paragraphs.everyItem().appliedParagraphStyle = noteStyle;
+                    }
+                    TextUtils.applyInlineStyles(noteText, noteInline.runs, doc, characterStyles, noteStart);
+                } catch (e) {
+                    $.writeln("Warning: Could not create note: " + e.message);
+                }
+            }
+
+            for (var m = 0; m < missing.length; m++) {
+                $.writeln("Warning: Paragraph style not found: " + missing[m]);
+            }
+
+            var unusedNotes = [];
+            for (var id in definitions) {
+                if (definitions.hasOwnProperty(id) && !usedNotes[id]) {
+                    unusedNotes.push(id);
+                }
+            }
+
+            return {
+                blocks: blocks,
+                notes: collected,
+                unusedNotes: unusedNotes,
+                missingImages: missingImages
+            };
+        }
+
+        // Public API
+        return {
+            DEFAULT_PARAGRAPH_STYLES: DEFAULT_PARAGRAPH_STYLES,
+            resolveParagraphStyles: resolveParagraphStyles,
+            splitFrontMatter: splitFrontMatter,
+            parseDocument: parseDocument,
+            getTitle: getTitle,
+            injectIntoFrame: injectIntoFrame,
+            injectBlocks: injectBlocks
+        };
+    })();
+
+    /**
+     * @namespace PageOverflow
+     * @description Handles text overflow by adding pages automatically
+     */
+    var PageOverflow = {
+        /**
+         * Processes overflowing text frames by adding pages and linked frames
+         * @param {Document} doc - InDesign document to process
+         * @return {boolean} True if pages were added, false otherwise
+         */
+        processOverflow: function(doc) {
+            if (!doc || !doc.isValid) return false;
+            
+            var textFrame = null;
+            var lastPage = doc.pages[-1]; // Get last page
+            
+            // Check the last page first for overflowing frames
+            for (var i = 0; i < lastPage.textFrames.length; i++) {
+                if (lastPage.textFrames[i].overflows) {
+                    textFrame = lastPage.textFrames[i];
+                    break;
+                }
+            }
+            
+            // If no overflowing frame found on last page, check all pages
+            if (textFrame === null) {
+                for (var j = 0; j < doc.pages.length; j++) {
+                    var currentPage = doc.pages[j];
+                    for (var k = 0; k < currentPage.textFrames.length; k++) {
+                        if (currentPage.textFrames[k].overflows) {
+                            textFrame = currentPage.textFrames[k];
+                            break;
+                        }
+                    }
+                    if (textFrame !== null) break;
+                }
+            }
+            
+            // If no overflowing frame found in entire document
+            if (textFrame === null) {
+                return false; // Nothing to process
+            }
+            
+            var pageCount = 0; // Counter to avoid infinite loops
+            var maxPages = 500; // Safety limit
+    
+            while (textFrame.overflows && pageCount < maxPages) {
+                // Create a new page at the end
+                var newPage = doc.pages.add(LocationOptions.AFTER, doc.pages[-1]);
+                pageCount++;
+                
+                // Determine if it's a left or right page
+                var isLeftPage = newPage.side == PageSideOptions.LEFT_HAND;
+                
+                // Set margins based on page type
+                var topMargin = newPage.marginPreferences.top;
+                var bottomMargin = doc.documentPreferences.pageHeight - newPage.marginPreferences.bottom;
+                
+                var leftMargin, rightMargin;
+                
+                if (doc.documentPreferences.facingPages) {
+                    // For facing pages layouts
+                    if (isLeftPage) {
+                        leftMargin = newPage.marginPreferences.right; // Outside margin for left page
+                        rightMargin = doc.documentPreferences.pageWidth - newPage.marginPreferences.left; // Inside margin for left page
+                    } else {
+                        leftMargin = newPage.marginPreferences.left; // Inside margin for right page
+                        rightMargin = doc.documentPreferences.pageWidth - newPage.marginPreferences.right; // Outside margin for right page
+                        
+                        // For right pages, apply offset of page width for correct positioning
+                        leftMargin += doc.documentPreferences.pageWidth;
+                        rightMargin += doc.documentPreferences.pageWidth;
+                    }
+                } else {
+                    // For non-facing pages
+                    leftMargin = newPage.marginPreferences.left;
+                    rightMargin = doc.documentPreferences.pageWidth - newPage.marginPreferences.right;
+                }
+    
+                // Create a new text frame on the new page with appropriate margins
+                var newFrame = newPage.textFrames.add({
+                    geometricBounds: [topMargin, leftMargin, bottomMargin, rightMargin]
+                });
+    
+                // Link the previous text frame to the new one
+                textFrame.nextTextFrame = newFrame;
+    
+                // Continue with the new frame
+                textFrame = newFrame;
+            }
+    
+            // If document has facing pages and ends with a right page, add an empty left page
+            if (doc.documentPreferences.facingPages && !textFrame.overflows) {
+                var lastPage = doc.pages[-1];
+                if (lastPage.side == PageSideOptions.RIGHT_HAND) {
+                    doc.pages.add(LocationOptions.AFTER, lastPage);
+                }
+            }
+            
+            return pageCount > 0; // Return true if pages were added
+        }
+    };
+    
+    /**
+     * Book class for managing InDesign book creation
+     * @class
+     * @param {string} name - Book name
+     * @param {Object} info - Book metadata
+     */
+    function Book(name, info) {
+        this.name = name;
+        this.info = info || {};
+        this.templates = {
+            before: [],
+            frontmatter: null,
+            bodymatter: null,
+            backmatter: null,
+            after: [],
+            cover: null
+        };
+        this.templateFolder = null;
+        this.chapterCount = 0;
+        
+        // Display options (checked by default)
+        this.displayOptions = {
+            showOriginalTitleLabel: true,
+            originalTitleLabelText: I18n.__('originalTitlePrefix'), 
+            showCoverCreditLabel: true,
+            coverCreditLabelText: I18n.__('coverCreditPrefix')
+        };
+        
+        // Markdown options
+        this.markdownOptions = {
+            injectMarkdown: false,
+            yamlPath: null,
+            yamlMeta: null,
+            hasInputFiles: false,
+            pandocDefaults: null, // Pandoc defaults file data (input-files, resource-path)
+            notesMode: "footnotes" // "footnotes", "chapter" (endnotes) or "book" (notes section)
+        };
+        
+        /**
+         * Validates book data before generation
+         * @return {Object} Validation result with valid status and message
+         */
+        this.validate = function() {
+            if (!this.name) {
+                return { valid: false, message: I18n.__('bookNameRequired') };
+            }
+            
+            // Validation basée sur input-files ou l'auto-découverte des fichiers Markdown
+            if (this.markdownOptions.injectMarkdown && this.markdownOptions.yamlPath) {
+                var autoDiscoveredFiles = this._getAllMarkdownFilesFromFolder();
+                if (autoDiscoveredFiles.length === 0) {
+                    return { valid: false, message: I18n.__('noMarkdownFiles') };
+                }
+                // Auto-définir le nombre de chapitres basé sur les fichiers MD découverts
+                this.chapterCount = autoDiscoveredFiles.length;
+            } else {
+                // Mode manuel si pas de Markdown
+                if (!this.chapterCount || isNaN(parseInt(this.chapterCount)) || parseInt(this.chapterCount) <= 0) {
+                    return { valid: false, message: I18n.__('chapterCountPositive') };
+                }
+            }
+            
+            if (!this.templateFolder) {
+                return { valid: false, message: "A templates folder is required." };
+            }
+            
+            if (!this.templates.bodymatter) {
+                return { valid: false, message: "No Bodymatter template found in folder." };
+            }
+            
+            // Validate ISBNs if present
+            if (this.info.isbnPrint) {
+                var printResult = BookUtils.ISBN.validate(this.info.isbnPrint);
+                if (!printResult.valid) {
+                    return { valid: false, message: I18n.__('invalidPrintISBN', printResult.message) };
+                }
+            }
+            
+            if (this.info.isbnEbook) {
+                var ebookResult = BookUtils.ISBN.validate(this.info.isbnEbook);
+                if (!ebookResult.valid) {
+                    return { valid: false, message: I18n.__('invalidEbookISBN', ebookResult.message) };
+                }
+            }
+            
+            if (this.info.issn) {
+                var issnResult = BookUtils.ISBN.validateISSN(this.info.issn);
+                if (!issnResult.valid) {
+                    return { valid: false, message: I18n.__('invalidISSN', issnResult.message) };
+                }
+            }
+            
+            return { valid: true };
+        };
+        
+        /**
+         * Generates the InDesign book and related documents
+         * @param {Folder} folder - Destination folder
+         * @return {Book|boolean} InDesign book object or false if generation failed
+         */
+        this.generate = function(folder, mainWindow) {
+            if (!folder || !folder.exists) {
+                throw new Error(I18n.__('destinationFolderNotExist'));
+            }
+            
+            var result = this.validate();
+            if (!result.valid) {
+                throw new Error(result.message);
+            }
+            
+            // Calculate total steps based on discovered templates and MD files
+            var mdResolution = this._resolveMarkdownFiles();
+            var allMdFiles = mdResolution.names;
+            
+            // Report differences between input-files and the text folder
+            for (var mf = 0; mf < mdResolution.missing.length; mf++) {
+                LogManager.logWarning(I18n.__('inputFileMissing', mdResolution.missing[mf]));
+            }
+            for (var uf = 0; uf < mdResolution.unlisted.length; uf++) {
+                LogManager.logWarning(I18n.__('inputFileUnlisted', mdResolution.unlisted[uf]));
+            }
+            var notesSection = this.markdownOptions.notesMode === "book";
+            var totalSteps = this.templates.before.length + 
+                             allMdFiles.length + 
+                             this.templates.after.length + 
+                             (this.templates.cover ? 1 : 0) + 
+                             (notesSection ? 1 : 0) +
+                             2;
+            
+            // Notes collected for the notes section, grouped by chapter
+            this._collectedNotes = [];
+            
+            // Markdown files are read again for each generation
+            this._chapters = {};
+            
+            try {
+                // Fermer la fenêtre principale avant la génération
+                if (mainWindow) {
+                    mainWindow.close();
+                }
+                
+                // Créer la barre de progression APRÈS avoir fermé la fenêtre
+                var progress = new ProgressBar(
+                    I18n.getLanguage() === 'fr' ? "G\u00E9n\u00E9ration du livre..." : "Generating book...",
+                    totalSteps
+                );
+                
+                var currentStep = 0;
+                
+                // Créer le fichier InDesign book
+                progress.update(currentStep++, 
+                    I18n.getLanguage() === 'fr' ? "Cr\u00E9ation du fichier livre..." : "Creating book file...");
+                
+                var bookFileName = this.name.toUpperCase() + '-' + I18n.__('bookSuffix') + '.indb';
+                var bookFile = new File(folder.fsName + '/' + bookFileName);
+                
+                if (bookFile.exists) {
+                    progress.close(); // Fermer temporairement pour le dialogue
+                    var overwrite = confirm(I18n.__('fileExists', bookFileName));
+                    if (!overwrite) {
+                        return false;
+                    }
+                    progress.show(); // Réafficher après le dialogue
+                }
+                
+                progress.show(); // Montrer la barre maintenant
+                
+                var book = app.books.add(bookFile);
+                // Petite pause pour s'assurer que le livre est bien initialisé
+                app.doScript(function(){}, ScriptLanguage.JAVASCRIPT, [], UndoModes.FAST_ENTIRE_SCRIPT);
+                var prefix = this.name.toUpperCase() + '-';
+                
+                // Generate documents before chapters
+                for (var i = 0; i < this.templates.before.length; i++) {
+                    progress.update(
+                        currentStep++, 
+                        I18n.getLanguage() === 'fr' ? "Traitement des modèles avant chapitres..." : "Processing templates before chapters...",
+                        this.templates.before[i].name
+                    );
+                    
+                    this._generateDocument(
+                        folder, 
+                        this.templates.before[i], 
+                        this.templates.before[i].name.replace(/^.*?-/, prefix), 
+                        true, 
+                        book
+                    );
+                }
+                
+                // Generate all documents based on Markdown files and appropriate templates
+                var allMdFiles = mdResolution.files;
+                var currentStep = this.templates.before.length; // Ajuster le compteur
+                
+                // Generate documents before chapters
+                for (var b = 0; b < this.templates.before.length; b++) {
+                    progress.update(
+                        currentStep++, 
+                        I18n.getLanguage() === 'fr' ? "Traitement des templates avant..." : "Processing before templates...",
+                        this.templates.before[b].name
+                    );
+                    
+                    this._generateDocument(
+                        folder, 
+                        this.templates.before[b], 
+                        this.templates.before[b].name.replace(/^.*?-/, prefix), 
+                        true, 
+                        book
+                    );
+                }
+                
+                // Generate all Markdown-based documents
+                var notesAnchorIndex = -1; // Book position of the first backmatter document
+                for (var m = 0; m < allMdFiles.length; m++) {
+                    var currentMdFile = allMdFiles[m].name;
+                    var descriptiveName = currentMdFile.replace(/^\d+-/, "").replace(/\.md$/, "");
+                    var templateType = this._determineTemplateType(currentMdFile);
+                    
+                    if (notesAnchorIndex === -1 && templateType === 'backmatter') {
+                        notesAnchorIndex = book.bookContents.length;
+                    }
+                    
+                    // A template named in the chapter front matter, else priority matching
+                    var selectedTemplate = null;
+                    var chapter = this.markdownOptions.injectMarkdown ? this._getChapter(allMdFiles[m]) : null;
+                    if (chapter && chapter.metadata.template) {
+                        selectedTemplate = this._findTemplateByName(PandocMapper.getText(chapter.metadata.template));
+                        if (!selectedTemplate) {
+                            LogManager.logWarning(I18n.__('chapterTemplateNotFound', 
+                                PandocMapper.getText(chapter.metadata.template), currentMdFile));
+                        }
+                    }
+                    if (!selectedTemplate) {
+                        selectedTemplate = this._selectBestTemplate(currentMdFile, templateType);
+                    }
+                    
+                    if (selectedTemplate) {
+                        progress.update(
+                            currentStep++, 
+                            I18n.getLanguage() === 'fr' ? 
+                                "Cr\u00E9ation de " + descriptiveName + " (" + (m + 1) + " sur " + allMdFiles.length + ")..." :
+                                "Creating " + descriptiveName + " (" + (m + 1) + " of " + allMdFiles.length + ")...",
+                            descriptiveName + ".indd"
+                        );
+                        
+                        var newName = selectedTemplate.name.replace(/^.*?-/, prefix).replace('.indd', '-' + descriptiveName + '.indd');
+                        
+                        this._generateDocument(
+                            folder,
+                            selectedTemplate,
+                            newName,
+                            true,
+                            book,
+                            allMdFiles[m]
+                        );
+                    }
+                }
+                
+                // Generate the notes section before the backmatter
+                if (notesSection && this._collectedNotes.length > 0) {
+                    progress.update(
+                        currentStep++, 
+                        I18n.getLanguage() === 'fr' ? "Cr\u00E9ation des notes..." : "Creating notes...",
+                        "notes.indd"
+                    );
+                    
+                    this._generateNotesSection(folder, book, prefix, notesAnchorIndex);
+                }
+                
+                // Generate documents after chapters
+                for (var a = 0; a < this.templates.after.length; a++) {
+                    progress.update(
+                        currentStep++, 
+                        I18n.getLanguage() === 'fr' ? "Traitement des templates apr\u00E8s..." : "Processing after templates...",
+                        this.templates.after[a].name
+                    );
+                    
+                    this._generateDocument(
+                        folder,
+                        this.templates.after[a],
+                        this.templates.after[a].name.replace(/^.*?-/, prefix),
+                        true,
+                        book
+                    );
+                }
+                
+                // Generate cover (separate from book)
+                if (this.templates.cover) {
+                    progress.update(
+                        currentStep++, 
+                        I18n.getLanguage() === 'fr' ? "Cr\u00E9ation de la couverture..." : "Creating cover...",
+                        "Cover.indd"
+                    );
+                    
+                    this._generateDocument(
+                        folder,
+                        this.templates.cover,
+                        prefix + 'Cover.indd',
+                        false,  // Important : false pour ne pas l'inclure dans le livre
+                        book
+                    );
+                }
+                
+                // Save book
+                progress.update(currentStep++, 
+                    I18n.getLanguage() === 'fr' ? "Sauvegarde du livre..." : "Saving book...");
+                book.save();
+                
+                progress.close();
+                return book;
+                
+            } catch (e) {
+                if (typeof progress !== 'undefined') {
+                    progress.close();
+                }
+                LogManager.logError("Error generating book", e);
+                return false;
+            }
+        };
+        
+        /**
+         * Updates the metadata of a book generated by BookCreator
+         * 
+         * The imported YAML file is read again, then the text replaced for placeholders,
+         * the barcodes, the text variables and the XMP metadata of every document and
+         * of the cover are updated; the rest of the layout is left untouched.
+         * 
+         * @param {File} bookFile - InDesign book (.indb)
+         * @return {Object|boolean} Numbers of documents and of updated texts and barcodes, false on error
+         */
+        this.updateMetadata = function(bookFile) {
+            try {
+                if (this.markdownOptions.yamlPath) {
+                    var imported = BookUtils.File.importYAML(new File(this.markdownOptions.yamlPath));
+                    this.info = imported.result;
+                    this.markdownOptions.yamlMeta = imported.yamlMeta;
+                    this.markdownOptions.pandocDefaults = imported.defaults;
+                }
+                
+                var book = app.open(bookFile);
+                var files = [];
+                for (var i = 0; i < book.bookContents.length; i++) {
+                    files.push(book.bookContents[i].fullName);
+                }
+                
+                // The cover is generated next to the book, outside of it
+                var prefix = decodeURI(bookFile.name).replace(/[^-]*\.indb$/i, "");
+                var cover = new File(bookFile.parent.fsName + '/' + prefix + 'Cover.indd');
+                if (cover.exists) files.push(cover);
+                
+                var result = { documents: 0, updated: 0 };
+                for (var f = 0; f < files.length; f++) {
+                    if (!files[f].exists) {
+                        LogManager.logWarning(I18n.__('bookDocumentNotFound', decodeURI(files[f].name)));
+                        continue;
+                    }
+                    
+                    var doc = app.open(files[f], false);
+                    try {
+                        result.updated += this._updateDocument(doc);
+                        result.documents++;
+                        doc.save();
+                    } finally {
+                        doc.close();
+                    }
+                }
+                
+                return result;
+            } catch (e) {
+                LogManager.logError("Error updating book", e);
+                return false;
+            }
+        };
+        
+        /**
+         * Updates the metadata of a generated document
+         * @param {Document} doc - InDesign document
+         * @return {number} Number of updated texts and barcodes
+         * @private
+         */
+        this._updateDocument = function(doc) {
+            var chapter = null;
+            var chapterPath = doc.extractLabel("BookCreator.chapter");
+            if (chapterPath) {
+                var mdFile = new File(chapterPath);
+                if (mdFile.exists) {
+                    chapter = this._readChapter(mdFile);
+                } else {
+                    LogManager.logWarning(I18n.__('markdownFileNotFound', chapterPath));
+                }
+            }
+            
+            var info = chapter ? this._getChapterInfo(chapter) : this.info;
+            var chapterValues = chapter ? this._getChapterPlaceholders(chapter) : null;
+            var metadata = this._getMetadata(chapter);
+            
+            BookUtils.Document.addBookVariables(
+                doc,
+                info,
+                this._getTextVariables(),
+                metadata,
+                chapterValues ? chapterValues["<<Running_Head>>"] : doc.extractLabel("BookCreator.runningHeader")
+            );
+            
+            try {
+                BookUtils.Document.setDocumentMetadata(doc, info, metadata);
+            } catch (e) {
+                $.writeln("Warning: Could not set document metadata: " + e.message);
+            }
+            
+            var updated = BookUtils.Document.updateTextPlaceholders(
+                doc, info, this.displayOptions, this._getCharacterStyles(), chapterValues, metadata);
+            updated += BookUtils.Document.updateEAN13Barcodes(doc, this.info.isbnPrint, this.info.isbnEbook,
+                                                              this._getBarcodeOptions());
+            updated += BookUtils.Document.updateMatrixCodes(
+                doc, info, this.displayOptions, chapterValues, metadata, this._getBarcodeOptions());
+            return updated;
+        };
+        
+        /**
+         * Generates a single document from template
+         * @param {Folder} folder - Destination folder
+         * @param {File} template - Template file
+         * @param {string} newName - New document name
+         * @param {boolean} includeInBook - Whether to include in book
+         * @param {Book} book - InDesign book object
+         * @param {File} [chapterFile] - Markdown file to inject
+         * @param {Function} [injectContent] - Custom content injection, called with the document instead of Markdown injection
+         * @return {boolean} Success status
+         * @private
+         */
+        this._generateDocument = function(folder, template, newName, includeInBook, book, chapterFile, injectContent) {
+            var destFile = new File(folder.fsName + '/' + newName);
+            var doc = null;
+            
+            try {
+                // Copy template
+                if (!template.copy(destFile.fsName)) {
+                    throw new Error("Failed to copy template file");
+                }
+                
+                // Open document
+                doc = app.open(destFile, false);
+                
+                // Chapter front matter for Markdown documents
+                var chapter = null;
+                if (!injectContent && this.markdownOptions.injectMarkdown && chapterFile) {
+                    chapter = this._getChapter(chapterFile);
+                }
+                var chapterValues = chapter ? this._getChapterPlaceholders(chapter) : null;
+                if (chapter) {
+                    // Read again by updateMetadata
+                    doc.insertLabel("BookCreator.chapter", chapter.file.fsName);
+                }
+                
+                // Add custom variables, with the chapter title as running header
+                BookUtils.Document.addBookVariables(
+                    doc,
+                    chapter ? this._getChapterInfo(chapter) : this.info,
+                    this._getTextVariables(),
+                    this._getMetadata(chapter),
+                    chapterValues ? chapterValues["<<Running_Head>>"] : null
+                );
+                
+                try {
+                    BookUtils.Document.setDocumentMetadata(doc,
+                        chapter ? this._getChapterInfo(chapter) : this.info, this._getMetadata(chapter));
+                } catch (e) {
+                    $.writeln("Warning: Could not set document metadata: " + e.message);
+                }
+                
+                // Replace text placeholders
+                try {
+                    BookUtils.Document.replaceTextPlaceholders(
+                        doc,
+                        chapter ? this._getChapterInfo(chapter) : this.info,
+                        this.displayOptions,
+                        this._getCharacterStyles(),
+                        chapterValues,
+                        this._getMetadata(chapter)
+                    );
+                } catch (e) {
+                    $.writeln("Warning: Error replacing text placeholders: " + e.message);
+                }
+                
+                // Replace EAN13 placeholders
+                try {
+                    BookUtils.Document.replaceEAN13Placeholders(doc, this.info.isbnPrint, this.info.isbnEbook,
+                                                                this._getBarcodeOptions());
+                } catch (e) {
+                    $.writeln("Warning: Error replacing EAN13 placeholders: " + e.message);
+                }
+                
+                // Replace QR code and Data Matrix placeholders
+                try {
+                    BookUtils.Document.replaceMatrixPlaceholders(
+                        doc,
+                        chapter ? this._getChapterInfo(chapter) : this.info,
+                        this.displayOptions,
+                        chapterValues,
+                        this._getMetadata(chapter),
+                        this._getBarcodeOptions()
+                    );
+                } catch (e) {
+                    $.writeln("Warning: Error replacing QR code placeholders: " + e.message);
+                }
+                
+                // Inject generated content or Markdown if needed
+                if (injectContent) {
+                    try {
+                        injectContent(doc);
+                        
+                        if (doc.isValid) {
+                            PageOverflow.processOverflow(doc);
+                        }
+                    } catch (e) {
+                        $.writeln("Warning: Error injecting content: " + e.message);
+                    }
+                } else if (this.markdownOptions.injectMarkdown) {
+                    try {
+                        this._injectMarkdownContent(doc, chapterFile);
+                        
+                        if (doc.isValid) {
+                            PageOverflow.processOverflow(doc);
+                        }
+                    } catch (e) {
+                        $.writeln("Warning: Error processing Markdown content: " + e.message);
+                    }
+                }
+                
+                // Save document
+                doc.save(destFile);
+                doc.close();
+                doc = null; // Clear reference
+                
+                // Add to book if needed - with retry mechanism
+                if (includeInBook && book) {
+                    var maxRetries = 3;
+                    var retryCount = 0;
+                    var addedToBook = false;
+                    
+                    while (retryCount < maxRetries && !addedToBook) {
+                        try {
+                            // Small delay before adding to book
+                            app.doScript(function(){}, ScriptLanguage.JAVASCRIPT, [], UndoModes.FAST_ENTIRE_SCRIPT);
+                            
+                            book.bookContents.add(destFile);
+                            addedToBook = true;
+                        } catch (e) {
+                            retryCount++;
+                            $.writeln("Retry " + retryCount + " adding to book: " + e.message);
+                            
+                            if (retryCount >= maxRetries) {
+                                // Log final error but don't fail the generation
+                                $.writeln("Warning: Could not add " + newName + " to book after " + maxRetries + " attempts: " + e.message);
+                                break;
+                            }
+                        }
+                    }
+                }
+                
+                return true;
+                
+            } catch (e) {
+                // Clean up document if still open
+                if (doc && doc.isValid) {
+                    try {
+                        doc.close(SaveOptions.NO);
+                    } catch (closeError) {
+                        // Ignore close errors
+                    }
+                }
+                
+                LogManager.logError("Error generating document " + newName, e);
+                return false;
+            }
+        };
+        
+        /**
+         * Injects Markdown content into a document while preserving line breaks
+         * @param {Document} doc - InDesign document
+         * @param {File} [mdFile] - Markdown file, else deduced from the document name (_N.indd)
+         * @return {boolean} Success status
+         * @private
+         */
+        this._injectMarkdownContent = function(doc, mdFile) {
+            try {
+                // Check parameters
+                if (!doc) {
+                    LogManager.logError("ERROR: InDesign document not defined!");
+                    return false;
+                }
+                
+                if (!this.markdownOptions || !this.markdownOptions.yamlPath) {
+                    LogManager.logError("ERROR: YAML path not defined!");
+                    return false;
+                }
+                
+                // Check that YAML file exists
+                var yamlFile = File(this.markdownOptions.yamlPath);
+                if (!yamlFile.exists) {
+                    LogManager.logError("ERROR: YAML file does not exist:\n" + this.markdownOptions.yamlPath);
+                    return false;
+                }
+                
+                // 1. Resolve Markdown files in book order
+                var inputFiles = this._resolveMarkdownFiles().files;
+                if (inputFiles.length === 0) {
+                    alert(I18n.__('noMarkdownFiles'));
+                    return false;
+                }
+        
+                // 2. Find matching Markdown file
+                if (!mdFile) {
+                    // Fallback : essayer de déduire l'index depuis le nom du document
+                    var chapterMatch = doc.name.match(/_(\d+)\.indd$/);
+                    if (!chapterMatch) {
+                        return false;
+                    }
+                    var mdIndex = parseInt(chapterMatch[1], 10) - 1;
+                    if (mdIndex < 0 || mdIndex >= inputFiles.length) {
+                        // Return silently without error
+                        return false;
+                    }
+                    mdFile = inputFiles[mdIndex];
+                }
+                
+                var mdFileName = mdFile.name;
+                if (!mdFile.exists) {
+                    // Removed since the generation started
+                    LogManager.logWarning(I18n.__('markdownFileNotFound', mdFile.fsName));
+                    return false;
+                }
+        
+                // Markdown content, without its front matter
+                var chapter = this._getChapter(mdFile);
+                var mdContent = chapter.content;
+        
+                // 3. Find target text frame
+                var targetFrame = this._findTargetTextFrame(doc);
+                if (!targetFrame) {
+                    alert(I18n.__('noTextFrameFound'));
+                    return false;
+                }
+        
+                // 4. Convert Markdown and inject it with paragraph styles
+                // Remove epub:type attributes (with optional spaces)
+                var cleanedContent = mdContent.replace(/\s*\{epub\s*:\s*type\s*=\s*[^}]+\}/gi, "");
+                var paragraphStyles = this._getParagraphStyles();
+                var notesMode = this.markdownOptions.notesMode;
+                var self = this;
+                var conversion = MarkdownConverter.injectIntoFrame(
+                    targetFrame, cleanedContent, doc, paragraphStyles, this._getCharacterStyles(),
+                    notesMode === "chapter" ? "endnotes" : (notesMode === "book" ? "collect" : "footnotes"),
+                    function(path) {
+                        return self._resolveResource(path, mdFile);
+                    }
+                );
+                
+                if (notesMode === "chapter" && chapter.title) {
+                    // Endnotes of this chapter are grouped under its title
+                    try {
+                        doc.endnoteOptions.endnoteTitle = chapter.title;
+                        var endnoteTitleStyle = TextUtils.findParagraphStyle(doc, paragraphStyles["heading-2"]);
+                        if (endnoteTitleStyle) {
+                            doc.endnoteOptions.endnoteTitleStyle = endnoteTitleStyle;
+                        }
+                    } catch (e) {
+                        $.writeln("Warning: Could not set endnote title: " + e.message);
+                    }
+                } else if (notesMode === "book" && conversion.notes.length > 0) {
+                    this._collectedNotes.push({
+                        title: chapter.title || mdFileName.replace(/^\d+-/, "").replace(/\.md$/, ""),
+                        notes: conversion.notes
+                    });
+                }
+                
+                // Report footnotes that could not be matched
+                for (var u = 0; u < conversion.undefinedNotes.length; u++) {
+                    LogManager.logWarning(I18n.__('undefinedFootnote', conversion.undefinedNotes[u], mdFileName));
+                }
+                for (var n = 0; n < conversion.unusedNotes.length; n++) {
+                    LogManager.logWarning(I18n.__('unusedFootnote', conversion.unusedNotes[n], mdFileName));
+                }
+                for (var im = 0; im < conversion.missingImages.length; im++) {
+                    LogManager.logWarning(I18n.__('imageNotFound', conversion.missingImages[im], mdFileName));
+                }
+
+                // 5. Replace <<Document_Title>> with the front matter title or the first H1 title
+                try {
+                    var titleText = chapter.title;
+
+                    if (titleText) {
+                        // Replace <<Document_Title>> throughout document
+                        app.findTextPreferences = app.changeTextPreferences = null;
+                        app.findTextPreferences.findWhat = "<<Document_Title>>";
+                        app.changeTextPreferences.changeTo = titleText;
+                        doc.changeText();
+                    }
+                } catch(e) {
+                    // Ignore errors to avoid blocking main process
+                }
+                
+                return true;
+                
+            } catch (e) {
+                alert("Error injecting Markdown: " + e.message + "\n" + e.line);
+                return false;
+            }
+        };
+        
+        /**
+         * Generates the notes section document and moves it before the backmatter
+         * @param {Folder} folder - Destination folder
+         * @param {Book} book - InDesign book object
+         * @param {string} prefix - Document name prefix
+         * @param {number} anchorIndex - Book position of the first backmatter document, -1 for the end
+         * @return {boolean} Success status
+         * @private
+         */
+        this._generateNotesSection = function(folder, book, prefix, anchorIndex) {
+            // A "notes" template is preferred, then the backmatter template
+            var template = this._selectBestTemplate("notes.md", "backmatter");
+            if (!template) return false;
+            
+            var self = this;
+            var newName = template.name.replace(/^.*?-/, prefix).replace('.indd', '-notes.indd');
+            var generated = this._generateDocument(folder, template, newName, true, book, null, function(doc) {
+                return self._injectNotesSection(doc);
+            });
+            
+            if (generated && anchorIndex >= 0 && anchorIndex < book.bookContents.length - 1) {
+                try {
+                    book.bookContents[-1].move(LocationOptions.BEFORE, book.bookContents[anchorIndex]);
+                } catch (e) {
+                    $.writeln("Warning: Could not move notes before backmatter: " + e.message);
+                }
+            }
+            
+            return generated;
+        };
+        
+        /**
+         * Injects the collected notes, grouped under chapter headings, into a document
+         * @param {Document} doc - InDesign document
+         * @return {boolean} Success status
+         * @private
+         */
+        this._injectNotesSection = function(doc) {
+            var targetFrame = this._findTargetTextFrame(doc);
+            if (!targetFrame) {
+                alert(I18n.__('noTextFrameFound'));
+                return false;
+            }
+            
+            var notesTitle = I18n.__('notesTitle');
+            var blocks = [{ type: "heading", level: 1, text: notesTitle }];
+            
+            for (var c = 0; c < this._collectedNotes.length; c++) {
+                var chapter = this._collectedNotes[c];
+                blocks.push({ type: "heading", level: 2, text: chapter.title });
+                
+                for (var n = 0; n < chapter.notes.length; n++) {
+                    var paragraphs = chapter.notes[n].split("\r");
+                    for (var p = 0; p < paragraphs.length; p++) {
+                        blocks.push({
+                            type: "paragraph",
+                            style: "endnote",
+                            text: (p === 0 ? (n + 1) + ". " : "") + paragraphs[p]
+                        });
+                    }
+                }
+            }
+            
+            MarkdownConverter.injectBlocks(targetFrame, blocks, null, doc,
+                                           this._getParagraphStyles(), this._getCharacterStyles());
+            
+            try {
+                app.findTextPreferences = app.changeTextPreferences = null;
+                app.findTextPreferences.findWhat = "<<Document_Title>>";
+                app.changeTextPreferences.changeTo = notesTitle;
+                doc.changeText();
+            } catch (e) {
+                // Ignore errors to avoid blocking main process
+            }
+            
+            var runningHeader = this._getTextVariables().runningHeader;
+            if (runningHeader) {
+                try {
+                    BookUtils.Document.addCustomVariable(doc, runningHeader, notesTitle);
+                    doc.insertLabel("BookCreator.runningHeader", notesTitle);
+                } catch (e) {
+                    $.writeln("Warning: Could not add variable " + runningHeader + ": " + e.message);
+                }
+            }
+            
+            return true;
+        };
+        
+        /**
+         * Reads a Markdown file of the book and its front matter, once per generation
+         * @param {File} file - Markdown file
+         * @return {Object|null} Chapter with file, metadata (front matter), content (Markdown without
+         *                       front matter) and title (front matter title or first H1 title)
+         * @private
+         */
+        this._getChapter = function(file) {
+            if (!this._chapters) this._chapters = {};
+            if (!file || !file.exists) return null;
+            
+            // Keyed by path, so that a chapter never takes the content of another file
+            var key = file.fsName;
+            if (!this._chapters.hasOwnProperty(key)) {
+                this._chapters[key] = this._readChapter(file);
+            }
+            return this._chapters[key];
+        };
+        
+        /**
+         * Reads a Markdown file and its front matter
+         * @param {File} mdFile - Markdown file
+         * @return {Object} Chapter (see _getChapter)
+         * @private
+         */
+        this._readChapter = function(mdFile) {
+            mdFile.encoding = "UTF-8";
+            mdFile.open("r");
+            var source = mdFile.read();
+            mdFile.close();
+            
+            var parts = MarkdownConverter.splitFrontMatter(source);
+            var metadata = {};
+            if (parts.yaml) {
+                try {
+                    metadata = YAMLParser.parse(parts.yaml, { strict: true, textKeys: PandocMapper.getTextKeys() });
+                } catch (e) {
+                    // The readable keys are still used
+                    var diagnostics = e.diagnostics || [];
+                    for (var d = 0; d < diagnostics.length; d++) {
+                        LogManager.logWarning(I18n.__('yamlDiagnostic', mdFile.name, diagnostics[d].line,
+                            diagnostics[d].column, diagnostics[d].message, diagnostics[d].expected));
+                    }
+                    metadata = YAMLParser.parse(parts.yaml, { textKeys: PandocMapper.getTextKeys() });
+                }
+            }
+            
+            var title = PandocMapper.getText(metadata.title);
+            if (!title) {
+                title = MarkdownConverter.getTitle(MarkdownConverter.parseDocument(parts.body).blocks);
+            }
+            
+            return {
+                file: mdFile,
+                metadata: metadata,
+                content: parts.body,
+                title: title
+            };
+        };
+        
+        /**
+         * Gets the book metadata of a chapter document
+         * Front matter fields override the book fields, except title, subtitle and the contributors,
+         * which describe the chapter and are only available as chapter placeholders.
+         * @param {Object} chapter - Chapter from _getChapter
+         * @return {Object} Book metadata for this document
+         * @private
+         */
+        this._getChapterInfo = function(chapter) {
+            var info = {};
+            for (var key in this.info) {
+                if (this.info.hasOwnProperty(key)) info[key] = this.info[key];
+            }
+            
+            var overrides = PandocMapper.mapToBookCreator(chapter.metadata);
+            for (var field in overrides) {
+                if (overrides.hasOwnProperty(field) &&
+                    !arrayContains(["title", "subtitle", "author", "contributors"], field)) {
+                    info[field] = PandocMapper.getText(overrides[field]);
+                }
+            }
+            
+            return info;
+        };
+        
+        /**
+         * Gets the metadata whose keys are available as generic placeholders
+         * @param {Object} [chapter] - Chapter from _getChapter, whose front matter keys take precedence
+         * @return {Object} Book metadata, merged with the chapter front matter
+         * @private
+         */
+        this._getMetadata = function(chapter) {
+            var yamlMeta = this.markdownOptions ? this.markdownOptions.yamlMeta : null;
+            var metadata = {};
+            var sources = [yamlMeta || {}, chapter ? chapter.metadata : {}];
+            
+            for (var i = 0; i < sources.length; i++) {
+                for (var key in sources[i]) {
+                    if (sources[i].hasOwnProperty(key)) metadata[key] = sources[i][key];
+                }
+            }
+            
+            return metadata;
+        };
+        
+        /**
+         * Gets the chapter placeholder values from the front matter
+         * Every key is available as <<Chapter_Key_Name>>; <<Running_Head>> falls back on the chapter title.
+         * @param {Object} chapter - Chapter from _getChapter
+         * @return {Object} Placeholder values
+         * @private
+         */
+        this._getChapterPlaceholders = function(chapter) {
+            var metadata = chapter.metadata;
+            var values = {
+                "<<Chapter_Title>>": chapter.title,
+                "<<Chapter_Subtitle>>": PandocMapper.getText(metadata.subtitle),
+                "<<Chapter_Author>>": PandocMapper.getText(metadata.author),
+                "<<Running_Head>>": PandocMapper.getText(metadata["running-head"]) || chapter.title
+            };
+            
+            // Set here too so that filters and conditions apply to the title
+            if (chapter.title) values["<<Document_Title>>"] = chapter.title;
+            
+            var keys = PandocMapper.getPlaceholderValues(metadata, "Chapter_");
+            for (var placeholder in keys) {
+                if (keys.hasOwnProperty(placeholder) && !values.hasOwnProperty(placeholder)) {
+                    values[placeholder] = keys[placeholder];
+                }
+            }
+            
+            return values;
+        };
+        
+        /**
+         * Finds a template by name, as given in a chapter front matter
+         * @param {string} name - Template name, with or without the .indd extension
+         * @return {File|null} Template whose name matches exactly, else the first one containing the name
+         * @private
+         */
+        this._findTemplateByName = function(name) {
+            var wanted = trim(name).toLowerCase().replace(/\.indd$/, "");
+            if (!wanted) return null;
+            
+            var candidates = this.templates.before.concat(this.templates.after, this.templates.specialized);
+            var cores = [this.templates.frontmatter, this.templates.bodymatter, this.templates.backmatter];
+            for (var c = 0; c < cores.length; c++) {
+                if (cores[c]) candidates.push(cores[c]);
+            }
+            
+            var partial = null;
+            for (var i = 0; i < candidates.length; i++) {
+                var candidate = decodeURI(candidates[i].name).toLowerCase().replace(/\.indd$/, "");
+                if (candidate === wanted) return candidates[i];
+                if (!partial && candidate.indexOf(wanted) !== -1) partial = candidates[i];
+            }
+            
+            return partial;
+        };
+        
+        /**
+         * Gets the paragraph style names for Markdown blocks, with YAML overrides
+         * @return {Object} Paragraph style names keyed by block type
+         * @private
+         */
+        this._getParagraphStyles = function() {
+            var yamlMeta = this.markdownOptions ? this.markdownOptions.yamlMeta : null;
+            return MarkdownConverter.resolveParagraphStyles(yamlMeta ? yamlMeta["paragraph-styles"] : null);
+        };
+        
+        /**
+         * Gets the character style names for inline Markdown, with YAML overrides
+         * @return {Object} Character style names keyed by inline mark
+         * @private
+         */
+        this._getCharacterStyles = function() {
+            var yamlMeta = this.markdownOptions ? this.markdownOptions.yamlMeta : null;
+            return TextUtils.resolveCharacterStyles(yamlMeta ? yamlMeta["character-styles"] : null);
+        };
+        
+        /**
+         * Gets the EAN5 price add-on, from the price-code key or from the price and
+         * the price-currency key
+         * @return {string} 5-digit add-on
+         * @private
+         */
+        this._getPriceCode = function() {
+            var yamlMeta = (this.markdownOptions ? this.markdownOptions.yamlMeta : null) || {};
+            return BookUtils.ISBN.getPriceCode(PandocMapper.getText(yamlMeta["price-code"]), this.info.price,
+                                               PandocMapper.getText(yamlMeta["price-currency"]));
+        };
+        
+        /**
+         * Gets the barcode options: price add-on, ISSN and issue number, and barcode-font, barcode-caption,
+         * barcode-swatch, barcode-bwr, barcode-size and qr-level keys
+         * @return {Object} Options for BookUtils.Document.replaceEAN13Placeholders and replaceMatrixPlaceholders
+         * @private
+         */
+        this._getBarcodeOptions = function() {
+            var yamlMeta = (this.markdownOptions ? this.markdownOptions.yamlMeta : null) || {};
+            return {
+                priceCode: this._getPriceCode(),
+                issn: this.info.issn || null,
+                issue: this.info.issue || null,
+                font: PandocMapper.getText(yamlMeta["barcode-font"]) || null,
+                caption: yamlMeta["barcode-caption"] !== false && yamlMeta["barcode-caption"] !== "false",
+                swatch: PandocMapper.getText(yamlMeta["barcode-swatch"]) || null,
+                bwr: parseFloat(PandocMapper.getText(yamlMeta["barcode-bwr"])) || 0,
+                size: PandocMapper.getText(yamlMeta["barcode-size"]) || null,
+                level: PandocMapper.getText(yamlMeta["qr-level"]) || null
+            };
+        };
+        
+        /**
+         * Gets the text variable names of the book fields, with YAML overrides
+         * @return {Object} Variable names keyed by field
+         * @private
+         */
+        this._getTextVariables = function() {
+            var yamlMeta = this.markdownOptions ? this.markdownOptions.yamlMeta : null;
+            return BookUtils.Document.resolveTextVariables(yamlMeta ? yamlMeta["text-variables"] : null);
+        };
+        
+        /**
+         * Finds target text frame for content injection
+         * @param {Document} doc - InDesign document
+         * @return {TextFrame|null} Target text frame or null
+         * @private
+         */
+        this._findTargetTextFrame = function(doc) {
+            // First, look for frame with "content" label
+            var pages = doc.pages;
+            for (var i = 0; i < pages.length; i++) {
+                var frames = pages[i].textFrames;
+                for (var j = 0; j < frames.length; j++) {
+                    try {
+                        if (frames[j].label === "content" || frames[j].label === "contenu") {
+                            return frames[j];
+                        }
+                    } catch(e) {}
+                }
+            }
+            
+            // If not found, use first text frame
+            if (doc.pages.length > 0 && doc.pages[0].textFrames.length > 0) {
+                return doc.pages[0].textFrames[0];
+            }
+            
+            return null;
+        };
+        
+        /**
+         * Lists the Markdown chapter files in book order
+         * @return {Array} Markdown filenames
+         * @private
+         */
+        this._getAllMarkdownFilesFromFolder = function() {
+            return this._resolveMarkdownFiles().names;
+        };
+        
+        /**
+         * Resolves the Markdown chapter files in book order.
+         * The YAML input-files list is authoritative when present; otherwise the
+         * text folder is discovered and sorted naturally.
+         * @return {Object} Files, their names, listed paths that were not found (missing)
+         *                  and text folder files absent from the list (unlisted)
+         * @private
+         */
+        this._resolveMarkdownFiles = function() {
+            var resolution = { files: [], names: [], missing: [], unlisted: [], listed: false };
+            
+            if (!this.markdownOptions || !this.markdownOptions.yamlPath) {
+                return resolution;
+            }
+            
+            try {
+                var yamlFile = File(this.markdownOptions.yamlPath);
+                if (!yamlFile.exists) return resolution;
+                
+                var configDir = yamlFile.parent;
+                var projectDir = this._getProjectFolder(configDir);
+                
+                var folderFiles = this._discoverMarkdownFiles(projectDir);
+                var inputFiles = this._getInputFiles();
+                
+                if (inputFiles) {
+                    resolution.listed = true;
+                    var listedPaths = [];
+                    
+                    for (var i = 0; i < inputFiles.length; i++) {
+                        var file = this._resolveInputFile(inputFiles[i], configDir, projectDir);
+                        if (file) {
+                            resolution.files.push(file);
+                            listedPaths.push(file.fsName);
+                        } else {
+                            resolution.missing.push(inputFiles[i]);
+                        }
+                    }
+                    
+                    for (var f = 0; f < folderFiles.length; f++) {
+                        if (!arrayContains(listedPaths, folderFiles[f].fsName)) {
+                            resolution.unlisted.push(folderFiles[f].name);
+                        }
+                    }
+                } else {
+                    resolution.files = folderFiles;
+                }
+                
+                for (var n = 0; n < resolution.files.length; n++) {
+                    resolution.names.push(resolution.files[n].name);
+                }
+            } catch (e) {
+                $.writeln("Warning: Error resolving Markdown files: " + e.message);
+            }
+            
+            return resolution;
+        };
+        
+        /**
+         * Gets the input-files list from the YAML metadata
+         * @return {Array|null} Listed paths, or null when the YAML has no list
+         * @private
+         */
+        this._getInputFiles = function() {
+            var defaults = this.markdownOptions ? this.markdownOptions.pandocDefaults : null;
+            if (defaults && defaults.inputFiles) {
+                return defaults.inputFiles;
+            }
+            
+            var yamlMeta = this.markdownOptions ? this.markdownOptions.yamlMeta : null;
+            var paths = BookUtils.File.toPathList(yamlMeta ? yamlMeta["input-files"] : null);
+            
+            return paths.length > 0 ? paths : null;
+        };
+        
+        /**
+         * Gets the existing resource-path folders of the Pandoc defaults file
+         * @return {Array} Folders
+         * @private
+         */
+        this._getResourceFolders = function() {
+            var defaults = this.markdownOptions ? this.markdownOptions.pandocDefaults : null;
+            var folders = [];
+            
+            if (defaults && defaults.resourcePath) {
+                for (var i = 0; i < defaults.resourcePath.length; i++) {
+                    var folder = new Folder(defaults.resourcePath[i]);
+                    if (folder.exists) {
+                        folders.push(folder);
+                    }
+                }
+            }
+            return folders;
+        };
+        
+        /**
+         * Resolves an image path of a Markdown file against the Markdown folder,
+         * the resource-path folders, then the YAML and project folders
+         * @param {string} path - Image path as written in the Markdown
+         * @param {File} mdFile - Markdown file
+         * @return {File|null} Existing file or null
+         * @private
+         */
+        this._resolveResource = function(path, mdFile) {
+            var decodedPath = path;
+            try {
+                decodedPath = decodeURI(path);
+            } catch (e) {}
+            
+            if (BookUtils.File.isAbsolutePath(decodedPath)) {
+                var absoluteFile = File(decodedPath);
+                return absoluteFile.exists ? absoluteFile : null;
+            }
+            
+            var bases = [mdFile.parent].concat(this._getResourceFolders());
+            var yamlFile = File(this.markdownOptions.yamlPath);
+            bases.push(yamlFile.parent);
+            bases.push(this._getProjectFolder(yamlFile.parent));
+            
+            for (var b = 0; b < bases.length; b++) {
+                var file = File(bases[b].fsName + "/" + decodedPath);
+                if (file.exists) {
+                    return file;
+                }
+            }
+            return null;
+        };
+        
+        /**
+         * Gets the project root folder from the folder of the YAML file
+         * @param {Folder} configDir - Folder containing the YAML file
+         * @return {Folder} Project root folder
+         * @private
+         */
+        this._getProjectFolder = function(configDir) {
+            var configDirName = configDir.name.toLowerCase();
+            
+            // YAML in a config subdirectory: the project is its parent
+            if (configDirName === "config" || configDirName === "configs" || configDirName === "metadata") {
+                return configDir.parent;
+            }
+            return configDir;
+        };
+        
+        /**
+         * Resolves an input-files entry against the YAML folder, the project folder,
+         * then the resource-path folders
+         * @param {string} path - Path as written in the YAML
+         * @param {Folder} configDir - Folder containing the YAML file
+         * @param {Folder} projectDir - Project root folder
+         * @return {File|null} Existing file or null
+         * @private
+         */
+        this._resolveInputFile = function(path, configDir, projectDir) {
+            if (BookUtils.File.isAbsolutePath(path)) {
+                var absoluteFile = File(path);
+                return absoluteFile.exists ? absoluteFile : null;
+            }
+            
+            var bases = [configDir];
+            if (projectDir.fsName !== configDir.fsName) {
+                bases.push(projectDir);
+            }
+            bases = bases.concat(this._getResourceFolders());
+            
+            for (var b = 0; b < bases.length; b++) {
+                var file = File(bases[b].fsName + "/" + path);
+                if (file.exists) {
+                    return file;
+                }
+            }
+            
+            return null;
+        };
+        
+        /**
+         * Auto-discovers the Markdown files of the text folder, in natural order
+         * @param {Folder} projectDir - Project root folder
+         * @return {Array} Markdown files
+         * @private
+         */
+        this._discoverMarkdownFiles = function(projectDir) {
+            var textFolderVariants = ["text", "Text", "texts", "Texts", "texte", "Texte", "textes", "Textes", "md", "MD", "markdown", "Markdown"];
+            var textFolder = null;
+            
+            // A folder chosen in the main window takes precedence
+            if (this.markdownOptions.textFolderPath) {
+                var chosenFolder = new Folder(this.markdownOptions.textFolderPath);
+                if (chosenFolder.exists) {
+                    textFolder = chosenFolder;
+                }
+            }
+            
+            // Otherwise use the first text folder variant found
+            for (var v = 0; !textFolder && v < textFolderVariants.length; v++) {
+                var folderVariant = new Folder(projectDir.fsName + "/" + textFolderVariants[v]);
+                if (folderVariant.exists) {
+                    textFolder = folderVariant;
+                }
+            }
+            
+            var allFiles = [];
+            var files = (textFolder || projectDir).getFiles("*.md");
+            for (var f = 0; f < files.length; f++) {
+                if (files[f] instanceof File) {
+                    allFiles.push(files[f]);
+                }
+            }
+            
+            // If no specialized folder found, search in project root
+            if (allFiles.length === 0 && textFolder) {
+                var rootFiles = projectDir.getFiles("*.md");
+                for (var r = 0; r < rootFiles.length; r++) {
+                    if (rootFiles[r] instanceof File) {
+                        allFiles.push(rootFiles[r]);
+                    }
+                }
+            }
+            
+            allFiles.sort(function(a, b) {
+                return naturalCompare(a.name, b.name);
+            });
+            
+            return allFiles;
+        };
+        
+        /**
+         * Classifies templates by alphabetical order relative to core templates
+         * @param {Folder} templateFolder - Template folder
+         * @return {Object} Classified templates
+         * @private
+         */
+        this._classifyTemplatesByOrder = function(templateFolder) {
+            var templates = {
+                before: [],
+                frontmatter: null,
+                bodymatter: null,
+                backmatter: null,
+                after: [],
+                cover: null,
+                specialized: [] // Nouveau: templates spécialisés
+            };
+            
+            if (!templateFolder || !templateFolder.exists) return templates;
+            
+            var files = templateFolder.getFiles("*.indd");
+            var sortedFiles = [];
+            
+            // Convert to array and sort alphabetically
+            for (var i = 0; i < files.length; i++) {
+                sortedFiles.push(files[i]);
+            }
+            sortedFiles.sort(function(a, b) {
+                return a.name.toLowerCase() < b.name.toLowerCase() ? -1 : 1;
+            });
+            
+            var frontmatterFound = false;
+            var bodymatterFound = false;
+            var backmatterFound = false;
+            
+            for (var j = 0; j < sortedFiles.length; j++) {
+                var file = sortedFiles[j];
+                var filename = file.name.toLowerCase();
+                
+                if (filename.indexOf('cover') !== -1) {
+                    templates.cover = file;
+                } else if (filename.indexOf('frontmatter') !== -1) {
+                    templates.frontmatter = file;
+                    frontmatterFound = true;
+                } else if (filename.indexOf('bodymatter') !== -1) {
+                    templates.bodymatter = file;
+                    bodymatterFound = true;
+                } else if (filename.indexOf('backmatter') !== -1) {
+                    templates.backmatter = file;
+                    backmatterFound = true;
+                } else {
+                    // Check if it's a specialized template (contains specific keywords)
+                    var isSpecialized = this._isSpecializedTemplate(filename);
+                    
+                    if (isSpecialized) {
+                        templates.specialized.push(file);
+                    } else {
+                        // Classify as before/after based on alphabetical position
+                        if (!frontmatterFound) {
+                            templates.before.push(file);
+                        } else if (bodymatterFound || backmatterFound) {
+                            templates.after.push(file);
+                        } else {
+                            // Between frontmatter and backmatter, add to before
+                            templates.before.push(file);
+                        }
+                    }
+                }
+            }
+            
+            return templates;
+        };
+        
+        /**
+         * Checks if a template is specialized (contains specific content keywords)
+         * @param {string} filename - Template filename
+         * @return {boolean} True if template is specialized
+         * @private
+         */
+        this._isSpecializedTemplate = function(filename) {
+            var specializedKeywords = [
+                'bibliographie', 'bibliography', 'biblio',
+                'index', 'indexes', 'indices',
+                'annexe', 'appendix', 'appendices',
+                'glossaire', 'glossary',
+                'preface', 'préface',
+                'conclusion', 'epilogue', 'épilogue',
+                'remerciements', 'acknowledgments',
+                'dedication', 'dédicace',
+                'colophon',
+                'notes'
+            ];
+            
+            for (var k = 0; k < specializedKeywords.length; k++) {
+                if (filename.indexOf(specializedKeywords[k]) !== -1) {
+                    return true;
+                }
+            }
+            
+            return false;
+        };
+        
+        /**
+         * Determines template type based on Markdown filename content
+         * @param {string} mdFileName - Markdown filename
+         * @return {string} Template type: 'frontmatter', 'bodymatter', or 'backmatter'
+         * @private
+         */
+        this._determineTemplateType = function(mdFileName) {
+            var filename = mdFileName.toLowerCase();
+            
+            // Frontmatter keywords
+            var frontmatterKeywords = [
+                'prologue', 'abstract', 'acknowledgments', 'copyright', 'dedication', 
+                'credits', 'imprint', 'foreword', 'preface', 'introduction',
+                'avant-propos', 'préface', 'dédicace', 'remerciements', 'crédits'
+            ];
+            
+            // Backmatter keywords
+            var backmatterKeywords = [
+                'appendix', 'colophon', 'bibliography', 'index', 'conclusion',
+                'annexe', 'bibliographie', 'glossaire', 'épilogue', 'postface'
+            ];
+            
+            // Bodymatter keywords  
+            var bodymatterKeywords = [
+                'chapter', 'chapitre', 'part', 'partie'
+            ];
+            
+            // Check each category
+            for (var i = 0; i < frontmatterKeywords.length; i++) {
+                if (filename.indexOf(frontmatterKeywords[i]) !== -1) {
+                    return 'frontmatter';
+                }
+            }
+            
+            for (var j = 0; j < backmatterKeywords.length; j++) {
+                if (filename.indexOf(backmatterKeywords[j]) !== -1) {
+                    return 'backmatter';
+                }
+            }
+            
+            for (var k = 0; k < bodymatterKeywords.length; k++) {
+                if (filename.indexOf(bodymatterKeywords[k]) !== -1) {
+                    return 'bodymatter';
+                }
+            }
+            
+            // Default fallback
+            return 'bodymatter';
+        };
+        
+        /**
+         * Selects the best template for a Markdown file with priority matching
+         * @param {string} mdFileName - Markdown filename
+         * @param {string} templateType - Detected template type
+         * @return {File|null} Best matching template
+         * @private
+         */
+        this._selectBestTemplate = function(mdFileName, templateType) {
+            if (!mdFileName) return this.templates.bodymatter;
+            
+            // Extract keywords from MD filename (remove numbers and extension)
+            var mdKeywords = this._extractKeywords(mdFileName);
+            
+            // Build list of all available templates with their keywords
+            var allTemplates = [];
+            
+            // Add templates from all categories
+            if (this.templates.frontmatter) {
+                allTemplates.push({
+                    file: this.templates.frontmatter,
+                    type: 'frontmatter',
+                    keywords: this._extractKeywords(this.templates.frontmatter.name)
+                });
+            }
+            
+            if (this.templates.bodymatter) {
+                allTemplates.push({
+                    file: this.templates.bodymatter,
+                    type: 'bodymatter', 
+                    keywords: this._extractKeywords(this.templates.bodymatter.name)
+                });
+            }
+            
+            if (this.templates.backmatter) {
+                allTemplates.push({
+                    file: this.templates.backmatter,
+                    type: 'backmatter',
+                    keywords: this._extractKeywords(this.templates.backmatter.name)
+                });
+            }
+            
+            // Add all before templates
+            for (var b = 0; b < this.templates.before.length; b++) {
+                allTemplates.push({
+                    file: this.templates.before[b],
+                    type: 'before',
+                    keywords: this._extractKeywords(this.templates.before[b].name)
+                });
+            }
+            
+            // Add all specialized templates
+            for (var s = 0; s < this.templates.specialized.length; s++) {
+                allTemplates.push({
+                    file: this.templates.specialized[s],
+                    type: 'specialized',
+                    keywords: this._extractKeywords(this.templates.specialized[s].name)
+                });
+            }
+            
+            // Find best match based on keyword similarity
+            var bestMatch = null;
+            var bestScore = 0;
+            
+            for (var t = 0; t < allTemplates.length; t++) {
+                var template = allTemplates[t];
+                var score = this._calculateMatchScore(mdKeywords, template.keywords, template.type, templateType);
+                
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMatch = template.file;
+                }
+            }
+            
+            // Si on a trouvé un match spécialisé avec un bon score, l'utiliser
+            if (bestMatch && bestScore >= 60) {
+                return bestMatch;
+            }
+            
+            // Sinon, utiliser la logique de fallback par type
+            if (templateType === 'frontmatter' && this.templates.frontmatter) {
+                return this.templates.frontmatter;
+            } else if (templateType === 'backmatter' && this.templates.backmatter) {
+                return this.templates.backmatter;
+            } else {
+                return this.templates.bodymatter;
+            }
+        };
+        
+        /**
+         * Extracts meaningful keywords from a filename
+         * @param {string} filename - Filename to process
+         * @return {Array} Array of keywords
+         * @private
+         */
+        this._extractKeywords = function(filename) {
+            if (!filename) return [];
+            
+            // Remove file extension and common prefixes
+            var clean = filename.toLowerCase()
+                .replace(/\.indd$/, '')
+                .replace(/\.md$/, '')
+                .replace(/^[a-z]+-\d+-\d*-?/, '') // Remove patterns like "LIVRE-5-2-"
+                .replace(/^\d+-/, ''); // Remove patterns like "13-"
+            
+            // Split by common separators and filter out short words
+            var allWords = clean.split(/[-_\s]+/);
+            var words = [];
+            for (var w = 0; w < allWords.length; w++) {
+                if (allWords[w].length > 2) { // Keep words longer than 2 characters
+                    words.push(allWords[w]);
+                }
+            }
+            
+            return words;
+        };
+        
+        /**
+         * Calculates match score between MD keywords and template keywords
+         * @param {Array} mdKeywords - Keywords from Markdown filename
+         * @param {Array} templateKeywords - Keywords from template filename  
+         * @param {string} templateType - Template type category
+         * @param {string} expectedType - Expected template type for MD file
+         * @return {number} Match score (0-100)
+         * @private
+         */
+        this._calculateMatchScore = function(mdKeywords, templateKeywords, templateType, expectedType) {
+            var score = 0;
+            
+            // Base score for type matching
+            if (templateType === expectedType) {
+                score += 30;
+            } else if (templateType === 'specialized') {
+                // Specialized templates get a bonus for keyword matching
+                score += 20;
+            }
+            
+            // Keyword matching score
+            var keywordScore = 0;
+            var totalPossible = Math.max(mdKeywords.length, templateKeywords.length);
+            
+            if (totalPossible > 0) {
+                for (var i = 0; i < mdKeywords.length; i++) {
+                    var mdKeyword = mdKeywords[i];
+                    
+                    for (var j = 0; j < templateKeywords.length; j++) {
+                        var templateKeyword = templateKeywords[j];
+                        
+                        // Exact match
+                        if (mdKeyword === templateKeyword) {
+                            keywordScore += 60;
+                        }
+                        // Partial match (one contains the other)
+                        else if (mdKeyword.indexOf(templateKeyword) !== -1 || 
+                                 templateKeyword.indexOf(mdKeyword) !== -1) {
+                            keywordScore += 30;
+                        }
+                        // Similarity for common terms
+                        else if (this._areSimilarTerms(mdKeyword, templateKeyword)) {
+                            keywordScore += 15;
+                        }
+                    }
+                }
+                
+                // Normalize keyword score
+                keywordScore = Math.min(70, keywordScore); // Cap at 70 points
+            }
+            
+            return score + keywordScore;
+        };
+        
+        /**
+         * Checks if two terms are semantically similar
+         * @param {string} term1 - First term
+         * @param {string} term2 - Second term
+         * @return {boolean} True if terms are similar
+         * @private
+         */
+        this._areSimilarTerms = function(term1, term2) {
+            var synonyms = {
+                'bibliographie': ['bibliography', 'biblio', 'references'],
+                'bibliography': ['bibliographie', 'biblio', 'references'],
+                'index': ['indexes', 'indices'],
+                'annexe': ['appendix', 'appendices'],
+                'appendix': ['annexe', 'appendices'],
+                'glossaire': ['glossary'],
+                'glossary': ['glossaire'],
+                'preface': ['préface', 'avant-propos'],
+                'préface': ['preface', 'avant-propos'],
+                'conclusion': ['epilogue', 'épilogue'],
+                'epilogue': ['conclusion', 'épilogue'],
+                'épilogue': ['conclusion', 'epilogue']
+            };
+            
+            var term1Synonyms = synonyms[term1] || [];
+            var term2Synonyms = synonyms[term2] || [];
+            
+            return arrayContains(term1Synonyms, term2) || arrayContains(term2Synonyms, term1);
+        };
+    }
+    
+    /**
+     * @namespace LogManager
+     * @description Centralized error logging system
+     */
+    var LogManager = {
+        /**
+         * Log an error message with optional Error object
+         * @param {string} message - Error message
+         * @param {Error} [error] - Optional Error object
+         */
+        logError: function(message, error) {
+            if (error) {
+                alert(message + ": " + error.message + (error.line ? "\nLine: " + error.line : ""));
+            } else {
+                alert(message);
+            }
+            
+            // Future: Could log to file or console
+        },
+        
+        /**
+         * Log an informational message
+         * @param {string} message - Info message
+         */
+        logInfo: function(message) {
+            // For future implementation, currently silent
+        },
+        
+        /**
+         * Warnings collected during the current generation
+         * @type {Array}
+         */
+        warnings: [],
+        
+        /**
+         * Log a non-blocking warning, reported to the user at the end of generation
+         * @param {string} message - Warning message
+         */
+        logWarning: function(message) {
+            this.warnings.push(message);
+            $.writeln("Warning: " + message);
+        },
+        
+        /**
+         * Returns the collected warnings and clears the list
+         * @return {Array} Warning messages
+         */
+        flushWarnings: function() {
+            var warnings = this.warnings;
+            this.warnings = [];
+            return warnings;
+        }
+    };
+    
+    /**
+     * Auto-detects Build/InDesign folder for book generation
+     * @param {string} yamlPath - Path to the YAML file
+     * @return {Folder|null} Found Build/InDesign folder or null
+     */
+    function autoDetectBuildFolder(yamlPath) {
+        if (!yamlPath) return null;
+        
+        var yamlFile = File(yamlPath);
+        if (!yamlFile.exists) return null;
+        
+        var searchDir = yamlFile.parent;
+        
+        // Define possible build folder patterns
+        var buildVariants = [
+            ["Build", "InDesign"], ["build", "indesign"], 
+            ["Build", "indesign"], ["build", "InDesign"],
+            ["output", "InDesign"], ["Output", "InDesign"],
+            ["export", "InDesign"], ["Export", "InDesign"]
+        ];
+        
+        // Search in current directory and parent
+        var searchDirs = [searchDir, searchDir.parent];
+        
+        for (var d = 0; d < searchDirs.length; d++) {
+            var baseDir = searchDirs[d];
+            if (!baseDir || !baseDir.exists) continue;
+            
+            // Try each build folder combination
+            for (var v = 0; v < buildVariants.length; v++) {
+                var pathParts = buildVariants[v];
+                var testPath = baseDir.fsName;
+                
+                for (var p = 0; p < pathParts.length; p++) {
+                    testPath += "/" + pathParts[p];
+                }
+                
+                var testFolder = new Folder(testPath);
+                if (testFolder.exists) {
+                    return testFolder;
+                }
+            }
+            
+            // Also check for simple "Build" folder
+            var simpleBuildPath = baseDir.fsName + "/Build";
+            var simpleBuildFolder = new Folder(simpleBuildPath);
+            if (simpleBuildFolder.exists) {
+                return simpleBuildFolder;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Auto-detects template folder based on YAML file location
+     * @param {string} yamlPath - Path to the YAML file
+     * @return {Folder|null} Found template folder or null
+     */
+    function autoDetectTemplateFolder(yamlPath) {
+        if (!yamlPath) return null;
+        
+        var yamlFile = File(yamlPath);
+        if (!yamlFile.exists) return null;
+        
+        var searchDir = yamlFile.parent;
+        
+        // Define possible template folder patterns
+        var templateVariants = [
+            "template", "Template", "TEMPLATE", "templates", "Templates", "TEMPLATES",
+            "indesign", "InDesign", "INDESIGN"
+        ];
+        
+        // Define possible subdirectory combinations
+        var subdirCombinations = [
+            ["template"], ["Template"], ["templates"], ["Templates"],
+            ["template", "indesign"], ["Template", "InDesign"], 
+            ["templates", "indesign"], ["Templates", "InDesign"],
+            ["indesign"], ["InDesign"]
+        ];
+        
+        // Search in current directory, parent, and grandparent
+        var searchDirs = [searchDir, searchDir.parent, searchDir.parent ? searchDir.parent.parent : null];
+        
+        for (var d = 0; d < searchDirs.length; d++) {
+            var baseDir = searchDirs[d];
+            if (!baseDir || !baseDir.exists) continue;
+            
+            // Try each subdirectory combination
+            for (var c = 0; c < subdirCombinations.length; c++) {
+                var pathParts = subdirCombinations[c];
+                var testPath = baseDir.fsName;
+                
+                for (var p = 0; p < pathParts.length; p++) {
+                    testPath += "/" + pathParts[p];
+                }
+                
+                var testFolder = new Folder(testPath);
+                if (testFolder.exists) {
+                    // Check if folder contains .indd files
+                    var inddFiles = testFolder.getFiles("*.indd");
+                    if (inddFiles.length > 0) {
+                        return testFolder;
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * @namespace ReedSolomon
+     * @description Reed-Solomon error correction codewords over GF(256), shared by QR codes and Data Matrix
+     */
+    var ReedSolomon = (function() {
+        
+        /**
+         * Exponent and logarithm tables, by primitive polynomial
+         * @private
+         */
+        var fields = {};
+        
+        /**
+         * Gets the exponent and logarithm tables of a field
+         * @param {number} primitive - Primitive polynomial, such as 0x11D
+         * @return {Object} Object with exp and log arrays
+         * @private
+         */
+        function getField(primitive) {
+            if (fields[primitive]) return fields[primitive];
+            
+            var exp = [];
+            var log = [];
+            var value = 1;
+            for (var i = 0; i < 255; i++) {
+                exp[i] = value;
+                log[value] = i;
+                value <<= 1;
+                if (value > 255) value ^= primitive;
+            }
+            fields[primitive] = { exp: exp, log: log };
+            return fields[primitive];
+        }
+        
+        /**
+         * Multiplies two field elements
+         * @param {Object} field - Field tables
+         * @param {number} a - First element
+         * @param {number} b - Second element
+         * @return {number} Product
+         * @private
+         */
+        function multiply(field, a, b) {
+            if (a === 0 || b === 0) return 0;
+            return field.exp[(field.log[a] + field.log[b]) % 255];
+        }
+        
+        /**
+         * Computes the error correction codewords of a block
+         * @param {Array} data - Data codewords
+         * @param {number} length - Number of error correction codewords
+         * @param {number} primitive - Primitive polynomial: 0x11D for QR codes, 0x12D for Data Matrix
+         * @param {number} firstRoot - Exponent of the first generator root: 0 for QR codes, 1 for Data Matrix
+         * @return {Array} Error correction codewords
+         */
+        function encode(data, length, primitive, firstRoot) {
+            var field = getField(primitive);
+            var generator = [1];
+            var i, j;
+            
+            // Product of (x - a^k), highest degree first
+            for (i = 0; i < length; i++) {
+                var root = field.exp[(firstRoot + i) % 255];
+                var next = [generator[0]];
+                for (j = 1; j < generator.length; j++) {
+                    next.push(generator[j] ^ multiply(field, generator[j - 1], root));
+                }
+                next.push(multiply(field, generator[generator.length - 1], root));
+                generator = next;
+            }
+            
+            // Remainder of the division of the data by the generator
+            var remainder = [];
+            for (i = 0; i < length; i++) remainder.push(0);
+            for (i = 0; i < data.length; i++) {
+                var factor = data[i] ^ remainder.shift();
+                remainder.push(0);
+                for (j = 0; j < length; j++) {
+                    remainder[j] ^= multiply(field, generator[j + 1], factor);
+                }
+            }
+            return remainder;
+        }
+        
+        return {
+            encode: encode
+        };
+    })();
+    
+    /**
+     * @namespace QRCode
+     * @description QR code (ISO/IEC 18004) encoder in byte mode, versions 1 to 40
+     */
+    var QRCode = (function() {
+        
+        /**
+         * Error correction levels: format bits and table index
+         * @private
+         */
+        var LEVELS = {
+            L: { bits: 1, index: 0 },
+            M: { bits: 0, index: 1 },
+            Q: { bits: 3, index: 2 },
+            H: { bits: 2, index: 3 }
+        };
+        
+        /**
+         * Error correction codewords per block, by level (L, M, Q, H) and version
+         * @private
+         */
+        var ECC_PER_BLOCK = [
+            [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+             28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+             26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30,
+             28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28,
+             30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        ];
+        
+        /**
+         * Error correction blocks, by level (L, M, Q, H) and version
+         * @private
+         */
+        var BLOCKS = [
+            [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+             8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+             17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20,
+             23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+             25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        ];
+        
+        /**
+         * Counts the modules left for codewords once the function patterns are drawn
+         * @param {number} version - Version (1 to 40)
+         * @return {number} Number of data and error correction modules
+         * @private
+         */
+        function getRawModules(version) {
+            var result = (16 * version + 128) * version + 64;
+            if (version >= 2) {
+                var alignments = Math.floor(version / 7) + 2;
+                result -= (25 * alignments - 10) * alignments - 55;
+                if (version >= 7) result -= 36;
+            }
+            return result;
+        }
+        
+        /**
+         * Counts the data codewords of a version and level
+         * @param {number} version - Version (1 to 40)
+         * @param {Object} level - Error correction level
+         * @return {number} Number of data codewords
+         * @private
+         */
+        function getDataCodewords(version, level) {
+            return Math.floor(getRawModules(version) / 8) -
+                   ECC_PER_BLOCK[level.index][version] * BLOCKS[level.index][version];
+        }
+        
+        /**
+         * Gets the centres of the alignment patterns on each axis
+         * @param {number} version - Version (1 to 40)
+         * @return {Array} Row and column positions
+         * @private
+         */
+        function getAlignmentPositions(version) {
+            if (version === 1) return [];
+            
+            var count = Math.floor(version / 7) + 2;
+            var size = version * 4 + 17;
+            var step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+            var positions = [6];
+            for (var pos = size - 7; positions.length < count; pos -= step) {
+                positions.splice(1, 0, pos);
+            }
+            return positions;
+        }
+        
+        /**
+         * Computes the BCH code of the format or version information
+         * @param {number} data - Information bits
+         * @param {number} degree - Degree of the generator
+         * @param {number} generator - Generator polynomial
+         * @return {number} Information followed by its check bits
+         * @private
+         */
+        function getBCHCode(data, degree, generator) {
+            var remainder = data;
+            for (var i = 0; i < degree; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> (degree - 1)) * generator);
+            }
+            return (data << degree) | remainder;
+        }
+        
+        /**
+         * Tells whether a mask inverts a module
+         * @param {number} mask - Mask pattern (0 to 7)
+         * @param {number} row - Module row
+         * @param {number} col - Module column
+         * @return {boolean} True when the module is inverted
+         * @private
+         */
+        function isMasked(mask, row, col) {
+            switch (mask) {
+                case 0: return (row + col) % 2 === 0;
+                case 1: return row % 2 === 0;
+                case 2: return col % 3 === 0;
+                case 3: return (row + col) % 3 === 0;
+                case 4: return (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+                case 5: return row * col % 2 + row * col % 3 === 0;
+                case 6: return (row * col % 2 + row * col % 3) % 2 === 0;
+                default: return ((row + col) % 2 + row * col % 3) % 2 === 0;
+            }
+        }
+        
+        /**
+         * Builds the data codewords: byte mode segment, terminator and padding
+         * @param {Array} bytes - Data bytes
+         * @param {number} version - Version (1 to 40)
+         * @param {number} capacity - Number of data codewords
+         * @return {Array} Data codewords
+         * @private
+         */
+        function getDataBits(bytes, version, capacity) {
+            var bits = [];
+            var append = function(value, length) {
+                for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+            };
+            
+            append(4, 4);
+            append(bytes.length, version < 10 ? 8 : 16);
+            for (var i = 0; i < bytes.length; i++) append(bytes[i], 8);
+            
+            // Terminator, then zeros up to a whole codeword
+            append(0, Math.min(4, capacity * 8 - bits.length));
+            append(0, (8 - bits.length % 8) % 8);
+            
+            var codewords = [];
+            for (i = 0; i < bits.length; i += 8) {
+                var value = 0;
+                for (var b = 0; b < 8; b++) value = (value << 1) | bits[i + b];
+                codewords.push(value);
+            }
+            for (var pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+                codewords.push(pad);
+            }
+            return codewords;
+        }
+        
+        /**
+         * Splits data codewords into blocks, adds their error correction and interleaves them
+         * @param {Array} data - Data codewords
+         * @param {number} version - Version (1 to 40)
+         * @param {Object} level - Error correction level
+         * @return {Array} Codewords in placement order
+         * @private
+         */
+        function addErrorCorrection(data, version, level) {
+            var blockCount = BLOCKS[level.index][version];
+            var eccLength = ECC_PER_BLOCK[level.index][version];
+            var rawCodewords = Math.floor(getRawModules(version) / 8);
+            var shortBlocks = blockCount - rawCodewords % blockCount;
+            var shortLength = Math.floor(rawCodewords / blockCount) - eccLength;
+            
+            var blocks = [];
+            var eccBlocks = [];
+            for (var b = 0, offset = 0; b < blockCount; b++) {
+                var length = shortLength + (b < shortBlocks ? 0 : 1);
+                var block = data.slice(offset, offset + length);
+                offset += length;
+                blocks.push(block);
+                eccBlocks.push(ReedSolomon.encode(block, eccLength, 0x11D, 0));
+            }
+            
+            var result = [];
+            var i;
+            for (i = 0; i <= shortLength; i++) {
+                for (b = 0; b < blockCount; b++) {
+                    if (i < blocks[b].length) result.push(blocks[b][i]);
+                }
+            }
+            for (i = 0; i < eccLength; i++) {
+                for (b = 0; b < blockCount; b++) result.push(eccBlocks[b][i]);
+            }
+            return result;
+        }
+        
+        /**
+         * Draws the function patterns: finders, timing, alignment and version information
+         * @param {Array} modules - Module rows, filled in place
+         * @param {Array} reserved - Rows of flags, set for function modules
+         * @param {number} version - Version (1 to 40)
+         * @private
+         */
+        function drawFunctionPatterns(modules, reserved, version) {
+            var size = modules.length;
+            var set = function(row, col, dark) {
+                modules[row][col] = dark;
+                reserved[row][col] = true;
+            };
+            var i, j;
+            
+            // Timing patterns
+            for (i = 0; i < size; i++) {
+                set(6, i, i % 2 === 0);
+                set(i, 6, i % 2 === 0);
+            }
+            
+            // Finder patterns with their separators
+            var corners = [[3, 3], [3, size - 4], [size - 4, 3]];
+            for (var c = 0; c < corners.length; c++) {
+                for (i = -4; i <= 4; i++) {
+                    for (j = -4; j <= 4; j++) {
+                        var row = corners[c][0] + i;
+                        var col = corners[c][1] + j;
+                        if (row < 0 || row >= size || col < 0 || col >= size) continue;
+                        var distance = Math.max(Math.abs(i), Math.abs(j));
+                        set(row, col, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+            
+            // Alignment patterns, except over the finders
+            var positions = getAlignmentPositions(version);
+            for (i = 0; i < positions.length; i++) {
+                for (j = 0; j < positions.length; j++) {
+                    if ((i === 0 && j === 0) || (i === 0 && j === positions.length - 1) ||
+                        (i === positions.length - 1 && j === 0)) {
+                        continue;
+                    }
+                    for (var dy = -2; dy <= 2; dy++) {
+                        for (var dx = -2; dx <= 2; dx++) {
+                            set(positions[i] + dy, positions[j] + dx, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                        }
+                    }
+                }
+            }
+            
+            // Format information is drawn with the mask; reserve its modules and the dark module
+            drawFormatBits(modules, reserved, 0);
+            
+            // Version information, from version 7
+            if (version >= 7) {
+                var bits = getBCHCode(version, 12, 0x1F25);
+                for (i = 0; i < 18; i++) {
+                    var dark = ((bits >>> i) & 1) === 1;
+                    var a = size - 11 + i % 3;
+                    var b = Math.floor(i / 3);
+                    set(a, b, dark);
+                    set(b, a, dark);
+                }
+            }
+        }
+        
+        /**
+         * Draws the two copies of the format information
+         * @param {Array} modules - Module rows, filled in place
+         * @param {Array} reserved - Rows of flags, set for function modules
+         * @param {number} format - Level bits followed by mask number
+         * @private
+         */
+        function drawFormatBits(modules, reserved, format) {
+            var size = modules.length;
+            var bits = getBCHCode(format, 10, 0x537) ^ 0x5412;
+            var set = function(row, col, i) {
+                modules[row][col] = ((bits >>> i) & 1) === 1;
+                reserved[row][col] = true;
+            };
+            var i;
+            
+            // Around the top left finder
+            for (i = 0; i <= 5; i++) set(i, 8, i);
+            set(7, 8, 6);
+            set(8, 8, 7);
+            set(8, 7, 8);
+            for (i = 9; i < 15; i++) set(8, 14 - i, i);
+            
+            // Split between the top right and bottom left finders
+            for (i = 0; i < 8; i++) set(8, size - 1 - i, i);
+            for (i = 8; i < 15; i++) set(size - 15 + i, 8, i);
+            
+            modules[size - 8][8] = true;
+            reserved[size - 8][8] = true;
+        }
+        
+        /**
+         * Places the codewords in the zigzag order of the symbol
+         * @param {Array} modules - Module rows, filled in place
+         * @param {Array} reserved - Rows of flags of the function modules
+         * @param {Array} codewords - Interleaved codewords
+         * @private
+         */
+        function drawCodewords(modules, reserved, codewords) {
+            var size = modules.length;
+            var bit = 0;
+            
+            for (var right = size - 1; right >= 1; right -= 2) {
+                // The vertical timing pattern is skipped
+                if (right === 6) right = 5;
+                for (var vert = 0; vert < size; vert++) {
+                    for (var j = 0; j < 2; j++) {
+                        var col = right - j;
+                        var upward = ((right + 1) & 2) === 0;
+                        var row = upward ? size - 1 - vert : vert;
+                        if (reserved[row][col]) continue;
+                        
+                        // Remainder bits are light
+                        modules[row][col] = bit < codewords.length * 8 &&
+                            ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                        bit++;
+                    }
+                }
+            }
+        }
+        
+        /**
+         * Inverts the data modules with a mask pattern
+         * @param {Array} modules - Module rows, changed in place
+         * @param {Array} reserved - Rows of flags of the function modules
+         * @param {number} mask - Mask pattern (0 to 7)
+         * @private
+         */
+        function applyMask(modules, reserved, mask) {
+            for (var row = 0; row < modules.length; row++) {
+                for (var col = 0; col < modules.length; col++) {
+                    if (!reserved[row][col] && isMasked(mask, row, col)) {
+                        modules[row][col] = !modules[row][col];
+                    }
+                }
+            }
+        }
+        
+        /**
+         * Scores a masked symbol: the lowest score gives the most readable mask
+         * @param {Array} modules - Module rows
+         * @return {number} Penalty points
+         * @private
+         */
+        function getPenalty(modules) {
+            var size = modules.length;
+            var penalty = 0;
+            var dark = 0;
+            var row, col;
+            
+            for (row = 0; row < size; row++) {
+                var rowRun = 0;
+                var colRun = 0;
+                var rowBits = 0;
+                var colBits = 0;
+                
+                for (col = 0; col < size; col++) {
+                    // Runs of five or more modules of the same colour, in rows and columns
+                    rowRun = col > 0 && modules[row][col] === modules[row][col - 1] ? rowRun + 1 : 1;
+                    if (rowRun === 5) penalty += 3;
+                    else if (rowRun > 5) penalty++;
+                    
+                    colRun = col > 0 && modules[col][row] === modules[col - 1][row] ? colRun + 1 : 1;
+                    if (colRun === 5) penalty += 3;
+                    else if (colRun > 5) penalty++;
+                    
+                    // Finder-like patterns 1011101 with four light modules on one side
+                    rowBits = ((rowBits << 1) & 0x7FF) | (modules[row][col] ? 1 : 0);
+                    colBits = ((colBits << 1) & 0x7FF) | (modules[col][row] ? 1 : 0);
+                    if (col >= 10) {
+                        if (rowBits === 0x5D0 || rowBits === 0x05D) penalty += 40;
+                        if (colBits === 0x5D0 || colBits === 0x05D) penalty += 40;
+                    }
+                    
+                    // Blocks of 2 x 2 modules of the same colour
+                    if (row > 0 && col > 0) {
+                        var value = modules[row][col];
+                        if (modules[row - 1][col] === value && modules[row][col - 1] === value &&
+                            modules[row - 1][col - 1] === value) {
+                            penalty += 3;
+                        }
+                    }
+                    
+                    if (modules[row][col]) dark++;
+                }
+            }
+            
+            // Balance of dark and light modules
+            return penalty + Math.abs(Math.ceil(dark * 100 / (size * size) / 5) - 10) * 10;
+        }
+        
+        /**
+         * Encodes text as a QR code in byte mode (UTF-8), with the smallest version that holds it
+         * @param {string} text - Text to encode, such as a URL
+         * @param {string} [level] - Error correction level: L (7%), M (15%, default), Q (25%) or H (30%)
+         * @param {number} [mask] - Mask pattern (0 to 7), else the one with the lowest penalty
+         * @return {Array} Rows of modules, true for dark, without quiet zone
+         * @throws {Error} When the text does not fit in a version 40 symbol
+         */
+        function encode(text, level, mask) {
+            var ecc = LEVELS[String(level || "M").toUpperCase()] || LEVELS.M;
+            var bytes = toUTF8(text);
+            
+            var version;
+            for (version = 1; version <= 40; version++) {
+                var headerBits = 4 + (version < 10 ? 8 : 16);
+                if (headerBits + bytes.length * 8 <= getDataCodewords(version, ecc) * 8) break;
+            }
+            if (version > 40) throw new Error("Text too long for a QR code: " + bytes.length + " bytes");
+            
+            var codewords = addErrorCorrection(getDataBits(bytes, version, getDataCodewords(version, ecc)), version, ecc);
+            
+            var size = version * 4 + 17;
+            var modules = [];
+            var reserved = [];
+            for (var row = 0; row < size; row++) {
+                modules.push([]);
+                reserved.push([]);
+                for (var col = 0; col < size; col++) {
+                    modules[row].push(false);
+                    reserved[row].push(false);
+                }
+            }
+            
+            drawFunctionPatterns(modules, reserved, version);
+            drawCodewords(modules, reserved, codewords);
+            
+            if (mask === undefined || mask === null) {
+                var lowest = -1;
+                for (var m = 0; m < 8; m++) {
+                    applyMask(modules, reserved, m);
+                    drawFormatBits(modules, reserved, (ecc.bits << 3) | m);
+                    var penalty = getPenalty(modules);
+                    if (lowest < 0 || penalty < lowest) {
+                        lowest = penalty;
+                        mask = m;
+                    }
+                    applyMask(modules, reserved, m);
+                }
+            }
+            
+            applyMask(modules, reserved, mask);
+            drawFormatBits(modules, reserved, (ecc.bits << 3) | mask);
+            return modules;
+        }
+        
+        return {
+            encode: encode
+        };
+    })();
+    
+    /**
+     * @namespace DataMatrix
+     * @description Data Matrix ECC 200 (ISO/IEC 16022) encoder in ASCII encodation, square symbols
+     */
+    var DataMatrix = (function() {
+        
+        /**
+         * Square symbol sizes: symbol size, data region size, data codewords,
+         * error correction codewords and interleaved blocks
+         * @private
+         */
+        var SIZES = [
+            [10, 8, 3, 5, 1], [12, 10, 5, 7, 1], [14, 12, 8, 10, 1], [16, 14, 12, 12, 1],
+            [18, 16, 18, 14, 1], [20, 18, 22, 18, 1], [22, 20, 30, 20, 1], [24, 22, 36, 24, 1],
+            [26, 24, 44, 28, 1], [32, 14, 62, 36, 1], [36, 16, 86, 42, 1], [40, 18, 114, 48, 1],
+            [44, 20, 144, 56, 1], [48, 22, 174, 68, 1], [52, 24, 204, 84, 2], [64, 14, 280, 112, 2],
+            [72, 16, 368, 144, 4], [80, 18, 456, 192, 4], [88, 20, 576, 224, 4], [96, 22, 696, 272, 4],
+            [104, 24, 816, 336, 6], [120, 18, 1050, 408, 6], [132, 20, 1304, 496, 8], [144, 22, 1558, 620, 10]
+        ];
+        
+        /**
+         * Encodes bytes in ASCII encodation: digit pairs, characters and upper shifts
+         * @param {Array} bytes - Data bytes
+         * @return {Array} Data codewords
+         * @private
+         */
+        function getCodewords(bytes) {
+            var codewords = [];
+            for (var i = 0; i < bytes.length; i++) {
+                var c = bytes[i];
+                var next = bytes[i + 1];
+                if (c >= 48 && c <= 57 && next >= 48 && next <= 57) {
+                    codewords.push(130 + (c - 48) * 10 + (next - 48));
+                    i++;
+                } else if (c > 127) {
+                    codewords.push(235, c - 127);
+                } else {
+                    codewords.push(c + 1);
+                }
+            }
+            return codewords;
+        }
+        
+        /**
+         * Places the codeword bits in the mapping matrix, following the standard
+         * placement of ECC 200 symbols
+         * @param {number} rows - Rows of the mapping matrix (data regions without finders)
+         * @param {number} cols - Columns of the mapping matrix
+         * @param {Array} codewords - Interleaved codewords
+         * @return {Array} Rows of modules of the mapping matrix
+         * @private
+         */
+        function placeCodewords(rows, cols, codewords) {
+            var matrix = [];
+            var filled = [];
+            var r, c;
+            for (r = 0; r < rows; r++) {
+                matrix.push([]);
+                filled.push([]);
+                for (c = 0; c < cols; c++) {
+                    matrix[r].push(false);
+                    filled[r].push(false);
+                }
+            }
+            
+            var module = function(row, col, index, bit) {
+                if (row < 0) {
+                    row += rows;
+                    col += 4 - ((rows + 4) % 8);
+                }
+                if (col < 0) {
+                    col += cols;
+                    row += 4 - ((cols + 4) % 8);
+                }
+                matrix[row][col] = ((codewords[index] >> (8 - bit)) & 1) === 1;
+                filled[row][col] = true;
+            };
+            
+            // Bits of one codeword, by row and column offset from its last module
+            var shapes = {
+                utah: [[-2, -2], [-2, -1], [-1, -2], [-1, -1], [-1, 0], [0, -2], [0, -1], [0, 0]],
+                corner1: [[rows - 1, 0], [rows - 1, 1], [rows - 1, 2], [0, cols - 2],
+                          [0, cols - 1], [1, cols - 1], [2, cols - 1], [3, cols - 1]],
+                corner2: [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0], [0, cols - 4],
+                          [0, cols - 3], [0, cols - 2], [0, cols - 1], [1, cols - 1]],
+                corner3: [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0], [0, cols - 2],
+                          [0, cols - 1], [1, cols - 1], [2, cols - 1], [3, cols - 1]],
+                corner4: [[rows - 1, 0], [rows - 1, cols - 1], [0, cols - 3], [0, cols - 2],
+                          [0, cols - 1], [1, cols - 3], [1, cols - 2], [1, cols - 1]]
+            };
+            var index = 0;
+            var place = function(shape, row, col) {
+                for (var b = 0; b < 8; b++) module(row + shape[b][0], col + shape[b][1], index, b + 1);
+                index++;
+            };
+            
+            var row = 4;
+            var col = 0;
+            do {
+                if (row === rows && col === 0) place(shapes.corner1, 0, 0);
+                if (row === rows - 2 && col === 0 && cols % 4) place(shapes.corner2, 0, 0);
+                if (row === rows - 2 && col === 0 && cols % 8 === 4) place(shapes.corner3, 0, 0);
+                if (row === rows + 4 && col === 2 && !(cols % 8)) place(shapes.corner4, 0, 0);
+                
+                // Diagonal up and right, then down and left
+                do {
+                    if (row < rows && col >= 0 && !filled[row][col]) place(shapes.utah, row, col);
+                    row -= 2;
+                    col += 2;
+                } while (row >= 0 && col < cols);
+                row += 1;
+                col += 3;
+                
+                do {
+                    if (row >= 0 && col < cols && !filled[row][col]) place(shapes.utah, row, col);
+                    row += 2;
+                    col -= 2;
+                } while (row < rows && col >= 0);
+                row += 3;
+                col += 1;
+            } while (row < rows || col < cols);
+            
+            // Unused lower right corner
+            if (!filled[rows - 1][cols - 1]) {
+                matrix[rows - 1][cols - 1] = true;
+                matrix[rows - 2][cols - 2] = true;
+            }
+            return matrix;
+        }
+        
+        /**
+         * Encodes text as a square Data Matrix ECC 200 symbol (UTF-8), with the smallest size that holds it
+         * @param {string} text - Text to encode, such as a URL
+         * @return {Array} Rows of modules, true for dark, without quiet zone
+         * @throws {Error} When the text does not fit in a 144 x 144 symbol
+         */
+        function encode(text) {
+            var bytes = toUTF8(text);
+            var data = getCodewords(bytes);
+            
+            // Readers take bytes as Latin-1 unless told otherwise: ECI 26 announces UTF-8
+            if (bytes.length > String(text).length) data = [241, 27].concat(data);
+            
+            var spec = null;
+            for (var s = 0; s < SIZES.length && !spec; s++) {
+                if (data.length <= SIZES[s][2]) spec = SIZES[s];
+            }
+            if (!spec) throw new Error("Text too long for a Data Matrix: " + data.length + " codewords");
+            
+            var size = spec[0];
+            var regionSize = spec[1];
+            var capacity = spec[2];
+            var blockCount = spec[4];
+            var eccLength = spec[3] / blockCount;
+            var i, b;
+            
+            // First pad is 129, the next ones are scrambled by position
+            if (data.length < capacity) data.push(129);
+            while (data.length < capacity) {
+                var pad = 129 + ((149 * (data.length + 1)) % 253) + 1;
+                data.push(pad > 254 ? pad - 254 : pad);
+            }
+            
+            // Codewords are dealt to the blocks in turn, data then error correction;
+            // in 144 x 144 symbols, the first error correction codeword goes to block 9
+            var codewords = data.slice(0);
+            for (b = 0; b < blockCount; b++) {
+                var block = [];
+                for (i = b; i < capacity; i += blockCount) block.push(data[i]);
+                var ecc = ReedSolomon.encode(block, eccLength, 0x12D, 1);
+                var first = (b - capacity % blockCount + blockCount) % blockCount;
+                for (i = 0; i < eccLength; i++) codewords[capacity + first + i * blockCount] = ecc[i];
+            }
+            
+            var regions = size / (regionSize + 2);
+            var mapping = placeCodewords(regions * regionSize, regions * regionSize, codewords);
+            
+            // Each data region is framed by a solid L on its left and bottom edges,
+            // and alternating modules on its top and right edges
+            var modules = [];
+            for (var row = 0; row < size; row++) {
+                modules.push([]);
+                for (var col = 0; col < size; col++) {
+                    var r = row % (regionSize + 2);
+                    var c = col % (regionSize + 2);
+                    var dark;
+                    if (c === 0 || r === regionSize + 1) {
+                        dark = true;
+                    } else if (r === 0) {
+                        dark = c % 2 === 0;
+                    } else if (c === regionSize + 1) {
+                        dark = r % 2 === 1;
+                    } else {
+                        dark = mapping[Math.floor(row / (regionSize + 2)) * regionSize + r - 1]
+                                      [Math.floor(col / (regionSize + 2)) * regionSize + c - 1];
+                    }
+                    modules[row].push(dark);
+                }
+            }
+            return modules;
+        }
+        
+        return {
+            encode: encode
+        };
+    })();
+    
+    /**
+     * ISBN registrant ranges by registration group, from the range message of the
+     * International ISBN Agency (https://www.isbn-international.org/range_file_generation)
+     * 
+     * Each range gives, as first and last registrant, the registrant elements
+     * allotted in the group: its length is the length of the element. Update this
+     * table from a new range message when the agency adds ranges.
+     * @type {Object}
+     */
+    var ISBNRanges = {
+        "978-0": "00-19 200-227 2280-2289 229-368 3690-3699 370-638 6390-6397 6398000-6399999 640-644 6450000-6459999 646-647 6480000-6489999 649-654 6550-6559 656-699 7000-8499 85000-89999 900000-900370 9003710-9003719 900372-949999 9500000-9999999",
+        "978-1": "000-009 01-02 030-034 0350-0399 040-045 0460-0469 047-047 0480-0499 05-05 0665000-0665749 0665750-0665999 0666000-0669999 0670000-0699999 0700-0999 100-397 3980-5499 55000-64999 6500-6799 68000-68599 6860-7139 714-716 7170-7319 7320000-7399999 74000-76199 7620-7634 7635000-7649999 76500-77499 7750000-7753999 77540-77639 7764000-7764999 77650-77699 7770000-7782999 77830-78999 7900-7999 80000-80049 80050-80499 80500-83799 8380000-8384999 83850-86719 8672-8675 86760-86979 869800-915999 9160000-9165059 916506-916869 9168700-9169079 916908-919163 9191640-9195649 919565-919599 9196000-9196549 919655-972999 9730-9877 987800-991149 9911500-9911999 991200-998989 9989900-9999999",
+        "978-2": "00-19 200-349 35000-39999 400-486 487000-494999 495-495 4960-4966 49670-49699 497-527 5280-5299 530-699 7000-8399 84000-89999 900000-919799 91980-91980 919810-919942 9199430-9199689 919969-949999 9500000-9999999",
+        "978-3": "00-02 030-033 0340-0369 03700-03999 04-19 200-312 3130-3139 314-389 39-39 400-675 67600-68799 688-688 68900-69499 6950-8499 85000-89999 900000-949999 9500000-9539999 95400-96999 9700000-9849999 98500-99959 9996-9999",
+        "978-4": "00-19 200-699 7000-8499 85000-89999 900000-949999 9500000-9999999",
+        "978-5": "00000-00499 0050-0099 01-19 200-361 3620-3623 36240-36299 363-420 4210-4299 430-430 4310-4399 440-440 4410-4499 450-602 6030000-6049999 605-699 7000-8499 85000-89999 900000-909999 91000-91999 9200-9299 93000-94999 9500000-9500999 9501-9799 98000-98999 9900000-9909999 9910-9999",
+        "978-600": "00-09 100-499 5000-8999 90000-98679 9868-9929 993-995 99600-99999",
+        "978-601": "00-19 200-699 7000-7999 80000-84999 85-99",
+        "978-602": "00-06 0700-1399 14000-14999 1500-1699 17000-19999 200-499 50000-53999 5400-5999 60000-61999 6200-6999 70000-74999 7500-9499 95000-99999",
+        "978-603": "00-04 05-49 500-799 8000-8999 90000-99999",
+        "978-604": "0-2 300-399 40-46 470-497 4980-4999 50-89 900-979 9800-9999",
+        "978-605": "00-02 030-039 04-05 06000-06999 07-09 100-199 2000-2399 240-399 4000-5999 60000-74999 7500-7999 80000-89999 9000-9999",
+        "978-606": "000-099 10-49 500-799 8000-9099 910-919 92000-95999 9600-9749 975-999",
+        "978-607": "00-25 2600-2649 26500-26999 27-39 400-588 5890-5929 59300-59999 600-691 69200-69999 700-749 7500-9499 95000-99999",
+        "978-608": "0-0 10-19 200-449 4500-6499 65000-69999 7-9",
+        "978-609": "00-39 400-799 8000-9499 95000-99999",
+        "978-611": "",
+        "978-612": "00-29 300-399 4000-4499 45000-49999 5000-5299 99000-99999",
+        "978-613": "0-9",
+        "978-614": "00-39 400-799 8000-9499 95000-99999",
+        "978-615": "00-09 100-499 5000-7999 80000-89999",
+        "978-616": "00-19 200-699 7000-8999 90000-99999",
+        "978-617": "00-49 500-699 7000-8999 9000-9049 90500-99999",
+        "978-618": "00-19 200-499 5000-7999 80000-99999",
+        "978-619": "00-14 150-699 7000-8999 90000-99999",
+        "978-620": "0-9",
+        "978-621": "00-29 400-599 8000-8999 95000-99999",
+        "978-622": "00-10 110-129 1300-1799 180-182 1830-1899 190-194 19500-19999 200-459 4600-8749 87500-99999",
+        "978-623": "00-10 110-524 5250-8799 88000-99999",
+        "978-624": "00-04 200-249 4850-6899 91000-99999",
+        "978-625": "00-01 320-442 44300-44499 445-449 5000-7793 77940-77949 7795-8999 90000-99999",
+        "978-626": "00-04 300-499 6500-7999 92500-99999",
+        "978-627": "28-31 500-534 7400-7999 94500-95149",
+        "978-628": "00-09 500-549 7500-8499 95000-99999",
+        "978-629": "00-02 455-499 7100-7999 92000-99999",
+        "978-630": "300-399 6500-6849 95000-99999",
+        "978-631": "00-09 300-399 6500-7499 90000-99999",
+        "978-632": "00-11 600-679",
+        "978-633": "00-01 300-349 8250-8999 99500-99999",
+        "978-634": "00-05 200-349 7000-7999 96000-99999",
+        "978-635": "00-04 250-324 5800-6999 96000-99999",
+        "978-65": "00-02 250-299 300-302 5000-6349 80000-81824 82000-89999 900000-902449 975500-999999",
+        "978-66": "30-30",
+        "978-69990": "50-51 990-999",
+        "978-7": "00-09 100-499 5000-7999 80000-89999 900000-999999",
+        "978-80": "00-19 200-529 53000-54999 550-689 69000-69999 7000-8499 85000-89999 900000-998999 99900-99999",
+        "978-81": "00-18 19000-19999 200-647 6480-6699 6700-6799 68000-68499 685000-689999 69000-69999 7000-8499 85000-89999 900000-999999",
+        "978-82": "00-19 200-689 690000-699999 7000-8999 90000-98999 990000-999999",
+        "978-83": "00-19 200-599 60000-69999 7000-8499 85000-89999 900000-999999",
+        "978-84": "00-09 10000-10499 1050-1199 120000-129999 1300-1399 140-149 15000-19999 200-699 7000-8499 85000-89999 9000-9199 920000-923999 92400-92999 930000-949999 95000-96999 9700-9999",
+        "978-85": "00-19 200-454 455000-455299 45530-45599 456-528 52900-53199 5320-5339 534-539 54000-54029 54030-54039 540400-540499 54050-54089 540900-540999 54100-54399 5440-5479 54800-54999 5500-5999 60000-69999 7000-8499 85000-89999 900000-924999 92500-94499 9450-9599 96-97 98000-99999",
+        "978-86": "00-29 300-599 6000-7999 80000-89999 900000-999999",
+        "978-87": "00-29 400-649 7000-7999 85000-94999 970000-999999",
+        "978-88": "00-19 200-311 31200-31499 315-318 31900-32299 323-326 3270-3389 339-360 3610-3629 363-548 5490-5549 555-599 6000-8499 85000-89999 900000-909999 910-926 9270-9399 940000-947999 94800-99999",
+        "978-89": "00-24 250-549 5500-8499 85000-94999 950000-969999 97000-98999 990-999",
+        "978-90": "00-19 200-499 5000-6999 70000-79999 800000-849999 8500-8999 90-90 94-94",
+        "978-91": "0-1 20-49 500-649 6850-8199 85000-94999 970000-999999",
+        "978-92": "0-5 60-79 800-899 9000-9499 95000-98999 990000-999999",
+        "978-93": "00-08 0900-0999 100-469 47000-47999 48000-49999 5000-7999 80000-95999 960000-999999",
+        "978-94": "000-599 6000-6387 638800-638809 63881-63881 638820-638839 63884-63885 638860-638869 63887-63889 6389-6395 639600-639609 63961-63962 639630-639639 63964-63964 639650-639659 63966-63969 6397-6399 640000-640009 64001-64004 640050-640059 64006-64006 640070-640089 64009-64009 6401-6406 640700-640739 64074-64074 640750-640759 64076-64077 640780-640799 6408-6419 64200-64201 642020-642029 64203-64203 642040-642049 64205-64206 642070-642079 64208-64208 642090-642099 6421-6432 64330-64331 643320-643329 64333-64333 643340-643359 64336-64336 643370-643379 64338-64339 6434-6435 643600-643609 64361-64363 643640-643659 64366-64366 643670-643679 64368-64369 6437-6443 644400-644409 64441-64441 644420-644429 64443-64443 644440-644449 64445-64446 644470-644489 64449-64449 6445-6450 64510-64512 645130-645139 64514-64515 645160-645199 6452-6458 645900-645909 64591-64592 645930-645949 64595-64596 645970-645989 64599-64599 6460-6465 646600-646609 64661-64662 646630-646659 64666-64666 646670-646689 64669-64669 6467-6474 64750-64751 647520-647539 64754-64754 647550-647559 64756-64757 647580-647589 64759-64759 6476-6476 647700-647708 64771-64771 647723-647729 64773-64773 647740-647769 64777-64779 647800-647809 64781-64781 647820-647829 64783-64786 647870-647879 64788-64789 6479-6493 649400-649409 64941-64942 649430-649449 64945-64946 649470-649479 64948-64948 649490-649499 6495-6497 64980-64980 649810-649829 64983-64984 649850-649869 64987-64987 649880-649899 6499-8999 90000-99999",
+        "978-950": "00-49 500-899 9000-9899 99000-99999",
+        "978-951": "0-1 20-54 550-889 8900-9499 95000-99999",
+        "978-952": "00-17 180-189 19500-19999 200-499 5000-5999 60-64 65000-65999 6600-6699 67000-69999 7000-7999 80-94 9500-9899 99000-99999",
+        "978-953": "0-0 10-14 150-459 46000-49999 500-500 50100-50999 51-54 55000-59999 6000-9499 95000-99999",
+        "978-954": "00-28 2900-2999 300-799 8000-8999 90000-92999 9300-9999",
+        "978-955": "0000-1999 20-33 3400-3549 35500-35999 3600-3799 38000-38999 3900-4099 41000-44999 4500-4999 50000-54999 550-710 71100-71499 7150-9499 95000-99999",
+        "978-956": "00-07 08000-09999 10-19 200-599 6000-6999 7000-9999",
+        "978-957": "00-02 0300-0499 05-19 2000-2099 21-27 28000-30999 31-43 440-819 8200-9699 97000-99999",
+        "978-958": "00-49 500-509 5100-5199 52000-53999 5400-5599 56000-59999 600-799 8000-9499 95000-99999",
+        "978-959": "00-19 200-699 7000-8499 85000-99999",
+        "978-960": "00-19 200-659 6600-6899 690-699 7000-8499 85000-92999 93-93 9400-9799 98000-99999",
+        "978-961": "00-19 200-599 6000-8999 90000-97999",
+        "978-962": "00-19 200-699 7000-8499 85000-86999 8700-8999 900-999",
+        "978-963": "00-19 200-699 7000-8499 85000-89999 9000-9999",
+        "978-964": "00-14 150-249 2500-2999 300-549 5500-8999 90000-96999 970-989 9900-9999",
+        "978-965": "00-19 200-599 7000-7999 90000-99999",
+        "978-966": "00-12 130-139 14-14 1500-1699 170-199 2000-2789 279-289 2900-2999 300-699 7000-8999 90000-90999 910-949 95000-97999 980-999",
+        "978-967": "0000-0999 10000-19999 2000-2499 250-254 25500-26999 2700-2799 2800-2999 300-499 5000-5999 60-89 900-989 9900-9989 99900-99999",
+        "978-968": "01-39 400-499 5000-7999 800-899 9000-9999",
+        "978-969": "0-1 20-20 210-219 2200-2299 23000-23999 24-39 400-749 7500-9999",
+        "978-970": "01-59 600-899 9000-9099 91000-96999 9700-9999",
+        "978-971": "000-015 0160-0199 02-02 0300-0599 06-49 500-849 8500-9099 91000-95999 9600-9699 97-98 9900-9999",
+        "978-972": "0-1 20-54 550-799 8000-9499 95000-99999",
+        "978-973": "0-0 100-169 1700-1999 20-54 550-759 7600-8499 85000-88999 8900-9499 95000-99999",
+        "978-974": "00-19 200-699 7000-8499 85000-89999 90000-94999 9500-9999",
+        "978-975": "00000-01999 02-23 2400-2499 250-599 6000-9199 92000-98999 990-999",
+        "978-976": "0-3 40-59 600-799 8000-9499 95000-99999",
+        "978-977": "00-19 200-499 5000-6999 700-849 85000-87399 8740-8899 890-894 8950-8999 90-95 9600-9699 970-999",
+        "978-978": "000-199 2000-2999 30000-66999 67-68 690-699 765-799 8000-8999 900-999",
+        "978-979": "000-099 1000-1499 15000-19999 20-29 3000-3999 400-799 8000-9499 95000-99999",
+        "978-980": "00-19 200-599 6000-9999",
+        "978-981": "00-16 17000-17999 18-19 200-299 3000-3099 310-399 4000-5999 92-99",
+        "978-982": "00-09 100-699 70-89 9000-9799 98000-99999",
+        "978-983": "00-01 020-199 2000-3999 40000-44999 45-49 50-79 800-899 9000-9899 99000-99999",
+        "978-984": "00-21 220-224 2250-2599 26-28 29000-29999 30-38 3900-3999 400-799 8000-8999 90000-99999",
+        "978-985": "00-39 400-599 6000-8799 880-899 90000-99999",
+        "978-986": "00-05 06000-06999 0700-0799 08-11 120-539 5400-7999 80000-99999",
+        "978-987": "00-09 1000-1999 20000-29999 30-35 3600-4199 42-43 4400-4499 45000-48999 4900-4999 500-824 8250-8279 82800-82999 8300-8499 85-88 8900-9499 95000-99999",
+        "978-988": "00-11 12000-19999 200-699 70000-79999 8000-9699 97000-99999",
+        "978-989": "0-0 20-34 35000-36999 37-48 49000-49999 50-52 53000-54999 550-799 8000-9499 95000-99999",
+        "978-9905": "0-0 20-23 600-624 9900-9999",
+        "978-9906": "20-22 700-724 9900-9999",
+        "978-9907": "0-0 50-64 800-874 9500-9999",
+        "978-9908": "0-3 40-69 825-899 9700-9999",
+        "978-9909": "00-19 750-849 9800-9999",
+        "978-9910": "01-18 225-374 4500-5499 550-799 8000-9999",
+        "978-9911": "20-24 550-749 9500-9999",
+        "978-9912": "40-44 750-799 9800-9999",
+        "978-9913": "00-09 600-709 9500-9999",
+        "978-9914": "27-55 700-799 9200-9999",
+        "978-9915": "40-59 650-799 9300-9999",
+        "978-9916": "0-0 10-39 4-5 600-789 79-91 9200-9399 94-94 9500-9999",
+        "978-9917": "0-0 30-34 600-699 9625-9999",
+        "978-9918": "0-0 20-29 600-799 9500-9999",
+        "978-9919": "0-0 20-29 500-599 9000-9999",
+        "978-9920": "00-02 130-199 200-229 23-42 430-799 8300-8549 8550-9999",
+        "978-9921": "0-0 30-39 700-899 9700-9999",
+        "978-9922": "15-29 500-549 5500-5999 600-799 8000-9999",
+        "978-9923": "0-0 10-69 700-899 9400-9999",
+        "978-9924": "28-39 500-659 8950-9999",
+        "978-9925": "0-2 30-54 550-734 7350-9999",
+        "978-9926": "0-1 20-39 400-799 8000-9999",
+        "978-9927": "00-09 100-399 4000-4999",
+        "978-9928": "00-09 100-399 4000-4999 800-899 90-99",
+        "978-9929": "0-3 40-54 550-799 8000-9799 980-999",
+        "978-9930": "00-49 500-939 9400-9999",
+        "978-9931": "00-23 240-899 9000-9999",
+        "978-9932": "00-39 400-849 8500-9999",
+        "978-9933": "0-0 10-39 400-869 87-89 9000-9999",
+        "978-9934": "0-0 10-49 500-799 8000-9999",
+        "978-9935": "0-0 10-39 400-899 9000-9999",
+        "978-9936": "0-1 20-39 400-799 8000-9999",
+        "978-9937": "0-2 30-49 500-799 8000-9999",
+        "978-9938": "00-79 800-949 9500-9749 975-990 9910-9999",
+        "978-9939": "0-3 40-47 480-499 50-79 800-899 9000-9599 960-979 98-99",
+        "978-9940": "0-1 20-49 500-839 84-86 8700-9999",
+        "978-9941": "0-0 10-39 400-789 7900-7999 8-8 9000-9999",
+        "978-9942": "00-55 560-699 7000-7499 750-849 8500-8999 900-984 9850-9999",
+        "978-9943": "00-29 300-399 4000-9749 975-999",
+        "978-9944": "0000-0999 100-499 5000-5999 60-69 700-799 80-89 900-999",
+        "978-9945": "00-00 010-079 08-39 400-569 57-57 580-799 80-80 810-849 8500-9999",
+        "978-9946": "0-1 20-39 400-899 9000-9999",
+        "978-9947": "0-1 20-79 800-999",
+        "978-9948": "00-39 400-519 52-53 540-609 610-619 620-849 8500-9949 9950-9974 9975-9999",
+        "978-9949": "00-08 090-099 10-39 400-699 70-71 7200-7499 75-89 9000-9999",
+        "978-9950": "00-29 300-849 8500-9999",
+        "978-9951": "00-38 390-849 8500-9799 980-999",
+        "978-9952": "0-0 15-39 400-799 8000-9999",
+        "978-9953": "0-0 10-39 400-599 60-89 9000-9299 93-96 970-999",
+        "978-9954": "0-1 20-39 400-799 8000-9899 99-99",
+        "978-9955": "00-39 400-929 9300-9999",
+        "978-9956": "0-0 10-39 400-899 9000-9999",
+        "978-9957": "00-39 400-649 65-67 680-699 70-84 8500-8799 88-99",
+        "978-9958": "00-01 020-029 0300-0399 040-089 0900-0999 10-18 1900-1999 20-49 500-899 9000-9999",
+        "978-9959": "0-1 20-79 800-949 9500-9699 970-979 98-99",
+        "978-9960": "00-59 600-899 9000-9999",
+        "978-9961": "0-2 30-69 700-949 9500-9999",
+        "978-9962": "00-54 5500-5599 56-59 600-849 8500-9999",
+        "978-9963": "0-1 2000-2499 250-279 2800-2999 30-54 550-734 7350-7499 7500-9999",
+        "978-9964": "0-6 70-94 950-999",
+        "978-9965": "00-39 400-899 9000-9999",
+        "978-9966": "000-139 14-14 1500-1999 20-69 7000-7499 750-820 8210-8249 825-825 8260-8289 829-959 9600-9999",
+        "978-9967": "00-39 400-899 9000-9999",
+        "978-9968": "00-49 500-939 9400-9999",
+        "978-9969": "00-19 500-749 9300-9999",
+        "978-9970": "00-39 400-899 9000-9999",
+        "978-9971": "0-5 60-89 900-989 9900-9999",
+        "978-9972": "00-09 1-1 200-249 2500-2999 30-59 600-899 9000-9999",
+        "978-9973": "00-05 060-089 0900-0999 10-69 700-969 9700-9999",
+        "978-9974": "0-2 30-54 550-749 7500-8799 880-909 91-94 95-99",
+        "978-9975": "0-0 100-299 3000-3999 4000-4499 45-89 900-949 9500-9999",
+        "978-9976": "0-4 5000-5799 580-589 59-89 900-989 9900-9999",
+        "978-9977": "00-89 900-989 9900-9999",
+        "978-9978": "00-29 300-399 40-94 950-989 9900-9999",
+        "978-9979": "0-4 50-64 650-659 66-75 760-899 9000-9999",
+        "978-9980": "0-3 40-89 900-989 9900-9999",
+        "978-9981": "00-09 100-159 1600-1999 20-79 800-949 9500-9999",
+        "978-9982": "00-79 800-989 9900-9999",
+        "978-9983": "80-94 950-989 9900-9999",
+        "978-9984": "00-49 500-899 9000-9999",
+        "978-9985": "0-4 50-79 800-899 9000-9999",
+        "978-9986": "00-39 400-899 9000-9399 940-969 97-99",
+        "978-9987": "00-39 400-879 8800-9999",
+        "978-9988": "0-3 40-54 550-749 7500-9999",
+        "978-9989": "0-0 100-199 2000-2999 30-59 600-949 9500-9999",
+        "978-99901": "00-49 500-799 80-99",
+        "978-99902": "",
+        "978-99903": "0-1 20-89 900-999",
+        "978-99904": "0-5 60-89 900-999",
+        "978-99905": "0-3 40-79 800-999",
+        "978-99906": "0-2 30-59 600-699 70-89 90-94 950-999",
+        "978-99908": "0-0 10-89 900-999",
+        "978-99909": "0-3 40-94 950-999",
+        "978-99910": "0-2 30-89 900-999",
+        "978-99911": "00-46 470-479 48-59 600-999",
+        "978-99912": "0-3 400-599 60-89 900-999",
+        "978-99913": "0-2 30-35 600-604",
+        "978-99914": "0-4 50-69 7-7 80-86 870-879 88-89 900-999",
+        "978-99915": "0-4 50-79 800-999",
+        "978-99916": "0-2 30-69 700-999",
+        "978-99917": "0-2 30-88 890-999",
+        "978-99918": "0-3 40-79 800-999",
+        "978-99919": "0-2 300-399 40-79 800-999",
+        "978-99920": "0-4 50-89 900-999",
+        "978-99921": "0-1 20-69 700-799 8-8 90-99",
+        "978-99922": "0-3 40-69 700-999",
+        "978-99923": "0-1 20-79 800-999",
+        "978-99924": "0-1 20-79 800-999",
+        "978-99925": "0-0 10-19 200-299 3-3 40-79 800-999",
+        "978-99926": "0-0 10-59 600-869 87-89 90-99",
+        "978-99927": "0-2 30-59 600-999",
+        "978-99928": "0-0 10-79 800-999",
+        "978-99929": "0-4 50-79 800-999",
+        "978-99930": "0-4 50-79 800-999",
+        "978-99931": "0-4 50-79 800-999",
+        "978-99932": "0-0 10-59 600-699 7-7 80-99",
+        "978-99933": "0-2 30-59 600-999",
+        "978-99934": "0-1 20-79 800-999",
+        "978-99935": "0-2 30-59 600-699 7-8 90-99",
+        "978-99936": "0-0 10-59 600-999",
+        "978-99937": "0-1 20-59 600-999",
+        "978-99938": "0-1 20-59 600-899 90-99",
+        "978-99939": "0-2 30-59 60-89 900-999",
+        "978-99940": "0-0 10-69 700-999",
+        "978-99941": "0-2 30-79 800-999",
+        "978-99942": "0-4 50-79 800-999",
+        "978-99943": "0-2 30-59 600-999",
+        "978-99944": "0-4 50-79 800-999",
+        "978-99945": "0-4 50-89 900-979 98-99",
+        "978-99946": "0-2 30-59 600-999",
+        "978-99947": "0-2 30-69 700-999",
+        "978-99948": "0-4 50-79 800-999",
+        "978-99949": "0-1 20-79 8-8 900-989 99-99",
+        "978-99950": "0-4 50-79 800-999",
+        "978-99951": "",
+        "978-99952": "0-4 50-79 800-999",
+        "978-99953": "0-2 30-79 800-939 94-99",
+        "978-99954": "0-2 30-69 700-879 88-99",
+        "978-99955": "0-1 20-59 600-799 80-99",
+        "978-99956": "00-59 600-859 86-99",
+        "978-99957": "0-1 20-79 800-949 95-99",
+        "978-99958": "0-4 50-93 940-949 950-999",
+        "978-99959": "0-2 30-59 600-999",
+        "978-99960": "070-099 10-94 950-999",
+        "978-99961": "0-2 300-369 37-89 900-999",
+        "978-99962": "0-4 50-79 800-999",
+        "978-99963": "00-49 500-919 92-99",
+        "978-99964": "0-1 20-79 800-999",
+        "978-99965": "0-2 300-359 36-62 630-999",
+        "978-99966": "0-2 30-69 700-799 80-96 970-999",
+        "978-99967": "0-0 10-59 600-999",
+        "978-99968": "0-3 400-599 60-89 900-999",
+        "978-99969": "0-4 50-79 800-949 95-99",
+        "978-99970": "0-4 50-89 900-999",
+        "978-99971": "0-3 40-84 850-999",
+        "978-99972": "0-4 50-89 900-999",
+        "978-99973": "0-3 40-79 800-999",
+        "978-99974": "0-0 10-25 260-399 40-63 640-649 65-79 800-999",
+        "978-99975": "0-2 300-399 40-79 800-999",
+        "978-99976": "00-03 040-099 10-15 160-199 20-59 600-819 82-89 900-999",
+        "978-99977": "0-1 40-69 700-799 900-924 975-999",
+        "978-99978": "0-4 50-69 700-999",
+        "978-99979": "0-3 40-79 800-999",
+        "978-99980": "0-0 25-64 670-999",
+        "978-99981": "0-0 10-10 110-149 15-19 200-219 22-74 750-999",
+        "978-99982": "0-4 50-79 845-999",
+        "978-99983": "0-0 35-69 850-999",
+        "978-99984": "0-0 50-69 950-999",
+        "978-99985": "0-1 200-229 23-79 800-999",
+        "978-99986": "0-0 50-69 950-999",
+        "978-99987": "400-999",
+        "978-99988": "0-0 10-11 50-54 800-824",
+        "978-99989": "0-1 50-79 900-999",
+        "978-99990": "0-1 45-57 930-999",
+        "978-99991": "0-0 50-60 960-999",
+        "978-99992": "0-2 50-69 900-999",
+        "978-99993": "0-4 50-54 980-999",
+        "978-99994": "0-0 50-56 960-999",
+        "978-99995": "50-55 975-999",
+        "978-99996": "0-1 40-59 900-999",
+        "978-99997": "0-0 40-61 920-999",
+        "978-99998": "80-89",
+        "979-10": "00-19 200-699 7000-8999 90000-97599 976000-999999",
+        "979-11": "00-21 220000-229999 23000-24999 250-549 5500-8499 85000-94999 950000-999999",
+        "979-12": "200-299 5450-5999 80000-84999 985000-999999",
+        "979-13": "00-00 600-604 7000-7349 87500-89999 990000-999999",
+        "979-8": "030-034 1700-1799 1800-1949 1950-1999 200-239 2400-2599 2600-2799 2800-2999 3000-8849 88500-89999 90000-90999 950000-969999 9850000-9929999 9930000-9959999 9960000-9984999 9985000-9999999"
+    };
+    
+    /**
+     * @namespace BookUtils
+     * @description Utilities for book creation and manipulation
+     */
+    var BookUtils = {
+        /**
+         * @namespace ISBN
+         * @description ISBN validation and EAN13 barcode generation
+         */
+        ISBN: {
+            /**
+             * Validates an ISBN input
+             * @param {string|number} isbnInput - Raw ISBN, a number when unquoted in YAML
+             * @return {Object} Validation result with status and message
+             */
+            validate: function(isbnInput) {
+                isbnInput = String(isbnInput === undefined || isbnInput === null ? "" : isbnInput);
+                
+                // Check for placeholder pattern (978-2-940426-XX-X or similar)
+                var placeholderPattern = /^978-[\d-]*[X-]+[\d-]*$/i;
+                if (placeholderPattern.test(isbnInput)) {
+                    return { 
+                        valid: true, 
+                        result: isbnInput,
+                        message: "Placeholder ISBN accepted" 
+                    };
+                }
+                
+                var isbnDigits = isbnInput.replace(/\D/g, "");
+                
+                // ISBN-10, whose check digit may be X
+                var isbn10 = isbnInput.replace(/[^\dX]/gi, "").toUpperCase();
+                if (isbn10.length === 10 && isbnDigits.length >= 9 && isbnDigits.length <= 10) {
+                    if (!this.isISBN10Valid(isbn10)) {
+                        return { valid: false, message: "Invalid ISBN-10 check digit." };
+                    }
+                    return {
+                        valid: true,
+                        result: this.toISBN13(isbn10),
+                        message: "Converted from ISBN-10"
+                    };
+                }
+                
+                if (isbnDigits.length < 12) {
+                    return { valid: false, message: "An ISBN must contain at least 12 digits." };
+                }
+                
+                if (isbnDigits.length === 12) {
+                    var checkDigit = this.calculateCheckDigit(isbnDigits);
+                    isbnDigits += checkDigit;
+                    return { 
+                        valid: true, 
+                        result: isbnDigits,
+                        message: "Check digit added: " + checkDigit
+                    };
+                }
+                
+                if (isbnDigits.length === 13) {
+                    if (!this.isEAN13Valid(isbnDigits)) {
+                        var correctDigit = this.calculateCheckDigit(isbnDigits.substring(0, 12));
+                        return { 
+                            valid: false, 
+                            message: "Invalid check digit. It should be: " + correctDigit
+                        };
+                    }
+                    return { valid: true, result: isbnDigits };
+                }
+                
+                return { valid: false, message: "Invalid ISBN format." };
+            },
+            
+            /**
+             * Calculates EAN13 check digit
+             * @param {string} code - 12-digit code
+             * @return {number} Check digit (0-9)
+             */
+            calculateCheckDigit: function(code) {
+                var sum = 0;
+                for (var i = 0; i < 12; i++) {
+                    var digit = parseInt(code.charAt(i), 10);
+                    sum += (i % 2 === 0) ? digit : digit * 3;
+                }
+                return (10 - (sum % 10)) % 10;
+            },
+            
+            /**
+             * Validates an ISBN-10 code
+             * @param {string} input - 10 characters, the last one a digit or X
+             * @return {boolean} Is valid ISBN-10
+             */
+            isISBN10Valid: function(input) {
+                if (!/^\d{9}[\dX]$/i.test(input)) return false;
+                
+                var sum = 0;
+                for (var i = 0; i < 10; i++) {
+                    var c = input.charAt(i).toUpperCase();
+                    sum += (c === "X" ? 10 : parseInt(c, 10)) * (10 - i);
+                }
+                return sum % 11 === 0;
+            },
+            
+            /**
+             * Converts an ISBN to its 13 digits
+             * @param {string} isbnInput - ISBN-13, with or without check digit, or ISBN-10
+             * @return {string|null} 13 digits, null when the ISBN is not valid
+             */
+            toISBN13: function(isbnInput) {
+                var code = String(isbnInput || "").replace(/[^\dX]/gi, "").toUpperCase();
+                
+                if (code.length === 10) {
+                    if (!this.isISBN10Valid(code)) return null;
+                    code = "978" + code.substring(0, 9);
+                }
+                if (!/^\d{12,13}$/.test(code)) return null;
+                if (code.length === 12) code += this.calculateCheckDigit(code);
+                
+                return this.isEAN13Valid(code) ? code : null;
+            },
+            
+            /**
+             * Hyphenates an ISBN into prefix, registration group, registrant,
+             * publication and check digit, using ISBNRanges
+             * @param {string} isbnInput - ISBN-13 or ISBN-10, as entered
+             * @return {string} Hyphenated ISBN-13, its 13 digits when its group or
+             *                  registrant is not in the ranges, and the input unchanged
+             *                  when it is not a valid ISBN
+             */
+            format: function(isbnInput) {
+                var code = this.toISBN13(isbnInput);
+                if (!code) return isbnInput ? trim(String(isbnInput)) : "";
+                
+                // Registration groups are 1 to 5 digits long, and none is the start of another
+                for (var length = 1; length <= 5; length++) {
+                    var group = code.substring(3, 3 + length);
+                    var ranges = ISBNRanges[code.substring(0, 3) + "-" + group];
+                    if (!ranges) continue;
+                    
+                    var rest = code.substring(3 + length, 12);
+                    ranges = ranges.split(" ");
+                    for (var r = 0; r < ranges.length; r++) {
+                        var bounds = ranges[r].split("-");
+                        var registrant = rest.substring(0, bounds[0].length);
+                        if (registrant >= bounds[0] && registrant <= bounds[1] && registrant.length < rest.length) {
+                            return [code.substring(0, 3), group, registrant,
+                                    rest.substring(registrant.length), code.charAt(12)].join("-");
+                        }
+                    }
+                    break;
+                }
+                return code;
+            },
+            
+            /**
+             * Validates an ISSN input
+             * @param {string} issnInput - Raw ISSN string, such as "0317-8471"
+             * @return {Object} Validation result with status, 8-character ISSN and message
+             */
+            validateISSN: function(issnInput) {
+                var code = String(issnInput || "").replace(/[^\dX]/gi, "").toUpperCase();
+                
+                if (code.length === 7 && /^\d{7}$/.test(code)) {
+                    var checkDigit = this.calculateISSNCheckDigit(code);
+                    return {
+                        valid: true,
+                        result: code + checkDigit,
+                        message: "Check digit added: " + checkDigit
+                    };
+                }
+                
+                if (code.length !== 8 || !/^\d{7}[\dX]$/.test(code)) {
+                    return { valid: false, message: "An ISSN must contain 8 characters." };
+                }
+                
+                if (!this.isISSNValid(code)) {
+                    return {
+                        valid: false,
+                        message: "Invalid check digit. It should be: " + this.calculateISSNCheckDigit(code.substring(0, 7))
+                    };
+                }
+                return { valid: true, result: code };
+            },
+            
+            /**
+             * Calculates ISSN check digit (weights 8 to 2, modulo 11)
+             * @param {string} code - First 7 digits of the ISSN
+             * @return {string} Check digit, "X" standing for 10
+             */
+            calculateISSNCheckDigit: function(code) {
+                var sum = 0;
+                for (var i = 0; i < 7; i++) {
+                    sum += parseInt(code.charAt(i), 10) * (8 - i);
+                }
+                var checkDigit = (11 - (sum % 11)) % 11;
+                return checkDigit === 10 ? "X" : String(checkDigit);
+            },
+            
+            /**
+             * Validates an ISSN code
+             * @param {string} input - 8 characters, the last one a digit or X
+             * @return {boolean} Is valid ISSN
+             */
+            isISSNValid: function(input) {
+                if (!/^\d{7}[\dX]$/i.test(input)) return false;
+                return input.charAt(7).toUpperCase() === this.calculateISSNCheckDigit(input.substring(0, 7));
+            },
+            
+            /**
+             * Hyphenates an ISSN
+             * @param {string} issnInput - ISSN as entered, or the EAN13 of a periodical
+             * @return {string} ISSN as "0317-8471", the input unchanged when it is not a valid ISSN
+             */
+            formatISSN: function(issnInput) {
+                var code = this.toISSN(issnInput);
+                if (!code) return issnInput ? trim(String(issnInput)) : "";
+                return code.substring(0, 4) + "-" + code.substring(4);
+            },
+            
+            /**
+             * Converts an ISSN input to its 8 characters
+             * @param {string} issnInput - ISSN, with or without check digit, or the EAN13 of a periodical (977)
+             * @return {string|null} 8-character ISSN, null when the ISSN is not valid
+             */
+            toISSN: function(issnInput) {
+                var code = String(issnInput || "").replace(/[^\dX]/gi, "").toUpperCase();
+                
+                if (code.length === 13 && code.substring(0, 3) === "977" && this.isEAN13Valid(code)) {
+                    var digits = code.substring(3, 10);
+                    return digits + this.calculateISSNCheckDigit(digits);
+                }
+                
+                var validation = this.validateISSN(code);
+                return validation.valid ? validation.result : null;
+            },
+            
+            /**
+             * Converts an ISSN to the EAN13 of a periodical: 977, the ISSN without its
+             * check digit, a 2-digit variant and the EAN13 check digit
+             * @param {string} issnInput - ISSN as entered
+             * @param {string} [variant] - Price or edition variant, "00" by default
+             * @return {string|null} 13 digits, null when the ISSN is not valid
+             */
+            issnToEAN13: function(issnInput, variant) {
+                var issn = this.toISSN(issnInput);
+                if (!issn) return null;
+                
+                variant = /^\d{2}$/.test(String(variant || "")) ? String(variant) : "00";
+                var code = "977" + issn.substring(0, 7) + variant;
+                return code + this.calculateCheckDigit(code);
+            },
+            
+            /**
+             * Computes the EAN2 issue add-on of a periodical
+             * @param {string|number} [issue] - Issue number, such as 7, "07" or "No. 112"
+             * @return {string|null} Last 2 digits of the issue number, null when there is none
+             */
+            getIssueCode: function(issue) {
+                var digits = String(issue === undefined || issue === null ? "" : issue).replace(/\D/g, "");
+                if (!digits) return null;
+                digits = "0" + digits;
+                return digits.substring(digits.length - 2);
+            },
+            
+            /**
+             * Validates an EAN13 code
+             * @param {string} input - 13-digit code
+             * @return {boolean} Is valid EAN13
+             */
+            isEAN13Valid: function(input) {
+                return input.length === 13 && 
+                    parseInt(input.charAt(12), 10) === this.calculateCheckDigit(input.slice(0, 12));
+            },
+            
+            /**
+             * Left-hand odd parity (A) and even parity (B) digit patterns, shared by EAN13, EAN5 and EAN2
+             */
+            LEFT_ODD: {0:"0001101",1:"0011001",2:"0010011",3:"0111101",4:"0100011",
+                       5:"0110001",6:"0101111",7:"0111011",8:"0110111",9:"0001011"},
+            LEFT_EVEN: {0:"0100111",1:"0110011",2:"0011011",3:"0100001",4:"0011101",
+                        5:"0111001",6:"0000101",7:"0010001",8:"0001001",9:"0010111"},
+            
+            /**
+             * EAN5 first digit by currency: 90000 stands for no suggested retail price
+             */
+            EAN5_CURRENCIES: { GBP: "0", AUD: "3", NZD: "4", USD: "5", CAD: "6" },
+            
+            /**
+             * Modules between the EAN13 symbol and its add-on (7 to 12 allowed)
+             */
+            ADDON_GAP: 9,
+            
+            /**
+             * Gets the ISBN or ISSN line printed above a barcode
+             * @param {string} digits - EAN13 digits of the ISBN, or of the periodical (977)
+             * @return {string} "ISBN " and the hyphenated ISBN, or "ISSN " and the ISSN
+             */
+            getCaption: function(digits) {
+                if (String(digits).substring(0, 3) === "977") return "ISSN " + this.formatISSN(digits);
+                return "ISBN " + this.format(digits);
+            },
+            
+            /**
+             * Encodes EAN13 into binary pattern
+             * @param {string} code - 13-digit EAN13 code
+             * @return {string} Binary pattern for barcode
+             */
+            encodeEAN13: function(code) {
+                var RIGHT = {0:"1110010",1:"1100110",2:"1101100",3:"1000010",4:"1011100",
+                            5:"1001110",6:"1010000",7:"1000100",8:"1001000",9:"1110100"};
+                var PARITY = {0:"OOOOOO",1:"OOEOEE",2:"OOEEOE",3:"OOEEEO",4:"OEOOEE",
+                             5:"OEEOOE",6:"OEEEOO",7:"OEOEOE",8:"OEOEEO",9:"OEEOEO"};
+            
+                var pattern = "101";
+                var parity = PARITY[parseInt(code.charAt(0))];
+                for (var i = 1; i <= 6; i++) {
+                    var digit = parseInt(code.charAt(i));
+                    pattern += (parity.charAt(i - 1) === 'O' ? this.LEFT_ODD[digit] : this.LEFT_EVEN[digit]);
+                }
+                pattern += "01010";
+                for (var j = 7; j <= 12; j++) pattern += RIGHT[parseInt(code.charAt(j))];
+                pattern += "101";
+                return pattern;
+            },
+            
+            /**
+             * Encodes an EAN5 add-on into binary pattern
+             * The parity of each digit comes from the add-on checksum, which is not encoded.
+             * @param {string} code - 5-digit add-on, such as 51995 for USD 19.95
+             * @return {string} Binary pattern of 47 modules
+             */
+            encodeEAN5: function(code) {
+                var PARITY = ["EEOOO", "EOEOO", "EOOEO", "EOOOE", "OEEOO",
+                              "OOEEO", "OOOEE", "OEOEO", "OEOOE", "OOEOE"];
+                
+                var sum = 0;
+                for (var i = 0; i < 5; i++) {
+                    sum += parseInt(code.charAt(i), 10) * (i % 2 === 0 ? 3 : 9);
+                }
+                var parity = PARITY[sum % 10];
+                
+                var pattern = "1011";
+                for (var j = 0; j < 5; j++) {
+                    var digit = parseInt(code.charAt(j), 10);
+                    if (j > 0) pattern += "01";
+                    pattern += (parity.charAt(j) === 'O' ? this.LEFT_ODD[digit] : this.LEFT_EVEN[digit]);
+                }
+                return pattern;
+            },
+            
+            /**
+             * Encodes an EAN2 add-on into binary pattern
+             * The parity of the two digits comes from the add-on value modulo 4.
+             * @param {string} code - 2-digit add-on, such as the issue number of a periodical
+             * @return {string} Binary pattern of 20 modules
+             */
+            encodeEAN2: function(code) {
+                var PARITY = ["OO", "OE", "EO", "EE"];
+                var parity = PARITY[parseInt(code, 10) % 4];
+                
+                var pattern = "1011";
+                for (var j = 0; j < 2; j++) {
+                    var digit = parseInt(code.charAt(j), 10);
+                    if (j > 0) pattern += "01";
+                    pattern += (parity.charAt(j) === 'O' ? this.LEFT_ODD[digit] : this.LEFT_EVEN[digit]);
+                }
+                return pattern;
+            },
+            
+            /**
+             * Computes the EAN5 price add-on of a book
+             * @param {string} [priceCode] - Explicit 5-digit add-on, which wins when valid
+             * @param {string} [price] - Price, such as "19.95", "$19.95", "12,99 GBP" or "1,299.00"
+             * @param {string} [currency] - Currency code (USD, CAD, GBP, AUD, NZD), else read from the price
+             * @return {string} 5-digit add-on; 90000 when there is no price or no add-on for its currency
+             */
+            getPriceCode: function(priceCode, price, currency) {
+                var explicit = String(priceCode || "").replace(/\s/g, "");
+                if (/^\d{5}$/.test(explicit)) return explicit;
+                if (explicit) $.writeln("Warning: Invalid price code " + explicit + ", it must have 5 digits");
+                
+                var text = String(price || "");
+                var code = String(currency || "").toUpperCase();
+                if (!code) {
+                    if (/CAD|C\$/i.test(text)) code = "CAD";
+                    else if (/AUD|A\$/i.test(text)) code = "AUD";
+                    else if (/NZD|NZ\$/i.test(text)) code = "NZD";
+                    else if (/GBP|\u00A3/i.test(text)) code = "GBP";
+                    else if (/USD|\$/i.test(text)) code = "USD";
+                }
+                
+                // Thousands separators are followed by 3 digits, decimals by 1 or 2 ("1,299.00", "1 299,50")
+                var amount = text.match(/(\d+(?:[.,'\u00A0\u202F ]\d{3}(?!\d))*)(?:[.,](\d{1,2})(?!\d))?/);
+                if (!amount || !this.EAN5_CURRENCIES.hasOwnProperty(code)) return "90000";
+                
+                var cents = parseInt(amount[1].replace(/\D/g, ""), 10) * 100 +
+                            (amount[2] ? parseInt((amount[2] + "0").substr(0, 2), 10) : 0);
+                // Prices from 100.00 are written 9999
+                var digits = cents > 9999 ? "9999" : ("0000" + cents).slice(-4);
+                return this.EAN5_CURRENCIES[code] + digits;
+            },
+            
+            /**
+             * Finds the font of the human-readable digits
+             * @param {string} [name] - Font family, or family and style separated by a tab
+             * @return {Font|null} Font, the first installed OCR-B font when name is missing,
+             *                     else Arial or Helvetica; null when none is installed
+             */
+            findBarcodeFont: function(name) {
+                var key = name || "";
+                if (this.fontCache.hasOwnProperty(key)) return this.fontCache[key];
+                
+                var installed = app.fonts.everyItem().name;
+                var candidates = (name ? [name] : []).concat(this.BARCODE_FONTS);
+                var font = null;
+                
+                for (var c = 0; c < candidates.length && !font; c++) {
+                    var wanted = candidates[c].toLowerCase();
+                    var familyMatch = null;
+                    for (var f = 0; f < installed.length; f++) {
+                        var fontName = installed[f].toLowerCase();
+                        if (fontName === wanted || fontName === wanted + "\tregular") {
+                            familyMatch = installed[f];
+                            break;
+                        }
+                        if (!familyMatch && fontName.split("\t")[0] === wanted) familyMatch = installed[f];
+                    }
+                    if (familyMatch) font = app.fonts.itemByName(familyMatch);
+                    
+                    // Warn when falling back from the requested font, or from OCR-B to another font
+                    if (font && (name ? c > 0 : c >= this.OCR_FONT_COUNT)) {
+                        LogManager.logWarning(I18n.__('barcodeFontMissing', name || "OCR-B", font.name.split("\t")[0]));
+                    }
+                }
+                
+                this.fontCache[key] = font;
+                return font;
+            },
+            
+            /**
+             * Fonts tried for the digits: OCR-B fonts, then fallbacks
+             */
+            BARCODE_FONTS: ["OCR-B", "OCR B Std", "OCR-B 10 BT", "OCRB", "OCR B", "Arial", "Helvetica"],
+            
+            /**
+             * Number of OCR-B fonts at the start of BARCODE_FONTS
+             */
+            OCR_FONT_COUNT: 5,
+            
+            /**
+             * Fonts found by findBarcodeFont, keyed by requested name
+             */
+            fontCache: {},
+            
+            /**
+             * Magnifications of the SC sizes, from 80% to 200% of the nominal symbol
+             */
+            SC_SIZES: { SC0: 0.8, SC1: 0.85, SC2: 0.9, SC3: 1, SC4: 1.1, SC5: 1.2, SC6: 1.4, SC7: 1.5, SC8: 1.85, SC9: 2 },
+            
+            /**
+             * Nominal module width and bar height, in millimetres
+             */
+            MODULE_WIDTH: 0.33,
+            BAR_HEIGHT: 22.85,
+            
+            /**
+             * Gets the magnification of a barcode size
+             * @param {string|number} [size] - SC0 to SC9, or a magnification from 80% to 200%
+             * @return {number|null} Magnification, null when size is missing or invalid
+             */
+            getMagnification: function(size) {
+                if (size === undefined || size === null || size === "") return null;
+                
+                var text = trim(String(size)).toUpperCase();
+                if (this.SC_SIZES.hasOwnProperty(text)) return this.SC_SIZES[text];
+                
+                var percent = text.match(/^(\d+(?:\.\d+)?)\s*%?$/);
+                var magnification = percent ? parseFloat(percent[1]) / 100 : NaN;
+                if (magnification >= 0.8 && magnification <= 2) return magnification;
+                
+                LogManager.logWarning(I18n.__('barcodeSizeInvalid', String(size)));
+                return null;
+            },
+            
+            /**
+             * Gets the swatch of the bars and digits
+             * @param {Document} doc - InDesign document
+             * @param {string} [name] - Swatch name, Black when missing or not in the document
+             * @return {Swatch} Swatch
+             */
+            getBarcodeSwatch: function(doc, name) {
+                if (name) {
+                    var swatch = doc.swatches.itemByName(name);
+                    if (swatch.isValid) return swatch;
+                    LogManager.logWarning(I18n.__('barcodeSwatchMissing', name, doc.name));
+                }
+                return doc.swatches.itemByName("Black");
+            },
+            
+            /**
+             * Draws EAN13 barcode in container
+             * 
+             * The symbol fills the container with its quiet zones: 11 modules on the
+             * left, holding the first digit, and 7 on the right, holding the ">" marker.
+             * The start, middle and end guard bars extend 5 modules below the other
+             * bars, between the human-readable digits. An add-on is drawn on the right,
+             * its digits above its bars, and an optional caption above the symbol.
+             * 
+             * All the bars form a single compound path. With a size, the container is
+             * resized to the symbol at that magnification, from its top left corner.
+             * 
+             * @param {Rectangle} container - Target container
+             * @param {string} code - EAN13 code
+             * @param {Document} doc - InDesign document
+             * @param {string} [addon] - 5-digit EAN5 or 2-digit EAN2 add-on
+             * @param {Object} [options] - Drawing options
+             * @param {string} [options.font] - Font of the digits (see findBarcodeFont)
+             * @param {string} [options.caption] - Text above the symbol, such as "ISBN 978-2-940426-12-3"
+             * @param {string} [options.swatch] - Swatch of the bars and digits, Black by default
+             * @param {number} [options.bwr] - Bar width reduction for press gain, in millimetres
+             * @param {string|number} [options.size] - SC0 to SC9 or magnification (see getMagnification)
+             * @return {Array} Page items of the bars and text
+             */
+            drawBarcode: function(container, code, doc, addon, options) {
+                var opts = options || {};
+                var view = doc.viewPreferences;
+                var units = [view.horizontalMeasurementUnits, view.verticalMeasurementUnits];
+                var MM = 72 / 25.4;
+                
+                // Font sizes are computed from bounds in points
+                view.horizontalMeasurementUnits = MeasurementUnits.POINTS;
+                view.verticalMeasurementUnits = MeasurementUnits.POINTS;
+                
+                try {
+                    var page = container.parentPage;
+                    var bounds = container.geometricBounds;
+                    var color = this.getBarcodeSwatch(doc, opts.swatch);
+                    var none = doc.swatches.itemByName("None");
+                    var font = this.findBarcodeFont(opts.font);
+                    var magnification = this.getMagnification(opts.size);
+                    var items = [];
+                    
+                    var binary = this.encodeEAN13(code);
+                    var addonBinary = !addon ? "" : addon.length === 2 ? this.encodeEAN2(addon) : this.encodeEAN5(addon);
+                    var quietLeft = 11;
+                    var quietRight = addon ? 5 : 7;
+                    var modules = quietLeft + binary.length + (addon ? this.ADDON_GAP + addonBinary.length : 0) + quietRight;
+                    var moduleWidth = magnification ? this.MODULE_WIDTH * MM * magnification : (bounds[3] - bounds[1]) / modules;
+                    var x0 = bounds[1] + quietLeft * moduleWidth;
+                    
+                    var fontSize = 9 * moduleWidth;
+                    var textHeight = fontSize * 1.2 + moduleWidth;
+                    var captionSize = opts.caption ?
+                        Math.min(fontSize, (quietLeft + binary.length) * moduleWidth / (opts.caption.length * 0.62)) : 0;
+                    var captionHeight = captionSize * 1.3;
+                    
+                    if (magnification) {
+                        bounds = [bounds[0], bounds[1],
+                                  bounds[0] + captionHeight + this.BAR_HEIGHT * MM * magnification + textHeight,
+                                  bounds[1] + modules * moduleWidth];
+                        container.geometricBounds = bounds;
+                    }
+                    
+                    // Narrower bars compensate for ink spread, keeping at least half a module
+                    var reduction = Math.min(Math.max(parseFloat(opts.bwr) || 0, 0) * MM, moduleWidth / 2);
+                    
+                    var addText = function(text, left, right, top, size, justification) {
+                        var frame = page.textFrames.add({ geometricBounds: [top, left, top + size * 1.2, right] });
+                        frame.contents = text;
+                        frame.fillColor = none;
+                        frame.strokeWeight = 0;
+                        frame.textFramePreferences.insetSpacing = [0, 0, 0, 0];
+                        frame.textFramePreferences.firstBaselineOffset = FirstBaseline.CAP_HEIGHT;
+                        
+                        var textRange = frame.texts[0];
+                        if (font) textRange.appliedFont = font;
+                        textRange.pointSize = size;
+                        textRange.leading = size;
+                        textRange.fillColor = color;
+                        textRange.justification = justification || Justification.CENTER_ALIGN;
+                        items.push(frame);
+                    };
+                    
+                    // One subpath per bar, adjacent modules forming a single bar
+                    var bars = null;
+                    var drawBars = function(pattern, firstModule, top, bottom, guardBottom, guards) {
+                        for (var i = 0; i < pattern.length; i++) {
+                            if (pattern.charAt(i) !== '1') continue;
+                            var end = i;
+                            while (pattern.charAt(end + 1) === '1') end++;
+                            
+                            var x1 = x0 + (firstModule + i) * moduleWidth + reduction / 2;
+                            var x2 = x0 + (firstModule + end + 1) * moduleWidth - reduction / 2;
+                            var isGuard = guards && (i < 3 || (i >= 45 && i < 50) || i >= 92);
+                            var y2 = isGuard ? guardBottom : bottom;
+                            var points = [[x1, top], [x2, top], [x2, y2], [x1, y2]];
+                            
+                            if (!bars) {
+                                bars = page.polygons.add();
+                                bars.paths[0].entirePath = points;
+                                bars.fillColor = color;
+                                bars.strokeColor = none;
+                                bars.strokeWeight = 0;
+                                items.push(bars);
+                            } else {
+                                bars.paths.add().entirePath = points;
+                            }
+                            i = end;
+                        }
+                    };
+                    
+                    // Caption above the symbol, reduced to fit its width
+                    var top = bounds[0];
+                    if (opts.caption) {
+                        addText(opts.caption, bounds[1], x0 + binary.length * moduleWidth, top, captionSize);
+                        top += captionHeight;
+                    }
+                    
+                    // Digits under the bars, between the guard bars
+                    var barsBottom = bounds[2] - textHeight;
+                    var guardBottom = barsBottom + 5 * moduleWidth;
+                    var digitsTop = barsBottom + moduleWidth;
+                    drawBars(binary, 0, top, barsBottom, guardBottom, true);
+                    
+                    addText(code.charAt(0), bounds[1], x0 - moduleWidth, digitsTop, fontSize, Justification.RIGHT_ALIGN);
+                    for (var d = 1; d <= 12; d++) {
+                        var digitModule = d <= 6 ? 3 + (d - 1) * 7 : 50 + (d - 7) * 7;
+                        addText(code.charAt(d), x0 + digitModule * moduleWidth, x0 + (digitModule + 7) * moduleWidth,
+                                digitsTop, fontSize);
+                    }
+                    
+                    var symbolEnd = binary.length;
+                    if (addon) {
+                        // Add-on digits above its bars, whose bottoms align with the guard bars
+                        var addonStart = binary.length + this.ADDON_GAP;
+                        drawBars(addonBinary, addonStart, top + textHeight, guardBottom, guardBottom, false);
+                        for (var a = 0; a < addon.length; a++) {
+                            var addonModule = addonStart + 4 + a * 9;
+                            addText(addon.charAt(a), x0 + addonModule * moduleWidth, x0 + (addonModule + 7) * moduleWidth,
+                                    top, fontSize);
+                        }
+                        symbolEnd = addonStart + addonBinary.length;
+                    }
+                    
+                    // Quiet zone marker, level with the last digits
+                    addText(">", x0 + symbolEnd * moduleWidth, bounds[3], addon ? top : digitsTop,
+                            fontSize, Justification.RIGHT_ALIGN);
+                    
+                    return items;
+                } finally {
+                    view.horizontalMeasurementUnits = units[0];
+                    view.verticalMeasurementUnits = units[1];
+                }
+            }
+        },
+        
+        /**
+         * @namespace Matrix
+         * @description QR code and Data Matrix drawing for <<QR:field>> and <<DataMatrix:field>> placeholders
          */
-        this._extractKeywords = function(filename) {
-            if (!filename) return [];
+        Matrix: {
+            /**
+             * Quiet zone of each symbology, in modules
+             */
+            QUIET_ZONES: { QR: 4, DataMatrix: 1 },
             
-            // Remove file extension and common prefixes
-            var clean = filename.toLowerCase()
-                .replace(/\.indd$/, '')
-                .replace(/\.md$/, '')
-                .replace(/^[a-z]+-\d+-\d*-?/, '') // Remove patterns like "LIVRE-5-2-"
-                .replace(/^\d+-/, ''); // Remove patterns like "13-"
+            /**
+             * Reads a matrix code placeholder: <<QR:url>>, <<QR:doi|H>> with an error
+             * correction level, or <<DataMatrix:url>>
+             * @param {string} text - Frame contents or code label
+             * @return {Object|null} Object with type (QR or DataMatrix), field and level, null for other text
+             */
+            parsePlaceholder: function(text) {
+                var match = String(text || "").replace(/\s+/g, '').match(/^<<(QR|DataMatrix):([^|<>]+)(?:\|([LMQH]))?>>$/i);
+                if (!match) return null;
+                return {
+                    type: match[1].toUpperCase() === "QR" ? "QR" : "DataMatrix",
+                    field: match[2],
+                    level: match[3] ? match[3].toUpperCase() : null
+                };
+            },
+            
+            /**
+             * Gets the text of a code, unformatted so that URLs are kept as written;
+             * a bare DOI becomes its https://doi.org/ link
+             * @param {*} value - Field value
+             * @return {string} Text to encode, empty when the field is empty
+             */
+            getText: function(value) {
+                var text = value === undefined || value === null ? "" : trim(String(value).replace(/\s*[\r\n]+\s*/g, " "));
+                var doi = text.match(/^(?:doi:\s*)?(10\.\d{4,9}\/\S+)$/i);
+                return doi ? "https://doi.org/" + doi[1] : text;
+            },
+            
+            /**
+             * Encodes text in a symbology
+             * @param {string} type - QR or DataMatrix
+             * @param {string} text - Text to encode
+             * @param {string} [level] - QR error correction level (L, M, Q or H)
+             * @return {Array} Rows of modules, true for dark
+             */
+            encode: function(type, text, level) {
+                return type === "QR" ? QRCode.encode(text, level) : DataMatrix.encode(text);
+            },
             
-            // Split by common separators and filter out short words
-            var allWords = clean.split(/[-_\s]+/);
-            var words = [];
-            for (var w = 0; w < allWords.length; w++) {
-                if (allWords[w].length > 2) { // Keep words longer than 2 characters
-                    words.push(allWords[w]);
+            /**
+             * Draws a matrix code centred in a container, as a single compound path
+             * The quiet zone is kept around the symbol inside the container.
+             * @param {Rectangle} container - Target container
+             * @param {Array} modules - Rows of modules, true for dark
+             * @param {number} quietZone - Quiet zone, in modules
+             * @param {Document} doc - InDesign document
+             * @param {Object} [options] - Drawing options
+             * @param {string} [options.swatch] - Swatch of the modules, Black by default
+             * @return {Array} Page items of the code
+             */
+            draw: function(container, modules, quietZone, doc, options) {
+                var opts = options || {};
+                var page = container.parentPage;
+                var bounds = container.geometricBounds;
+                var count = modules.length + 2 * quietZone;
+                var moduleSize = Math.min(bounds[2] - bounds[0], bounds[3] - bounds[1]) / count;
+                var top = bounds[0] + (bounds[2] - bounds[0] - modules.length * moduleSize) / 2;
+                var left = bounds[1] + (bounds[3] - bounds[1] - modules.length * moduleSize) / 2;
+                var code = null;
+                
+                // One subpath per run of dark modules in a row
+                for (var row = 0; row < modules.length; row++) {
+                    for (var col = 0; col < modules.length; col++) {
+                        if (!modules[row][col]) continue;
+                        var end = col;
+                        while (end + 1 < modules.length && modules[row][end + 1]) end++;
+                        
+                        var y1 = top + row * moduleSize;
+                        var y2 = y1 + moduleSize;
+                        var x1 = left + col * moduleSize;
+                        var x2 = left + (end + 1) * moduleSize;
+                        var points = [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+                        
+                        if (!code) {
+                            code = page.polygons.add();
+                            code.paths[0].entirePath = points;
+                            code.fillColor = BookUtils.ISBN.getBarcodeSwatch(doc, opts.swatch);
+                            code.strokeColor = doc.swatches.itemByName("None");
+                            code.strokeWeight = 0;
+                        } else {
+                            code.paths.add().entirePath = points;
+                        }
+                        col = end;
+                    }
                 }
+                return code ? [code] : [];
             }
-            
-            return words;
-        };
+        },
         
         /**
-         * Calculates match score between MD keywords and template keywords
-         * @param {Array} mdKeywords - Keywords from Markdown filename
-         * @param {Array} templateKeywords - Keywords from template filename  
-         * @param {string} templateType - Template type category
-         * @param {string} expectedType - Expected template type for MD file
-         * @return {number} Match score (0-100)
-         * @private
+         * @namespace Document
+         * @description InDesign document operations
          */
-        this._calculateMatchScore = function(mdKeywords, templateKeywords, templateType, expectedType) {
-            var score = 0;
+        Document: {
+            /**
+             * Default names of the custom text variables, by book field
+             * Fields are those of the book information, plus translators (names of
+             * the trl contributors) and runningHeader (title of the current document).
+             */
+            DEFAULT_TEXT_VARIABLES: {
+                "title": "Book Title",
+                "author": "Book Author",
+                "subtitle": "Book Subtitle",
+                "isbnPrint": "ISBN Print",
+                "isbnEbook": "ISBN Ebook",
+                "issn": "ISSN",
+                "translation": "Translation",
+                "translators": "Translator",
+                "critical": "Critical Apparatus",
+                "printDate": "Print Date",
+                "originalTitle": "Original Title",
+                "coverCredit": "Cover Credit",
+                "editions": "Editions",
+                "funding": "Funding",
+                "rights": "Rights",
+                "price": "Price",
+                "runningHeader": "Running Header"
+            },
             
-            // Base score for type matching
-            if (templateType === expectedType) {
-                score += 30;
-            } else if (templateType === 'specialized') {
-                // Specialized templates get a bonus for keyword matching
-                score += 20;
-            }
+            /**
+             * Resolves text variable names, merging YAML overrides with the defaults
+             * A field set to false has no variable; other keys name metadata keys or paths.
+             * @param {Object} [overrides] - Variable names keyed by field, from the YAML text-variables key
+             * @return {Object} Variable names keyed by field
+             */
+            resolveTextVariables: function(overrides) {
+                var result = {};
+                
+                for (var key in this.DEFAULT_TEXT_VARIABLES) {
+                    if (this.DEFAULT_TEXT_VARIABLES.hasOwnProperty(key)) {
+                        result[key] = this.DEFAULT_TEXT_VARIABLES[key];
+                    }
+                }
+                
+                if (overrides && typeof overrides === "object" && !isArray(overrides)) {
+                    for (var name in overrides) {
+                        if (!overrides.hasOwnProperty(name)) continue;
+                        if (overrides[name] === false) {
+                            delete result[name];
+                        } else if (overrides[name]) {
+                            result[name] = String(overrides[name]);
+                        }
+                    }
+                }
+                
+                return result;
+            },
             
-            // Keyword matching score
-            var keywordScore = 0;
-            var totalPossible = Math.max(mdKeywords.length, templateKeywords.length);
+            /**
+             * Adds or updates a custom text variable of a document
+             * @param {Document} doc - InDesign document
+             * @param {string} varName - Variable name
+             * @param {string} varContent - Variable content; inline Markdown and line breaks are removed
+             */
+            addCustomVariable: function(doc, varName, varContent) {
+                // Text variables hold a single line of plain text
+                var cleanContent = TextUtils.toPlainText(varContent);
+                
+                var variable = doc.textVariables.itemByName(varName);
+                if (!variable.isValid) {
+                    variable = doc.textVariables.add({
+                        name: varName,
+                        variableType: VariableTypes.CUSTOM_TEXT_TYPE
+                    });
+                } else if (variable.variableType !== VariableTypes.CUSTOM_TEXT_TYPE) {
+                    $.writeln("Warning: Text variable " + varName + " is not a custom text variable");
+                    return;
+                }
+                variable.variableOptions.contents = cleanContent;
+            },
             
-            if (totalPossible > 0) {
-                for (var i = 0; i < mdKeywords.length; i++) {
-                    var mdKeyword = mdKeywords[i];
+            /**
+             * Adds the book information as custom text variables
+             * @param {Document} doc - InDesign document
+             * @param {Object} bookInfo - Book metadata
+             * @param {Object} variables - Variable names keyed by field (see resolveTextVariables)
+             * @param {Object} [metadata] - YAML metadata, for variables of other keys
+             * @param {string} [runningHeader] - Title of the document, the book title by default
+             */
+            addBookVariables: function(doc, bookInfo, variables, metadata, runningHeader) {
+                var contributors = PandocMapper.updateAuthors(bookInfo.contributors, bookInfo.author || "", bookInfo.language);
+                var fields = {
+                    isbnPrint: BookUtils.ISBN.format(bookInfo.isbnPrint),
+                    isbnEbook: BookUtils.ISBN.format(bookInfo.isbnEbook),
+                    issn: BookUtils.ISBN.formatISSN(bookInfo.issn),
+                    translators: PandocMapper.joinNames(PandocMapper.getNames(contributors, "trl"), bookInfo.language),
+                    runningHeader: runningHeader || bookInfo.title || ""
+                };
+                
+                for (var key in variables) {
+                    if (!variables.hasOwnProperty(key)) continue;
                     
-                    for (var j = 0; j < templateKeywords.length; j++) {
-                        var templateKeyword = templateKeywords[j];
-                        
-                        // Exact match
-                        if (mdKeyword === templateKeyword) {
-                            keywordScore += 60;
+                    var value;
+                    if (fields.hasOwnProperty(key)) {
+                        value = fields[key];
+                    } else if (bookInfo.hasOwnProperty(key)) {
+                        value = bookInfo[key];
+                    } else {
+                        value = PandocMapper.getText(PandocMapper.getPath(metadata || {}, key));
+                    }
+                    
+                    try {
+                        this.addCustomVariable(doc, variables[key], typeof value === "object" ? "" : value);
+                    } catch (e) {
+                        // Continue if variable creation fails
+                        $.writeln("Warning: Could not add variable " + variables[key] + ": " + e.message);
+                    }
+                }
+            },
+            
+            /**
+             * Writes the book information to the XMP metadata of a document
+             * 
+             * PDF and EPUB exports carry this metadata: title, author, description
+             * (description or abstract key, else the subtitle), copyright notice from
+             * the rights, keywords (keywords and subject keys), ISBN as dc:identifier
+             * and language as dc:language.
+             * 
+             * @param {Document} doc - InDesign document
+             * @param {Object} bookInfo - Book metadata
+             * @param {Object} [metadata] - YAML metadata
+             */
+            setDocumentMetadata: function(doc, bookInfo, metadata) {
+                var DC = "http://purl.org/dc/elements/1.1/";
+                var meta = metadata || {};
+                var prefs = doc.metadataPreferences;
+                
+                var description = PandocMapper.getText(meta.description) || PandocMapper.getText(meta["abstract"]) ||
+                                  bookInfo.subtitle || "";
+                var keywords = [];
+                var keywordSources = [meta.keywords, meta.subject];
+                for (var k = 0; k < keywordSources.length; k++) {
+                    var source = keywordSources[k];
+                    var list = isArray(source) ? source : (source ? String(source).split(/\s*[,;]\s*/) : []);
+                    for (var w = 0; w < list.length; w++) {
+                        var keyword = TextUtils.toPlainText(PandocMapper.getText(list[w]));
+                        if (keyword && !arrayContains(keywords, keyword)) keywords.push(keyword);
+                    }
+                }
+                
+                prefs.documentTitle = TextUtils.toPlainText(bookInfo.title);
+                prefs.author = TextUtils.toPlainText(bookInfo.author);
+                prefs.description = TextUtils.toPlainText(description);
+                prefs.keywords = keywords;
+                
+                if (bookInfo.rights) {
+                    prefs.copyrightNotice = TextUtils.toPlainText(bookInfo.rights);
+                    prefs.copyrightStatus = CopyrightStatus.YES;
+                }
+                
+                // Properties without a field in the File Info dialog
+                var isbn = String(bookInfo.isbnPrint || bookInfo.isbnEbook || "").replace(/[^\dX]/gi, "");
+                var issn = BookUtils.ISBN.toISSN(bookInfo.issn);
+                if (isbn || issn) {
+                    try {
+                        prefs.setProperty(DC, "identifier", isbn ? "urn:isbn:" + isbn : "urn:issn:" + BookUtils.ISBN.formatISSN(issn));
+                    } catch (e) {
+                        $.writeln("Warning: Could not set the XMP identifier: " + e.message);
+                    }
+                }
+                
+                var language = bookInfo.language || PandocMapper.getText(meta.lang);
+                if (language) {
+                    try {
+                        if (!prefs.getProperty(DC, "language")) {
+                            prefs.createContainerItem(DC, "language", 1, ContainerType.BAG);
                         }
-                        // Partial match (one contains the other)
-                        else if (mdKeyword.indexOf(templateKeyword) !== -1 || 
-                                 templateKeyword.indexOf(mdKeyword) !== -1) {
-                            keywordScore += 30;
+                        prefs.setProperty(DC, "language[1]", String(language));
+                    } catch (e) {
+                        $.writeln("Warning: Could not set the XMP language: " + e.message);
+                    }
+                }
+            },
+            
+            /**
+             * Lists the texts of a document where placeholders can be written
+             * 
+             * Stories cover threaded, grouped and anchored frames and those of parent
+             * pages; the text of table cells, nested tables included, and of footnotes
+             * is not part of its story and is listed separately.
+             * 
+             * @param {Document} doc - InDesign document
+             * @return {Array} Stories and Text objects
+             */
+            getTextTargets: function(doc) {
+                var targets = [];
+                
+                function addTables(tables) {
+                    for (var t = 0; t < tables.length; t++) {
+                        var cells = tables[t].cells;
+                        for (var c = 0; c < cells.length; c++) {
+                            targets.push(cells[c].texts[0]);
+                            addTables(cells[c].tables);
                         }
-                        // Similarity for common terms
-                        else if (this._areSimilarTerms(mdKeyword, templateKeyword)) {
-                            keywordScore += 15;
+                    }
+                }
+                
+                var stories = doc.stories;
+                for (var i = 0; i < stories.length; i++) {
+                    var story = stories[i];
+                    targets.push(story);
+                    
+                    try {
+                        addTables(story.tables);
+                        for (var f = 0; f < story.footnotes.length; f++) {
+                            targets.push(story.footnotes[f].texts[0]);
                         }
+                    } catch (e) {
+                        $.writeln("Warning: Could not read the tables or footnotes of a story: " + e.message);
                     }
                 }
                 
-                // Normalize keyword score
-                keywordScore = Math.min(70, keywordScore); // Cap at 70 points
-            }
-            
-            return score + keywordScore;
-        };
-        
-        /**
-         * Checks if two terms are semantically similar
-         * @param {string} term1 - First term
-         * @param {string} term2 - Second term
-         * @return {boolean} True if terms are similar
-         * @private
-         */
-        this._areSimilarTerms = function(term1, term2) {
-            var synonyms = {
-                'bibliographie': ['bibliography', 'biblio', 'references'],
-                'bibliography': ['bibliographie', 'biblio', 'references'],
-                'index': ['indexes', 'indices'],
-                'annexe': ['appendix', 'appendices'],
-                'appendix': ['annexe', 'appendices'],
-                'glossaire': ['glossary'],
-                'glossary': ['glossaire'],
-                'preface': ['préface', 'avant-propos'],
-                'préface': ['preface', 'avant-propos'],
-                'conclusion': ['epilogue', 'épilogue'],
-                'epilogue': ['conclusion', 'épilogue'],
-                'épilogue': ['conclusion', 'epilogue']
-            };
-            
-            var term1Synonyms = synonyms[term1] || [];
-            var term2Synonyms = synonyms[term2] || [];
+                return targets;
+            },
             
-            return arrayContains(term1Synonyms, term2) || arrayContains(term2Synonyms, term1);
-        };
-    }
-    
-    /**
-     * @namespace LogManager
-     * @description Centralized error logging system
-     */
-    var LogManager = {
-        /**
-         * Log an error message with optional Error object
-         * @param {string} message - Error message
-         * @param {Error} [error] - Optional Error object
-         */
-        logError: function(message, error) {
-            if (error) {
-                alert(message + ": " + error.message + (error.line ? "\nLine: " + error.line : ""));
-            } else {
-                alert(message);
-            }
+            /**
+             * Lists every page item of a document, in groups, anchored in text
+             * or on parent pages included
+             * @param {Document} doc - InDesign document
+             * @return {Array} Page items
+             */
+            getPageItems: function(doc) {
+                var result = [];
+                var spreads = [doc.spreads, doc.masterSpreads];
+                
+                for (var s = 0; s < spreads.length; s++) {
+                    for (var i = 0; i < spreads[s].length; i++) {
+                        var items = spreads[s][i].allPageItems;
+                        for (var j = 0; j < items.length; j++) {
+                            result.push(items[j]);
+                        }
+                    }
+                }
+                
+                return result;
+            },
             
-            // Future: Could log to file or console
-        },
-        
-        /**
-         * Log an informational message
-         * @param {string} message - Info message
-         */
-        logInfo: function(message) {
-            // For future implementation, currently silent
-        }
-    };
-    
-    /**
-     * Auto-detects Build/InDesign folder for book generation
-     * @param {string} yamlPath - Path to the YAML file
-     * @return {Folder|null} Found Build/InDesign folder or null
-     */
-    function autoDetectBuildFolder(yamlPath) {
-        if (!yamlPath) return null;
-        
-        var yamlFile = File(yamlPath);
-        if (!yamlFile.exists) return null;
-        
-        var searchDir = yamlFile.parent;
-        
-        // Define possible build folder patterns
-        var buildVariants = [
-            ["Build", "InDesign"], ["build", "indesign"], 
-            ["Build", "indesign"], ["build", "InDesign"],
-            ["output", "InDesign"], ["Output", "InDesign"],
-            ["export", "InDesign"], ["Export", "InDesign"]
-        ];
-        
-        // Search in current directory and parent
-        var searchDirs = [searchDir, searchDir.parent];
-        
-        for (var d = 0; d < searchDirs.length; d++) {
-            var baseDir = searchDirs[d];
-            if (!baseDir || !baseDir.exists) continue;
+            /**
+             * Lists every text frame of a document, in groups, anchored in text
+             * or on parent pages included
+             * @param {Document} doc - InDesign document
+             * @return {Array} Text frames
+             */
+            getTextFrames: function(doc) {
+                var frames = [];
+                var items = this.getPageItems(doc);
+                
+                for (var i = 0; i < items.length; i++) {
+                    if (items[i].constructor.name === "TextFrame") frames.push(items[i]);
+                }
+                
+                return frames;
+            },
             
-            // Try each build folder combination
-            for (var v = 0; v < buildVariants.length; v++) {
-                var pathParts = buildVariants[v];
-                var testPath = baseDir.fsName;
+            /**
+             * Prepares the resolution of placeholders for a document
+             * @param {Object} bookInfo - Book metadata
+             * @param {Object} displayOptions - Display settings
+             * @param {Object} [chapterValues] - Chapter placeholder values, which take precedence
+             * @param {Object} [metadata] - YAML metadata, whose keys are available as <<Key_Name>> and <<key.path>>
+             * @return {Object} Object with resolve (see PlaceholderEngine.getEdits) and options
+             */
+            getPlaceholderContext: function(bookInfo, displayOptions, chapterValues, metadata) {
+                // Prepare placeholder values
+                var values = {
+                    "<<Book_Author>>": bookInfo.author || "",
+                    "<<Book_Title>>": bookInfo.title || "",
+                    "<<Subtitle>>": bookInfo.subtitle || "",
+                    "<<ISBN_Print>>": BookUtils.ISBN.format(bookInfo.isbnPrint),
+                    "<<ISBN_Ebook>>": BookUtils.ISBN.format(bookInfo.isbnEbook),
+                    "<<ISSN>>": BookUtils.ISBN.formatISSN(bookInfo.issn),
+                    "<<Translation>>": bookInfo.translation || "",
+                    "<<Critical_Apparatus>>": bookInfo.critical || "",
+                    "<<Print_Date>>": bookInfo.printDate || "",
+                    "<<Editions>>": bookInfo.editions || "",
+                    "<<Funding>>": bookInfo.funding || "",
+                    "<<Rights>>": bookInfo.rights || "",
+                    "<<Price>>": bookInfo.price || ""
+                };
                 
-                for (var p = 0; p < pathParts.length; p++) {
-                    testPath += "/" + pathParts[p];
+                // Add labels for fields with special options
+                if (displayOptions && displayOptions.showOriginalTitleLabel && bookInfo.originalTitle) {
+                    values["<<Original_Title>>"] = displayOptions.originalTitleLabelText + bookInfo.originalTitle;
+                } else {
+                    values["<<Original_Title>>"] = bookInfo.originalTitle || "";
                 }
                 
-                var testFolder = new Folder(testPath);
-                if (testFolder.exists) {
-                    return testFolder;
+                if (displayOptions && displayOptions.showCoverCreditLabel && bookInfo.coverCredit) {
+                    values["<<Cover_Credit>>"] = displayOptions.coverCreditLabelText + bookInfo.coverCredit;
+                } else {
+                    values["<<Cover_Credit>>"] = bookInfo.coverCredit || "";
                 }
-            }
+                
+                // Contributors by role; the author field wins over imported authors
+                var contributors = PandocMapper.updateAuthors(bookInfo.contributors, bookInfo.author || "", bookInfo.language);
+                var contributorValues = PandocMapper.getContributorPlaceholders(contributors, bookInfo.language);
+                for (var contributorKey in contributorValues) {
+                    if (contributorValues.hasOwnProperty(contributorKey)) {
+                        values[contributorKey] = contributorValues[contributorKey];
+                    }
+                }
+                
+                // Chapter front matter values, for this document only
+                if (chapterValues) {
+                    for (var chapterKey in chapterValues) {
+                        if (chapterValues.hasOwnProperty(chapterKey)) {
+                            values[chapterKey] = chapterValues[chapterKey];
+                        }
+                    }
+                }
+                
+                // Every metadata key, for placeholders not defined above
+                var metadataValues = PandocMapper.getPlaceholderValues(metadata || {});
+                
+                /**
+                 * Finds the value of a placeholder or condition
+                 * @param {string} name - Placeholder name, book field, metadata key or dotted path
+                 * @return {*} Value as paragraphs, undefined for unknown names
+                 */
+                function findValue(name) {
+                    var placeholder = "<<" + name + ">>";
+                    var value;
+                    if (values.hasOwnProperty(placeholder)) {
+                        value = values[placeholder];
+                    } else if (metadataValues.hasOwnProperty(placeholder)) {
+                        value = metadataValues[placeholder];
+                    } else if (bookInfo.hasOwnProperty(name) && bookInfo[name] !== null && typeof bookInfo[name] !== "object") {
+                        value = bookInfo[name];
+                    } else {
+                        value = PandocMapper.getPath(metadata || {}, name);
+                    }
+                    return value === undefined ? undefined : TextUtils.toParagraphs(value);
+                }
+                
+                return {
+                    resolve: findValue,
+                    options: {
+                        language: bookInfo.language || (metadata && PandocMapper.getText(metadata.lang)) || I18n.getLanguage()
+                    }
+                };
+            },
             
-            // Also check for simple "Build" folder
-            var simpleBuildPath = baseDir.fsName + "/Build";
-            var simpleBuildFolder = new Folder(simpleBuildPath);
-            if (simpleBuildFolder.exists) {
-                return simpleBuildFolder;
-            }
-        }
-        
-        return null;
-    }
-    
-    /**
-     * Auto-detects template folder based on YAML file location
-     * @param {string} yamlPath - Path to the YAML file
-     * @return {Folder|null} Found template folder or null
-     */
-    function autoDetectTemplateFolder(yamlPath) {
-        if (!yamlPath) return null;
-        
-        var yamlFile = File(yamlPath);
-        if (!yamlFile.exists) return null;
-        
-        var searchDir = yamlFile.parent;
-        
-        // Define possible template folder patterns
-        var templateVariants = [
-            "template", "Template", "TEMPLATE", "templates", "Templates", "TEMPLATES",
-            "indesign", "InDesign", "INDESIGN"
-        ];
-        
-        // Define possible subdirectory combinations
-        var subdirCombinations = [
-            ["template"], ["Template"], ["templates"], ["Templates"],
-            ["template", "indesign"], ["Template", "InDesign"], 
-            ["templates", "indesign"], ["Templates", "InDesign"],
-            ["indesign"], ["InDesign"]
-        ];
-        
-        // Search in current directory, parent, and grandparent
-        var searchDirs = [searchDir, searchDir.parent, searchDir.parent ? searchDir.parent.parent : null];
-        
-        for (var d = 0; d < searchDirs.length; d++) {
-            var baseDir = searchDirs[d];
-            if (!baseDir || !baseDir.exists) continue;
+            /**
+             * Gets the condition binding replaced text to its placeholder
+             * The condition is named after the placeholder as written in the template,
+             * so that the text can be found and updated later.
+             * @param {Document} doc - InDesign document
+             * @param {string} placeholder - Placeholder, such as <<Print_Date|date:"yyyy">>
+             * @return {Condition} Condition, created if needed
+             */
+            getBindingCondition: function(doc, placeholder) {
+                var condition = doc.conditions.itemByName(placeholder);
+                if (!condition.isValid) {
+                    condition = doc.conditions.add({ name: placeholder, visible: true });
+                }
+                return condition;
+            },
             
-            // Try each subdirectory combination
-            for (var c = 0; c < subdirCombinations.length; c++) {
-                var pathParts = subdirCombinations[c];
-                var testPath = baseDir.fsName;
+            /**
+             * Replaces text placeholders with formatted content
+             * Replaced text receives a condition named after its placeholder (see updateTextPlaceholders);
+             * an empty value leaves TextUtils.BINDING_ANCHOR to bear it.
+             * @param {Document} doc - InDesign document
+             * @param {Object} bookInfo - Book metadata
+             * @param {Object} displayOptions - Display settings
+             * @param {Object} [characterStyles] - Character style names for inline Markdown
+             * @param {Object} [chapterValues] - Chapter placeholder values, which take precedence
+             * @param {Object} [metadata] - YAML metadata, whose keys are available as <<Key_Name>> and <<key.path>>
+             * @return {boolean} Success status
+             */
+            replaceTextPlaceholders: function(doc, bookInfo, displayOptions, characterStyles, chapterValues, metadata) {
+                var context = this.getPlaceholderContext(bookInfo, displayOptions, chapterValues, metadata);
                 
-                for (var p = 0; p < pathParts.length; p++) {
-                    testPath += "/" + pathParts[p];
+                // Process every story, table cell and footnote of the document
+                var targets = this.getTextTargets(doc);
+                for (var i = 0; i < targets.length; i++) {
+                    var contents = targets[i].contents;
+                    if (!contents || typeof contents !== "string") continue;
+                    
+                    // Only the placeholder ranges change, so that the template formatting,
+                    // inline graphics and anchored objects of the text are kept
+                    var edits = PlaceholderEngine.getEdits(contents, context.resolve, context.options);
+                    if (edits.length === 0) continue;
+                    
+                    for (var e = 0; e < edits.length; e++) {
+                        if (edits[e].placeholder) {
+                            try {
+                                edits[e].condition = this.getBindingCondition(doc, edits[e].placeholder);
+                            } catch (err) {
+                                $.writeln("Warning: Could not bind " + edits[e].placeholder + ": " + err.message);
+                            }
+                        }
+                    }
+                    TextUtils.replaceRanges(targets[i], edits, doc, characterStyles);
                 }
                 
-                var testFolder = new Folder(testPath);
-                if (testFolder.exists) {
-                    // Check if folder contains .indd files
-                    var inddFiles = testFolder.getFiles("*.indd");
-                    if (inddFiles.length > 0) {
-                        return testFolder;
+                return true;
+            },
+            
+            /**
+             * Updates the text replaced by replaceTextPlaceholders with new metadata
+             * Each run of text bearing a placeholder condition is replaced with the new
+             * value of the placeholder, or with TextUtils.BINDING_ANCHOR when it is empty;
+             * the rest of the document is left untouched. Lines removed by optional
+             * placeholders (<<Name?>>) and sections left out by <<#if>> are settled at
+             * generation and cannot be restored. The find/change options of the
+             * application are restored afterwards.
+             * @param {Document} doc - InDesign document
+             * @param {Object} bookInfo - Book metadata
+             * @param {Object} displayOptions - Display settings
+             * @param {Object} [characterStyles] - Character style names for inline Markdown
+             * @param {Object} [chapterValues] - Chapter placeholder values, which take precedence
+             * @param {Object} [metadata] - YAML metadata
+             * @return {number} Number of updated runs
+             */
+            updateTextPlaceholders: function(doc, bookInfo, displayOptions, characterStyles, chapterValues, metadata) {
+                var context = this.getPlaceholderContext(bookInfo, displayOptions, chapterValues, metadata);
+                var conditions = doc.conditions;
+                var updated = 0;
+                
+                // Application-wide options, saved as the user left them in the Find/Change dialog
+                var optionNames = ["includeMasterPages", "includeFootnotes", "includeHiddenLayers",
+                                   "includeLockedLayersForFind", "includeLockedStoriesForFind"];
+                var savedOptions = {};
+                for (var o = 0; o < optionNames.length; o++) {
+                    savedOptions[optionNames[o]] = app.findChangeTextOptions[optionNames[o]];
+                    app.findChangeTextOptions[optionNames[o]] = true;
+                }
+                
+                try {
+                    for (var i = 0; i < conditions.length; i++) {
+                        var condition = conditions[i];
+                        var placeholder = condition.name;
+                        if (!/^<<[\s\S]+>>$/.test(placeholder)) continue;
+                        
+                        var value = PlaceholderEngine.render(placeholder, context.resolve, context.options);
+                        if (value === placeholder) {
+                            LogManager.logWarning(I18n.__('boundPlaceholderUnknown', placeholder, doc.name));
+                            continue;
+                        }
+                        
+                        // Same basic replacements as applyFormattedText
+                        var processedText = value.replace(/<br\s*\/?>/gi, "\n");
+                        processedText = processedText.replace(/[ ]{2,}$/mg, "\n");
+                        var inline = TextUtils.parseInlineMarkdown(processedText);
+                        
+                        app.findTextPreferences = app.changeTextPreferences = NothingEnum.NOTHING;
+                        app.findTextPreferences.appliedConditions = [condition];
+                        
+                        // An empty value keeps its binding on an invisible character
+                        var newText = inline.text !== "" ? inline.text : TextUtils.BINDING_ANCHOR;
+                        var found = doc.findText();
+                        var changed = false;
+                        for (var f = 0; f < found.length; f++) {
+                            if (found[f].contents !== newText) changed = true;
+                        }
+                        
+                        if (changed) {
+                            // The new text keeps the formatting of the text it replaces
+                            app.changeTextPreferences.changeTo = newText.replace(/\^/g, "^^")
+                                .replace(/\r/g, "^p").replace(/\n/g, "^n").replace(/\t/g, "^t");
+                            app.changeTextPreferences.appliedConditions = [condition];
+                            
+                            var results = doc.changeText();
+                            for (var r = 0; r < results.length; r++) {
+                                TextUtils.applyInlineStyles(results[r], inline.runs, doc, characterStyles, 0);
+                            }
+                            updated += results.length;
+                        }
                     }
+                } finally {
+                    for (var s = 0; s < optionNames.length; s++) {
+                        app.findChangeTextOptions[optionNames[s]] = savedOptions[optionNames[s]];
+                    }
+                    app.findTextPreferences = app.changeTextPreferences = NothingEnum.NOTHING;
                 }
-            }
-        }
-        
-        return null;
-    }
-    
-    /**
-     * @namespace BookUtils
-     * @description Utilities for book creation and manipulation
-     */
-    var BookUtils = {
-        /**
-         * @namespace ISBN
-         * @description ISBN validation and EAN13 barcode generation
-         */
-        ISBN: {
+                
+                return updated;
+            },
+            
             /**
-             * Validates an ISBN input
-             * @param {string} isbnInput - Raw ISBN string
-             * @return {Object} Validation result with status and message
+             * Gets the barcode digits of the EAN13 placeholders
+             * @param {string} isbnPrint - Print ISBN
+             * @param {string} isbnEbook - Ebook ISBN
+             * @param {string} [issn] - ISSN of the periodical
+             * @return {Object} EAN13 digits keyed by placeholder, for valid ISBNs and ISSN only
              */
-            validate: function(isbnInput) {
-                // Check for placeholder pattern (978-2-940426-XX-X or similar)
-                var placeholderPattern = /^978-[\d-]*[X-]+[\d-]*$/i;
-                if (placeholderPattern.test(isbnInput)) {
-                    return { 
-                        valid: true, 
-                        result: isbnInput,
-                        message: "Placeholder ISBN accepted" 
-                    };
+            getBarcodeCodes: function(isbnPrint, isbnEbook, issn) {
+                var placeholders = {
+                    "<<EAN13_Print>>": isbnPrint,
+                    "<<EAN13_Ebook>>": isbnEbook
+                };
+                var codes = {};
+                
+                for (var placeholder in placeholders) {
+                    var isbnValue = placeholders[placeholder];
+                    if (!isbnValue) continue;
+                    
+                    // 13 digits of a valid ISBN-13 or ISBN-10
+                    var isbnDigits = BookUtils.ISBN.toISBN13(isbnValue);
+                    if (isbnDigits) {
+                        codes[placeholder] = isbnDigits;
+                    }
                 }
                 
-                var isbnDigits = isbnInput.replace(/\D/g, "");
+                // 977, the ISSN without its check digit and the 00 variant
+                var issnDigits = BookUtils.ISBN.issnToEAN13(issn);
+                if (issnDigits) {
+                    codes["<<EAN13_ISSN>>"] = issnDigits;
+                }
+                return codes;
+            },
+            
+            /**
+             * Reads a barcode placeholder: <<EAN13_Print>>, <<EAN13_Ebook>> or <<EAN13_ISSN>>,
+             * and <<EAN13_Print|ean5>> for a barcode with its EAN5 price add-on
+             * @param {string} text - Frame contents or barcode label
+             * @return {Object|null} Object with name (placeholder without option) and addon, null for other text
+             */
+            parseBarcodePlaceholder: function(text) {
+                var match = String(text || "").replace(/\s+/g, '').match(/^<<(EAN13_Print|EAN13_Ebook|EAN13_ISSN)(\|ean5)?>>$/);
+                return match ? { name: "<<" + match[1] + ">>", addon: !!match[2] } : null;
+            },
+            
+            /**
+             * Gets the add-on of a barcode: the EAN5 price add-on when the placeholder
+             * asks for it, else the EAN2 issue number for the ISSN
+             * @param {Object} barcode - Parsed placeholder (see parseBarcodePlaceholder)
+             * @param {Object} options - Barcode options (see replaceEAN13Placeholders)
+             * @return {string|null} Add-on digits, null for none
+             */
+            getBarcodeAddon: function(barcode, options) {
+                if (barcode.addon) return options.priceCode || "90000";
+                return barcode.name === "<<EAN13_ISSN>>" ? BookUtils.ISBN.getIssueCode(options.issue) : null;
+            },
+            
+            /**
+             * Gets the drawing options of a barcode
+             * @param {Object} options - Barcode options (see replaceEAN13Placeholders)
+             * @param {string} isbnDigits - EAN13 digits
+             * @return {Object} Options for BookUtils.ISBN.drawBarcode
+             */
+            getDrawOptions: function(options, isbnDigits) {
+                return {
+                    font: options.font,
+                    caption: options.caption !== false ? BookUtils.ISBN.getCaption(isbnDigits) : null,
+                    swatch: options.swatch,
+                    bwr: options.bwr,
+                    size: options.size
+                };
+            },
+            
+            /**
+             * Puts a page item in place of another: in the same groups, or anchored at
+             * the same position in the text, and removes the other one
+             * 
+             * Groups cannot take new members, so the groups holding the item are
+             * ungrouped and grouped again with the new item, keeping their name and label.
+             * 
+             * @param {PageItem} item - Replaced item
+             * @param {PageItem} replacement - New item, at the top level of the same spread
+             */
+            replacePageItem: function(item, replacement) {
+                var parent = item.parent;
+                replacement.itemLayer = item.itemLayer;
                 
-                if (isbnDigits.length < 12) {
-                    return { valid: false, message: "An ISBN must contain at least 12 digits." };
+                if (parent.constructor.name === "Character") {
+                    var story = parent.parentStory;
+                    var index = parent.index;
+                    var settings = item.anchoredObjectSettings.properties;
+                    item.remove();
+                    
+                    replacement.anchoredObjectSettings.insertAnchoredObject(story.insertionPoints[index],
+                                                                            settings.anchoredPosition);
+                    try {
+                        replacement.anchoredObjectSettings.properties = settings;
+                    } catch (e) {
+                        $.writeln("Warning: Could not copy the anchored object settings: " + e.message);
+                    }
+                    return;
                 }
                 
-                if (isbnDigits.length === 12) {
-                    var checkDigit = this.calculateCheckDigit(isbnDigits);
-                    isbnDigits += checkDigit;
-                    return { 
-                        valid: true, 
-                        result: isbnDigits,
-                        message: "Check digit added: " + checkDigit
-                    };
+                var groups = [];
+                for (var p = parent; p.constructor.name === "Group"; p = p.parent) {
+                    groups.push({ id: p.id, label: p.label, name: p.name });
+                }
+                if (!groups.length || p.constructor.name === "Character") {
+                    // An anchored group cannot be rebuilt: the replacement stays on the spread
+                    if (groups.length) $.writeln("Warning: The barcode is placed outside its anchored group");
+                    item.remove();
+                    return;
                 }
                 
-                if (isbnDigits.length === 13) {
-                    if (!this.isEAN13Valid(isbnDigits)) {
-                        var correctDigit = this.calculateCheckDigit(isbnDigits.substring(0, 12));
-                        return { 
-                            valid: false, 
-                            message: "Invalid check digit. It should be: " + correctDigit
-                        };
+                // Ungroup from the outermost group, whose members then are on the spread
+                var spread = p;
+                var oldId = item.id;
+                var newId = replacement.id;
+                for (var g = groups.length - 1; g >= 0; g--) {
+                    var group = spread.pageItems.itemByID(groups[g].id);
+                    groups[g].members = group.pageItems.everyItem().id;
+                    group.ungroup();
+                }
+                
+                spread.pageItems.itemByID(oldId).remove();
+                
+                for (g = 0; g < groups.length; g++) {
+                    var members = [];
+                    for (var m = 0; m < groups[g].members.length; m++) {
+                        var id = groups[g].members[m];
+                        members.push(spread.pageItems.itemByID(id === oldId ? newId : id));
                     }
-                    return { valid: true, result: isbnDigits };
+                    var rebuilt = spread.groups.add(members);
+                    rebuilt.label = groups[g].label;
+                    rebuilt.name = groups[g].name;
+                    oldId = groups[g].id;
+                    newId = rebuilt.id;
                 }
+            },
+            
+            /**
+             * Draws a symbol in place of an item, grouped and labelled with its
+             * placeholder so that it can be updated
+             * 
+             * The container is filled with Paper to keep the quiet zones clear of any background.
+             * 
+             * @param {PageItem} item - Placeholder frame or previous symbol, replaced by the symbol
+             * @param {string} placeholder - Placeholder as written, used as label
+             * @param {Document} doc - InDesign document
+             * @param {Function} draw - Draws the symbol in the container given as argument
+             *                          and returns its page items
+             * @return {number} Id of the symbol group
+             */
+            placeSymbol: function(item, placeholder, doc, draw) {
+                var page = item.parentPage;
+                var container = page.rectangles.add({geometricBounds: item.geometricBounds});
+                container.fillColor = doc.swatches.itemByName("Paper");
+                container.strokeWeight = 0;
+                container.strokeColor = doc.swatches.itemByName("None");
                 
-                return { valid: false, message: "Invalid ISBN format." };
+                var symbol = page.groups.add([container].concat(draw(container)));
+                symbol.label = placeholder;
+                
+                var id = symbol.id;
+                this.replacePageItem(item, symbol);
+                return id;
             },
             
             /**
-             * Calculates EAN13 check digit
-             * @param {string} code - 12-digit code
-             * @return {number} Check digit (0-9)
+             * Draws a barcode in place of an item (see placeSymbol)
+             * @param {PageItem} item - Placeholder frame or previous barcode, replaced by the barcode
+             * @param {string} placeholder - Barcode placeholder as written, used as label
+             * @param {string} isbnDigits - EAN13 digits
+             * @param {Document} doc - InDesign document
+             * @param {string} [addon] - 5-digit EAN5 or 2-digit EAN2 add-on
+             * @param {Object} [options] - Drawing options (see BookUtils.ISBN.drawBarcode)
+             * @return {number} Id of the barcode group
              */
-            calculateCheckDigit: function(code) {
-                var sum = 0;
-                for (var i = 0; i < 12; i++) {
-                    var digit = parseInt(code.charAt(i), 10);
-                    sum += (i % 2 === 0) ? digit : digit * 3;
-                }
-                return (10 - (sum % 10)) % 10;
+            placeBarcode: function(item, placeholder, isbnDigits, doc, addon, options) {
+                return this.placeSymbol(item, placeholder, doc, function(container) {
+                    return BookUtils.ISBN.drawBarcode(container, isbnDigits, doc, addon, options);
+                });
             },
             
             /**
-             * Validates an EAN13 code
-             * @param {string} input - 13-digit code
-             * @return {boolean} Is valid EAN13
+             * Replaces EAN13 placeholders with barcodes
+             * @param {Document} doc - InDesign document
+             * @param {string} isbnPrint - Print ISBN
+             * @param {string} isbnEbook - Ebook ISBN
+             * @param {Object} [options] - Barcode options
+             * @param {string} [options.priceCode] - EAN5 add-on for placeholders with the ean5 option
+             * @param {string} [options.issn] - ISSN, for <<EAN13_ISSN>>
+             * @param {string} [options.issue] - Issue number, whose last 2 digits are the EAN2 add-on of the ISSN
+             * @param {string} [options.font] - Font of the human-readable digits
+             * @param {boolean} [options.caption] - Whether to print the ISBN above the barcode
+             * @param {string} [options.swatch] - Swatch of the bars and digits
+             * @param {number} [options.bwr] - Bar width reduction, in millimetres
+             * @param {string} [options.size] - SC0 to SC9 or magnification, else the size of the placeholder frame
+             * @return {boolean} Success status
              */
-            isEAN13Valid: function(input) {
-                return input.length === 13 && 
-                    parseInt(input.charAt(12), 10) === this.calculateCheckDigit(input.slice(0, 12));
+            replaceEAN13Placeholders: function(doc, isbnPrint, isbnEbook, options) {
+                var self = this;
+                var opts = options || {};
+                var codes = this.getBarcodeCodes(isbnPrint, isbnEbook, opts.issn);
+                var skipped = [];
+                var accept = function(text) {
+                    var barcode = self.parseBarcodePlaceholder(text);
+                    return barcode !== null && codes.hasOwnProperty(barcode.name);
+                };
+                
+                // Find placeholders, also in groups, anchored frames and parent pages.
+                // Frames are looked up again after each barcode, as rebuilt groups
+                // invalidate the references to their members.
+                for (var tf = this.findSymbolItem(doc, true, skipped, accept); tf;
+                     tf = this.findSymbolItem(doc, true, skipped, accept)) {
+                    var barcode = this.parseBarcodePlaceholder(tf.contents);
+                    var placeholder = tf.contents.replace(/\s+/g, '');
+                    skipped.push(tf.id);
+                    
+                    try {
+                        if (!tf.parentPage) {
+                            $.writeln("Warning: " + placeholder + " is not on a page");
+                            continue;
+                        }
+                        
+                        this.placeBarcode(tf, placeholder, codes[barcode.name], doc,
+                                          this.getBarcodeAddon(barcode, opts),
+                                          this.getDrawOptions(opts, codes[barcode.name]));
+                    } catch (e) {
+                        LogManager.logError("Error replacing " + placeholder, e);
+                    }
+                }
+                return true;
             },
             
             /**
-             * Encodes EAN13 into binary pattern
-             * @param {string} code - 13-digit EAN13 code
-             * @return {string} Binary pattern for barcode
+             * Finds the next placeholder frame or placed symbol of a document
+             * @param {Document} doc - InDesign document
+             * @param {boolean} frames - Whether to find placeholder frames, else symbols by their label
+             * @param {Array} skipped - Ids of the items to skip
+             * @param {Function} accept - Tells whether a frame contents or label is wanted
+             * @return {PageItem|null} Placeholder frame or symbol, null when none is left
              */
-            encodeEAN13: function(code) {
-                var LEFT_ODD = {0:"0001101",1:"0011001",2:"0010011",3:"0111101",4:"0100011",
-                               5:"0110001",6:"0101111",7:"0111011",8:"0110111",9:"0001011"};
-                var LEFT_EVEN = {0:"0100111",1:"0110011",2:"0011011",3:"0100001",4:"0011101",
-                                5:"0111001",6:"0000101",7:"0010001",8:"0001001",9:"0010111"};
-                var RIGHT = {0:"1110010",1:"1100110",2:"1101100",3:"1000010",4:"1011100",
-                            5:"1001110",6:"1010000",7:"1000100",8:"1001000",9:"1110100"};
-                var PARITY = {0:"OOOOOO",1:"OOEOEE",2:"OOEEOE",3:"OOEEEO",4:"OEOOEE",
-                             5:"OEEOOE",6:"OEEEOO",7:"OEOEOE",8:"OEOEEO",9:"OEEOEO"};
-            
-                var pattern = "101";
-                var parity = PARITY[parseInt(code.charAt(0))];
-                for (var i = 1; i <= 6; i++) {
-                    var digit = parseInt(code.charAt(i));
-                    pattern += (parity.charAt(i - 1) === 'O' ? LEFT_ODD[digit] : LEFT_EVEN[digit]);
+            findSymbolItem: function(doc, frames, skipped, accept) {
+                var items = frames ? this.getTextFrames(doc) : this.getPageItems(doc);
+                for (var i = 0; i < items.length; i++) {
+                    if (arrayContains(skipped, items[i].id)) continue;
+                    
+                    var text = frames ? items[i].contents : items[i].label;
+                    if (typeof text === "string" && accept(text)) return items[i];
                 }
-                pattern += "01010";
-                for (var j = 7; j <= 12; j++) pattern += RIGHT[parseInt(code.charAt(j))];
-                pattern += "101";
-                return pattern;
+                return null;
             },
             
             /**
-             * Draws EAN13 barcode in container
-             * @param {Rectangle} container - Target container
-             * @param {string} code - EAN13 code
+             * Redraws the barcodes placed by replaceEAN13Placeholders with new ISBNs and ISSN
              * @param {Document} doc - InDesign document
+             * @param {string} isbnPrint - Print ISBN
+             * @param {string} isbnEbook - Ebook ISBN
+             * @param {Object} [options] - Barcode options (see replaceEAN13Placeholders)
+             * @return {number} Number of redrawn barcodes
              */
-            drawBarcode: function(container, code, doc) {
-                var bounds = container.geometricBounds;
-                var width = bounds[3] - bounds[1];
-                var height = bounds[2] - bounds[0];
-                var moduleWidth = width / 95;
-                var black = doc.swatches.itemByName("Black");
+            updateEAN13Barcodes: function(doc, isbnPrint, isbnEbook, options) {
+                var self = this;
+                var opts = options || {};
+                var codes = this.getBarcodeCodes(isbnPrint, isbnEbook, opts.issn);
+                var skipped = [];
+                var updated = 0;
+                var accept = function(text) {
+                    return self.parseBarcodePlaceholder(text) !== null;
+                };
                 
-                var binary = this.encodeEAN13(code);
-            
-                for (var i = 0; i < binary.length; i++) {
-                    if (binary.charAt(i) === '1') {
-                        var x1 = bounds[1] + i * moduleWidth;
-                        var rect = container.parentPage.rectangles.add();
-                        rect.geometricBounds = [bounds[0], x1, bounds[2], x1 + moduleWidth];
-                        rect.fillColor = black;
-                        rect.strokeColor = doc.swatches.itemByName("None");
+                for (var item = this.findSymbolItem(doc, false, skipped, accept); item;
+                     item = this.findSymbolItem(doc, false, skipped, accept)) {
+                    var placeholder = item.label;
+                    var barcode = this.parseBarcodePlaceholder(placeholder);
+                    skipped.push(item.id);
+                    
+                    if (!codes.hasOwnProperty(barcode.name)) {
+                        LogManager.logWarning(I18n.__('boundBarcodeInvalid', placeholder, doc.name));
+                        continue;
+                    }
+                    
+                    try {
+                        // The new barcode is skipped too
+                        skipped.push(this.placeBarcode(item, placeholder, codes[barcode.name], doc,
+                                                       this.getBarcodeAddon(barcode, opts),
+                                                       this.getDrawOptions(opts, codes[barcode.name])));
+                        updated++;
+                    } catch (e) {
+                        LogManager.logError("Error updating " + placeholder, e);
                     }
                 }
-            }
-        },
-        
-        /**
-         * @namespace Document
-         * @description InDesign document operations
-         */
-        Document: {
+                return updated;
+            },
+            
             /**
-             * Adds a custom text variable to a document
+             * Draws a QR code or Data Matrix in place of an item (see placeSymbol)
+             * @param {PageItem} item - Placeholder frame or previous code, replaced by the code
+             * @param {string} placeholder - Code placeholder as written, used as label
+             * @param {Function} resolve - Returns the value of a field (see getPlaceholderContext)
              * @param {Document} doc - InDesign document
-             * @param {string} varName - Variable name
-             * @param {string} varContent - Variable content
+             * @param {Object} [options] - Code options (see replaceMatrixPlaceholders)
+             * @return {number|null} Id of the code group, null when the field is empty
              */
-            addCustomVariable: function(doc, varName, varContent) {
-                // Only create InDesign text variables for title and author
-                if (varName !== "title" && varName !== "author") {
-                    return; // Skip other variables
+            placeMatrixCode: function(item, placeholder, resolve, doc, options) {
+                var opts = options || {};
+                var code = BookUtils.Matrix.parsePlaceholder(placeholder);
+                var text = BookUtils.Matrix.getText(resolve(code.field));
+                if (text === "") {
+                    LogManager.logWarning(I18n.__('matrixFieldEmpty', placeholder, doc.name));
+                    return null;
                 }
                 
-                // Convert variable names to match conventions
-                var nameMap = {
-                    "author": "Book Author",
-                    "title": "Book Title"
-                };
-                
-                var displayName = nameMap[varName] || varName;
-                
-                // Clean content by removing <br> tags
-                var cleanContent = varContent ? varContent.replace(/<br\s*\/?>/gi, "") : "";
-                
-                try {
-                    doc.textVariables.item(displayName).variableOptions.contents = cleanContent;
-                } catch(e) {
-                    try {
-                        doc.textVariables.add({
-                            name: displayName, 
-                            variableType: VariableTypes.CUSTOM_TEXT_TYPE
-                        }).variableOptions.contents = cleanContent;
-                    } catch(e) {
-                        // Continue silently if variable can't be added
-                    }
-                }
+                var modules = BookUtils.Matrix.encode(code.type, text, code.level || opts.level);
+                return this.placeSymbol(item, placeholder, doc, function(container) {
+                    return BookUtils.Matrix.draw(container, modules, BookUtils.Matrix.QUIET_ZONES[code.type], doc, opts);
+                });
             },
             
             /**
-             * Replaces text placeholders with formatted content
+             * Replaces <<QR:field>> and <<DataMatrix:field>> placeholders with codes
+             * 
+             * The field is any name of a text placeholder: book field, metadata key or
+             * dotted path, such as <<QR:url>> or <<QR:doi>>.
+             * 
              * @param {Document} doc - InDesign document
              * @param {Object} bookInfo - Book metadata
-             * @param {Object} displayOptions - Display settings
+             * @param {Object} displayOptions - Display options
+             * @param {Object} [chapterValues] - Chapter placeholder values
+             * @param {Object} [metadata] - YAML metadata
+             * @param {Object} [options] - Code options
+             * @param {string} [options.level] - QR error correction level when the placeholder has none
+             * @param {string} [options.swatch] - Swatch of the modules
              * @return {boolean} Success status
              */
-            replaceTextPlaceholders: function(doc, bookInfo, displayOptions) {
-                // Prepare placeholder values
-                var values = {
-                    "<<Book_Author>>": bookInfo.author || "",
-                    "<<Book_Title>>": bookInfo.title || "",
-                    "<<Subtitle>>": bookInfo.subtitle || "",
-                    "<<ISBN_Print>>": bookInfo.isbnPrint || "",
-                    "<<ISBN_Ebook>>": bookInfo.isbnEbook || "",
-                    "<<Translation>>": bookInfo.translation || "",
-                    "<<Critical_Apparatus>>": bookInfo.critical || "",
-                    "<<Print_Date>>": bookInfo.printDate || "",
-                    "<<Editions>>": bookInfo.editions || "",
-                    "<<Funding>>": bookInfo.funding || "",
-                    "<<Rights>>": bookInfo.rights || "",
-                    "<<Price>>": bookInfo.price || ""
+            replaceMatrixPlaceholders: function(doc, bookInfo, displayOptions, chapterValues, metadata, options) {
+                var resolve = this.getPlaceholderContext(bookInfo, displayOptions, chapterValues, metadata).resolve;
+                var skipped = [];
+                var accept = function(text) {
+                    return BookUtils.Matrix.parsePlaceholder(text) !== null;
                 };
                 
-                // Add labels for fields with special options
-                if (displayOptions && displayOptions.showOriginalTitleLabel && bookInfo.originalTitle) {
-                    values["<<Original_Title>>"] = displayOptions.originalTitleLabelText + bookInfo.originalTitle;
-                } else {
-                    values["<<Original_Title>>"] = bookInfo.originalTitle || "";
-                }
-                
-                if (displayOptions && displayOptions.showCoverCreditLabel && bookInfo.coverCredit) {
-                    values["<<Cover_Credit>>"] = displayOptions.coverCreditLabelText + bookInfo.coverCredit;
-                } else {
-                    values["<<Cover_Credit>>"] = bookInfo.coverCredit || "";
-                }
-                
-                // Placeholders that should be completely removed if empty
-                var emptyFields = [
-                    "<<Original_Title>>",
-                    "<<Translator_Display>>",
-                    "<<Critical_Display>>",
-                    "<<Cover_Credit>>", 
-                    "<<Editions>>", 
-                    "<<Funding>>"
-                ];
-                                  
-                // Process each text frame in document
-                for (var i = 0; i < doc.textFrames.length; i++) {
-                    var tf = doc.textFrames[i];
-                    if (!tf.contents) continue;
-                    
-                    var originalContent = tf.contents;
-                    var newContent = originalContent;
-                    var hasPlaceholder = false;
-                    
-                    // For each placeholder
-                    for (var placeholder in values) {
-                        if (newContent.indexOf(placeholder) !== -1) {
-                            // Found a placeholder
-                            hasPlaceholder = true;
-                            var value = values[placeholder];
-                            
-                            if (!value && arrayContains(emptyFields, placeholder)) {
-                                // Case 1: Empty field that should be removed with its line
-                                // Temporarily mark for removal
-                                newContent = newContent.replace(placeholder, "###EMPTY_PLACEHOLDER###");
-                            } else {
-                                // Case 2: Replace with value (may be empty)
-                                newContent = newContent.replace(placeholder, value);
-                            }
-                        }
-                    }
+                for (var tf = this.findSymbolItem(doc, true, skipped, accept); tf;
+                     tf = this.findSymbolItem(doc, true, skipped, accept)) {
+                    var placeholder = tf.contents.replace(/\s+/g, '');
+                    skipped.push(tf.id);
                     
-                    // Remove lines containing empty placeholders
-                    if (hasPlaceholder && newContent.indexOf("###EMPTY_PLACEHOLDER###") !== -1) {
-                        var lines = newContent.split(/\r|\n/);
-                        var filteredLines = [];
-                        
-                        for (var j = 0; j < lines.length; j++) {
-                            if (lines[j].indexOf("###EMPTY_PLACEHOLDER###") === -1) {
-                                filteredLines.push(lines[j]);
-                            }
+                    try {
+                        if (!tf.parentPage) {
+                            $.writeln("Warning: " + placeholder + " is not on a page");
+                            continue;
                         }
-                        
-                        newContent = filteredLines.join("\r");
-                    }
-                    
-                    // If content was modified, apply basic formatting
-                    if (hasPlaceholder && originalContent !== newContent) {
-                        TextUtils.applyFormattedText(tf, newContent, doc);
+                        this.placeMatrixCode(tf, placeholder, resolve, doc, options);
+                    } catch (e) {
+                        LogManager.logError("Error replacing " + placeholder, e);
                     }
                 }
-                
                 return true;
             },
             
             /**
-             * Replaces EAN13 placeholders with barcodes
+             * Redraws the codes placed by replaceMatrixPlaceholders with the current field values
              * @param {Document} doc - InDesign document
-             * @param {string} isbnPrint - Print ISBN
-             * @param {string} isbnEbook - Ebook ISBN
-             * @return {boolean} Success status
+             * @param {Object} bookInfo - Book metadata
+             * @param {Object} displayOptions - Display options
+             * @param {Object} [chapterValues] - Chapter placeholder values
+             * @param {Object} [metadata] - YAML metadata
+             * @param {Object} [options] - Code options (see replaceMatrixPlaceholders)
+             * @return {number} Number of redrawn codes
              */
-            replaceEAN13Placeholders: function(doc, isbnPrint, isbnEbook) {
-                var placeholders = {
-                    "<<EAN13_Print>>": isbnPrint,
-                    "<<EAN13_Ebook>>": isbnEbook
+            updateMatrixCodes: function(doc, bookInfo, displayOptions, chapterValues, metadata, options) {
+                var resolve = this.getPlaceholderContext(bookInfo, displayOptions, chapterValues, metadata).resolve;
+                var skipped = [];
+                var updated = 0;
+                var accept = function(text) {
+                    return BookUtils.Matrix.parsePlaceholder(text) !== null;
                 };
                 
-                for (var placeholder in placeholders) {
-                    var isbnValue = placeholders[placeholder];
-                    if (!isbnValue) continue;
-                    
-                    // Clean ISBN to get only digits
-                    var isbnDigits = isbnValue.replace(/\D/g, "");
-                    
-                    // Ensure it's a valid EAN13
-                    if (isbnDigits.length === 12) {
-                        isbnDigits += BookUtils.ISBN.calculateCheckDigit(isbnDigits);
-                    }
-                    
-                    if (!BookUtils.ISBN.isEAN13Valid(isbnDigits)) {
-                        continue; // Skip invalid ISBNs
-                    }
+                for (var item = this.findSymbolItem(doc, false, skipped, accept); item;
+                     item = this.findSymbolItem(doc, false, skipped, accept)) {
+                    var placeholder = item.label;
+                    skipped.push(item.id);
                     
-                    // Find placeholders 
-                    for (var i = 0; i < doc.textFrames.length; i++) {
-                        var tf = doc.textFrames[i];
-                        if (tf.contents && tf.contents.replace(/\s+/g, '') === placeholder) {
-                            try {
-                                var bounds = tf.geometricBounds;
-                                var page = tf.parentPage;
-                                tf.remove();
-                                
-                                var container = page.rectangles.add({geometricBounds: bounds});
-                                container.fillColor = doc.swatches.itemByName("None");
-                                container.strokeWeight = 0;
-                                container.strokeColor = doc.swatches.itemByName("None");
-                                
-                                BookUtils.ISBN.drawBarcode(container, isbnDigits, doc);
-                            } catch (e) {
-                                LogManager.logError("Error replacing " + placeholder, e);
-                            }
+                    try {
+                        // The new code is skipped too
+                        var id = this.placeMatrixCode(item, placeholder, resolve, doc, options);
+                        if (id !== null) {
+                            skipped.push(id);
+                            updated++;
                         }
+                    } catch (e) {
+                        LogManager.logError("Error updating " + placeholder, e);
                     }
                 }
-                return true;
+                return updated;
             }
         },
         
@@ -2832,11 +8855,14 @@ var BookCreator = (function() {
                 }
                 
                 try {
-                    yamlFile.open("r");
-                    var content = yamlFile.read();
-                    yamlFile.close();
+                    var yamlData = BookUtils.File.readYAML(yamlFile);
+                    var defaults = null;
                     
-                    var yamlData = YAMLParser.parse(content);
+                    // A Pandoc defaults file points to the metadata files
+                    if (BookUtils.File.isPandocDefaults(yamlData)) {
+                        defaults = BookUtils.File.loadPandocDefaults(yamlData, yamlFile.parent);
+                        yamlData = defaults.metadata;
+                    }
                     
                     // Use PandocMapper to handle complex structures
                     var result = PandocMapper.mapToBookCreator(yamlData);
@@ -2844,16 +8870,168 @@ var BookCreator = (function() {
                     return {
                         result: result,
                         yamlMeta: yamlData,
-                        yamlPath: yamlFile.fsName
+                        yamlPath: yamlFile.fsName,
+                        defaults: defaults
                     };
                 } catch (e) {
                     if (yamlFile.open) yamlFile.close();
-                    throw new Error("Error importing YAML: " + e.message);
+                    var error = new Error("Error importing YAML: " + e.message);
+                    error.diagnostics = e.diagnostics;
+                    error.file = e.file;
+                    throw error;
+                }
+            },
+            
+            /**
+             * Reads and parses a YAML file in strict mode
+             * @param {File} yamlFile - YAML file
+             * @return {Object} Parsed YAML data
+             * @throws {Error} Parse error with diagnostics and file name
+             */
+            readYAML: function(yamlFile) {
+                yamlFile.encoding = "UTF-8";
+                yamlFile.open("r");
+                var content = yamlFile.read();
+                yamlFile.close();
+                
+                try {
+                    return YAMLParser.parse(content, { strict: true, textKeys: PandocMapper.getTextKeys() });
+                } catch (e) {
+                    e.file = yamlFile.name;
+                    throw e;
+                }
+            },
+            
+            /**
+             * Checks whether parsed YAML is a Pandoc defaults file rather than metadata
+             * @param {Object} yamlData - Parsed YAML data
+             * @return {boolean} True for a defaults file
+             */
+            isPandocDefaults: function(yamlData) {
+                var defaultsKeys = ["metadata-file", "metadata-files", "metadata", "resource-path",
+                                    "input-file", "from", "to", "reader", "writer", "output-file"];
+                
+                if (!yamlData || typeof yamlData !== "object") return false;
+                
+                // input-files alone is also allowed in metadata files
+                for (var i = 0; i < defaultsKeys.length; i++) {
+                    if (yamlData.hasOwnProperty(defaultsKeys[i])) {
+                        return true;
+                    }
+                }
+                return false;
+            },
+            
+            /**
+             * Loads the metadata referenced by a Pandoc defaults file.
+             * Metadata files are merged key by key, later files winning, and the
+             * defaults' own metadata map overrides them all, as in Pandoc.
+             * @param {Object} defaultsData - Parsed defaults file
+             * @param {Folder} baseFolder - Folder of the defaults file
+             * @return {Object} Merged metadata, metadataFiles, inputFiles (or null)
+             *                  and resourcePath (absolute folder paths)
+             */
+            loadPandocDefaults: function(defaultsData, baseFolder) {
+                var defaults = {
+                    metadata: {},
+                    metadataFiles: [],
+                    inputFiles: null,
+                    resourcePath: []
+                };
+                
+                var metadataPaths = BookUtils.File.toPathList(defaultsData["metadata-file"])
+                    .concat(BookUtils.File.toPathList(defaultsData["metadata-files"]));
+                
+                for (var i = 0; i < metadataPaths.length; i++) {
+                    var metadataFile = File(BookUtils.File.resolvePath(metadataPaths[i], baseFolder));
+                    if (!metadataFile.exists) {
+                        throw new Error(I18n.__('metadataFileNotFound', metadataPaths[i]));
+                    }
+                    
+                    var fileData = BookUtils.File.readYAML(metadataFile);
+                    for (var key in fileData) {
+                        if (fileData.hasOwnProperty(key)) {
+                            defaults.metadata[key] = fileData[key];
+                        }
+                    }
+                    defaults.metadataFiles.push(metadataFile.fsName);
+                }
+                
+                var metadata = defaultsData.metadata;
+                if (metadata && typeof metadata === "object" && !isArray(metadata)) {
+                    for (var name in metadata) {
+                        if (metadata.hasOwnProperty(name)) {
+                            defaults.metadata[name] = metadata[name];
+                        }
+                    }
+                }
+                
+                var inputFiles = BookUtils.File.toPathList(defaultsData["input-file"])
+                    .concat(BookUtils.File.toPathList(defaultsData["input-files"]));
+                if (inputFiles.length > 0) {
+                    for (var f = 0; f < inputFiles.length; f++) {
+                        inputFiles[f] = BookUtils.File.resolvePath(inputFiles[f], baseFolder);
+                    }
+                    defaults.inputFiles = inputFiles;
+                }
+                
+                var resourcePath = BookUtils.File.toPathList(defaultsData["resource-path"]);
+                for (var r = 0; r < resourcePath.length; r++) {
+                    defaults.resourcePath.push(BookUtils.File.resolvePath(resourcePath[r], baseFolder));
+                }
+                
+                return defaults;
+            },
+            
+            /**
+             * Normalizes a YAML path value (string or list) to a list of paths
+             * @param {*} value - YAML value
+             * @return {Array} Non-empty paths
+             */
+            toPathList: function(value) {
+                var values = isArray(value) ? value : [value];
+                var paths = [];
+                
+                for (var i = 0; i < values.length; i++) {
+                    if (values[i] !== null && values[i] !== undefined && typeof values[i] !== "object" &&
+                        trim(String(values[i])) !== "") {
+                        paths.push(trim(String(values[i])));
+                    }
+                }
+                return paths;
+            },
+            
+            /**
+             * Checks whether a path is absolute (POSIX, home or Windows drive)
+             * @param {string} path - Path to check
+             * @return {boolean} True if absolute
+             */
+            isAbsolutePath: function(path) {
+                return /^(\/|~|[A-Za-z]:[\\\/])/.test(path);
+            },
+            
+            /**
+             * Resolves a path from a Pandoc defaults file; ${.} stands for the defaults file folder
+             * @param {string} path - Path as written in the YAML
+             * @param {Folder} baseFolder - Folder relative paths are resolved against
+             * @return {string} Absolute path
+             */
+            resolvePath: function(path, baseFolder) {
+                var resolved = String(path).replace(/\$\{\.\}/g, baseFolder.fsName);
+                
+                if (BookUtils.File.isAbsolutePath(resolved)) {
+                    return resolved;
                 }
+                resolved = resolved.replace(/^\.(\/|$)/, "");
+                return resolved === "" ? baseFolder.fsName : baseFolder.fsName + "/" + resolved;
             },
             
             /**
              * Exports book metadata to YAML
+             * 
+             * An existing file is updated in place: only the keys of the edited fields
+             * change, while comments, key order and other keys are kept.
+             * 
              * @param {Object} bookInfo - Book metadata
              * @param {File} yamlFile - Target YAML file
              * @return {boolean} Success status
@@ -2863,99 +9041,28 @@ var BookCreator = (function() {
                     throw new Error("No file specified for YAML export.");
                 }
                 
+                var source = "";
+                if (yamlFile.exists) {
+                    yamlFile.encoding = "UTF-8";
+                    yamlFile.open("r");
+                    source = yamlFile.read();
+                    yamlFile.close();
+                }
+                
                 try {
-                    // Mapping between BookCreator fields and Pandoc fields
-                    var fieldMappings = {
-                        "title": "title",
-                        "subtitle": "subtitle",
-                        "author": "author", 
-                        "printDate": "published-print",
-                        "language": "lang",
-                        "rights": "rights",
-                        
-                        // ISBN specific fields
-                        "isbnPrint": "isbn-print",
-                        "isbnEbook": "isbn-ebook",
-                        
-                        // BookCreator specific fields preserved as-is
-                        "translator-display": "translation",
-                        "critical-display": "critical",
-                        "originalTitle": "originalTitle", 
-                        "cover-note": "coverCredit",
-                        "editions": "editions",
-                        "funding": "funding",
-                        "price": "price"
-                    };
-                    
-                    var yamlData = {};
-                    
-                    // Create YAML object with correct fields
-                    for (var srcField in fieldMappings) {
-                        if (bookInfo.hasOwnProperty(srcField) && bookInfo[srcField]) {
-                            var destField = fieldMappings[srcField];
-                            yamlData[destField] = bookInfo[srcField];
-                        }
-                    }
-                    
-                    // Export title as complex structure if both title and subtitle exist
-                    if (bookInfo.title || bookInfo.subtitle) {
-                        yamlData.title = [];
-                        if (bookInfo.title) {
-                            yamlData.title.push({
-                                type: "main",
-                                text: bookInfo.title
-                            });
-                        }
-                        if (bookInfo.subtitle) {
-                            yamlData.title.push({
-                                type: "subtitle", 
-                                text: bookInfo.subtitle
-                            });
-                        }
-                        // Remove simple fields since we're using complex structure
-                        delete yamlData.title; // Remove if exists from simple mapping
-                        delete yamlData.subtitle; // Remove if exists from simple mapping
-                    }
-                    
-                    // Export creator as complex structure
-                    if (bookInfo.author) {
-                        yamlData.creator = [{
-                            role: "author",
-                            text: bookInfo.author
-                        }];
-                        // Remove simple field
-                        delete yamlData.author; // Remove if exists from simple mapping
-                    }
-                    
-                    // Export ISBN with different formats: complex for ebook, simple for print
-                    if (bookInfo.isbnEbook) {
-                        // Ebook uses complex identifier structure
-                        yamlData.identifier = [{
-                            scheme: "ISBN",
-                            text: bookInfo.isbnEbook
-                        }];
-                    }
-                    
-                    if (bookInfo.isbnPrint) {
-                        // Print uses simple isbn-print field (handled by normal mappings)
-                        // Nothing special needed here, normal mapping will handle it
-                    }
-                    
-                    // Don't delete isbn-print since we want to keep it simple
-                    delete yamlData["isbn-ebook"];
+                    var yamlContent;
                     
-                    // Include other unmapped fields
-                    for (var field in bookInfo) {
-                        if (!fieldMappings.hasOwnProperty(field) && bookInfo[field]) {
-                            yamlData[field] = bookInfo[field];
-                        }
+                    if (trim(source) !== "") {
+                        var yamlData = YAMLParser.parse(source, {
+                            strict: true,
+                            textKeys: PandocMapper.getTextKeys()
+                        }) || {};
+                        var update = PandocMapper.mapToPandoc(bookInfo, yamlData);
+                        yamlContent = YAMLParser.updateDocument(source, update.changes, update.removals);
+                    } else {
+                        yamlContent = "---\n" + YAMLParser.stringify(PandocMapper.mapToPandoc(bookInfo).changes) + "---\n";
                     }
                     
-                    // Generate YAML string
-                    var yamlContent = "---\n";  // YAML front matter starts with ---
-                    yamlContent += YAMLParser.stringify(yamlData);
-                    yamlContent += "---\n";  // YAML front matter ends with ---
-                    
                     yamlFile.encoding = "UTF-8";
                     yamlFile.open("w");
                     yamlFile.write(yamlContent);
@@ -2964,7 +9071,12 @@ var BookCreator = (function() {
                     return true;
                 } catch (e) {
                     if (yamlFile.open) yamlFile.close();
-                    throw new Error("Error exporting YAML: " + e.message);
+                    var error = new Error("Error exporting YAML: " + e.message);
+                    if (e.diagnostics) {
+                        error.diagnostics = e.diagnostics;
+                        error.file = yamlFile.name;
+                    }
+                    throw error;
                 }
             },
             
@@ -2975,11 +9087,24 @@ var BookCreator = (function() {
              */
             detectMarkdownElements: function(yamlData) {
                 var result = {
-                    hasInputFiles: false
+                    hasInputFiles: false,
+                    notesMode: null
                 };
                 
-                // Plus besoin de input-files, on considère qu'il y a des fichiers si le YAML existe
-                result.hasInputFiles = true;
+                // input-files fixe l'ordre des chapitres ; sinon le dossier texte est parcouru
+                var inputFiles = yamlData ? yamlData["input-files"] : null;
+                result.hasInputFiles = (isArray(inputFiles) && inputFiles.length > 0) ||
+                                       (typeof inputFiles === "string" && trim(inputFiles) !== "");
+                
+                // Notes placement: footnotes, endnotes per chapter or notes section for the book
+                var notesMode = yamlData ? String(yamlData["notes-mode"] || "").toLowerCase() : "";
+                if (notesMode === "footnotes") {
+                    result.notesMode = "footnotes";
+                } else if (notesMode === "chapter" || notesMode === "endnotes") {
+                    result.notesMode = "chapter";
+                } else if (notesMode === "book" || notesMode === "notes-section") {
+                    result.notesMode = "book";
+                }
                 
                 return result;
             }
@@ -3087,19 +9212,45 @@ var BookCreator = (function() {
                 }
             };
             
+            // Notes placement
+            var notesModes = ["footnotes", "chapter", "book"];
+            var notesGroup = textPanel.add('group');
+            notesGroup.orientation = "row";
+            notesGroup.add('statictext', undefined, I18n.__('notesMode'));
+            var notesDropdown = notesGroup.add('dropdownlist', undefined, [
+                I18n.__('notesFootnotes'),
+                I18n.__('notesEndnotesChapter'),
+                I18n.__('notesSectionBook')
+            ]);
+            notesDropdown.selection = 0;
+            
+            notesDropdown.onChange = function() {
+                if (notesDropdown.selection) {
+                    book.markdownOptions.notesMode = notesModes[notesDropdown.selection.index];
+                }
+            };
+            
             function updateMdOptions() {
-                // Auto-enable markdown injection if files are detected
-                book.markdownOptions.injectMarkdown = book.markdownOptions.hasInputFiles;
+                // Auto-enable markdown injection once a YAML file is loaded
+                book.markdownOptions.injectMarkdown = !!book.markdownOptions.yamlPath;
+                
+                // Reflect the notes placement read from the YAML
+                for (var n = 0; n < notesModes.length; n++) {
+                    if (notesModes[n] === book.markdownOptions.notesMode) {
+                        notesDropdown.selection = n;
+                    }
+                }
                 
                 // Update diagnostic text in main window
                 if (typeof mdDiagnostic !== 'undefined') {
                     if (book.markdownOptions.yamlPath) {
-                        if (book.markdownOptions.hasInputFiles) {
-                            var allMdFiles = book._getAllMarkdownFilesFromFolder();
-                            var fileCount = allMdFiles.length;
-                            mdDiagnostic.text = I18n.__('inputFilesDetected') + " (" + fileCount + " files)";
+                        var mdResolution = book._resolveMarkdownFiles();
+                        var fileCount = mdResolution.files.length;
+                        if (mdResolution.listed) {
+                            mdDiagnostic.text = I18n.__('inputFilesDetected') + " (" + fileCount + " files" +
+                                (mdResolution.missing.length > 0 ? ", " + I18n.__('missingFiles', mdResolution.missing.length) : "") + ")";
                         } else {
-                            mdDiagnostic.text = I18n.__('inputFilesNotDetected');
+                            mdDiagnostic.text = I18n.__('inputFilesNotDetected') + " (" + fileCount + " files)";
                         }
                     } else {
                         mdDiagnostic.text = I18n.__('noYAMLLoaded');
@@ -3111,8 +9262,33 @@ var BookCreator = (function() {
             var actionBtns = win.add('group');
             actionBtns.alignment = 'right';
             actionBtns.add('button', undefined, I18n.__('cancel'), {name:'cancel'});
+            var updateBtn = actionBtns.add('button', undefined, I18n.__('updateBook'));
             var createBtn = actionBtns.add('button', undefined, I18n.__('createBook'), {name:'ok'});
             
+            updateBtn.onClick = function() {
+                var bookFile = File.openDialog(I18n.__('chooseBookToUpdate'), "*.indb");
+                if (!bookFile) return;
+                
+                var originalUserInteractionLevel = app.scriptPreferences.userInteractionLevel;
+                try {
+                    app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+                    var result = book.updateMetadata(bookFile);
+                    app.scriptPreferences.userInteractionLevel = originalUserInteractionLevel;
+                    
+                    var warnings = LogManager.flushWarnings();
+                    if (result) {
+                        var updatedMessage = I18n.__('bookUpdated', result.documents, result.updated);
+                        if (warnings.length > 0) {
+                            updatedMessage += "\n\n" + I18n.__('generationWarnings') + "\n- " + warnings.join("\n- ");
+                        }
+                        alert(updatedMessage);
+                    }
+                } catch (e) {
+                    app.scriptPreferences.userInteractionLevel = originalUserInteractionLevel;
+                    LogManager.logError(I18n.__('error'), e);
+                }
+            };
+            
             createBtn.onClick = function() {
                 // Update book info
                 book.name = bookNameInput.text;
@@ -3142,8 +9318,13 @@ var BookCreator = (function() {
                         // Restore user interaction level BEFORE opening the book
                         app.scriptPreferences.userInteractionLevel = originalUserInteractionLevel;
                         
+                        var warnings = LogManager.flushWarnings();
                         if (result) {
-                            alert(I18n.__('bookGenerated'));
+                            var generatedMessage = I18n.__('bookGenerated');
+                            if (warnings.length > 0) {
+                                generatedMessage += "\n\n" + I18n.__('generationWarnings') + "\n- " + warnings.join("\n- ");
+                            }
+                            alert(generatedMessage);
                             // La fenêtre est déjà fermée dans generate()
                         }
                     } catch (e) {
@@ -3201,6 +9382,16 @@ var BookCreator = (function() {
             var isbnEbookInput = col1.add("edittext", undefined, bookInfo.isbnEbook || "");
             isbnEbookInput.characters = 25;
             
+            // ISSN and issue number of a periodical
+            var issnGroup = col1.add("group");
+            issnGroup.orientation = "row";
+            issnGroup.add("statictext", undefined, I18n.__('issn'));
+            var issnInput = issnGroup.add("edittext", undefined, bookInfo.issn ? String(bookInfo.issn) : "");
+            issnInput.characters = 9;
+            issnGroup.add("statictext", undefined, I18n.__('issue'));
+            var issueInput = issnGroup.add("edittext", undefined, bookInfo.issue ? String(bookInfo.issue) : "");
+            issueInput.characters = 4;
+            
             col1.add("statictext", undefined, I18n.__('price'));
             var priceInput = col1.add("edittext", undefined, bookInfo.price || "");
             priceInput.characters = 25;
@@ -3279,12 +9470,39 @@ var BookCreator = (function() {
             var rightsInput = col2.add("edittext", undefined, bookInfo.rights || "", {multiline: true});
             rightsInput.preferredSize = [250, 40];
             
+            // YAML diagnostics, shown when an import fails
+            var diagnosticsPanel = infoWin.add("panel", undefined, I18n.__('yamlErrors'));
+            diagnosticsPanel.alignChildren = "fill";
+            var diagnosticsText = diagnosticsPanel.add("edittext", undefined, "", {multiline: true, readonly: true, scrolling: true});
+            diagnosticsText.preferredSize = [520, 90];
+            diagnosticsPanel.visible = false;
+            
+            /**
+             * Shows YAML parse diagnostics, or hides the panel when there are none
+             * @param {Array} diagnostics - Errors with line, column, text, message and expected
+             * @param {string} [fileName] - Name of the file containing the errors
+             */
+            function showDiagnostics(diagnostics, fileName) {
+                var lines = [];
+                for (var d = 0; d < diagnostics.length; d++) {
+                    lines.push(I18n.__('yamlDiagnostic', fileName || "", diagnostics[d].line, diagnostics[d].column,
+                                       diagnostics[d].message, diagnostics[d].expected));
+                    lines.push("    " + trim(diagnostics[d].text || ""));
+                }
+                diagnosticsText.text = lines.join("\n");
+                diagnosticsPanel.visible = diagnostics.length > 0;
+            }
+            
             // Button group
             var btnGroup = infoWin.add("group");
             btnGroup.orientation = "row";
             btnGroup.alignment = "center";
             btnGroup.spacing = 10;
             
+            // Imported fields without an input: contributors with their roles and book language
+            var contributors = bookInfo.contributors;
+            var bookLanguage = bookInfo.language;
+            
             // YAML import button
             var importBtn = btnGroup.add("button", undefined, I18n.__('importYAML'));
             importBtn.onClick = function() {
@@ -3293,12 +9511,15 @@ var BookCreator = (function() {
                     try {
                         var importResult = BookUtils.File.importYAML(yamlFile);
                         var yamlData = importResult.result;
+                        showDiagnostics([]);
                         
                         authorInput.text = yamlData.author || "";
                         titleInput.text = yamlData.title || "";
                         subtitleInput.text = yamlData.subtitle || "";
                         isbnPrintInput.text = yamlData.isbnPrint || "";
                         isbnEbookInput.text = yamlData.isbnEbook || "";
+                        issnInput.text = yamlData.issn ? String(yamlData.issn) : "";
+                        issueInput.text = yamlData.issue ? String(yamlData.issue) : "";
                         printDateInput.text = yamlData.printDate || "";
                         originalTitleInput.text = yamlData.originalTitle || "";
                         criticalInput.text = yamlData.critical || "";
@@ -3308,6 +9529,8 @@ var BookCreator = (function() {
                         fundingInput.text = yamlData.funding || "";
                         rightsInput.text = yamlData.rights || "";
                         priceInput.text = yamlData.price || "";
+                        contributors = yamlData.contributors || [];
+                        bookLanguage = yamlData.language;
                         
                         // Auto-remplir le préfixe si vide
                         if (bookNameInput && bookNameInput.text === "" && yamlData.title) {
@@ -3318,9 +9541,14 @@ var BookCreator = (function() {
                         // Store YAML data and check Markdown elements
                         markdownOptions.yamlPath = importResult.yamlPath;
                         markdownOptions.yamlMeta = importResult.yamlMeta;
+                        markdownOptions.pandocDefaults = importResult.defaults;
                         
                         var mdElements = BookUtils.File.detectMarkdownElements(importResult.yamlMeta);
-                        markdownOptions.hasInputFiles = mdElements.hasInputFiles;
+                        markdownOptions.hasInputFiles = mdElements.hasInputFiles ||
+                            !!(importResult.defaults && importResult.defaults.inputFiles);
+                        if (mdElements.notesMode) {
+                            markdownOptions.notesMode = mdElements.notesMode;
+                        }
                         
                         // Auto-detect template folder
                         var detectedTemplateFolder = autoDetectTemplateFolder(importResult.yamlPath);
@@ -3370,13 +9598,17 @@ var BookCreator = (function() {
                         }
                         
                         // Ajouter l'info sur les fichiers Markdown
-                        if (markdownOptions.hasInputFiles) {
-                            var allMdFiles = book._getAllMarkdownFilesFromFolder();
-                            var fileCount = allMdFiles.length;
+                        var mdResolution = book._resolveMarkdownFiles();
+                        if (mdResolution.files.length > 0) {
+                            var fileCount = mdResolution.files.length;
                             var markdownInfo = I18n.getLanguage() === 'fr' ? 
                                 "\nFichiers Markdown d\u00E9tect\u00E9s: " + fileCount + " fichiers" :
                                 "\nMarkdown files detected: " + fileCount + " files";
                             importMessage += markdownInfo;
+                            
+                            for (var mf = 0; mf < mdResolution.missing.length; mf++) {
+                                importMessage += "\n" + I18n.__('inputFileMissing', mdResolution.missing[mf]);
+                            }
                         } else {
                             var noMarkdownInfo = I18n.getLanguage() === 'fr' ? 
                                 "\nAucun fichier Markdown d\u00E9tect\u00E9." :
@@ -3386,7 +9618,12 @@ var BookCreator = (function() {
                         
                         alert(importMessage);
                     } catch (e) {
-                        LogManager.logError(I18n.__('error'), e);
+                        if (e.diagnostics) {
+                            // Nothing is imported: the metadata would be incomplete
+                            showDiagnostics(e.diagnostics, e.file);
+                        } else {
+                            LogManager.logError(I18n.__('error'), e);
+                        }
                     }
                 }
             };
@@ -3394,7 +9631,14 @@ var BookCreator = (function() {
             // YAML export button
             var exportBtn = btnGroup.add("button", undefined, I18n.__('exportYAML'));
             exportBtn.onClick = function() {
-                var yamlFile = File.saveDialog(I18n.__('exportYAML'), "*.yaml");
+                // Update the imported metadata file by default
+                var target = markdownOptions.yamlPath ? new File(markdownOptions.yamlPath) : null;
+                if (target && markdownOptions.pandocDefaults) {
+                    var metadataFiles = markdownOptions.pandocDefaults.metadataFiles;
+                    target = metadataFiles.length > 0 ? new File(metadataFiles[metadataFiles.length - 1]) : null;
+                }
+                var yamlFile = target ? target.saveDlg(I18n.__('exportYAML'), "*.yaml") :
+                                        File.saveDialog(I18n.__('exportYAML'), "*.yaml");
                 if (yamlFile) {
                     try {
                         var data = {
@@ -3403,6 +9647,8 @@ var BookCreator = (function() {
                             subtitle: subtitleInput.text,
                             isbnPrint: isbnPrintInput.text,
                             isbnEbook: isbnEbookInput.text,
+                            issn: issnInput.text,
+                            issue: issueInput.text,
                             critical: criticalInput.text,
                             translation: translationInput.text,
                             printDate: printDateInput.text,
@@ -3413,11 +9659,20 @@ var BookCreator = (function() {
                             rights: rightsInput.text,
                             price: priceInput.text
                         };
+                        if (contributors) {
+                            data.contributors = PandocMapper.updateAuthors(contributors, authorInput.text, bookLanguage);
+                            if (bookLanguage) data.language = bookLanguage;
+                        }
                         
                         BookUtils.File.exportYAML(data, yamlFile);
                         alert(I18n.__('yamlExportCompleted'));
                     } catch (e) {
-                        LogManager.logError(I18n.__('error'), e);
+                        if (e.diagnostics) {
+                            // The file is left untouched when it cannot be read back
+                            showDiagnostics(e.diagnostics, e.file);
+                        } else {
+                            LogManager.logError(I18n.__('error'), e);
+                        }
                     }
                 }
             };
@@ -3430,6 +9685,8 @@ var BookCreator = (function() {
                 bookInfo.subtitle = subtitleInput.text;
                 bookInfo.isbnPrint = isbnPrintInput.text;
                 bookInfo.isbnEbook = isbnEbookInput.text;
+                bookInfo.issn = issnInput.text;
+                bookInfo.issue = issueInput.text;
                 bookInfo.critical = criticalInput.text;
                 bookInfo.translation = translationInput.text;
                 bookInfo.printDate = printDateInput.text;
@@ -3439,6 +9696,10 @@ var BookCreator = (function() {
                 bookInfo.funding = fundingInput.text;
                 bookInfo.rights = rightsInput.text;
                 bookInfo.price = priceInput.text;
+                if (contributors) {
+                    bookInfo.contributors = PandocMapper.updateAuthors(contributors, authorInput.text, bookLanguage);
+                    bookInfo.language = bookLanguage;
+                }
                 
                 // Save display options with new label text fields
                 displayOptions.showOriginalTitleLabel = showOriginalTitleLabel.value;